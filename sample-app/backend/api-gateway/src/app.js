@@ -3,20 +3,35 @@ const helmet = require('helmet');
 const cors = require('cors');
 const morgan = require('morgan');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const { v4: uuidv4 } = require('uuid');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 
 const { logger } = require('./utils/logger');
-const { authMiddleware } = require('./middleware/auth');
+const { createPool } = require('./db');
+const { createRedisClient } = require('./utils/redis');
+const { authMiddleware, authorizeRoute } = require('./middleware/auth');
 const { errorHandler } = require('./middleware/errorHandler');
+const { createRateLimiter, clientQuotas } = require('./middleware/rateLimit');
 const { validateConfig } = require('./config/validation');
+const { createServiceProxy } = require('./middleware/serviceProxy');
+const { UserRepository, InMemoryUserRepository } = require('./repositories/userRepository');
+const { SessionRepository, InMemorySessionRepository } = require('./repositories/sessionRepository');
+const { ApiKeyRepository, InMemoryApiKeyRepository } = require('./repositories/apiKeyRepository');
+const { AuthService } = require('./services/authService');
+const { ApiKeyService } = require('./services/apiKeyService');
+const { createAuthRoutes } = require('./routes/auth');
+const { createApiKeyRoutes } = require('./routes/apiKeys');
 
 class PayFlowAPIGateway {
-  constructor() {
+  // `options` allows collaborators (e.g. an in-memory repository) to be injected for tests
+  constructor(options = {}) {
     this.app = express();
+    // Routes are matched case-sensitively, as the scope rules are written
+    this.app.set('case sensitive routing', true);
     this.config = this.loadConfiguration();
+    this.setupDataAccess(options);
+    this.setupServices(options);
     this.setupMiddleware();
     this.setupRoutes();
     this.setupSwagger();
@@ -28,6 +43,24 @@ class PayFlowAPIGateway {
       port: process.env.PORT || 3000,
       environment: process.env.NODE_ENV || 'development',
       corsOrigins: process.env.CORS_ORIGINS?.split(',') || ['http://localhost:3100'],
+      jwt: {
+        secret: process.env.JWT_SECRET,
+        issuer: process.env.JWT_ISSUER || 'payflow-api-gateway',
+        accessTokenTtl: process.env.JWT_EXPIRATION || '15m',
+        refreshTokenTtlMs: parseInt(process.env.JWT_REFRESH_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000
+      },
+      // Only API keys of this mode are accepted (test keys never reach live services)
+      apiKeyMode: process.env.API_KEY_MODE
+        || (process.env.NODE_ENV === 'production' ? 'live' : 'test'),
+      database: {
+        url: process.env.DATABASE_URL,
+        poolSize: parseInt(process.env.CONNECTION_POOL_SIZE, 10) || 10,
+        queryTimeout: parseInt(process.env.QUERY_TIMEOUT, 10) || 30000
+      },
+      // Shared rate limit counters; without it each instance counts on its own
+      redis: {
+        url: process.env.REDIS_URL
+      },
       services: {
         userService: process.env.USER_SERVICE_URL || 'http://localhost:3001',
         paymentService: process.env.PAYMENT_SERVICE_URL || 'http://localhost:3002',
@@ -35,10 +68,105 @@ class PayFlowAPIGateway {
         notificationService: process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3004',
         complianceService: process.env.COMPLIANCE_SERVICE_URL || 'http://localhost:3005'
       },
+      // Public API prefix -> downstream service, path and upstream timeout
+      proxyRoutes: [
+        {
+          mountPath: '/api/v1/users',
+          service: 'userService',
+          targetPath: '/users',
+          timeoutMs: parseInt(process.env.USER_SERVICE_TIMEOUT_MS, 10) || 10000
+        },
+        {
+          mountPath: '/api/v1/payments',
+          service: 'paymentService',
+          targetPath: '/payments',
+          timeoutMs: parseInt(process.env.PAYMENT_SERVICE_TIMEOUT_MS, 10) || 30000
+        },
+        {
+          mountPath: '/api/v1/payment-methods',
+          service: 'paymentService',
+          targetPath: '/payment-methods',
+          timeoutMs: parseInt(process.env.PAYMENT_SERVICE_TIMEOUT_MS, 10) || 30000
+        },
+        {
+          mountPath: '/api/v1/subscription-plans',
+          service: 'paymentService',
+          targetPath: '/subscription-plans',
+          timeoutMs: parseInt(process.env.PAYMENT_SERVICE_TIMEOUT_MS, 10) || 30000
+        },
+        {
+          mountPath: '/api/v1/subscriptions',
+          service: 'paymentService',
+          targetPath: '/subscriptions',
+          timeoutMs: parseInt(process.env.PAYMENT_SERVICE_TIMEOUT_MS, 10) || 30000
+        },
+        {
+          mountPath: '/api/v1/disputes',
+          service: 'paymentService',
+          targetPath: '/disputes',
+          timeoutMs: parseInt(process.env.PAYMENT_SERVICE_TIMEOUT_MS, 10) || 30000
+        },
+        {
+          mountPath: '/api/v1/webhooks',
+          service: 'paymentService',
+          targetPath: '/webhooks',
+          timeoutMs: parseInt(process.env.PAYMENT_SERVICE_TIMEOUT_MS, 10) || 30000
+        },
+        {
+          mountPath: '/api/v1/reconciliations',
+          service: 'paymentService',
+          targetPath: '/reconciliations',
+          timeoutMs: parseInt(process.env.PAYMENT_SERVICE_TIMEOUT_MS, 10) || 30000
+        },
+        {
+          mountPath: '/api/v1/ledger',
+          service: 'paymentService',
+          targetPath: '/ledger',
+          timeoutMs: parseInt(process.env.PAYMENT_SERVICE_TIMEOUT_MS, 10) || 30000
+        },
+        {
+          mountPath: '/api/v1/audit-logs',
+          service: 'paymentService',
+          targetPath: '/audit-logs',
+          timeoutMs: parseInt(process.env.PAYMENT_SERVICE_TIMEOUT_MS, 10) || 30000
+        },
+        {
+          mountPath: '/api/v1/notifications',
+          service: 'notificationService',
+          targetPath: '/notifications',
+          timeoutMs: parseInt(process.env.NOTIFICATION_SERVICE_TIMEOUT_MS, 10) || 10000
+        },
+        {
+          mountPath: '/api/v1/kyc',
+          service: 'complianceService',
+          targetPath: '/kyc',
+          timeoutMs: parseInt(process.env.COMPLIANCE_SERVICE_TIMEOUT_MS, 10) || 10000
+        },
+        {
+          // Payment screening itself is internal to the services
+          mountPath: '/api/v1/aml/cases',
+          service: 'complianceService',
+          targetPath: '/aml/cases',
+          timeoutMs: parseInt(process.env.COMPLIANCE_SERVICE_TIMEOUT_MS, 10) || 10000
+        },
+        {
+          // Served by the payment service, which writes the transactions table
+          mountPath: '/api/v1/transactions',
+          service: 'paymentService',
+          targetPath: '/transactions',
+          timeoutMs: parseInt(process.env.PAYMENT_SERVICE_TIMEOUT_MS, 10) || 30000
+        }
+      ],
+      // Per-IP limit on the unauthenticated auth endpoints
       rateLimiting: {
-        windowMs: 15 * 60 * 1000, // 15 minutes
-        max: 100, // limit each IP to 100 requests per windowMs
-        skipSuccessfulRequests: false
+        windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
+        max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100
+      },
+      // Per API key (or user) quotas on authenticated routes
+      clientQuotas: {
+        windowMs: parseInt(process.env.RATE_LIMIT_CLIENT_WINDOW_MS, 10) || 60 * 1000,
+        writeMax: parseInt(process.env.RATE_LIMIT_WRITE_MAX, 10) || 60,
+        readMax: parseInt(process.env.RATE_LIMIT_READ_MAX, 10) || 300
       }
     };
 
@@ -48,6 +176,54 @@ class PayFlowAPIGateway {
     return config;
   }
 
+  setupDataAccess(options) {
+    if (this.config.database.url) {
+      this.db = createPool(this.config.database);
+    } else {
+      logger.warn('DATABASE_URL not set, using in-memory repositories');
+    }
+
+    this.userRepository = options.userRepository || (this.db
+      ? new UserRepository(this.db)
+      : new InMemoryUserRepository());
+
+    this.sessionRepository = options.sessionRepository || (this.db
+      ? new SessionRepository(this.db)
+      : new InMemorySessionRepository());
+
+    this.apiKeyRepository = options.apiKeyRepository || (this.db
+      ? new ApiKeyRepository(this.db)
+      : new InMemoryApiKeyRepository(this.userRepository));
+
+    if (options.redisClient) {
+      this.redis = options.redisClient;
+    } else if (this.config.redis.url) {
+      this.redis = createRedisClient(this.config.redis.url);
+    } else {
+      logger.warn('REDIS_URL not set, rate limits are counted in memory per instance');
+    }
+  }
+
+  setupServices(options) {
+    this.authService = options.authService || new AuthService({
+      userRepository: this.userRepository,
+      sessionRepository: this.sessionRepository,
+      jwtConfig: this.config.jwt
+    });
+    this.apiKeyService = options.apiKeyService || new ApiKeyService({
+      apiKeyRepository: this.apiKeyRepository,
+      mode: this.config.apiKeyMode
+    });
+    this.authenticate = authMiddleware({
+      authService: this.authService,
+      apiKeyService: this.apiKeyService
+    });
+    this.clientQuotas = clientQuotas({
+      ...this.config.clientQuotas,
+      redisClient: this.redis
+    });
+  }
+
   setupMiddleware() {
     // Security middleware
     this.app.use(helmet({
@@ -66,9 +242,21 @@ class PayFlowAPIGateway {
       origin: this.config.corsOrigins,
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+      allowedHeaders: [
+        'Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'X-Request-ID', 'Idempotency-Key'
+      ],
+      exposedHeaders: [
+        'X-Request-ID', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'
+      ]
     }));
 
+    // Request ID for tracing, propagated to downstream services
+    this.app.use((req, res, next) => {
+      req.requestId = req.get('X-Request-ID') || uuidv4();
+      res.setHeader('X-Request-ID', req.requestId);
+      next();
+    });
+
     // Compression and parsing
     this.app.use(compression());
     this.app.use(express.json({ limit: '10mb' }));
@@ -80,9 +268,6 @@ class PayFlowAPIGateway {
         stream: { write: (message) => logger.info(message.trim()) }
       }));
     }
-
-    // Rate limiting
-    this.app.use(rateLimit(this.config.rateLimiting));
   }
 
   setupRoutes() {
@@ -101,35 +286,37 @@ class PayFlowAPIGateway {
   }
 
   setupAPIRoutes() {
-    // Public routes (no auth required)
-    this.app.use('/api/v1/auth', (req, res) => {
-      res.json({ message: 'Auth service would be proxied here' });
-    });
-
-    // Protected routes with basic middleware
-    this.app.use('/api/v1/users', this.basicAuth, (req, res) => {
-      res.json({ message: 'User service would be proxied here' });
-    });
+    // Login, token refresh and logout
+    this.app.use('/api/v1/auth', createRateLimiter({
+      name: 'auth',
+      ...this.config.rateLimiting,
+      redisClient: this.redis
+    }), createAuthRoutes({
+      authService: this.authService,
+      authenticate: this.authenticate
+    }));
 
-    this.app.use('/api/v1/payments', this.basicAuth, (req, res) => {
-      res.json({ message: 'Payment service would be proxied here' });
-    });
+    // API key management for server-to-server integrations
+    this.app.use('/api/v1/api-keys', createApiKeyRoutes({
+      apiKeyService: this.apiKeyService,
+      authenticate: this.authenticate,
+      clientQuotas: this.clientQuotas
+    }));
 
-    this.app.use('/api/v1/transactions', this.basicAuth, (req, res) => {
-      res.json({ message: 'Transaction service would be proxied here' });
+    // Protected routes proxied to the downstream services. Each request needs
+    // a valid access token carrying the scopes listed in config/scopes.js,
+    // and counts against the caller's read or write quota.
+    this.config.proxyRoutes.forEach(route => {
+      this.app.use(route.mountPath, this.authenticate, ...this.clientQuotas, authorizeRoute(), createServiceProxy({
+        name: route.service.replace(/Service$/, ' service'),
+        target: this.config.services[route.service],
+        mountPath: route.mountPath,
+        targetPath: route.targetPath,
+        timeoutMs: route.timeoutMs
+      }));
     });
   }
 
-  basicAuth(req, res, next) {
-    // Basic auth check for demo
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      next();
-    } else {
-      res.status(401).json({ error: 'Authentication required' });
-    }
-  }
-
   setupSwagger() {
     const swaggerOptions = {
       definition: {
@@ -159,14 +346,7 @@ class PayFlowAPIGateway {
     });
 
     // Global error handler
-    this.app.use((err, req, res, next) => {
-      logger.error('Unhandled error:', err);
-      res.status(500).json({
-        error: 'Internal Server Error',
-        message: 'An unexpected error occurred',
-        timestamp: new Date().toISOString()
-      });
-    });
+    this.app.use(errorHandler);
   }
 
   start() {
@@ -182,7 +362,13 @@ class PayFlowAPIGateway {
         // Graceful shutdown
         process.on('SIGTERM', () => {
           logger.info('SIGTERM received, shutting down gracefully');
-          server.close(() => {
+          server.close(async () => {
+            if (this.db) {
+              await this.db.end();
+            }
+            if (this.redis?.isOpen) {
+              await this.redis.quit();
+            }
             logger.info('Process terminated');
             process.exit(0);
           });
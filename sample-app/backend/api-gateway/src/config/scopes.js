@@ -0,0 +1,106 @@
+// Scopes granted to each user role. The role is read from `users.metadata.role`
+// and defaults to `customer`. Without `payments:all_accounts` the payment
+// service only shows and acts on the caller's own payments and transactions.
+const ROLE_SCOPES = {
+  customer: [
+    'payments:read',
+    'payments:write',
+    'payment_methods:manage',
+    'subscriptions:manage',
+    'transactions:read',
+    'notifications:read',
+    'kyc:submit',
+    'users:read',
+    'users:write',
+    'webhooks:manage',
+    'api_keys:manage'
+  ],
+  support: [
+    'payments:read',
+    'payments:all_accounts',
+    'refunds:create',
+    'disputes:manage',
+    'transactions:read',
+    'kyc:review',
+    'aml:review',
+    'risk:review',
+    'users:read'
+  ],
+  admin: [
+    'payments:read',
+    'payments:write',
+    'payments:all_accounts',
+    'payment_methods:manage',
+    'subscriptions:manage',
+    'refunds:create',
+    'disputes:manage',
+    'transactions:read',
+    'notifications:read',
+    'kyc:submit',
+    'kyc:review',
+    'aml:review',
+    'risk:review',
+    'users:read',
+    'users:write',
+    'webhooks:manage',
+    'api_keys:manage',
+    'audit_logs:read',
+    'reconciliations:manage',
+    'ledger:read'
+  ]
+};
+
+// Scopes that may be granted to API keys. Managing API keys is reserved for
+// interactive (JWT) sessions so that a leaked key cannot mint new keys.
+const API_KEY_SCOPES = [...new Set(Object.values(ROLE_SCOPES).flat())]
+  .filter(scope => scope !== 'api_keys:manage');
+
+// Scopes required by the proxied API. The first rule matching the request
+// method and path wins; requests matching no rule are rejected. Paths are
+// matched in lower case, so rules must be written in lower case too.
+const ROUTE_SCOPES = [
+  { methods: ['POST'], path: /^\/api\/v1\/payments\/[^/]+\/refund\/?$/, scopes: ['refunds:create'] },
+  // Releasing payments held by the risk rules for capture
+  { methods: ['POST'], path: /^\/api\/v1\/payments\/[^/]+\/risk-review\/release\/?$/, scopes: ['risk:review'] },
+  { methods: ['GET'], path: /^\/api\/v1\/payments(\/|$)/, scopes: ['payments:read'] },
+  { methods: ['POST'], path: /^\/api\/v1\/payments(\/|$)/, scopes: ['payments:write'] },
+  // The caller's own saved cards and bank accounts
+  { methods: ['GET', 'POST', 'DELETE'], path: /^\/api\/v1\/payment-methods(\/|$)/, scopes: ['payment_methods:manage'] },
+  // Plans the caller offers and subscriptions they are a party to
+  { methods: ['GET', 'POST'], path: /^\/api\/v1\/(subscription-plans|subscriptions)(\/|$)/, scopes: ['subscriptions:manage'] },
+  // Chargebacks, including dispute notifications forwarded from the processor
+  { methods: ['GET', 'POST'], path: /^\/api\/v1\/disputes(\/|$)/, scopes: ['disputes:manage'] },
+  { methods: ['GET', 'POST', 'DELETE'], path: /^\/api\/v1\/webhooks(\/|$)/, scopes: ['webhooks:manage'] },
+  { methods: ['GET'], path: /^\/api\/v1\/audit-logs(\/|$)/, scopes: ['audit_logs:read'] },
+  { methods: ['GET', 'POST'], path: /^\/api\/v1\/reconciliations(\/|$)/, scopes: ['reconciliations:manage'] },
+  { methods: ['GET'], path: /^\/api\/v1\/ledger(\/|$)/, scopes: ['ledger:read'] },
+  { methods: ['GET'], path: /^\/api\/v1\/transactions(\/|$)/, scopes: ['transactions:read'] },
+  // The caller's own notifications; sending is internal to the services
+  { methods: ['GET'], path: /^\/api\/v1\/notifications(\/|$)/, scopes: ['notifications:read'] },
+  { methods: ['POST'], path: /^\/api\/v1\/notifications\/[^/]+\/read\/?$/, scopes: ['notifications:read'] },
+  // Reviewing other users' KYC documents; the rest of /kyc acts on the caller
+  { methods: ['GET', 'POST'], path: /^\/api\/v1\/kyc\/reviews(\/|$)/, scopes: ['kyc:review'] },
+  { methods: ['GET'], path: /^\/api\/v1\/kyc\/documents\/[^/]+\/content\/?$/, scopes: ['kyc:review'] },
+  { methods: ['GET', 'POST'], path: /^\/api\/v1\/kyc(\/|$)/, scopes: ['kyc:submit'] },
+  { methods: ['GET', 'POST'], path: /^\/api\/v1\/aml\/cases(\/|$)/, scopes: ['aml:review'] },
+  { methods: ['GET'], path: /^\/api\/v1\/users(\/|$)/, scopes: ['users:read'] },
+  { methods: ['POST', 'PUT', 'PATCH', 'DELETE'], path: /^\/api\/v1\/users(\/|$)/, scopes: ['users:write'] }
+];
+
+function scopesForRole(role) {
+  return ROLE_SCOPES[role] || ROLE_SCOPES.customer;
+}
+
+// Scopes required for `method` + `path`, or null when no rule matches. The
+// path is compared case-insensitively: a differently cased path (`/Refund`)
+// must not fall through to a rule requiring fewer scopes.
+function requiredScopesFor(method, path, rules = ROUTE_SCOPES) {
+  const normalizedPath = path.toLowerCase();
+  const rule = rules.find(candidate =>
+    candidate.methods.includes(method) && candidate.path.test(normalizedPath)
+  );
+
+  return rule ? rule.scopes : null;
+}
+
+module.exports = { ROLE_SCOPES, API_KEY_SCOPES, ROUTE_SCOPES, scopesForRole, requiredScopesFor };
@@ -2,8 +2,16 @@ const Joi = require('joi');
 
 const configSchema = Joi.object({
   port: Joi.number().port().default(3000),
-  environment: Joi.string().valid('development', 'staging', 'production').default('development'),
+  environment: Joi.string().valid('development', 'test', 'staging', 'production').default('development'),
   corsOrigins: Joi.array().items(Joi.string().uri()).min(1),
+  jwt: Joi.object({
+    secret: Joi.string().min(16).required()
+      .messages({ 'any.required': 'JWT_SECRET must be set' }),
+    issuer: Joi.string().required(),
+    accessTokenTtl: Joi.alternatives().try(Joi.string(), Joi.number().positive()).required(),
+    refreshTokenTtlMs: Joi.number().integer().positive().required()
+  }).required(),
+  apiKeyMode: Joi.string().valid('test', 'live').required(),
   services: Joi.object({
     userService: Joi.string().uri().required(),
     paymentService: Joi.string().uri().required(),
@@ -11,10 +19,29 @@ const configSchema = Joi.object({
     notificationService: Joi.string().uri().required(),
     complianceService: Joi.string().uri().required()
   }).required(),
+  proxyRoutes: Joi.array().items(Joi.object({
+    mountPath: Joi.string().pattern(/^\/api\/v\d+\//).required(),
+    service: Joi.string().valid(
+      'userService',
+      'paymentService',
+      'transactionService',
+      'notificationService',
+      'complianceService'
+    ).required(),
+    targetPath: Joi.string().pattern(/^\//).required(),
+    timeoutMs: Joi.number().integer().positive().required()
+  })).required(),
+  redis: Joi.object({
+    url: Joi.string().uri({ scheme: ['redis', 'rediss'] })
+  }).required(),
   rateLimiting: Joi.object({
     windowMs: Joi.number().positive().required(),
-    max: Joi.number().positive().required(),
-    skipSuccessfulRequests: Joi.boolean().default(false)
+    max: Joi.number().positive().required()
+  }).required(),
+  clientQuotas: Joi.object({
+    windowMs: Joi.number().integer().positive().required(),
+    writeMax: Joi.number().integer().positive().required(),
+    readMax: Joi.number().integer().positive().required()
   }).required()
 });
 
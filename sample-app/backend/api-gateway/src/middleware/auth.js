@@ -0,0 +1,95 @@
+const { GatewayError } = require('../utils/errors');
+const { requiredScopesFor } = require('../config/scopes');
+const { isApiKey } = require('../services/apiKeyService');
+
+function unauthorized(res, code, message) {
+  res.setHeader('WWW-Authenticate', `Bearer realm="payflow", error="${code}"`);
+  return new GatewayError(401, code, message);
+}
+
+// Read the credential from `X-API-Key` or `Authorization: Bearer <token>`
+function credentialFrom(req) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return apiKey;
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' ? token : undefined;
+}
+
+// Authenticate requests carrying a user access token (JWT) or an API key
+// (`pf_test_...` / `pf_live_...`). On success the principal is stored on
+// `req.user` ({ id, email, scopes, authType, ... }) and forwarded to
+// downstream services by the service proxy.
+function authMiddleware({ authService, apiKeyService }) {
+  return async (req, res, next) => {
+    const credential = credentialFrom(req);
+
+    if (!credential) {
+      return next(unauthorized(res, 'invalid_request', 'A Bearer access token or API key is required'));
+    }
+
+    try {
+      req.user = isApiKey(credential)
+        ? await apiKeyService.authenticate(credential)
+        : await authService.authenticate(credential);
+      next();
+    } catch (error) {
+      if (error instanceof GatewayError && error.statusCode === 401) {
+        return next(unauthorized(res, error.code, error.message));
+      }
+      next(error);
+    }
+  };
+}
+
+function insufficientScope(requiredScopes) {
+  return new GatewayError(403, 'insufficient_scope',
+    'The credentials do not grant the scopes required for this request',
+    { requiredScopes });
+}
+
+// Require every one of `scopes` on the authenticated principal
+function requireScopes(...scopes) {
+  return (req, res, next) => {
+    const granted = req.user?.scopes || [];
+
+    if (!scopes.every(scope => granted.includes(scope))) {
+      return next(insufficientScope(scopes));
+    }
+    next();
+  };
+}
+
+// Whether `path` has no empty, `.` or `..` segments and no encoded or
+// backslash separators. Such paths may be resolved to another route
+// downstream than the one the scope rules saw.
+function isCanonicalPath(path) {
+  return !/\/\/|\/\.{1,2}(\/|$)|%2e|%2f|%5c|\\/i.test(path);
+}
+
+// Enforce the scopes configured for the request method and path (see
+// config/scopes.js). Routes without a rule, and paths that are not in
+// canonical form, are denied.
+function authorizeRoute(rules) {
+  return (req, res, next) => {
+    const path = req.originalUrl.split('?')[0];
+
+    if (!isCanonicalPath(path)) {
+      return next(new GatewayError(400, 'non_canonical_path',
+        'The request path must not contain empty, `.` or `..` segments or encoded separators'));
+    }
+
+    const requiredScopes = requiredScopesFor(req.method, path, rules);
+
+    if (!requiredScopes) {
+      return next(new GatewayError(403, 'route_not_permitted',
+        `${req.method} ${path} is not available through the API gateway`));
+    }
+
+    return requireScopes(...requiredScopes)(req, res, next);
+  };
+}
+
+module.exports = { authMiddleware, requireScopes, authorizeRoute };
@@ -0,0 +1,34 @@
+const http = require('http');
+const { logger } = require('../utils/logger');
+
+// Global error handler. Client errors (GatewayError, malformed JSON bodies)
+// are answered with their own message; anything else is logged and hidden
+// behind a generic 500.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const statusCode = err.statusCode || err.status || 500;
+
+  if (statusCode >= 500) {
+    logger.error('Unhandled error:', {
+      error: err.message,
+      stack: err.stack,
+      path: req.originalUrl,
+      requestId: req.requestId
+    });
+  }
+
+  res.status(statusCode).json({
+    error: http.STATUS_CODES[statusCode] || 'Error',
+    ...(err.code && statusCode < 500 && { code: err.code }),
+    message: statusCode >= 500 ? 'An unexpected error occurred' : err.message,
+    ...(err.details && { details: err.details }),
+    path: req.originalUrl,
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = { errorHandler };
@@ -0,0 +1,76 @@
+const rateLimit = require('express-rate-limit');
+const { RedisRateLimitStore } = require('../../../shared/rateLimitStore');
+const { GatewayError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function isWriteRequest(req) {
+  return !READ_METHODS.includes(req.method);
+}
+
+// Quotas belong to the API key, or to the user for JWT sessions
+function clientKey(req) {
+  return req.user.apiKeyId ? `api_key:${req.user.apiKeyId}` : `user:${req.user.id}`;
+}
+
+// Rate limiter answering with the standard RateLimit-Limit/-Remaining/-Reset
+// headers (and Retry-After once exceeded). Counters live in Redis when a
+// client is given, in process memory otherwise. If Redis is unreachable
+// requests are let through rather than rejected.
+function createRateLimiter({ name, windowMs, max, redisClient, keyGenerator, skip }) {
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    store: redisClient
+      ? new RedisRateLimitStore({ client: redisClient, prefix: `rl:gateway:${name}:` })
+      : undefined,
+    passOnStoreError: true,
+    ...(keyGenerator && { keyGenerator }),
+    ...(skip && { skip }),
+    handler(req, res, next) {
+      logger.warn('Rate limit exceeded', {
+        limiter: name,
+        path: req.originalUrl,
+        userId: req.user?.id,
+        apiKeyId: req.user?.apiKeyId,
+        requestId: req.requestId
+      });
+
+      next(new GatewayError(429, 'rate_limit_exceeded',
+        'Too many requests, please retry later',
+        {
+          limit: req.rateLimit.limit,
+          windowMs,
+          retryAfterSeconds: Math.max(0, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000))
+        }));
+    }
+  });
+}
+
+// Per-client quotas for authenticated requests. Writes (e.g. processing or
+// refunding payments) and reads are counted against separate quotas.
+function clientQuotas({ redisClient, windowMs, writeMax, readMax }) {
+  return [
+    createRateLimiter({
+      name: 'write',
+      windowMs,
+      max: writeMax,
+      redisClient,
+      keyGenerator: clientKey,
+      skip: req => !isWriteRequest(req)
+    }),
+    createRateLimiter({
+      name: 'read',
+      windowMs,
+      max: readMax,
+      redisClient,
+      keyGenerator: clientKey,
+      skip: isWriteRequest
+    })
+  ];
+}
+
+module.exports = { createRateLimiter, clientQuotas, isWriteRequest };
@@ -0,0 +1,96 @@
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
+const { logger } = require('../utils/logger');
+
+// Headers describing the authenticated caller. They are only ever set by the
+// gateway, so any value sent by the client is dropped before proxying.
+const PRINCIPAL_HEADERS = [
+  'x-user-id', 'x-user-email', 'x-user-scopes', 'x-auth-type', 'x-api-key-id', 'x-api-key-mode',
+  'x-session-id'
+];
+
+function setPrincipalHeaders(proxyReq, user) {
+  PRINCIPAL_HEADERS.forEach(header => proxyReq.removeHeader(header));
+
+  if (!user) {
+    return;
+  }
+
+  proxyReq.setHeader('X-User-ID', user.id);
+  if (user.email) {
+    proxyReq.setHeader('X-User-Email', user.email);
+  }
+  proxyReq.setHeader('X-User-Scopes', (user.scopes || []).join(' '));
+  proxyReq.setHeader('X-Auth-Type', user.authType || 'jwt');
+  if (user.sessionId) {
+    proxyReq.setHeader('X-Session-ID', user.sessionId);
+  }
+  if (user.apiKeyId) {
+    proxyReq.setHeader('X-API-Key-ID', user.apiKeyId);
+    proxyReq.setHeader('X-API-Key-Mode', user.mode);
+  }
+}
+
+function sendUpstreamError(req, res, statusCode, error, message) {
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  res.status(statusCode).json({
+    error,
+    message,
+    path: req.originalUrl,
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Proxy `mountPath` to `target` + `targetPath`, e.g. /api/v1/payments/123 to
+// http://payment-service:3002/payments/123. Upstream failures are answered
+// with 502 (unreachable) or 504 (no response within `timeoutMs`).
+function createServiceProxy({ name, target, mountPath, targetPath, timeoutMs }) {
+  return createProxyMiddleware({
+    target,
+    changeOrigin: true,
+    xfwd: true,
+    pathRewrite: { [`^${mountPath}`]: targetPath },
+    logLevel: 'silent',
+
+    onProxyReq(proxyReq, req) {
+      proxyReq.setHeader('X-Request-ID', req.requestId);
+      proxyReq.setHeader('X-Forwarded-Prefix', mountPath);
+      setPrincipalHeaders(proxyReq, req.user);
+      // API keys are verified here and never leave the gateway
+      proxyReq.removeHeader('x-api-key');
+
+      proxyReq.setTimeout(timeoutMs, () => {
+        req.upstreamTimedOut = true;
+        proxyReq.destroy(new Error(`${name} timed out after ${timeoutMs}ms`));
+      });
+
+      // express.json() has already consumed the body stream; write it back
+      fixRequestBody(proxyReq, req);
+    },
+
+    onError(error, req, res) {
+      logger.error('Upstream request failed', {
+        upstream: name,
+        target,
+        path: req.originalUrl,
+        error: error.message,
+        code: error.code,
+        timedOut: Boolean(req.upstreamTimedOut),
+        requestId: req.requestId
+      });
+
+      if (req.upstreamTimedOut) {
+        return sendUpstreamError(req, res, 504, 'Gateway Timeout',
+          `The ${name} did not respond in time`);
+      }
+
+      sendUpstreamError(req, res, 502, 'Bad Gateway',
+        `The ${name} is currently unavailable`);
+    }
+  });
+}
+
+module.exports = { createServiceProxy, PRINCIPAL_HEADERS };
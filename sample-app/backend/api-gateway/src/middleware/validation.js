@@ -0,0 +1,54 @@
+const Joi = require('joi');
+const { GatewayError } = require('../utils/errors');
+const { API_KEY_SCOPES } = require('../config/scopes');
+
+const loginRequestSchema = Joi.object({
+  email: Joi.string().email().max(255).required(),
+  password: Joi.string().max(1024).required()
+});
+
+const refreshRequestSchema = Joi.object({
+  refreshToken: Joi.string().max(255).required()
+});
+
+const apiKeyRequestSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  permissions: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES))
+    .min(1).unique().required(),
+  mode: Joi.string().valid('test', 'live').optional(),
+  expiresAt: Joi.date().iso().greater('now').optional()
+});
+
+const apiKeyIdSchema = Joi.object({
+  apiKeyId: Joi.string().guid().required()
+});
+
+// Validate `req[property]` against `schema`, replacing it with the validated value
+function validate(property, schema) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[property], { abortEarly: false });
+
+    if (error) {
+      return next(new GatewayError(400, 'validation_error', 'Invalid request data',
+        error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))));
+    }
+
+    req[property] = value;
+    next();
+  };
+}
+
+const validateBody = schema => validate('body', schema);
+const validateParams = schema => validate('params', schema);
+
+module.exports = {
+  loginRequestSchema,
+  refreshRequestSchema,
+  apiKeyRequestSchema,
+  apiKeyIdSchema,
+  validateBody,
+  validateParams
+};
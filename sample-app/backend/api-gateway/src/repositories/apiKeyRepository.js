@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+const API_KEY_FIELDS = [
+  'id', 'user_id', 'name', 'key_prefix', 'mode', 'permissions', 'is_active',
+  'last_used_at', 'expires_at', 'created_at'
+];
+const API_KEY_COLUMNS = API_KEY_FIELDS.join(', ');
+// Same columns, qualified for queries joining `api_keys k` to other tables
+const QUALIFIED_API_KEY_COLUMNS = API_KEY_FIELDS.map(field => `k.${field}`).join(', ');
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function mapApiKeyRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    mode: row.mode,
+    permissions: row.permissions || [],
+    isActive: row.is_active,
+    lastUsedAt: toISOString(row.last_used_at),
+    expiresAt: toISOString(row.expires_at),
+    createdAt: toISOString(row.created_at)
+  };
+}
+
+// API keys backed by the `api_keys` table. Only the SHA-256 hash of a key is
+// stored; keys are looked up by that hash.
+class ApiKeyRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ userId, name, keyHash, keyPrefix, mode, permissions, expiresAt }) {
+    const { rows } = await this.db.query(`
+      INSERT INTO api_keys (user_id, name, key_hash, key_prefix, mode, permissions, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${API_KEY_COLUMNS}
+    `, [userId, name, keyHash, keyPrefix, mode, JSON.stringify(permissions), expiresAt]);
+
+    return mapApiKeyRow(rows[0]);
+  }
+
+  async listByUser(userId) {
+    const { rows } = await this.db.query(`
+      SELECT ${API_KEY_COLUMNS}
+      FROM api_keys
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `, [userId]);
+
+    return rows.map(mapApiKeyRow);
+  }
+
+  // Look up a key by hash together with the owner's email and account status
+  async findByHash(keyHash) {
+    const { rows } = await this.db.query(`
+      SELECT ${QUALIFIED_API_KEY_COLUMNS}, u.email AS user_email, u.status AS user_status
+      FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.key_hash = $1
+    `, [keyHash]);
+
+    if (!rows.length) {
+      return null;
+    }
+
+    return {
+      ...mapApiKeyRow(rows[0]),
+      userEmail: rows[0].user_email,
+      userStatus: rows[0].user_status
+    };
+  }
+
+  // Deactivate a key owned by `userId`. Returns the key, or null if not found.
+  async revoke(id, userId) {
+    const { rows } = await this.db.query(`
+      UPDATE api_keys SET is_active = FALSE
+      WHERE id = $1 AND user_id = $2
+      RETURNING ${API_KEY_COLUMNS}
+    `, [id, userId]);
+
+    return rows.length ? mapApiKeyRow(rows[0]) : null;
+  }
+
+  async touch(id) {
+    await this.db.query(
+      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [id]
+    );
+  }
+}
+
+// In-memory stand-in for ApiKeyRepository, used when no DATABASE_URL is
+// configured. Key owners are resolved through an InMemoryUserRepository.
+class InMemoryApiKeyRepository {
+  constructor(userRepository) {
+    this.userRepository = userRepository;
+    this.keys = new Map();
+  }
+
+  toApiKey({ keyHash, ...apiKey }) {
+    return { ...apiKey, permissions: [...apiKey.permissions] };
+  }
+
+  async create({ userId, name, keyHash, keyPrefix, mode, permissions, expiresAt }) {
+    const apiKey = {
+      id: crypto.randomUUID(),
+      userId,
+      name,
+      keyHash,
+      keyPrefix,
+      mode,
+      permissions,
+      isActive: true,
+      lastUsedAt: null,
+      expiresAt: toISOString(expiresAt),
+      createdAt: new Date().toISOString()
+    };
+    this.keys.set(apiKey.id, apiKey);
+    return this.toApiKey(apiKey);
+  }
+
+  async listByUser(userId) {
+    return [...this.keys.values()]
+      .filter(apiKey => apiKey.userId === userId)
+      .reverse()
+      .map(apiKey => this.toApiKey(apiKey));
+  }
+
+  async findByHash(keyHash) {
+    const apiKey = [...this.keys.values()].find(candidate => candidate.keyHash === keyHash);
+
+    if (!apiKey) {
+      return null;
+    }
+
+    const user = await this.userRepository.findById(apiKey.userId);
+    return { ...this.toApiKey(apiKey), userEmail: user?.email, userStatus: user?.status };
+  }
+
+  async revoke(id, userId) {
+    const apiKey = this.keys.get(id);
+
+    if (!apiKey || apiKey.userId !== userId) {
+      return null;
+    }
+
+    apiKey.isActive = false;
+    return this.toApiKey(apiKey);
+  }
+
+  async touch(id) {
+    const apiKey = this.keys.get(id);
+    if (apiKey) {
+      apiKey.lastUsedAt = new Date().toISOString();
+    }
+  }
+}
+
+module.exports = { ApiKeyRepository, InMemoryApiKeyRepository };
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+function mapSessionRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    sessionToken: row.session_token,
+    isActive: row.is_active,
+    expiresAt: new Date(row.expires_at).toISOString(),
+    createdAt: new Date(row.created_at).toISOString(),
+    lastAccessedAt: new Date(row.last_accessed_at).toISOString()
+  };
+}
+
+// Login sessions backed by the `user_sessions` table. `session_token` is
+// carried in the access token (`sid` claim) so that revoked sessions stop
+// authenticating immediately; `refresh_token` holds a SHA-256 hash of the
+// current refresh token, which is rotated on every use.
+class SessionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ userId, sessionToken, refreshTokenHash, ipAddress, userAgent, expiresAt }) {
+    const { rows } = await this.db.query(`
+      INSERT INTO user_sessions (
+        user_id, session_token, refresh_token, ip_address, user_agent, expires_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [userId, sessionToken, refreshTokenHash, ipAddress, userAgent, expiresAt]);
+
+    return mapSessionRow(rows[0]);
+  }
+
+  async findActiveBySessionToken(sessionToken) {
+    const { rows } = await this.db.query(`
+      SELECT * FROM user_sessions
+      WHERE session_token = $1 AND is_active = TRUE AND expires_at > CURRENT_TIMESTAMP
+    `, [sessionToken]);
+
+    return rows.length ? mapSessionRow(rows[0]) : null;
+  }
+
+  // Swap the refresh token of the active session holding `refreshTokenHash`.
+  // Returns null when no such session exists, so a refresh token can only be
+  // redeemed once even under concurrent requests.
+  async rotateRefreshToken(refreshTokenHash, { newRefreshTokenHash, expiresAt }) {
+    const { rows } = await this.db.query(`
+      UPDATE user_sessions
+      SET refresh_token = $2, expires_at = $3, last_accessed_at = CURRENT_TIMESTAMP
+      WHERE refresh_token = $1 AND is_active = TRUE AND expires_at > CURRENT_TIMESTAMP
+      RETURNING *
+    `, [refreshTokenHash, newRefreshTokenHash, expiresAt]);
+
+    return rows.length ? mapSessionRow(rows[0]) : null;
+  }
+
+  async touch(sessionToken) {
+    await this.db.query(
+      'UPDATE user_sessions SET last_accessed_at = CURRENT_TIMESTAMP WHERE session_token = $1',
+      [sessionToken]
+    );
+  }
+
+  async revoke(sessionToken) {
+    await this.db.query(
+      'UPDATE user_sessions SET is_active = FALSE WHERE session_token = $1',
+      [sessionToken]
+    );
+  }
+}
+
+// In-memory stand-in for SessionRepository, used when no DATABASE_URL is configured
+class InMemorySessionRepository {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  isLive(session) {
+    return session.isActive && new Date(session.expiresAt) > new Date();
+  }
+
+  async create({ userId, sessionToken, refreshTokenHash, expiresAt }) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      userId,
+      sessionToken,
+      refreshTokenHash,
+      isActive: true,
+      expiresAt: new Date(expiresAt).toISOString(),
+      createdAt: now,
+      lastAccessedAt: now
+    };
+    this.sessions.set(sessionToken, session);
+    return this.toSession(session);
+  }
+
+  toSession({ refreshTokenHash, ...session }) {
+    return { ...session };
+  }
+
+  async findActiveBySessionToken(sessionToken) {
+    const session = this.sessions.get(sessionToken);
+    return session && this.isLive(session) ? this.toSession(session) : null;
+  }
+
+  async rotateRefreshToken(refreshTokenHash, { newRefreshTokenHash, expiresAt }) {
+    const session = [...this.sessions.values()]
+      .find(candidate => candidate.refreshTokenHash === refreshTokenHash && this.isLive(candidate));
+
+    if (!session) {
+      return null;
+    }
+
+    Object.assign(session, {
+      refreshTokenHash: newRefreshTokenHash,
+      expiresAt: new Date(expiresAt).toISOString(),
+      lastAccessedAt: new Date().toISOString()
+    });
+    return this.toSession(session);
+  }
+
+  async touch(sessionToken) {
+    const session = this.sessions.get(sessionToken);
+    if (session) {
+      session.lastAccessedAt = new Date().toISOString();
+    }
+  }
+
+  async revoke(sessionToken) {
+    const session = this.sessions.get(sessionToken);
+    if (session) {
+      session.isActive = false;
+    }
+  }
+}
+
+module.exports = { SessionRepository, InMemorySessionRepository };
@@ -0,0 +1,113 @@
+const USER_COLUMNS = `
+  id, email, password_hash, first_name, last_name, status, kyc_status,
+  failed_login_attempts, locked_until, last_login_at, metadata
+`;
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function mapUserRow(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    passwordHash: row.password_hash,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    status: row.status,
+    kycStatus: row.kyc_status,
+    role: row.metadata?.role || 'customer',
+    failedLoginAttempts: row.failed_login_attempts || 0,
+    lockedUntil: toISOString(row.locked_until),
+    lastLoginAt: toISOString(row.last_login_at)
+  };
+}
+
+// Read access to the `users` table for authentication, plus the login
+// bookkeeping columns (failed attempts, lockout, last login).
+class UserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findByEmail(email) {
+    const { rows } = await this.db.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE LOWER(email) = LOWER($1)`,
+      [email]
+    );
+
+    return rows.length ? mapUserRow(rows[0]) : null;
+  }
+
+  async findById(id) {
+    const { rows } = await this.db.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`,
+      [id]
+    );
+
+    return rows.length ? mapUserRow(rows[0]) : null;
+  }
+
+  async recordFailedLogin(id, { failedLoginAttempts, lockedUntil }) {
+    await this.db.query(
+      'UPDATE users SET failed_login_attempts = $2, locked_until = $3 WHERE id = $1',
+      [id, failedLoginAttempts, lockedUntil]
+    );
+  }
+
+  async recordSuccessfulLogin(id) {
+    await this.db.query(`
+      UPDATE users
+      SET failed_login_attempts = 0, locked_until = NULL, last_login_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [id]);
+  }
+}
+
+// In-memory stand-in for UserRepository, used when no DATABASE_URL is
+// configured. Users are registered with `add`.
+class InMemoryUserRepository {
+  constructor(users = []) {
+    this.users = new Map();
+    users.forEach(user => this.add(user));
+  }
+
+  add(user) {
+    const record = {
+      status: 'active',
+      kycStatus: 'not_started',
+      role: 'customer',
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      lastLoginAt: null,
+      ...user
+    };
+    this.users.set(record.id, record);
+    return { ...record };
+  }
+
+  async findByEmail(email) {
+    const user = [...this.users.values()]
+      .find(candidate => candidate.email.toLowerCase() === email.toLowerCase());
+    return user ? { ...user } : null;
+  }
+
+  async findById(id) {
+    const user = this.users.get(id);
+    return user ? { ...user } : null;
+  }
+
+  async recordFailedLogin(id, { failedLoginAttempts, lockedUntil }) {
+    Object.assign(this.users.get(id), { failedLoginAttempts, lockedUntil });
+  }
+
+  async recordSuccessfulLogin(id) {
+    Object.assign(this.users.get(id), {
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      lastLoginAt: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = { UserRepository, InMemoryUserRepository };
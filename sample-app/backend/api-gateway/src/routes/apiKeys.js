@@ -0,0 +1,62 @@
+const express = require('express');
+const {
+  apiKeyRequestSchema,
+  apiKeyIdSchema,
+  validateBody,
+  validateParams
+} = require('../middleware/validation');
+const { requireScopes } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+function createApiKeyRoutes({ apiKeyService, authenticate, clientQuotas = [] }) {
+  const router = express.Router({ caseSensitive: true });
+
+  router.use(authenticate, ...clientQuotas, requireScopes('api_keys:manage'));
+
+  // Issue a key. The plaintext `key` is only ever part of this response.
+  router.post('/', validateBody(apiKeyRequestSchema), async (req, res, next) => {
+    try {
+      const apiKey = await apiKeyService.issue(req.user, req.body);
+
+      logger.info('API key issued', {
+        apiKeyId: apiKey.id,
+        userId: req.user.id,
+        mode: apiKey.mode,
+        permissions: apiKey.permissions,
+        requestId: req.requestId
+      });
+
+      res.status(201).json(apiKey);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/', async (req, res, next) => {
+    try {
+      res.json({ data: await apiKeyService.list(req.user.id) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:apiKeyId', validateParams(apiKeyIdSchema), async (req, res, next) => {
+    try {
+      const apiKey = await apiKeyService.revoke(req.user.id, req.params.apiKeyId);
+
+      logger.info('API key revoked', {
+        apiKeyId: apiKey.id,
+        userId: req.user.id,
+        requestId: req.requestId
+      });
+
+      res.json(apiKey);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createApiKeyRoutes };
@@ -0,0 +1,49 @@
+const express = require('express');
+const { loginRequestSchema, refreshRequestSchema, validateBody } = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+
+function createAuthRoutes({ authService, authenticate }) {
+  const router = express.Router({ caseSensitive: true });
+
+  // Exchange email and password for an access/refresh token pair
+  router.post('/login', validateBody(loginRequestSchema), async (req, res, next) => {
+    try {
+      const tokens = await authService.login(req.body.email, req.body.password, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      logger.info('User logged in', { userId: tokens.user.id, requestId: req.requestId });
+      res.status(200).json(tokens);
+    } catch (error) {
+      if (error.code === 'invalid_credentials' || error.code === 'account_locked') {
+        logger.warn('Login rejected', { reason: error.code, requestId: req.requestId });
+      }
+      next(error);
+    }
+  });
+
+  // Redeem a refresh token for a new token pair (the old refresh token is spent)
+  router.post('/refresh', validateBody(refreshRequestSchema), async (req, res, next) => {
+    try {
+      res.status(200).json(await authService.refresh(req.body.refreshToken));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // End the session the access token belongs to
+  router.post('/logout', authenticate, async (req, res, next) => {
+    try {
+      await authService.logout(req.user.sessionId);
+      logger.info('User logged out', { userId: req.user.id, requestId: req.requestId });
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRoutes };
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { GatewayError } = require('../utils/errors');
+
+const API_KEY_PATTERN = /^pf_(test|live)_[A-Za-z0-9_-]{32,}$/;
+const KEY_PREFIX_LENGTH = 12;
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith('pf_');
+}
+
+function invalidApiKey() {
+  return new GatewayError(401, 'invalid_api_key', 'API key is invalid, revoked or expired');
+}
+
+// Issues and verifies API keys for server-to-server integrations. Keys look
+// like `pf_live_<secret>` / `pf_test_<secret>`; the plaintext is returned once
+// at issuance and only its SHA-256 hash is stored. A gateway only accepts keys
+// of its own mode, so test keys can never move money on a live deployment.
+class ApiKeyService {
+  constructor({ apiKeyRepository, mode }) {
+    this.apiKeyRepository = apiKeyRepository;
+    this.mode = mode;
+  }
+
+  // Issue a key for `user` (the authenticated principal). Keys can only be
+  // granted scopes their owner holds, and only in the gateway's own mode.
+  async issue(user, { name, permissions, mode = this.mode, expiresAt }) {
+    if (mode !== this.mode) {
+      throw new GatewayError(422, 'api_key_mode_mismatch',
+        `This ${this.mode} mode gateway only issues ${this.mode} mode API keys`, { mode });
+    }
+
+    const notGranted = permissions.filter(scope => !user.scopes.includes(scope));
+
+    if (notGranted.length) {
+      throw new GatewayError(403, 'permission_not_granted',
+        'API keys cannot be granted scopes their owner does not hold',
+        { scopes: notGranted });
+    }
+
+    const apiKey = `pf_${mode}_${crypto.randomBytes(32).toString('base64url')}`;
+    const record = await this.apiKeyRepository.create({
+      userId: user.id,
+      name,
+      keyHash: hashApiKey(apiKey),
+      keyPrefix: apiKey.slice(0, KEY_PREFIX_LENGTH),
+      mode,
+      permissions,
+      expiresAt: expiresAt || null
+    });
+
+    return { ...record, key: apiKey };
+  }
+
+  async list(userId) {
+    return this.apiKeyRepository.listByUser(userId);
+  }
+
+  async revoke(userId, apiKeyId) {
+    const apiKey = await this.apiKeyRepository.revoke(apiKeyId, userId);
+
+    if (!apiKey) {
+      throw new GatewayError(404, 'api_key_not_found', 'API key not found');
+    }
+    return apiKey;
+  }
+
+  // Verify an API key and return the principal it represents
+  async authenticate(key) {
+    const match = API_KEY_PATTERN.exec(key);
+
+    if (!match) {
+      throw invalidApiKey();
+    }
+
+    if (match[1] !== this.mode) {
+      throw new GatewayError(401, 'api_key_mode_mismatch',
+        `${match[1]} mode API keys are not accepted by this ${this.mode} mode gateway`);
+    }
+
+    const apiKey = await this.apiKeyRepository.findByHash(hashApiKey(key));
+
+    if (!apiKey || !apiKey.isActive || apiKey.userStatus !== 'active'
+      || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())) {
+      throw invalidApiKey();
+    }
+
+    await this.apiKeyRepository.touch(apiKey.id);
+
+    return {
+      id: apiKey.userId,
+      email: apiKey.userEmail,
+      scopes: apiKey.permissions,
+      apiKeyId: apiKey.id,
+      mode: apiKey.mode,
+      authType: 'api_key'
+    };
+  }
+}
+
+module.exports = { ApiKeyService, hashApiKey, isApiKey };
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { GatewayError } = require('../utils/errors');
+const { scopesForRole } = require('../config/scopes');
+
+const MAX_FAILED_LOGIN_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Compared against when the email is unknown, so that the response time does
+// not reveal whether an account exists
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('payflow-unknown-user', 10);
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+function invalidCredentials() {
+  return new GatewayError(401, 'invalid_credentials', 'Invalid email or password');
+}
+
+// Issues and verifies gateway credentials. Access tokens are short-lived
+// HS256 JWTs bound to a `user_sessions` row; refresh tokens are opaque,
+// single-use and rotated on every refresh. Logging out deactivates the
+// session, which invalidates both.
+class AuthService {
+  constructor({ userRepository, sessionRepository, jwtConfig }) {
+    this.userRepository = userRepository;
+    this.sessionRepository = sessionRepository;
+    this.jwtConfig = jwtConfig;
+  }
+
+  async login(email, password, { ipAddress, userAgent } = {}) {
+    const user = await this.userRepository.findByEmail(email);
+
+    if (!user) {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      throw invalidCredentials();
+    }
+
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      throw new GatewayError(403, 'account_locked',
+        'Too many failed login attempts, try again later',
+        { lockedUntil: user.lockedUntil });
+    }
+
+    if (!(await bcrypt.compare(password, user.passwordHash))) {
+      await this.recordFailedLogin(user);
+      throw invalidCredentials();
+    }
+
+    if (user.status !== 'active') {
+      throw new GatewayError(403, 'account_inactive', `Account is ${user.status}`);
+    }
+
+    await this.userRepository.recordSuccessfulLogin(user.id);
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const session = await this.sessionRepository.create({
+      userId: user.id,
+      sessionToken: crypto.randomBytes(32).toString('base64url'),
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      ipAddress,
+      userAgent,
+      expiresAt: this.refreshTokenExpiry()
+    });
+
+    return this.issueTokens(user, session, refreshToken);
+  }
+
+  async refresh(refreshToken) {
+    const newRefreshToken = crypto.randomBytes(48).toString('base64url');
+    const session = await this.sessionRepository.rotateRefreshToken(
+      hashRefreshToken(refreshToken),
+      { newRefreshTokenHash: hashRefreshToken(newRefreshToken), expiresAt: this.refreshTokenExpiry() }
+    );
+
+    if (!session) {
+      throw new GatewayError(401, 'invalid_refresh_token', 'Refresh token is invalid or expired');
+    }
+
+    const user = await this.userRepository.findById(session.userId);
+
+    if (!user || user.status !== 'active') {
+      await this.sessionRepository.revoke(session.sessionToken);
+      throw new GatewayError(401, 'invalid_refresh_token', 'Refresh token is invalid or expired');
+    }
+
+    return this.issueTokens(user, session, newRefreshToken);
+  }
+
+  async logout(sessionId) {
+    await this.sessionRepository.revoke(sessionId);
+  }
+
+  // Verify an access token and return the principal it represents
+  async authenticate(accessToken) {
+    let claims;
+
+    try {
+      claims = jwt.verify(accessToken, this.jwtConfig.secret, {
+        algorithms: ['HS256'],
+        issuer: this.jwtConfig.issuer
+      });
+    } catch (error) {
+      if (error instanceof jwt.TokenExpiredError) {
+        throw new GatewayError(401, 'token_expired', 'Access token has expired');
+      }
+      throw new GatewayError(401, 'invalid_token', 'Access token is invalid');
+    }
+
+    const session = claims.sid && await this.sessionRepository.findActiveBySessionToken(claims.sid);
+
+    if (!session || session.userId !== claims.sub) {
+      throw new GatewayError(401, 'session_revoked', 'Session has ended, please log in again');
+    }
+
+    await this.sessionRepository.touch(claims.sid);
+
+    return {
+      id: claims.sub,
+      email: claims.email,
+      scopes: (claims.scope || '').split(' ').filter(Boolean),
+      sessionId: claims.sid,
+      authType: 'jwt'
+    };
+  }
+
+  async recordFailedLogin(user) {
+    const failedLoginAttempts = user.failedLoginAttempts + 1;
+    const locked = failedLoginAttempts >= MAX_FAILED_LOGIN_ATTEMPTS;
+
+    await this.userRepository.recordFailedLogin(user.id, {
+      failedLoginAttempts: locked ? 0 : failedLoginAttempts,
+      lockedUntil: locked ? new Date(Date.now() + LOCKOUT_MS).toISOString() : null
+    });
+  }
+
+  refreshTokenExpiry() {
+    return new Date(Date.now() + this.jwtConfig.refreshTokenTtlMs).toISOString();
+  }
+
+  issueTokens(user, session, refreshToken) {
+    const scopes = scopesForRole(user.role);
+    const accessToken = jwt.sign(
+      { email: user.email, scope: scopes.join(' '), sid: session.sessionToken },
+      this.jwtConfig.secret,
+      {
+        algorithm: 'HS256',
+        subject: user.id,
+        issuer: this.jwtConfig.issuer,
+        expiresIn: this.jwtConfig.accessTokenTtl
+      }
+    );
+    const { iat, exp } = jwt.decode(accessToken);
+
+    return {
+      tokenType: 'Bearer',
+      accessToken,
+      expiresIn: exp - iat,
+      refreshToken,
+      refreshTokenExpiresAt: session.expiresAt,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        scopes
+      }
+    };
+  }
+}
+
+module.exports = { AuthService, hashRefreshToken };
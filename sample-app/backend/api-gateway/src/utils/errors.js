@@ -0,0 +1,14 @@
+// Error raised for expected request failures (bad credentials, missing scope,
+// etc.). The error handler turns it into a JSON response using `statusCode`,
+// and exposes `code` and `details` so that clients can react programmatically.
+class GatewayError extends Error {
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = 'GatewayError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { GatewayError };
@@ -0,0 +1,85 @@
+const http = require('http');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const PayFlowAPIGateway = require('../../src/app');
+const { InMemoryUserRepository } = require('../../src/repositories/userRepository');
+
+const JWT_SECRET = 'gateway-test-secret-0123456789';
+const PASSWORD = 'correct horse battery staple';
+// Lowest bcrypt cost, so that logging in does not slow the tests down
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+// One user per role (see config/scopes.js)
+const USERS = {
+  customer: { id: '550e8400-e29b-41d4-a716-446655440101', email: 'customer@example.com', role: 'customer' },
+  support: { id: '550e8400-e29b-41d4-a716-446655440102', email: 'support@example.com', role: 'support' },
+  admin: { id: '550e8400-e29b-41d4-a716-446655440103', email: 'admin@example.com', role: 'admin' }
+};
+
+const SERVICE_URL_VARIABLES = [
+  'USER_SERVICE_URL',
+  'PAYMENT_SERVICE_URL',
+  'TRANSACTION_SERVICE_URL',
+  'NOTIFICATION_SERVICE_URL',
+  'COMPLIANCE_SERVICE_URL'
+];
+
+// Downstream service stand-in on a random local port. It answers every
+// request with what it received: method, path, headers and body. Requests
+// that `handler` answers itself are the exception.
+async function startUpstream(handler = (req, res, next) => next()) {
+  const app = express();
+  app.use(express.json());
+  app.use(handler);
+  app.use(echo);
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function echo(req, res) {
+  res.json({ method: req.method, path: req.originalUrl, headers: req.headers, body: req.body });
+}
+
+// Gateway on in-memory repositories proxying every service to `upstreamUrl`.
+// `env` overrides further configuration variables; process.env is restored
+// once the gateway has read its configuration.
+function createTestGateway({ upstreamUrl, env = {}, ...options } = {}) {
+  const overrides = {
+    JWT_SECRET,
+    ...Object.fromEntries(SERVICE_URL_VARIABLES.map(variable => [variable, upstreamUrl])),
+    ...env
+  };
+  const saved = Object.fromEntries(Object.keys(overrides).map(variable => [variable, process.env[variable]]));
+
+  Object.assign(process.env, overrides);
+  try {
+    const userRepository = new InMemoryUserRepository(
+      Object.values(USERS).map(user => ({ ...user, passwordHash: PASSWORD_HASH }))
+    );
+    const gateway = new PayFlowAPIGateway({ userRepository, ...options });
+
+    return { gateway, app: gateway.getApp(), userRepository };
+  } finally {
+    Object.entries(saved).forEach(([variable, value]) => {
+      if (value === undefined) {
+        delete process.env[variable];
+      } else {
+        process.env[variable] = value;
+      }
+    });
+  }
+}
+
+// Access token of a fresh session for the user with `role`
+async function tokenFor(gateway, role) {
+  const { accessToken } = await gateway.authService.login(USERS[role].email, PASSWORD);
+  return accessToken;
+}
+
+module.exports = { createTestGateway, startUpstream, tokenFor, USERS, PASSWORD, JWT_SECRET };
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createTestGateway, startUpstream, tokenFor, USERS, JWT_SECRET } = require('../helpers/testGateway');
+
+const PAYMENT = '650e8400-e29b-41d4-a716-446655440001';
+const DOCUMENT = '750e8400-e29b-41d4-a716-446655440001';
+
+describe('gateway route authorization', () => {
+  let upstream;
+  let gateway;
+  let app;
+
+  const call = (method, path, token) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    upstream = await startUpstream();
+  });
+
+  afterAll(() => upstream.close());
+
+  beforeEach(() => {
+    ({ gateway, app } = createTestGateway({ upstreamUrl: upstream.url }));
+  });
+
+  describe('access tokens', () => {
+    // Token for the customer's live session, signed with `claims` and
+    // `options` on top of what the gateway itself would issue
+    const forge = async (claims = {}, options = {}, secret = JWT_SECRET) => {
+      const { sid } = jwt.decode(await tokenFor(gateway, 'customer'));
+      return jwt.sign({ scope: 'payments:read', sid, ...claims }, secret, {
+        subject: USERS.customer.id,
+        issuer: 'payflow-api-gateway',
+        expiresIn: '15m',
+        ...options
+      });
+    };
+
+    it('requires a credential', async () => {
+      const res = await request(app).get('/api/v1/payments');
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('invalid_request');
+      expect(res.headers['www-authenticate']).toBe('Bearer realm="payflow", error="invalid_request"');
+    });
+
+    it('accepts a token it issued', async () => {
+      const res = await call('get', '/api/v1/payments', await forge());
+
+      expect(res.status).toBe(200);
+    });
+
+    it.each([
+      ['signed with another secret', () => forge({}, {}, 'another-secret-0123456789')],
+      ['from another issuer', () => forge({}, { issuer: 'someone-else' })],
+      ['that is not a JWT', async () => 'not-a-token'],
+      ['signed with the none algorithm', async () => {
+        const [, payload] = (await forge()).split('.');
+        const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+        return `${header}.${payload}.`;
+      }]
+    ])('rejects a token %s', async (description, token) => {
+      const res = await call('get', '/api/v1/payments', await token());
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('invalid_token');
+    });
+
+    it('rejects an expired token', async () => {
+      const res = await call('get', '/api/v1/payments', await forge({}, { expiresIn: -10 }));
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('token_expired');
+    });
+
+    it('rejects a token for a session that does not exist or belongs to another user', async () => {
+      const unknownSession = await call('get', '/api/v1/payments', await forge({ sid: 'no-such-session' }));
+      const otherUser = await call('get', '/api/v1/payments', await forge({}, { subject: USERS.admin.id }));
+
+      [unknownSession, otherUser].forEach((res) => {
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('session_revoked');
+      });
+    });
+  });
+
+  describe('scopes', () => {
+    // One request per scope rule in config/scopes.js
+    const ROUTES = {
+      'refunds:create': ['post', `/api/v1/payments/${PAYMENT}/refund`],
+      'risk:review': ['post', `/api/v1/payments/${PAYMENT}/risk-review/release`],
+      'payments:read': ['get', `/api/v1/payments/${PAYMENT}`],
+      'payments:write': ['post', '/api/v1/payments/process'],
+      'payment_methods:manage': ['get', '/api/v1/payment-methods'],
+      'subscriptions:manage': ['post', '/api/v1/subscriptions'],
+      'disputes:manage': ['get', '/api/v1/disputes'],
+      'webhooks:manage': ['get', '/api/v1/webhooks'],
+      'audit_logs:read': ['get', '/api/v1/audit-logs'],
+      'reconciliations:manage': ['post', '/api/v1/reconciliations'],
+      'ledger:read': ['get', '/api/v1/ledger/accounts'],
+      'transactions:read': ['get', '/api/v1/transactions'],
+      'notifications:read': ['get', '/api/v1/notifications'],
+      'kyc:review': ['get', '/api/v1/kyc/reviews'],
+      'kyc:submit': ['post', '/api/v1/kyc/documents'],
+      'aml:review': ['get', '/api/v1/aml/cases'],
+      'users:read': ['get', '/api/v1/users/me'],
+      'users:write': ['patch', '/api/v1/users/me']
+    };
+
+    it.each([
+      ['customer', 'refunds:create'],
+      ['customer', 'risk:review'],
+      ['customer', 'disputes:manage'],
+      ['customer', 'audit_logs:read'],
+      ['customer', 'reconciliations:manage'],
+      ['customer', 'ledger:read'],
+      ['customer', 'kyc:review'],
+      ['customer', 'aml:review'],
+      ['support', 'payments:write'],
+      ['support', 'payment_methods:manage'],
+      ['support', 'subscriptions:manage'],
+      ['support', 'webhooks:manage'],
+      ['support', 'notifications:read'],
+      ['support', 'kyc:submit'],
+      ['support', 'users:write']
+    ])('denies a %s a route requiring %s', async (role, scope) => {
+      const [method, path] = ROUTES[scope];
+
+      const res = await call(method, path, await tokenFor(gateway, role));
+
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({ code: 'insufficient_scope', details: { requiredScopes: [scope] } });
+    });
+
+    it.each(Object.keys(ROUTES))('lets an admin through to a route requiring %s', async (scope) => {
+      const [method, path] = ROUTES[scope];
+
+      const res = await call(method, path, await tokenFor(gateway, 'admin'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.method).toBe(method.toUpperCase());
+    });
+
+    it('denies routes without a scope rule', async () => {
+      const res = await call('put', `/api/v1/payments/${PAYMENT}`, await tokenFor(gateway, 'admin'));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('route_not_permitted');
+    });
+
+    it('limits an API key to the scopes it was issued with', async () => {
+      const { key } = await gateway.apiKeyService.issue(
+        { id: USERS.customer.id, scopes: ['payments:read', 'payments:write'] },
+        { name: 'Reporting', permissions: ['payments:read'] }
+      );
+      const withKey = (method, path) => request(app)[method](path).set('X-API-Key', key);
+
+      expect((await withKey('get', '/api/v1/payments')).status).toBe(200);
+
+      const res = await withKey('post', '/api/v1/payments/process');
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('insufficient_scope');
+    });
+  });
+
+  describe('differently cased paths', () => {
+    let customer;
+
+    beforeEach(async () => {
+      customer = await tokenFor(gateway, 'customer');
+    });
+
+    it.each([
+      ['post', `/api/v1/payments/${PAYMENT}/refund`, 'refunds:create'],
+      ['post', `/api/v1/payments/${PAYMENT}/Refund`, 'refunds:create'],
+      ['post', `/api/v1/payments/${PAYMENT}/REFUND/`, 'refunds:create'],
+      ['get', '/api/v1/kyc/Reviews', 'kyc:review'],
+      ['post', `/api/v1/kyc/Reviews/${DOCUMENT}/approve`, 'kyc:review'],
+      ['get', `/api/v1/kyc/documents/${DOCUMENT}/Content`, 'kyc:review']
+    ])('%s %s requires %s', async (method, path, scope) => {
+      const res = await call(method, path, customer);
+
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({ code: 'insufficient_scope', details: { requiredScopes: [scope] } });
+    });
+
+    it('does not route a differently cased mount path', async () => {
+      const res = await call('get', '/API/V1/payments', customer);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('non-canonical paths', () => {
+    it.each([
+      `/api/v1/payments/${PAYMENT}//refund`,
+      `/api/v1/payments/${PAYMENT}/%2e%2e/${PAYMENT}/refund`,
+      `/api/v1/payments/${PAYMENT}%2Frefund`,
+      `/api/v1/payments/${PAYMENT}%5Crefund`
+    ])('rejects %s', async (path) => {
+      const res = await call('post', path, await tokenFor(gateway, 'admin'));
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('non_canonical_path');
+    });
+  });
+
+  it('proxies a request holding the required scope', async () => {
+    const res = await call('post', `/api/v1/payments/${PAYMENT}/refund`, await tokenFor(gateway, 'admin'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.path).toBe(`/payments/${PAYMENT}/refund`);
+  });
+});
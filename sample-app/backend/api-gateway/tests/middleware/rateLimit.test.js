@@ -0,0 +1,124 @@
+const express = require('express');
+const request = require('supertest');
+const { clientQuotas, createRateLimiter } = require('../../src/middleware/rateLimit');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { FakeRedis } = require('../../../shared/testing/fakeRedis');
+
+// Only Date is faked, so that time can be moved past the rate limit window
+// while requests still run on real timers
+const REAL_TIMERS = [
+  'hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+];
+
+// Gateway stand-in authenticating every request as the user (and API key)
+// named in the X-Test-User / X-Test-Key headers
+function gatewayApp(redisClient) {
+  const app = express();
+
+  app.use((req, res, next) => {
+    req.user = { id: req.get('X-Test-User'), apiKeyId: req.get('X-Test-Key') };
+    next();
+  });
+  app.use(clientQuotas({ redisClient, windowMs: 60 * 1000, writeMax: 2, readMax: 3 }));
+  app.all('/api/v1/payments', (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('gateway client quotas', () => {
+  let redis;
+
+  const write = (app, user = 'user_1') => request(app).post('/api/v1/payments').set('X-Test-User', user);
+  const read = (app, user = 'user_1') => request(app).get('/api/v1/payments').set('X-Test-User', user);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: REAL_TIMERS, now: new Date('2026-03-02T12:00:00Z') });
+    redis = new FakeRedis();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('answers writes over the quota with 429, RateLimit headers and Retry-After', async () => {
+    const app = gatewayApp(redis);
+
+    const first = await write(app);
+    expect(first.status).toBe(200);
+    expect(first.headers).toMatchObject({
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-reset': '60'
+    });
+
+    await write(app);
+    const limited = await write(app);
+
+    expect(limited.status).toBe(429);
+    expect(limited.body).toMatchObject({
+      code: 'rate_limit_exceeded',
+      details: { limit: 2, windowMs: 60000, retryAfterSeconds: 60 }
+    });
+    expect(limited.headers['retry-after']).toBe('60');
+  });
+
+  it('counts reads separately from writes', async () => {
+    const app = gatewayApp(redis);
+
+    await write(app);
+    await write(app);
+    expect((await write(app)).status).toBe(429);
+
+    expect((await read(app)).status).toBe(200);
+    expect((await read(app)).headers['ratelimit-limit']).toBe('3');
+  });
+
+  it('keys quotas by API key, else by user', async () => {
+    const app = gatewayApp(redis);
+    const withKey = keyId => write(app).set('X-Test-Key', keyId);
+
+    await withKey('key_1');
+    await withKey('key_1');
+
+    expect((await withKey('key_1')).status).toBe(429);
+    // Same owner, different key
+    expect((await withKey('key_2')).status).toBe(200);
+    // Same owner, JWT session
+    expect((await write(app)).status).toBe(200);
+    expect((await write(app, 'user_2')).status).toBe(200);
+  });
+
+  it('shares counters between gateway replicas', async () => {
+    const first = gatewayApp(redis);
+    const second = gatewayApp(redis);
+
+    await write(first);
+    await write(second);
+
+    expect((await write(first)).status).toBe(429);
+  });
+
+  it('resets the quota with the next window', async () => {
+    const app = gatewayApp(redis);
+
+    await write(app);
+    await write(app);
+    expect((await write(app)).status).toBe(429);
+
+    jest.setSystemTime(Date.now() + 60 * 1000);
+
+    expect((await write(app)).status).toBe(200);
+  });
+
+  it('prefixes counters with the limiter name', async () => {
+    const app = express();
+    app.use(createRateLimiter({ name: 'auth', windowMs: 1000, max: 5, redisClient: redis }));
+    app.get('/', (req, res) => res.end());
+
+    await request(app).get('/');
+
+    expect([...redis.values.keys()]).toEqual([expect.stringMatching(/^rl:gateway:auth:/)]);
+  });
+});
@@ -0,0 +1,127 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createTestGateway, startUpstream, tokenFor, USERS } = require('../helpers/testGateway');
+
+describe('service proxy', () => {
+  let upstream;
+  let gateway;
+  let app;
+  let token;
+
+  const get = path => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    upstream = await startUpstream((req, res, next) => {
+      // Answers /payments/slow after the gateway gave up on it
+      if (req.path === '/payments/slow') {
+        return setTimeout(() => res.json({ late: true }), 300);
+      }
+      next();
+    });
+  });
+
+  afterAll(() => upstream.close());
+
+  beforeEach(async () => {
+    ({ gateway, app } = createTestGateway({
+      upstreamUrl: upstream.url,
+      env: { PAYMENT_SERVICE_TIMEOUT_MS: '100' }
+    }));
+    token = await tokenFor(gateway, 'customer');
+  });
+
+  it('rewrites the mount path to the service path, keeping the query string', async () => {
+    const res = await get('/api/v1/payments/abc?limit=5');
+
+    expect(res.status).toBe(200);
+    expect(res.body.path).toBe('/payments/abc?limit=5');
+    expect(res.body.headers['x-forwarded-prefix']).toBe('/api/v1/payments');
+  });
+
+  it('forwards the parsed JSON body', async () => {
+    const res = await request(app).post('/api/v1/payments/process')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ amount: 25, currency: 'USD' });
+
+    expect(res.body).toMatchObject({ method: 'POST', body: { amount: 25, currency: 'USD' } });
+  });
+
+  it('forwards the authenticated principal', async () => {
+    const res = await get('/api/v1/payments');
+
+    expect(res.body.headers).toMatchObject({
+      'x-user-id': USERS.customer.id,
+      'x-user-email': USERS.customer.email,
+      'x-auth-type': 'jwt',
+      'x-session-id': jwt.decode(token).sid
+    });
+    expect(res.body.headers['x-user-scopes'].split(' ')).toContain('payments:read');
+    expect(res.body.headers['x-api-key-id']).toBeUndefined();
+  });
+
+  it('forwards the request ID, or the one the client sent', async () => {
+    const generated = await get('/api/v1/payments');
+    const sent = await get('/api/v1/payments').set('X-Request-ID', 'req-from-client');
+
+    expect(generated.body.headers['x-request-id']).toBe(generated.headers['x-request-id']);
+    expect(sent.body.headers['x-request-id']).toBe('req-from-client');
+  });
+
+  it('drops principal headers sent by the client', async () => {
+    const res = await get('/api/v1/payments')
+      .set('X-User-ID', USERS.admin.id)
+      .set('X-User-Scopes', 'payments:all_accounts')
+      .set('X-Auth-Type', 'api_key')
+      .set('X-API-Key-ID', 'key_forged')
+      .set('X-API-Key-Mode', 'live');
+
+    expect(res.body.headers).toMatchObject({
+      'x-user-id': USERS.customer.id,
+      'x-auth-type': 'jwt'
+    });
+    expect(res.body.headers['x-user-scopes']).not.toContain('payments:all_accounts');
+    expect(res.body.headers['x-api-key-id']).toBeUndefined();
+    expect(res.body.headers['x-api-key-mode']).toBeUndefined();
+  });
+
+  it('forwards API key principals without the key itself', async () => {
+    const { id, key } = await gateway.apiKeyService.issue(
+      { id: USERS.customer.id, scopes: ['payments:read'] },
+      { name: 'Reporting', permissions: ['payments:read'] }
+    );
+
+    const res = await request(app).get('/api/v1/payments').set('X-API-Key', key);
+
+    expect(res.body.headers).toMatchObject({
+      'x-user-id': USERS.customer.id,
+      'x-user-scopes': 'payments:read',
+      'x-auth-type': 'api_key',
+      'x-api-key-id': id,
+      'x-api-key-mode': 'test'
+    });
+    expect(res.body.headers['x-api-key']).toBeUndefined();
+  });
+
+  it('answers 504 when the service does not respond in time', async () => {
+    const res = await get('/api/v1/payments/slow');
+
+    expect(res.status).toBe(504);
+    expect(res.body).toMatchObject({ error: 'Gateway Timeout', path: '/api/v1/payments/slow' });
+    expect(res.body.requestId).toBe(res.headers['x-request-id']);
+  });
+
+  it('answers 502 when the service is unreachable', async () => {
+    const down = await startUpstream();
+    await down.close();
+    ({ gateway, app } = createTestGateway({ upstreamUrl: down.url }));
+    token = await tokenFor(gateway, 'customer');
+
+    const res = await get('/api/v1/payments');
+
+    expect(res.status).toBe(502);
+    expect(res.body).toMatchObject({
+      error: 'Bad Gateway',
+      message: 'The payment service is currently unavailable'
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { ROLE_SCOPES } = require('../../src/config/scopes');
+const { createTestGateway, startUpstream, USERS, PASSWORD, JWT_SECRET } = require('../helpers/testGateway');
+
+describe('gateway sessions', () => {
+  let upstream;
+  let app;
+  let userRepository;
+
+  const login = (role, password = PASSWORD) => request(app).post('/api/v1/auth/login')
+    .send({ email: USERS[role].email, password });
+  const refresh = refreshToken => request(app).post('/api/v1/auth/refresh').send({ refreshToken });
+  const payments = accessToken => request(app).get('/api/v1/payments')
+    .set('Authorization', `Bearer ${accessToken}`);
+
+  beforeAll(async () => {
+    upstream = await startUpstream();
+  });
+
+  afterAll(() => upstream.close());
+
+  beforeEach(() => {
+    ({ app, userRepository } = createTestGateway({ upstreamUrl: upstream.url }));
+  });
+
+  describe('login', () => {
+    it.each(Object.keys(ROLE_SCOPES))('grants a %s the scopes of their role', async (role) => {
+      const res = await login(role);
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ id: USERS[role].id, scopes: ROLE_SCOPES[role] });
+
+      const claims = jwt.verify(res.body.accessToken, JWT_SECRET);
+      expect(claims).toMatchObject({ sub: USERS[role].id, iss: 'payflow-api-gateway' });
+      expect(claims.scope.split(' ')).toEqual(ROLE_SCOPES[role]);
+    });
+
+    it('gives users without a known role the customer scopes', async () => {
+      userRepository.users.get(USERS.customer.id).role = 'auditor';
+
+      const res = await login('customer');
+
+      expect(res.body.user.scopes).toEqual(ROLE_SCOPES.customer);
+    });
+
+    it('answers a wrong password and an unknown email alike', async () => {
+      const wrongPassword = await login('customer', 'not the password');
+      const unknownEmail = await request(app).post('/api/v1/auth/login')
+        .send({ email: 'nobody@example.com', password: PASSWORD });
+
+      [wrongPassword, unknownEmail].forEach((res) => {
+        expect(res.status).toBe(401);
+        expect(res.body).toMatchObject({ code: 'invalid_credentials', message: 'Invalid email or password' });
+      });
+    });
+
+    it('locks the account after five failed attempts', async () => {
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        expect((await login('customer', 'not the password')).status).toBe(401);
+      }
+
+      const res = await login('customer');
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('account_locked');
+    });
+
+    it('refuses inactive accounts', async () => {
+      userRepository.users.get(USERS.customer.id).status = 'suspended';
+
+      const res = await login('customer');
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('account_inactive');
+    });
+  });
+
+  describe('refresh', () => {
+    it('rotates the refresh token, spending the old one', async () => {
+      const { refreshToken } = (await login('customer')).body;
+
+      const rotated = await refresh(refreshToken);
+      expect(rotated.status).toBe(200);
+      expect(rotated.body.refreshToken).not.toBe(refreshToken);
+      expect((await payments(rotated.body.accessToken)).status).toBe(200);
+
+      const reused = await refresh(refreshToken);
+      expect(reused.status).toBe(401);
+      expect(reused.body.code).toBe('invalid_refresh_token');
+    });
+
+    it('ends the session of a user who was deactivated meanwhile', async () => {
+      const { accessToken, refreshToken } = (await login('customer')).body;
+      userRepository.users.get(USERS.customer.id).status = 'suspended';
+
+      expect((await refresh(refreshToken)).status).toBe(401);
+      expect((await payments(accessToken)).body.code).toBe('session_revoked');
+    });
+  });
+
+  describe('logout', () => {
+    it('invalidates both the access and the refresh token', async () => {
+      const { accessToken, refreshToken } = (await login('customer')).body;
+
+      const res = await request(app).post('/api/v1/auth/logout').set('Authorization', `Bearer ${accessToken}`);
+      expect(res.status).toBe(204);
+
+      const after = await payments(accessToken);
+      expect(after.status).toBe(401);
+      expect(after.body.code).toBe('session_revoked');
+      expect((await refresh(refreshToken)).status).toBe(401);
+    });
+
+    it('leaves the other sessions of the user alone', async () => {
+      const first = (await login('customer')).body;
+      const second = (await login('customer')).body;
+
+      await request(app).post('/api/v1/auth/logout').set('Authorization', `Bearer ${first.accessToken}`);
+
+      expect((await payments(second.accessToken)).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,21 @@
+const { ApiKeyService } = require('../../src/services/apiKeyService');
+const { InMemoryApiKeyRepository } = require('../../src/repositories/apiKeyRepository');
+
+const USER = { id: '550e8400-e29b-41d4-a716-446655440001', scopes: ['payments:read', 'payments:write'] };
+
+describe('ApiKeyService modes', () => {
+  const service = mode => new ApiKeyService({ apiKeyRepository: new InMemoryApiKeyRepository(), mode });
+
+  it('issues keys in the gateway mode by default', async () => {
+    const apiKey = await service('test').issue(USER, { name: 'Checkout', permissions: ['payments:read'] });
+
+    expect(apiKey.mode).toBe('test');
+    expect(apiKey.key).toMatch(/^pf_test_/);
+  });
+
+  it.each([['test', 'live'], ['live', 'test']])('refuses %s mode keys on a %s mode gateway', async (mode, gatewayMode) => {
+    const issue = service(gatewayMode).issue(USER, { name: 'Checkout', permissions: ['payments:read'], mode });
+
+    await expect(issue).rejects.toMatchObject({ statusCode: 422, code: 'api_key_mode_mismatch' });
+  });
+});
@@ -0,0 +1,5 @@
+// Gateway logs are noise in test output; tests asserting on log output
+// capture them (see backend/shared/testing/logCapture.js)
+const { logger } = require('../src/utils/logger');
+
+logger.silent = true;
@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+const ComplianceService = require('./src/app');
+const { logger } = require('./src/utils/logger');
+
+async function startServer() {
+  try {
+    const service = new ComplianceService();
+    await service.start();
+  } catch (error) {
+    logger.error('Failed to start Compliance Service:', error);
+    process.exit(1);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught Exception in Compliance Service:', error);
+  process.exit(1);
+});
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection in Compliance Service:', promise, 'reason:', reason);
+  process.exit(1);
+});
+
+startServer();
\ No newline at end of file
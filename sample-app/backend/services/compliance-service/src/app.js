@@ -0,0 +1,236 @@
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const morgan = require('morgan');
+const compression = require('compression');
+const { v4: uuidv4 } = require('uuid');
+
+const { logger } = require('./utils/logger');
+const { createPool } = require('./db');
+const { KycRepository, InMemoryKycRepository } = require('./repositories/kycRepository');
+const { AmlRepository, InMemoryAmlRepository } = require('./repositories/amlRepository');
+const { KycService } = require('./services/kycService');
+const { AmlService, loadAmlConfig } = require('./services/amlService');
+const { loadSanctionsList } = require('./services/sanctionsList');
+const { LocalDocumentStorage } = require('./services/documentStorage');
+const { createKycRoutes } = require('./routes/kyc');
+const { createAmlRoutes } = require('./routes/aml');
+
+// AML_RULES_FILE overrides the default checks; the *_SCREENING_ENABLED
+// switches turn either check off
+function loadAmlSettings() {
+  const config = loadAmlConfig(process.env.AML_RULES_FILE);
+
+  return {
+    sanctions: {
+      ...config.sanctions,
+      enabled: config.sanctions.enabled && process.env.SANCTIONS_SCREENING_ENABLED !== 'false',
+      ...(process.env.AML_SANCTIONS_MATCH_THRESHOLD && {
+        matchThreshold: parseFloat(process.env.AML_SANCTIONS_MATCH_THRESHOLD)
+      })
+    },
+    structuring: {
+      ...config.structuring,
+      enabled: config.structuring.enabled && process.env.AML_SCREENING_ENABLED !== 'false'
+    }
+  };
+}
+
+class ComplianceService {
+  // `options` allows collaborators (e.g. an in-memory repository) to be injected for tests
+  constructor(options = {}) {
+    this.app = express();
+    // Match routes case-sensitively, like the gateway that authorizes them
+    this.app.set('case sensitive routing', true);
+    this.config = this.loadConfiguration();
+    this.setupDataAccess(options);
+    this.setupServices(options);
+    this.setupMiddleware();
+    this.setupRoutes();
+    this.setupErrorHandling();
+  }
+
+  loadConfiguration() {
+    return {
+      port: process.env.PORT || 3005,
+      environment: process.env.NODE_ENV || 'development',
+      database: {
+        url: process.env.DATABASE_URL,
+        poolSize: parseInt(process.env.CONNECTION_POOL_SIZE, 10) || 10,
+        queryTimeout: parseInt(process.env.QUERY_TIMEOUT, 10) || 30000
+      },
+      kyc: {
+        storageDir: process.env.KYC_STORAGE_DIR || 'storage/kyc',
+        maxDocumentBytes: parseInt(process.env.KYC_MAX_DOCUMENT_BYTES, 10) || 10 * 1024 * 1024,
+        // Document types that must be uploaded before submitting for review
+        requiredDocuments: (process.env.KYC_REQUIRED_DOCUMENTS || 'id_front,selfie')
+          .split(',').map(type => type.trim()).filter(Boolean)
+      },
+      aml: {
+        ...loadAmlSettings(),
+        // OFAC SDN-style CSV (see services/sanctionsList.js)
+        sanctionsListFile: process.env.AML_SANCTIONS_LIST_FILE
+      }
+    };
+  }
+
+  setupDataAccess(options) {
+    if (this.config.database.url) {
+      this.db = createPool(this.config.database);
+    } else {
+      logger.warn('DATABASE_URL not set, using in-memory repositories');
+    }
+
+    this.kycRepository = options.kycRepository || (this.db
+      ? new KycRepository(this.db)
+      : new InMemoryKycRepository());
+
+    this.amlRepository = options.amlRepository || (this.db
+      ? new AmlRepository(this.db)
+      : new InMemoryAmlRepository());
+  }
+
+  setupServices(options) {
+    this.documentStorage = options.documentStorage || new LocalDocumentStorage({
+      directory: this.config.kyc.storageDir
+    });
+
+    this.kycService = new KycService({
+      kycRepository: this.kycRepository,
+      documentStorage: this.documentStorage,
+      config: this.config.kyc
+    });
+
+    this.sanctionsList = options.sanctionsList || loadSanctionsList(this.config.aml.sanctionsListFile);
+    if (this.config.aml.sanctions.enabled && !this.sanctionsList.size) {
+      logger.warn('Sanctions list is empty (AML_SANCTIONS_LIST_FILE not set), payers are not screened for sanctions');
+    }
+
+    this.amlService = new AmlService({
+      amlRepository: this.amlRepository,
+      sanctionsList: this.sanctionsList,
+      config: this.config.aml
+    });
+  }
+
+  setupMiddleware() {
+    this.app.use(helmet());
+
+    // Called through the API gateway and, for screening, by the payment service
+    this.app.use(cors({
+      origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
+      credentials: true,
+      methods: ['GET', 'POST']
+    }));
+
+    this.app.use(compression());
+    this.app.use(express.json({ limit: '100kb' }));
+
+    if (this.config.environment !== 'test') {
+      this.app.use(morgan('combined', {
+        stream: { write: (message) => logger.info(message.trim()) }
+      }));
+    }
+
+    // Request ID for tracing (reuses the one assigned by the caller)
+    this.app.use((req, res, next) => {
+      req.requestId = req.get('X-Request-ID') || uuidv4();
+      res.setHeader('X-Request-ID', req.requestId);
+      next();
+    });
+  }
+
+  setupRoutes() {
+    // Health check
+    this.app.get('/health', (req, res) => {
+      res.status(200).json({
+        status: 'healthy',
+        service: 'compliance-service',
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      });
+    });
+
+    // KYC document uploads and reviews
+    this.app.use('/kyc', createKycRoutes({
+      kycService: this.kycService,
+      maxDocumentBytes: this.config.kyc.maxDocumentBytes
+    }));
+
+    // Payment screening and the cases it opens
+    this.app.use('/aml', createAmlRoutes({ amlService: this.amlService }));
+  }
+
+  setupErrorHandling() {
+    // 404 handler
+    this.app.use('*', (req, res) => {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Compliance endpoint not found',
+        path: req.originalUrl,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Global error handler
+    this.app.use((err, req, res, next) => {
+      const statusCode = err.statusCode || 500;
+
+      if (statusCode >= 500) {
+        logger.error('Compliance service error:', {
+          error: err.message,
+          stack: err.stack,
+          requestId: req.requestId
+        });
+      }
+
+      // Don't expose internal errors in production
+      const message = this.config.environment === 'production' && statusCode >= 500
+        ? 'Compliance processing error'
+        : err.message;
+
+      res.status(statusCode).json({
+        error: 'Compliance Error',
+        ...(err.code && { code: err.code }),
+        message: message,
+        ...(err.details && { details: err.details }),
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      try {
+        const server = this.app.listen(this.config.port, () => {
+          logger.info(`Compliance Service started on port ${this.config.port}`);
+          logger.info(`Environment: ${this.config.environment}`);
+          resolve(server);
+        });
+
+        // Graceful shutdown
+        process.on('SIGTERM', () => {
+          logger.info('SIGTERM received, shutting down compliance service');
+          server.close(async () => {
+            if (this.db) {
+              await this.db.end();
+            }
+            logger.info('Compliance service terminated');
+            process.exit(0);
+          });
+        });
+
+      } catch (error) {
+        logger.error('Failed to start Compliance Service:', error);
+        reject(error);
+      }
+    });
+  }
+
+  getApp() {
+    return this.app;
+  }
+}
+
+module.exports = ComplianceService;
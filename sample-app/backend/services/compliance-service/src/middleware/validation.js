@@ -0,0 +1,170 @@
+const Joi = require('joi');
+const { DOCUMENT_TYPES } = require('../services/kycService');
+const { CASE_TYPES, CASE_STATUSES, CASE_RESOLUTIONS } = require('../services/amlService');
+
+// Document uploads send the file as the raw request body; its type is passed
+// in the query string
+const documentUploadQuerySchema = Joi.object({
+  documentType: Joi.string().valid(...DOCUMENT_TYPES).required()
+});
+
+const reviewQueueQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const approvalSchema = Joi.object({
+  notes: Joi.string().trim().max(1000).optional()
+});
+
+// Customers are told why their documents were rejected
+const rejectionSchema = Joi.object({
+  notes: Joi.string().trim().min(1).max(1000).required()
+    .messages({ 'any.required': 'Notes are required when rejecting KYC documents' })
+});
+
+// Payment about to be processed, sent by the payment service
+const screeningRequestSchema = Joi.object({
+  paymentId: Joi.string().guid().required(),
+  customerId: Joi.string().guid().required(),
+  amount: Joi.number().positive().required(),
+  currency: Joi.string().length(3).uppercase().required()
+});
+
+const paymentDecisionQuerySchema = Joi.object({
+  customerId: Joi.string().guid().required()
+});
+
+const caseListQuerySchema = Joi.object({
+  status: Joi.string().valid(...CASE_STATUSES).optional(),
+  caseType: Joi.string().valid(...CASE_TYPES).optional(),
+  userId: Joi.string().guid().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const caseResolutionSchema = Joi.object({
+  resolution: Joi.string().valid(...CASE_RESOLUTIONS).required(),
+  notes: Joi.string().trim().min(1).max(2000).required()
+});
+
+function validationErrorResponse(req, res, message, error) {
+  return res.status(400).json({
+    error: 'Validation Error',
+    message,
+    details: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    })),
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function validateBody(schema, message) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return validationErrorResponse(req, res, message, error);
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+function validateUuidParam(name) {
+  return (req, res, next) => {
+    const { error } = Joi.string().guid().required().label(name).validate(req.params[name]);
+
+    if (error) {
+      return validationErrorResponse(req, res, `Invalid ${name}`, error);
+    }
+
+    next();
+  };
+}
+
+function validateDocumentUpload(req, res, next) {
+  const { error, value } = documentUploadQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid document upload', error);
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid document upload',
+      details: [{ field: 'body', message: 'The document must be sent as the request body' }],
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.uploadQuery = value;
+  next();
+}
+
+function validateReviewQueueQuery(req, res, next) {
+  const { error, value } = reviewQueueQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid review queue query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
+function validateQuery(schema, message) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return validationErrorResponse(req, res, message, error);
+    }
+
+    req.listQuery = value;
+    next();
+  };
+}
+
+const validateApproval = validateBody(approvalSchema, 'Invalid KYC approval');
+const validateRejection = validateBody(rejectionSchema, 'Invalid KYC rejection');
+const validateScreeningRequest = validateBody(screeningRequestSchema, 'Invalid screening request');
+const validateCaseResolution = validateBody(caseResolutionSchema, 'Invalid case resolution');
+const validatePaymentDecisionQuery = validateQuery(paymentDecisionQuerySchema, 'Invalid payment decision query');
+const validateCaseListQuery = validateQuery(caseListQuerySchema, 'Invalid case query');
+
+module.exports = {
+  validateDocumentUpload,
+  validateReviewQueueQuery,
+  validateApproval,
+  validateRejection,
+  validateScreeningRequest,
+  validateCaseResolution,
+  validatePaymentDecisionQuery,
+  validateCaseListQuery,
+  validateUuidParam,
+  documentUploadQuerySchema,
+  reviewQueueQuerySchema,
+  approvalSchema,
+  rejectionSchema,
+  screeningRequestSchema,
+  paymentDecisionQuerySchema,
+  caseListQuerySchema,
+  caseResolutionSchema
+};
@@ -0,0 +1,274 @@
+const { v4: uuidv4 } = require('uuid');
+const { withTransaction } = require('../db');
+
+// Payments that never moved money are not part of a structuring pattern
+const EXCLUDED_TRANSACTION_STATUSES = ['failed', 'cancelled'];
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function toAmount(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+function mapCaseRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    caseType: row.case_type,
+    action: row.action,
+    status: row.status,
+    paymentId: row.payment_id,
+    amount: toAmount(row.amount),
+    currency: row.currency,
+    details: row.details,
+    resolutionNotes: row.resolution_notes,
+    resolvedBy: row.resolved_by,
+    resolvedAt: toISOString(row.resolved_at),
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at)
+  };
+}
+
+// AML screening data: customers' names, their past payments in
+// `transactions`, and the cases screening opened (`compliance_cases`).
+// Cases of a customer are opened under a lock on the user row so that
+// concurrent screenings do not open the same case twice.
+class AmlRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findUser(userId) {
+    const { rows } = await this.db.query(
+      'SELECT id, first_name, last_name FROM users WHERE id = $1',
+      [userId]
+    );
+    return rows.length ? { id: rows[0].id, firstName: rows[0].first_name, lastName: rows[0].last_name } : null;
+  }
+
+  // The customer's payments in `currency` since `since` with an amount in
+  // [min, max), oldest first
+  async listPaymentsInRange(userId, { currency, min, max, since }) {
+    const { rows } = await this.db.query(`
+      SELECT id, amount, currency, created_at
+      FROM transactions
+      WHERE user_id = $1
+        AND type = 'payment'
+        AND currency = $2
+        AND amount >= $3 AND amount < $4
+        AND created_at >= $5
+        AND status NOT IN (${EXCLUDED_TRANSACTION_STATUSES.map(status => `'${status}'`).join(', ')})
+      ORDER BY created_at ASC
+    `, [userId, currency, min, max, since]);
+
+    return rows.map(row => ({
+      transactionId: row.id,
+      amount: toAmount(row.amount),
+      currency: row.currency,
+      createdAt: toISOString(row.created_at)
+    }));
+  }
+
+  // Open new cases for a customer. `plan` receives the locked user (or null)
+  // and all their cases, and returns the cases to open. Resolves to every
+  // case of the customer, including the new ones.
+  async openCases(userId, plan) {
+    return withTransaction(this.db, async (client) => {
+      const { rows: userRows } = await client.query(
+        'SELECT id, first_name, last_name FROM users WHERE id = $1 FOR UPDATE',
+        [userId]
+      );
+      const user = userRows.length
+        ? { id: userRows[0].id, firstName: userRows[0].first_name, lastName: userRows[0].last_name }
+        : null;
+
+      const { rows } = await client.query(
+        'SELECT * FROM compliance_cases WHERE user_id = $1 ORDER BY created_at ASC',
+        [userId]
+      );
+      const cases = rows.map(mapCaseRow);
+
+      const opened = [];
+      for (const newCase of plan(user, cases)) {
+        const { rows: inserted } = await client.query(`
+          INSERT INTO compliance_cases (id, user_id, case_type, action, payment_id, amount, currency, details)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *
+        `, [
+          uuidv4(),
+          userId,
+          newCase.caseType,
+          newCase.action,
+          newCase.paymentId,
+          newCase.amount,
+          newCase.currency,
+          JSON.stringify(newCase.details)
+        ]);
+        opened.push(mapCaseRow(inserted[0]));
+      }
+
+      return [...cases, ...opened];
+    });
+  }
+
+  async findCase(caseId) {
+    const { rows } = await this.db.query('SELECT * FROM compliance_cases WHERE id = $1', [caseId]);
+    return rows.length ? mapCaseRow(rows[0]) : null;
+  }
+
+  // Cases of a customer, and those opened while screening `paymentId`
+  async listCasesForPayment(userId, paymentId) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM compliance_cases WHERE user_id = $1 OR payment_id = $2 ORDER BY created_at ASC',
+      [userId, paymentId]
+    );
+    return rows.map(mapCaseRow);
+  }
+
+  // Newest first
+  async listCases({ status, caseType, userId, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (caseType) {
+      params.push(caseType);
+      conditions.push(`case_type = $${params.length}`);
+    }
+    if (userId) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { rows: countRows } = await this.db.query(
+      `SELECT COUNT(*)::int AS total FROM compliance_cases ${where}`,
+      params
+    );
+    const { rows } = await this.db.query(`
+      SELECT * FROM compliance_cases ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return { data: rows.map(mapCaseRow), total: countRows[0].total };
+  }
+
+  // Resolve a case. `plan` receives the locked case (or null) and returns
+  // `{ status, notes, resolvedBy }`, or throws to abort.
+  async resolve(caseId, plan) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query('SELECT * FROM compliance_cases WHERE id = $1 FOR UPDATE', [caseId]);
+      const { status, notes, resolvedBy } = plan(rows.length ? mapCaseRow(rows[0]) : null);
+
+      const { rows: updated } = await client.query(`
+        UPDATE compliance_cases
+        SET status = $2, resolution_notes = $3, resolved_by = $4, resolved_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [caseId, status, notes, resolvedBy]);
+
+      return mapCaseRow(updated[0]);
+    });
+  }
+}
+
+// In-memory stand-in for AmlRepository, used when no DATABASE_URL is
+// configured. Customers and their past payments (`transactions`, as
+// `{ userId, amount, currency, status, createdAt }`) are given up front;
+// unknown customers have no name to screen.
+class InMemoryAmlRepository {
+  constructor({ users = [], transactions = [] } = {}) {
+    this.users = new Map(users.map(user => [user.id, { ...user }]));
+    this.transactions = transactions.map(transaction => ({ id: uuidv4(), ...transaction }));
+    this.cases = new Map();
+  }
+
+  async findUser(userId) {
+    return this.users.has(userId) ? { ...this.users.get(userId) } : { id: userId, firstName: null, lastName: null };
+  }
+
+  async listPaymentsInRange(userId, { currency, min, max, since }) {
+    return this.transactions
+      .filter(transaction => transaction.userId === userId
+        && transaction.currency === currency
+        && transaction.amount >= min && transaction.amount < max
+        && new Date(transaction.createdAt) >= since
+        && !EXCLUDED_TRANSACTION_STATUSES.includes(transaction.status))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(transaction => ({
+        transactionId: transaction.id,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        createdAt: new Date(transaction.createdAt).toISOString()
+      }));
+  }
+
+  async openCases(userId, plan) {
+    const cases = [...this.cases.values()].filter(record => record.userId === userId);
+    const now = new Date().toISOString();
+
+    const opened = plan(await this.findUser(userId), cases.map(record => ({ ...record }))).map((newCase) => {
+      const record = {
+        id: uuidv4(),
+        userId,
+        caseType: newCase.caseType,
+        action: newCase.action,
+        status: 'open',
+        paymentId: newCase.paymentId || null,
+        amount: newCase.amount ?? null,
+        currency: newCase.currency || null,
+        details: newCase.details,
+        resolutionNotes: null,
+        resolvedBy: null,
+        resolvedAt: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.cases.set(record.id, record);
+      return record;
+    });
+
+    return [...cases, ...opened].map(record => ({ ...record }));
+  }
+
+  async findCase(caseId) {
+    const record = this.cases.get(caseId);
+    return record ? { ...record } : null;
+  }
+
+  async listCasesForPayment(userId, paymentId) {
+    return [...this.cases.values()]
+      .filter(record => record.userId === userId || record.paymentId === paymentId)
+      .map(record => ({ ...record }));
+  }
+
+  async listCases({ status, caseType, userId, limit, offset }) {
+    const matching = [...this.cases.values()]
+      .filter(record => (!status || record.status === status)
+        && (!caseType || record.caseType === caseType)
+        && (!userId || record.userId === userId))
+      .reverse();
+
+    return {
+      data: matching.slice(offset, offset + limit).map(record => ({ ...record })),
+      total: matching.length
+    };
+  }
+
+  async resolve(caseId, plan) {
+    const record = this.cases.get(caseId);
+    const { status, notes, resolvedBy } = plan(record ? { ...record } : null);
+    const now = new Date().toISOString();
+
+    Object.assign(record, { status, resolutionNotes: notes, resolvedBy, resolvedAt: now, updatedAt: now });
+    return { ...record };
+  }
+}
+
+module.exports = { AmlRepository, InMemoryAmlRepository };
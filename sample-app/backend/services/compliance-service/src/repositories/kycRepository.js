@@ -0,0 +1,258 @@
+const { withTransaction } = require('../db');
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function mapUserRow(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    kycStatus: row.kyc_status
+  };
+}
+
+function mapDocumentRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    documentType: row.document_type,
+    filePath: row.file_path,
+    fileSize: row.file_size,
+    mimeType: row.mime_type,
+    verificationStatus: row.verification_status,
+    verificationNotes: row.verification_notes,
+    uploadedAt: toISOString(row.uploaded_at),
+    verifiedAt: toISOString(row.verified_at),
+    verifiedBy: row.verified_by
+  };
+}
+
+// KYC state of users (`users.kyc_status`) and their identity documents
+// (`kyc_documents`). Changes run under a lock on the user row so that
+// concurrent uploads, submissions and reviews see a consistent status.
+class KycRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findUser(userId) {
+    const { rows } = await this.db.query(
+      'SELECT id, email, first_name, last_name, kyc_status FROM users WHERE id = $1',
+      [userId]
+    );
+    return rows.length ? mapUserRow(rows[0]) : null;
+  }
+
+  // Documents of a user, newest first
+  async listDocuments(userId) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM kyc_documents WHERE user_id = $1 ORDER BY uploaded_at DESC, id DESC',
+      [userId]
+    );
+    return rows.map(mapDocumentRow);
+  }
+
+  async findDocument(documentId) {
+    const { rows } = await this.db.query('SELECT * FROM kyc_documents WHERE id = $1', [documentId]);
+    return rows.length ? mapDocumentRow(rows[0]) : null;
+  }
+
+  // Store `document` for a user. `plan` receives the locked user (or null)
+  // and returns the user's new KYC status, or throws to abort.
+  async addDocument(userId, document, plan) {
+    return withTransaction(this.db, async (client) => {
+      const user = await lockUser(client, userId);
+      const kycStatus = plan(user);
+
+      const { rows } = await client.query(`
+        INSERT INTO kyc_documents (id, user_id, document_type, file_path, file_size, mime_type)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [document.id, userId, document.documentType, document.filePath, document.fileSize, document.mimeType]);
+
+      if (kycStatus !== user.kycStatus) {
+        await client.query('UPDATE users SET kyc_status = $2 WHERE id = $1', [userId, kycStatus]);
+      }
+
+      return { document: mapDocumentRow(rows[0]), kycStatus };
+    });
+  }
+
+  // Change a user's KYC status. `plan` receives the locked user (or null) and
+  // their pending documents, and returns `{ kycStatus, documentReview? }`,
+  // or throws to abort. A `documentReview` (`{ status, notes, reviewerId }`)
+  // is recorded on every pending document.
+  async transition(userId, plan) {
+    return withTransaction(this.db, async (client) => {
+      const user = await lockUser(client, userId);
+      const { rows: documentRows } = user
+        ? await client.query(
+          "SELECT * FROM kyc_documents WHERE user_id = $1 AND verification_status = 'pending'",
+          [userId]
+        )
+        : { rows: [] };
+
+      const { kycStatus, documentReview } = plan(user, documentRows.map(mapDocumentRow));
+
+      await client.query('UPDATE users SET kyc_status = $2 WHERE id = $1', [userId, kycStatus]);
+
+      if (documentReview) {
+        await client.query(`
+          UPDATE kyc_documents
+          SET verification_status = $2,
+              verification_notes = $3,
+              verified_by = $4,
+              verified_at = CURRENT_TIMESTAMP
+          WHERE user_id = $1 AND verification_status = 'pending'
+        `, [userId, documentReview.status, documentReview.notes, documentReview.reviewerId]);
+      }
+
+      return { ...user, kycStatus };
+    });
+  }
+
+  // Users waiting for review with the documents they submitted, longest
+  // waiting first (by their last upload)
+  async listReviewQueue({ limit, offset }) {
+    const { rows: countRows } = await this.db.query(
+      "SELECT COUNT(*)::int AS total FROM users WHERE kyc_status = 'under_review'"
+    );
+
+    const { rows } = await this.db.query(`
+      SELECT u.id, u.email, u.first_name, u.last_name, u.kyc_status, MAX(d.uploaded_at) AS submitted_at
+      FROM users u
+      LEFT JOIN kyc_documents d ON d.user_id = u.id AND d.verification_status = 'pending'
+      WHERE u.kyc_status = 'under_review'
+      GROUP BY u.id, u.email, u.first_name, u.last_name, u.kyc_status
+      ORDER BY submitted_at ASC, u.id ASC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    const { rows: documentRows } = rows.length
+      ? await this.db.query(`
+        SELECT * FROM kyc_documents
+        WHERE user_id = ANY($1) AND verification_status = 'pending'
+        ORDER BY uploaded_at ASC
+      `, [rows.map(row => row.id)])
+      : { rows: [] };
+
+    return {
+      data: rows.map(row => ({
+        user: mapUserRow(row),
+        submittedAt: toISOString(row.submitted_at),
+        documents: documentRows
+          .filter(document => document.user_id === row.id)
+          .map(mapDocumentRow)
+      })),
+      total: countRows[0].total
+    };
+  }
+}
+
+async function lockUser(client, userId) {
+  const { rows } = await client.query(
+    'SELECT id, email, first_name, last_name, kyc_status FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  return rows.length ? mapUserRow(rows[0]) : null;
+}
+
+// In-memory stand-in for KycRepository, used when no DATABASE_URL is
+// configured. Users that were not added up front exist with KYC not started.
+class InMemoryKycRepository {
+  constructor(users = []) {
+    this.users = new Map(users.map(user => [user.id, { kycStatus: 'not_started', ...user }]));
+    this.documents = new Map();
+  }
+
+  user(userId) {
+    if (!this.users.has(userId)) {
+      this.users.set(userId, { id: userId, email: null, firstName: null, lastName: null, kycStatus: 'not_started' });
+    }
+    return this.users.get(userId);
+  }
+
+  pendingDocuments(userId) {
+    return [...this.documents.values()]
+      .filter(document => document.userId === userId && document.verificationStatus === 'pending');
+  }
+
+  async findUser(userId) {
+    return { ...this.user(userId) };
+  }
+
+  async listDocuments(userId) {
+    return [...this.documents.values()]
+      .filter(document => document.userId === userId)
+      .reverse()
+      .map(document => ({ ...document }));
+  }
+
+  async findDocument(documentId) {
+    const document = this.documents.get(documentId);
+    return document ? { ...document } : null;
+  }
+
+  async addDocument(userId, document, plan) {
+    const user = this.user(userId);
+    const kycStatus = plan({ ...user });
+
+    const record = {
+      id: document.id,
+      userId,
+      documentType: document.documentType,
+      filePath: document.filePath,
+      fileSize: document.fileSize,
+      mimeType: document.mimeType,
+      verificationStatus: 'pending',
+      verificationNotes: null,
+      uploadedAt: new Date().toISOString(),
+      verifiedAt: null,
+      verifiedBy: null
+    };
+    this.documents.set(record.id, record);
+    user.kycStatus = kycStatus;
+
+    return { document: { ...record }, kycStatus };
+  }
+
+  async transition(userId, plan) {
+    const user = this.user(userId);
+    const pending = this.pendingDocuments(userId);
+    const { kycStatus, documentReview } = plan({ ...user }, pending.map(document => ({ ...document })));
+
+    user.kycStatus = kycStatus;
+    if (documentReview) {
+      const verifiedAt = new Date().toISOString();
+      pending.forEach(document => Object.assign(document, {
+        verificationStatus: documentReview.status,
+        verificationNotes: documentReview.notes,
+        verifiedBy: documentReview.reviewerId,
+        verifiedAt
+      }));
+    }
+
+    return { ...user };
+  }
+
+  async listReviewQueue({ limit, offset }) {
+    const queue = [...this.users.values()]
+      .filter(user => user.kycStatus === 'under_review')
+      .map((user) => {
+        const documents = this.pendingDocuments(user.id);
+        return {
+          user: { ...user },
+          submittedAt: documents.length ? documents[documents.length - 1].uploadedAt : null,
+          documents: documents.map(document => ({ ...document }))
+        };
+      })
+      .sort((a, b) => String(a.submittedAt).localeCompare(String(b.submittedAt)));
+
+    return { data: queue.slice(offset, offset + limit), total: queue.length };
+  }
+}
+
+module.exports = { KycRepository, InMemoryKycRepository };
@@ -0,0 +1,90 @@
+const express = require('express');
+const {
+  validateScreeningRequest,
+  validateCaseResolution,
+  validatePaymentDecisionQuery,
+  validateCaseListQuery,
+  validateUuidParam
+} = require('../middleware/validation');
+const { ComplianceError } = require('../utils/errors');
+
+// Case resolutions are recorded against the analyst identified by the API gateway
+function requireUser(req, res, next) {
+  req.userId = req.get('X-User-ID');
+
+  if (!req.userId) {
+    return next(new ComplianceError(401, 'authentication_required',
+      'Compliance cases can only be resolved by an authenticated analyst'));
+  }
+  next();
+}
+
+// Screening is called by the payment service on the private network; the API
+// gateway only exposes the case routes, to the `aml:review` scope.
+function createAmlRoutes({ amlService }) {
+  const router = express.Router({ caseSensitive: true });
+
+  // Screen a payment before it is processed
+  router.post('/screenings', validateScreeningRequest, async (req, res, next) => {
+    try {
+      res.json(await amlService.screenPayment(req.body));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Decision for a screened payment, e.g. before it is captured
+  router.get('/payments/:paymentId', validateUuidParam('paymentId'), validatePaymentDecisionQuery,
+    async (req, res, next) => {
+      try {
+        res.json(await amlService.paymentDecision(req.params.paymentId, req.listQuery.customerId));
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  // Newest first
+  router.get('/cases', validateCaseListQuery, async (req, res, next) => {
+    const { limit, offset } = req.listQuery;
+
+    try {
+      const { data, total } = await amlService.listCases(req.listQuery);
+
+      res.json({
+        data,
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + data.length < total
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/cases/:caseId', validateUuidParam('caseId'), async (req, res, next) => {
+    try {
+      res.json(await amlService.getCase(req.params.caseId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/cases/:caseId/resolve', requireUser, validateUuidParam('caseId'), validateCaseResolution,
+    async (req, res, next) => {
+      try {
+        res.json(await amlService.resolveCase(req.params.caseId, {
+          ...req.body,
+          analystId: req.userId
+        }));
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  return router;
+}
+
+module.exports = { createAmlRoutes };
@@ -0,0 +1,165 @@
+const express = require('express');
+const {
+  validateDocumentUpload,
+  validateReviewQueueQuery,
+  validateApproval,
+  validateRejection,
+  validateUuidParam
+} = require('../middleware/validation');
+const { DOCUMENT_MIME_TYPES } = require('../services/documentStorage');
+const { ComplianceError } = require('../utils/errors');
+
+// KYC routes act for the user identified by the API gateway
+function requireUser(req, res, next) {
+  req.userId = req.get('X-User-ID');
+
+  if (!req.userId) {
+    return next(new ComplianceError(401, 'authentication_required',
+      'KYC verification requires an authenticated user'));
+  }
+  next();
+}
+
+// Scope of the compliance staff who decide on other users' submissions (see
+// the API gateway's config/scopes.js)
+const REVIEW_SCOPE = 'kyc:review';
+
+// Checked here as well as by the API gateway, so that a request reaching the
+// review routes some other way cannot act on another user's KYC
+function requireReviewer(req, res, next) {
+  const scopes = (req.get('X-User-Scopes') || '').split(' ');
+
+  if (!scopes.includes(REVIEW_SCOPE)) {
+    return next(new ComplianceError(403, 'insufficient_scope',
+      'Reviewing KYC submissions requires the kyc:review scope',
+      { requiredScopes: [REVIEW_SCOPE] }));
+  }
+  next();
+}
+
+// Documents are sent as the raw request body with their own Content-Type
+function documentParser(maxDocumentBytes) {
+  const parser = express.raw({ type: DOCUMENT_MIME_TYPES, limit: maxDocumentBytes });
+
+  return (req, res, next) => {
+    if (!req.is(DOCUMENT_MIME_TYPES)) {
+      return next(new ComplianceError(415, 'unsupported_document_type',
+        `Documents must be sent as one of ${DOCUMENT_MIME_TYPES.join(', ')}`,
+        { contentType: req.get('Content-Type') || null, supportedTypes: DOCUMENT_MIME_TYPES }));
+    }
+
+    parser(req, res, (error) => {
+      if (error && error.type === 'entity.too.large') {
+        return next(new ComplianceError(413, 'document_too_large',
+          `Documents must not be larger than ${maxDocumentBytes} bytes`,
+          { maxBytes: maxDocumentBytes }));
+      }
+      next(error);
+    });
+  };
+}
+
+// Customers upload their documents and submit them for review. The review
+// routes are restricted to the `kyc:review` scope.
+function createKycRoutes({ kycService, maxDocumentBytes }) {
+  const router = express.Router({ caseSensitive: true });
+
+  router.use(requireUser);
+
+  router.get('/status', async (req, res, next) => {
+    try {
+      res.json(await kycService.getStatus(req.userId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/documents', documentParser(maxDocumentBytes), validateDocumentUpload, async (req, res, next) => {
+    try {
+      const document = await kycService.uploadDocument(req.userId, {
+        documentType: req.uploadQuery.documentType,
+        mimeType: req.is(DOCUMENT_MIME_TYPES),
+        content: req.body
+      });
+      res.status(201).json(document);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/submit', async (req, res, next) => {
+    try {
+      res.json(await kycService.submit(req.userId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Submissions waiting for a decision, longest waiting first
+  router.get('/reviews', requireReviewer, validateReviewQueueQuery, async (req, res, next) => {
+    const { limit, offset } = req.listQuery;
+
+    try {
+      const { data, total } = await kycService.listReviewQueue({ limit, offset });
+
+      res.json({
+        data,
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + data.length < total
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/reviews/:userId/approve', requireReviewer, validateUuidParam('userId'), validateApproval,
+    async (req, res, next) => {
+      try {
+        res.json(await kycService.review(req.params.userId, {
+          decision: 'approved',
+          notes: req.body.notes,
+          reviewerId: req.userId
+        }));
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  router.post('/reviews/:userId/reject', requireReviewer, validateUuidParam('userId'), validateRejection,
+    async (req, res, next) => {
+      try {
+        res.json(await kycService.review(req.params.userId, {
+          decision: 'rejected',
+          notes: req.body.notes,
+          reviewerId: req.userId
+        }));
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  // The stored file of a document, for reviewers
+  router.get('/documents/:documentId/content', requireReviewer, validateUuidParam('documentId'),
+    async (req, res, next) => {
+      try {
+        const { document, content } = await kycService.readDocument(req.params.documentId);
+
+        res.set({
+          'Content-Type': document.mimeType,
+          'Content-Disposition': 'inline',
+          'Cache-Control': 'no-store'
+        });
+        res.send(content);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  return router;
+}
+
+module.exports = { createKycRoutes };
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const { ComplianceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const CASE_TYPES = ['sanctions_match', 'structuring'];
+const CASE_STATUSES = ['open', 'cleared', 'confirmed'];
+
+// Analysts either clear a case (false positive) or confirm it
+const CASE_RESOLUTIONS = ['cleared', 'confirmed'];
+
+// Default screening configuration. `action` is what an open case does to the
+// customer's payments: `block` fails them, `hold` only authorizes them and
+// refuses the capture until the case is cleared.
+//   - sanctions: the customer's name is at least `matchThreshold` similar to
+//     a name on the sanctions list
+//   - structuring: `minPayments` payments (including the one screened) within
+//     `windowMs`, each less than `margin` below the reporting threshold of
+//     its currency. Currencies without a threshold are not checked.
+const DEFAULT_AML_CONFIG = {
+  sanctions: { enabled: true, action: 'block', matchThreshold: 0.9 },
+  structuring: {
+    enabled: true,
+    action: 'hold',
+    windowMs: 7 * 24 * 60 * 60 * 1000,
+    margin: 0.1,
+    minPayments: 3,
+    reportingThresholds: { USD: 10000, EUR: 10000 }
+  }
+};
+
+// Load the AML configuration, overriding the defaults check by check with the
+// JSON file at `rulesFile` (if any)
+function loadAmlConfig(rulesFile) {
+  if (!rulesFile) {
+    return DEFAULT_AML_CONFIG;
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  return {
+    sanctions: { ...DEFAULT_AML_CONFIG.sanctions, ...overrides.sanctions },
+    structuring: { ...DEFAULT_AML_CONFIG.structuring, ...overrides.structuring }
+  };
+}
+
+// What the customer's cases mean for a payment: `block` while a blocking case
+// is open or confirmed, or a case opened for this payment was confirmed;
+// `hold` while any other case is open; `clear` otherwise. Returns the
+// decision and the cases behind it.
+function decide(cases, paymentId) {
+  const relevant = cases.filter(record => record.status === 'open'
+    || (record.status === 'confirmed' && (record.action === 'block' || record.paymentId === paymentId)));
+
+  let decision = 'clear';
+  if (relevant.some(record => record.action === 'block' || record.status === 'confirmed')) {
+    decision = 'block';
+  } else if (relevant.length) {
+    decision = 'hold';
+  }
+
+  return { decision, cases: relevant };
+}
+
+// Anti-money laundering screening of payments. Each payment is screened
+// before it reaches the processor: the payer's name against the sanctions
+// list, and their recent payments for structuring. A hit opens a case that
+// blocks or holds the customer's payments until an analyst resolves it.
+class AmlService {
+  constructor({ amlRepository, sanctionsList, config = DEFAULT_AML_CONFIG }) {
+    this.amlRepository = amlRepository;
+    this.sanctionsList = sanctionsList;
+    this.config = config;
+  }
+
+  screenSanctions(user) {
+    const { sanctions } = this.config;
+    if (!sanctions.enabled || !user || (!user.firstName && !user.lastName)) {
+      return [];
+    }
+    return this.sanctionsList.screen(user, sanctions.matchThreshold);
+  }
+
+  // The customer's earlier payments just under the reporting threshold of
+  // `currency` within the window, or null when the payment is not in that range
+  async nearThresholdPayments(customerId, { amount, currency }) {
+    const { structuring } = this.config;
+    const threshold = structuring.reportingThresholds[currency];
+    if (!structuring.enabled || !threshold) {
+      return null;
+    }
+
+    const min = threshold * (1 - structuring.margin);
+    if (amount < min || amount >= threshold) {
+      return null;
+    }
+
+    return {
+      threshold,
+      min,
+      payments: await this.amlRepository.listPaymentsInRange(customerId, {
+        currency,
+        min,
+        max: threshold,
+        since: new Date(Date.now() - structuring.windowMs)
+      })
+    };
+  }
+
+  // New cases for a screened payment. Sanctions entries already reviewed for
+  // the customer, and payments that were part of an already reviewed
+  // structuring case, are not raised again.
+  planCases(existing, { paymentId, amount, currency }, matches, nearThreshold) {
+    const { sanctions, structuring } = this.config;
+    const cases = [];
+
+    const reviewedEntries = new Set(existing
+      .filter(record => record.caseType === 'sanctions_match')
+      .flatMap(record => record.details.matches.map(match => match.entryId)));
+    const newMatches = matches.filter(match => !reviewedEntries.has(match.entryId));
+
+    if (newMatches.length) {
+      cases.push({
+        caseType: 'sanctions_match',
+        action: sanctions.action,
+        paymentId,
+        amount,
+        currency,
+        details: { matches: newMatches }
+      });
+    }
+
+    const structuringCases = existing.filter(record => record.caseType === 'structuring');
+    if (nearThreshold && !structuringCases.some(record => record.status === 'open')) {
+      const reviewedUntil = structuringCases
+        .map(record => record.resolvedAt)
+        .sort()
+        .pop();
+      const payments = nearThreshold.payments
+        .filter(payment => !reviewedUntil || payment.createdAt > reviewedUntil);
+
+      if (payments.length + 1 >= structuring.minPayments) {
+        cases.push({
+          caseType: 'structuring',
+          action: structuring.action,
+          paymentId,
+          amount,
+          currency,
+          details: {
+            reportingThreshold: nearThreshold.threshold,
+            rangeFrom: nearThreshold.min,
+            windowMs: structuring.windowMs,
+            payments: [...payments, { paymentId, amount, currency }]
+          }
+        });
+      }
+    }
+
+    return cases;
+  }
+
+  // Screen a payment about to be processed. Resolves to
+  // `{ paymentId, customerId, decision, cases }`.
+  async screenPayment(payment) {
+    const { paymentId, customerId } = payment;
+    const user = await this.amlRepository.findUser(customerId);
+    const matches = this.screenSanctions(user);
+    const nearThreshold = await this.nearThresholdPayments(customerId, payment);
+
+    const cases = await this.amlRepository.openCases(customerId,
+      (locked, existing) => this.planCases(existing, payment, matches, nearThreshold));
+
+    const { decision, cases: relevant } = decide(cases, paymentId);
+    if (decision !== 'clear') {
+      logger.warn('Payment stopped by AML screening', {
+        paymentId,
+        customerId,
+        decision,
+        caseIds: relevant.map(record => record.id)
+      });
+    }
+
+    return { paymentId, customerId, decision, cases: relevant };
+  }
+
+  // Current decision for an earlier screened payment (e.g. before capturing it)
+  async paymentDecision(paymentId, customerId) {
+    const cases = await this.amlRepository.listCasesForPayment(customerId, paymentId);
+    return { paymentId, customerId, ...decide(cases, paymentId) };
+  }
+
+  async listCases(query) {
+    return this.amlRepository.listCases(query);
+  }
+
+  async getCase(caseId) {
+    const record = await this.amlRepository.findCase(caseId);
+    if (!record) {
+      throw new ComplianceError(404, 'case_not_found', 'Compliance case not found');
+    }
+    return record;
+  }
+
+  async resolveCase(caseId, { resolution, notes, analystId }) {
+    const resolved = await this.amlRepository.resolve(caseId, (record) => {
+      if (!record) {
+        throw new ComplianceError(404, 'case_not_found', 'Compliance case not found');
+      }
+      if (record.userId === analystId) {
+        throw new ComplianceError(403, 'self_review_forbidden',
+          'Analysts cannot resolve cases about themselves');
+      }
+      if (record.status !== 'open') {
+        throw new ComplianceError(409, 'case_already_resolved',
+          `Compliance case is already ${record.status}`,
+          { status: record.status });
+      }
+
+      return { status: resolution, notes, resolvedBy: analystId };
+    });
+
+    logger.info('Compliance case resolved', { caseId, resolution, analystId });
+    return resolved;
+  }
+}
+
+module.exports = {
+  AmlService,
+  DEFAULT_AML_CONFIG,
+  loadAmlConfig,
+  decide,
+  CASE_TYPES,
+  CASE_STATUSES,
+  CASE_RESOLUTIONS
+};
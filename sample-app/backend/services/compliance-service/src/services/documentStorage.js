@@ -0,0 +1,20 @@
+const { LocalFileStorage, matchesFormat: matchesFileFormat } = require('../../../../shared/fileStorage');
+
+// Accepted KYC document types
+const DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+// Whether `content` is an accepted document of `mimeType`, judged by its
+// contents
+function matchesFormat(content, mimeType) {
+  return DOCUMENT_MIME_TYPES.includes(mimeType) && matchesFileFormat(content, mimeType);
+}
+
+// KYC documents on the local filesystem under `directory`, one directory per
+// user
+class LocalDocumentStorage extends LocalFileStorage {
+  constructor({ directory }) {
+    super({ directory, label: 'Document' });
+  }
+}
+
+module.exports = { LocalDocumentStorage, DOCUMENT_MIME_TYPES, matchesFormat };
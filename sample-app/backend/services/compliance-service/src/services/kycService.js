@@ -0,0 +1,193 @@
+const { v4: uuidv4 } = require('uuid');
+const { ComplianceError } = require('../utils/errors');
+const { matchesFormat } = require('./documentStorage');
+const { logger } = require('../utils/logger');
+
+// kyc_status_type values
+const KYC_STATUSES = ['not_started', 'pending', 'under_review', 'approved', 'rejected'];
+
+// Allowed changes of `users.kyc_status`: uploading a document starts (or,
+// after a rejection, restarts) verification, the customer then submits their
+// documents for review and a reviewer approves or rejects them.
+const KYC_TRANSITIONS = {
+  not_started: ['pending'],
+  pending: ['under_review'],
+  under_review: ['approved', 'rejected'],
+  rejected: ['pending'],
+  approved: []
+};
+
+// kyc_documents.document_type values
+const DOCUMENT_TYPES = ['id_front', 'id_back', 'selfie', 'proof_address'];
+
+function assertKycTransition(from, to) {
+  if (!(KYC_TRANSITIONS[from] || []).includes(to)) {
+    throw new ComplianceError(409, 'invalid_kyc_transition',
+      `KYC verification cannot move from ${from} to ${to}`,
+      { kycStatus: from, requestedStatus: to });
+  }
+}
+
+function requireUser(user) {
+  if (!user) {
+    throw new ComplianceError(404, 'user_not_found', 'User not found');
+  }
+  return user;
+}
+
+// Documents can be added until they are submitted for review
+function planUpload(user) {
+  requireUser(user);
+
+  if (user.kycStatus === 'pending') {
+    return 'pending';
+  }
+  if (!['not_started', 'rejected'].includes(user.kycStatus)) {
+    throw new ComplianceError(409, 'kyc_documents_locked',
+      `Documents cannot be uploaded while KYC verification is ${user.kycStatus}`,
+      { kycStatus: user.kycStatus });
+  }
+
+  assertKycTransition(user.kycStatus, 'pending');
+  return 'pending';
+}
+
+// Where documents are stored is internal to the service
+function publicDocument({ filePath, ...document }) {
+  return document;
+}
+
+// KYC verification of users: document uploads, submission for review and the
+// reviewers' decision. Document files are kept in `documentStorage`; their
+// metadata and the user's status in `kycRepository`.
+class KycService {
+  constructor({ kycRepository, documentStorage, config }) {
+    this.kycRepository = kycRepository;
+    this.documentStorage = documentStorage;
+    this.config = config;
+  }
+
+  // Document types still missing before a user can submit for review
+  missingDocuments(documents) {
+    return this.config.requiredDocuments
+      .filter(type => !documents.some(document => document.documentType === type));
+  }
+
+  async getStatus(userId) {
+    const user = requireUser(await this.kycRepository.findUser(userId));
+    const documents = await this.kycRepository.listDocuments(userId);
+    const pending = documents.filter(document => document.verificationStatus === 'pending');
+
+    return {
+      userId,
+      kycStatus: user.kycStatus,
+      requiredDocuments: this.config.requiredDocuments,
+      missingDocuments: ['not_started', 'pending', 'rejected'].includes(user.kycStatus)
+        ? this.missingDocuments(pending)
+        : [],
+      documents: documents.map(publicDocument)
+    };
+  }
+
+  async uploadDocument(userId, { documentType, mimeType, content }) {
+    if (!matchesFormat(content, mimeType)) {
+      throw new ComplianceError(415, 'document_type_mismatch',
+        `Document content is not a valid ${mimeType} file`,
+        { mimeType });
+    }
+
+    // Fail before writing the file when the upload would be refused anyway
+    planUpload(await this.kycRepository.findUser(userId));
+
+    const documentId = uuidv4();
+    const filePath = await this.documentStorage.save(userId, documentId, mimeType, content);
+
+    try {
+      const { document, kycStatus } = await this.kycRepository.addDocument(userId, {
+        id: documentId,
+        documentType,
+        filePath,
+        fileSize: content.length,
+        mimeType
+      }, planUpload);
+
+      logger.info('KYC document uploaded', { userId, documentId, documentType, kycStatus });
+      return { ...publicDocument(document), kycStatus };
+    } catch (error) {
+      await this.documentStorage.remove(filePath);
+      throw error;
+    }
+  }
+
+  // Send the uploaded documents to the review queue
+  async submit(userId) {
+    await this.kycRepository.transition(userId, (user, pendingDocuments) => {
+      requireUser(user);
+      assertKycTransition(user.kycStatus, 'under_review');
+
+      const missingDocuments = this.missingDocuments(pendingDocuments);
+      if (missingDocuments.length) {
+        throw new ComplianceError(422, 'kyc_documents_missing',
+          'Required documents have not been uploaded',
+          { missingDocuments });
+      }
+
+      return { kycStatus: 'under_review' };
+    });
+
+    logger.info('KYC submitted for review', { userId });
+    return this.getStatus(userId);
+  }
+
+  async listReviewQueue(pagination) {
+    const { data, total } = await this.kycRepository.listReviewQueue(pagination);
+
+    return {
+      data: data.map(entry => ({ ...entry, documents: entry.documents.map(publicDocument) })),
+      total
+    };
+  }
+
+  // Approve or reject a submission; the decision and `notes` are recorded on
+  // every document under review
+  async review(userId, { decision, notes, reviewerId }) {
+    if (userId === reviewerId) {
+      throw new ComplianceError(403, 'self_review_forbidden',
+        'Reviewers cannot review their own KYC verification');
+    }
+
+    await this.kycRepository.transition(userId, (user) => {
+      requireUser(user);
+      assertKycTransition(user.kycStatus, decision);
+
+      return {
+        kycStatus: decision,
+        documentReview: { status: decision, notes: notes || null, reviewerId }
+      };
+    });
+
+    logger.info('KYC reviewed', { userId, decision, reviewerId });
+    return this.getStatus(userId);
+  }
+
+  // `{ document, content }` of a stored document, for reviewers
+  async readDocument(documentId) {
+    const document = await this.kycRepository.findDocument(documentId);
+    if (!document) {
+      throw new ComplianceError(404, 'document_not_found', 'Document not found');
+    }
+
+    return {
+      document: publicDocument(document),
+      content: await this.documentStorage.read(document.filePath)
+    };
+  }
+}
+
+module.exports = {
+  KycService,
+  KYC_STATUSES,
+  KYC_TRANSITIONS,
+  DOCUMENT_TYPES,
+  assertKycTransition
+};
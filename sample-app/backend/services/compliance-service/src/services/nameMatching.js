@@ -0,0 +1,97 @@
+// Fuzzy person name matching for sanctions screening. Names are compared
+// token by token with the Jaro-Winkler similarity, ignoring case, accents,
+// punctuation and word order ("SMITH, John" matches "John Smith").
+
+// Name parts in a comparable form: "Müller-Lüdenscheidt, José" ->
+// ['muller', 'ludenscheidt', 'jose']
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Jaro-Winkler similarity of two strings, from 0 (nothing in common) to 1
+function jaroWinkler(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (!a.length || !b.length) {
+    return 0;
+  }
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i += 1) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length - 1, i + window);
+    for (let j = from; j <= to; j += 1) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+
+  if (!matches) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  let j = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (aMatched[i]) {
+      while (!bMatched[j]) j += 1;
+      if (a[i] !== b[j]) transpositions += 1;
+      j += 1;
+    }
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix += 1;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Similarity (0 to 1) of a customer's name to a listed name: every part of
+// the customer's name is paired with the most similar unused part of the
+// listed name and the pair scores are averaged. Extra parts of the listed
+// name (middle names, patronymics) do not lower the score.
+function nameSimilarity(customerTokens, listedTokens) {
+  if (!customerTokens.length || !listedTokens.length) {
+    return 0;
+  }
+
+  const available = [...listedTokens];
+  let total = 0;
+
+  customerTokens.forEach((token) => {
+    let bestIndex = -1;
+    let bestScore = 0;
+    available.forEach((candidate, index) => {
+      const score = jaroWinkler(token, candidate);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex >= 0) {
+      available.splice(bestIndex, 1);
+    }
+    total += bestScore;
+  });
+
+  return total / customerTokens.length;
+}
+
+module.exports = { nameTokens, jaroWinkler, nameSimilarity };
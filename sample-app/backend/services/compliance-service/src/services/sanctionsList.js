@@ -0,0 +1,77 @@
+const fs = require('fs');
+const { parseCsv } = require('../utils/csv');
+const { nameTokens, nameSimilarity } = require('./nameMatching');
+
+// Entry types screened against customers; OFAC lists entities, vessels and
+// aircraft as well, which cannot match a person's name
+const SCREENED_TYPES = ['individual', ''];
+
+// Sanctioned individuals, screened by fuzzy name matching.
+//
+// The list is a CSV in the layout of OFAC's SDN list, with a header row and
+// the columns `ent_num` (entry ID), `sdn_name` (e.g. "SMITH, John"),
+// `sdn_type` and `program`, plus an optional `aliases` column of alternate
+// names separated by ";". Rows whose type is not `individual` (or empty) are
+// ignored.
+class SanctionsList {
+  constructor(entries = [], { source = null } = {}) {
+    this.source = source;
+    this.entries = entries.map(entry => ({
+      ...entry,
+      names: [entry.name, ...(entry.aliases || [])].map(name => ({ name, tokens: nameTokens(name) }))
+    }));
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // Entries whose name or an alias is at least `threshold` similar to the
+  // customer's name, best match first
+  screen({ firstName, lastName }, threshold) {
+    const customerTokens = nameTokens(`${firstName || ''} ${lastName || ''}`);
+
+    return this.entries
+      .map((entry) => {
+        const best = entry.names
+          .map(({ name, tokens }) => ({ name, score: nameSimilarity(customerTokens, tokens) }))
+          .reduce((a, b) => (b.score > a.score ? b : a));
+
+        return {
+          entryId: entry.id,
+          listedName: entry.name,
+          matchedName: best.name,
+          program: entry.program,
+          score: Number(best.score.toFixed(4))
+        };
+      })
+      .filter(match => match.score >= threshold)
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+// Load the sanctions list from `filePath`; an empty list when no file is configured
+function loadSanctionsList(filePath) {
+  if (!filePath) {
+    return new SanctionsList();
+  }
+
+  const rows = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  const missing = ['ent_num', 'sdn_name'].filter(column => rows.length && !(column in rows[0]));
+  if (missing.length) {
+    throw new Error(`Sanctions list ${filePath} is missing the columns ${missing.join(', ')}`);
+  }
+
+  const entries = rows
+    .filter(row => SCREENED_TYPES.includes((row.sdn_type || '').toLowerCase()) && row.sdn_name)
+    .map(row => ({
+      id: row.ent_num,
+      name: row.sdn_name,
+      program: row.program || null,
+      aliases: (row.aliases || '').split(';').map(alias => alias.trim()).filter(Boolean)
+    }));
+
+  return new SanctionsList(entries, { source: filePath });
+}
+
+module.exports = { SanctionsList, loadSanctionsList };
@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV support for sanctions lists
+
+// Parse CSV text into one object per data row, keyed by the header row.
+// Header names are trimmed and lower-cased; blank lines are skipped. Each row
+// also carries its 1-based `line` number in the file for error reports.
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    recordLine = line;
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      line += 1;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new SyntaxError(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  const [header, ...rows] = records;
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.fields.map(name => name.trim().toLowerCase());
+  return rows.map(row => ({
+    line: row.line,
+    ...Object.fromEntries(columns.map((column, index) => [column, (row.fields[index] ?? '').trim()]))
+  }));
+}
+
+module.exports = { parseCsv };
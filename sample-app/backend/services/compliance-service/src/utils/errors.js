@@ -0,0 +1,15 @@
+// Error raised for expected compliance failures (invalid KYC state, rejected
+// documents, etc.). The global error handler turns it into a JSON response
+// using `statusCode`, and exposes `code` and `details` so that clients can
+// react programmatically.
+class ComplianceError extends Error {
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = 'ComplianceError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { ComplianceError };
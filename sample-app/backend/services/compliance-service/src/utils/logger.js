@@ -0,0 +1,29 @@
+const winston = require('winston');
+const { createRedactionFormat } = require('../../../../shared/redaction');
+
+const redactionFormat = createRedactionFormat(winston);
+
+// Create logger instance for compliance service
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactionFormat(),
+    winston.format.json()
+  ),
+  defaultMeta: {
+    service: 'compliance-service',
+    environment: process.env.NODE_ENV || 'development'
+  },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+module.exports = { logger };
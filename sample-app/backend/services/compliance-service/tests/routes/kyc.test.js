@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const ComplianceService = require('../../src/app');
+const { LocalDocumentStorage } = require('../../src/services/documentStorage');
+
+const CUSTOMER = '550e8400-e29b-41d4-a716-446655440201';
+const OTHER_CUSTOMER = '550e8400-e29b-41d4-a716-446655440202';
+const REVIEWER = '550e8400-e29b-41d4-a716-446655440203';
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image')]);
+
+// supertest request authenticated by the API gateway as `userId`
+function as(app, userId, scopes = []) {
+  const wrap = method => urlPath => request(app)[method](urlPath)
+    .set('X-User-ID', userId)
+    .set('X-User-Scopes', scopes.join(' '));
+
+  return { get: wrap('get'), post: wrap('post') };
+}
+
+describe('KYC review routes', () => {
+  let storageDir;
+  let app;
+  let documentId;
+
+  const customer = () => as(app, CUSTOMER, ['kyc:submit']);
+  const otherCustomer = () => as(app, OTHER_CUSTOMER, ['kyc:submit']);
+  const reviewer = () => as(app, REVIEWER, ['kyc:review']);
+
+  beforeEach(async () => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-'));
+    app = new ComplianceService({
+      documentStorage: new LocalDocumentStorage({ directory: storageDir })
+    }).getApp();
+
+    const upload = documentType => customer().post(`/kyc/documents?documentType=${documentType}`)
+      .set('Content-Type', 'image/png')
+      .send(PNG);
+
+    documentId = (await upload('id_front')).body.id;
+    await upload('selfie');
+    expect((await customer().post('/kyc/submit')).body.kycStatus).toBe('under_review');
+  });
+
+  afterEach(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it.each([
+    ['list the review queue', () => otherCustomer().get('/kyc/reviews')],
+    ['approve a submission', () => otherCustomer().post(`/kyc/reviews/${CUSTOMER}/approve`).send({})],
+    ['reject a submission', () => otherCustomer().post(`/kyc/reviews/${CUSTOMER}/reject`).send({ notes: 'Blurry' })],
+    ['read a document', () => otherCustomer().get(`/kyc/documents/${documentId}/content`)],
+    ['approve their own submission', () => customer().post(`/kyc/reviews/${CUSTOMER}/approve`).send({})]
+  ])('does not let a customer %s', async (action, send) => {
+    const res = await send();
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('insufficient_scope');
+    expect((await customer().get('/kyc/status')).body.kycStatus).toBe('under_review');
+  });
+
+  it('lets a reviewer see the queue and the documents', async () => {
+    const queue = await reviewer().get('/kyc/reviews');
+    expect(queue.status).toBe(200);
+    expect(queue.body.data.map(entry => entry.user.id)).toEqual([CUSTOMER]);
+
+    const content = await reviewer().get(`/kyc/documents/${documentId}/content`);
+    expect(content.status).toBe(200);
+    expect(content.headers['content-type']).toBe('image/png');
+    expect(content.body.equals(PNG)).toBe(true);
+  });
+
+  it('lets a reviewer decide on a submission', async () => {
+    const res = await reviewer().post(`/kyc/reviews/${CUSTOMER}/approve`).send({ notes: 'Matches the selfie' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.kycStatus).toBe('approved');
+  });
+
+  it('does not let reviewers review themselves', async () => {
+    const res = await as(app, CUSTOMER, ['kyc:submit', 'kyc:review'])
+      .post(`/kyc/reviews/${CUSTOMER}/approve`).send({});
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('self_review_forbidden');
+  });
+});
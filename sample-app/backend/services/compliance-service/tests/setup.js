@@ -0,0 +1,4 @@
+// Service logs are noise in test output
+const { logger } = require('../src/utils/logger');
+
+logger.silent = true;
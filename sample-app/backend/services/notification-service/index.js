@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+const NotificationService = require('./src/app');
+const { logger } = require('./src/utils/logger');
+
+async function startServer() {
+  try {
+    const service = new NotificationService();
+    await service.start();
+  } catch (error) {
+    logger.error('Failed to start Notification Service:', error);
+    process.exit(1);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught Exception in Notification Service:', error);
+  process.exit(1);
+});
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection in Notification Service:', promise, 'reason:', reason);
+  process.exit(1);
+});
+
+startServer();
\ No newline at end of file
@@ -0,0 +1,283 @@
+const os = require('os');
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const morgan = require('morgan');
+const compression = require('compression');
+const { v4: uuidv4 } = require('uuid');
+
+const { logger } = require('./utils/logger');
+const { createPool } = require('./db');
+const { createRedisClient } = require('./utils/redis');
+const { NotificationRepository, InMemoryNotificationRepository } = require('./repositories/notificationRepository');
+const { UserRepository, InMemoryUserRepository } = require('./repositories/userRepository');
+const { ProcessedEventRepository, InMemoryProcessedEventRepository } = require('./repositories/processedEventRepository');
+const { NotificationDispatcher } = require('./services/notificationDispatcher');
+const { NotificationWorker } = require('./services/notificationWorker');
+const { EventConsumer } = require('./services/eventConsumer');
+const { PaymentEventNotifier } = require('./services/paymentEventNotifier');
+const { createTransports } = require('./transports');
+const { createNotificationRoutes } = require('./routes/notifications');
+
+class NotificationService {
+  // `options` allows collaborators (e.g. an in-memory repository) to be injected for tests
+  constructor(options = {}) {
+    this.app = express();
+    // Match routes case-sensitively, like the gateway that authorizes them
+    this.app.set('case sensitive routing', true);
+    this.config = this.loadConfiguration();
+    this.setupDataAccess(options);
+    this.setupServices(options);
+    this.setupMiddleware();
+    this.setupRoutes();
+    this.setupErrorHandling();
+  }
+
+  loadConfiguration() {
+    return {
+      port: process.env.PORT || 3004,
+      environment: process.env.NODE_ENV || 'development',
+      database: {
+        url: process.env.DATABASE_URL,
+        poolSize: parseInt(process.env.CONNECTION_POOL_SIZE, 10) || 10,
+        queryTimeout: parseInt(process.env.QUERY_TIMEOUT, 10) || 30000
+      },
+      // Where each channel is sent. The console and file sinks deliver
+      // locally, for development and tests.
+      transports: {
+        email: process.env.NOTIFICATION_EMAIL_TRANSPORT || 'console',
+        sms: process.env.NOTIFICATION_SMS_TRANSPORT || 'console',
+        timeoutMs: parseInt(process.env.NOTIFICATION_SEND_TIMEOUT_MS, 10) || 10000,
+        file: {
+          path: process.env.NOTIFICATION_SINK_FILE || 'logs/notifications.jsonl'
+        },
+        sendgrid: {
+          apiKey: process.env.SENDGRID_API_KEY,
+          fromEmail: process.env.FROM_EMAIL || 'noreply@payflow.example.com'
+        },
+        twilio: {
+          accountSid: process.env.TWILIO_ACCOUNT_SID,
+          authToken: process.env.TWILIO_AUTH_TOKEN,
+          fromNumber: process.env.TWILIO_PHONE_NUMBER
+        }
+      },
+      notifications: {
+        enabledChannels: {
+          email: process.env.EMAIL_NOTIFICATIONS_ENABLED !== 'false',
+          sms: process.env.SMS_NOTIFICATIONS_ENABLED !== 'false',
+          in_app: true
+        },
+        // Default for `notifications.max_retries`; a request may override it
+        maxRetries: parseInt(process.env.NOTIFICATION_MAX_RETRIES, 10) || 3,
+        retryBaseMs: parseInt(process.env.NOTIFICATION_RETRY_BASE_MS, 10) || 60 * 1000,
+        retryMaxMs: parseInt(process.env.NOTIFICATION_RETRY_MAX_MS, 10) || 60 * 60 * 1000,
+        sendTimeoutMs: parseInt(process.env.NOTIFICATION_SEND_TIMEOUT_MS, 10) || 10000,
+        batchSize: parseInt(process.env.NOTIFICATION_BATCH_SIZE, 10) || 20,
+        pollIntervalMs: parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS, 10) || 5000
+      },
+      // Payment events from the event bus (a Redis stream), read as one
+      // consumer of `group`. Entries not handled after `maxDeliveries`
+      // deliveries are moved to `deadLetterStream`.
+      eventBus: {
+        redisUrl: process.env.REDIS_URL,
+        stream: process.env.EVENT_BUS_STREAM || 'payflow.events',
+        deadLetterStream: process.env.EVENT_BUS_DEAD_LETTER_STREAM || 'payflow.events.dead-letter',
+        group: process.env.EVENT_CONSUMER_GROUP || 'notification-service',
+        consumer: process.env.EVENT_CONSUMER_NAME || os.hostname(),
+        batchSize: parseInt(process.env.EVENT_CONSUMER_BATCH_SIZE, 10) || 50,
+        pollIntervalMs: parseInt(process.env.EVENT_CONSUMER_POLL_INTERVAL_MS, 10) || 1000,
+        claimIdleMs: parseInt(process.env.EVENT_CONSUMER_CLAIM_IDLE_MS, 10) || 60 * 1000,
+        maxDeliveries: parseInt(process.env.EVENT_CONSUMER_MAX_DELIVERIES, 10) || 5
+      }
+    };
+  }
+
+  setupDataAccess(options) {
+    if (this.config.database.url) {
+      this.db = createPool(this.config.database);
+    } else {
+      logger.warn('DATABASE_URL not set, using in-memory repositories');
+    }
+
+    this.notificationRepository = options.notificationRepository || (this.db
+      ? new NotificationRepository(this.db)
+      : new InMemoryNotificationRepository());
+
+    this.userRepository = options.userRepository || (this.db
+      ? new UserRepository(this.db)
+      : new InMemoryUserRepository());
+
+    this.processedEventRepository = options.processedEventRepository || (this.db
+      ? new ProcessedEventRepository(this.db)
+      : new InMemoryProcessedEventRepository());
+
+    if (options.redisClient) {
+      this.redis = options.redisClient;
+    } else if (this.config.eventBus.redisUrl) {
+      this.redis = createRedisClient(this.config.eventBus.redisUrl);
+    } else {
+      logger.warn('REDIS_URL not set, payment events are not received and customers are not notified of payments');
+    }
+  }
+
+  setupServices(options) {
+    this.transports = options.transports || createTransports(this.config.transports, {
+      ...(options.fetch && { fetch: options.fetch })
+    });
+
+    this.notificationDispatcher = new NotificationDispatcher({
+      notificationRepository: this.notificationRepository,
+      userRepository: this.userRepository,
+      transports: this.transports,
+      config: this.config.notifications
+    });
+    this.notificationWorker = new NotificationWorker({
+      notificationDispatcher: this.notificationDispatcher,
+      intervalMs: this.config.notifications.pollIntervalMs
+    });
+
+    // Customer receipts and failure/refund notices for payment events
+    const paymentEventNotifier = new PaymentEventNotifier({
+      notificationDispatcher: this.notificationDispatcher
+    });
+    this.eventConsumer = this.redis
+      ? new EventConsumer({
+        client: this.redis,
+        stream: this.config.eventBus.stream,
+        deadLetterStream: this.config.eventBus.deadLetterStream,
+        group: this.config.eventBus.group,
+        consumer: this.config.eventBus.consumer,
+        handler: (event, context) => paymentEventNotifier.handle(event, context),
+        processedEventRepository: this.processedEventRepository,
+        batchSize: this.config.eventBus.batchSize,
+        pollIntervalMs: this.config.eventBus.pollIntervalMs,
+        claimIdleMs: this.config.eventBus.claimIdleMs,
+        maxDeliveries: this.config.eventBus.maxDeliveries
+      })
+      : null;
+  }
+
+  setupMiddleware() {
+    this.app.use(helmet());
+
+    // Called by other services and, for the inbox, through the API gateway
+    this.app.use(cors({
+      origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
+      credentials: true,
+      methods: ['GET', 'POST']
+    }));
+
+    this.app.use(compression());
+    this.app.use(express.json({ limit: '100kb' }));
+
+    if (this.config.environment !== 'test') {
+      this.app.use(morgan('combined', {
+        stream: { write: (message) => logger.info(message.trim()) }
+      }));
+    }
+
+    // Request ID for tracing (reuses the one assigned by the caller)
+    this.app.use((req, res, next) => {
+      req.requestId = req.get('X-Request-ID') || uuidv4();
+      res.setHeader('X-Request-ID', req.requestId);
+      next();
+    });
+  }
+
+  setupRoutes() {
+    // Health check
+    this.app.get('/health', (req, res) => {
+      res.status(200).json({
+        status: 'healthy',
+        service: 'notification-service',
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+      });
+    });
+
+    // Templated notifications and the in-app inbox
+    this.app.use('/notifications', createNotificationRoutes({
+      notificationDispatcher: this.notificationDispatcher
+    }));
+  }
+
+  setupErrorHandling() {
+    // 404 handler
+    this.app.use('*', (req, res) => {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Notification endpoint not found',
+        path: req.originalUrl,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Global error handler
+    this.app.use((err, req, res, next) => {
+      const statusCode = err.statusCode || 500;
+
+      if (statusCode >= 500) {
+        logger.error('Notification service error:', {
+          error: err.message,
+          stack: err.stack,
+          requestId: req.requestId
+        });
+      }
+
+      // Don't expose internal errors in production
+      const message = this.config.environment === 'production' && statusCode >= 500
+        ? 'Notification processing error'
+        : err.message;
+
+      res.status(statusCode).json({
+        error: 'Notification Error',
+        ...(err.code && { code: err.code }),
+        message: message,
+        ...(err.details && { details: err.details }),
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      try {
+        const server = this.app.listen(this.config.port, () => {
+          logger.info(`Notification Service started on port ${this.config.port}`);
+          logger.info(`Environment: ${this.config.environment}`);
+          this.notificationWorker.start();
+          this.eventConsumer?.start();
+          resolve(server);
+        });
+
+        // Graceful shutdown
+        process.on('SIGTERM', () => {
+          logger.info('SIGTERM received, shutting down notification service');
+          this.notificationWorker.stop();
+          this.eventConsumer?.stop();
+          server.close(async () => {
+            if (this.db) {
+              await this.db.end();
+            }
+            if (this.redis?.isOpen) {
+              await this.redis.quit();
+            }
+            logger.info('Notification service terminated');
+            process.exit(0);
+          });
+        });
+
+      } catch (error) {
+        logger.error('Failed to start Notification Service:', error);
+        reject(error);
+      }
+    });
+  }
+
+  getApp() {
+    return this.app;
+  }
+}
+
+module.exports = NotificationService;
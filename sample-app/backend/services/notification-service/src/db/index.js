@@ -0,0 +1,37 @@
+const { Pool } = require('pg');
+const { logger } = require('../utils/logger');
+
+// Create a connection pool for the PayFlow database
+function createPool(databaseConfig) {
+  const pool = new Pool({
+    connectionString: databaseConfig.url,
+    max: databaseConfig.poolSize,
+    statement_timeout: databaseConfig.queryTimeout
+  });
+
+  pool.on('error', (error) => {
+    logger.error('Unexpected database pool error', { error: error.message });
+  });
+
+  return pool;
+}
+
+// Run `work` inside a single database transaction. The callback receives a
+// client that must be used for every query that belongs to the transaction.
+async function withTransaction(pool, work) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { createPool, withTransaction };
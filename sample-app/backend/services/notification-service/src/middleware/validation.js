@@ -0,0 +1,115 @@
+const Joi = require('joi');
+const { TEMPLATE_IDS, CHANNELS } = require('../services/templates');
+const { NOTIFICATION_STATUSES } = require('../services/notificationDispatcher');
+
+// notification_type values (push notifications are not sent yet)
+const NOTIFICATION_TYPES = ['email', 'sms', 'push', 'in_app'];
+
+// Notification request validation schema
+const notificationRequestSchema = Joi.object({
+  userId: Joi.string().guid().required()
+    .messages({
+      'string.guid': 'User ID must be a valid UUID',
+      'any.required': 'User ID is required'
+    }),
+
+  template: Joi.string().valid(...TEMPLATE_IDS).required(),
+
+  // Values for the template's placeholders
+  data: Joi.object().pattern(
+    Joi.string(),
+    Joi.alternatives().try(Joi.string().max(500), Joi.number())
+  ).required(),
+
+  channels: Joi.array().items(Joi.string().valid(...CHANNELS)).min(1).unique().optional(),
+
+  scheduledFor: Joi.date().iso().optional(),
+
+  maxRetries: Joi.number().integer().min(0).max(10).optional(),
+
+  metadata: Joi.object().pattern(
+    Joi.string().max(40),
+    Joi.alternatives().try(Joi.string().max(500), Joi.number(), Joi.boolean())
+  ).max(20).optional()
+});
+
+const notificationListQuerySchema = Joi.object({
+  type: Joi.string().valid(...NOTIFICATION_TYPES).optional(),
+  status: Joi.string().valid(...NOTIFICATION_STATUSES).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const deliveryStatusSchema = Joi.object({
+  status: Joi.string().valid('delivered', 'failed').required(),
+  reason: Joi.string().max(500).optional()
+});
+
+function validationErrorResponse(req, res, message, error) {
+  return res.status(400).json({
+    error: 'Validation Error',
+    message,
+    details: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    })),
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function validateBody(schema, message) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return validationErrorResponse(req, res, message, error);
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+function validateUuidParam(name) {
+  return (req, res, next) => {
+    const { error } = Joi.string().guid().required().label(name).validate(req.params[name]);
+
+    if (error) {
+      return validationErrorResponse(req, res, `Invalid ${name}`, error);
+    }
+
+    next();
+  };
+}
+
+function validateNotificationListQuery(req, res, next) {
+  const { error, value } = notificationListQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid notification query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
+const validateNotificationRequest = validateBody(notificationRequestSchema, 'Invalid notification request');
+const validateDeliveryStatus = validateBody(deliveryStatusSchema, 'Invalid delivery status');
+
+module.exports = {
+  validateNotificationRequest,
+  validateNotificationListQuery,
+  validateDeliveryStatus,
+  validateUuidParam,
+  notificationRequestSchema,
+  notificationListQuerySchema,
+  deliveryStatusSchema,
+  NOTIFICATION_TYPES
+};
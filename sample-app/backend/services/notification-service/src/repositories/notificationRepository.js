@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { withTransaction } = require('../db');
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function mapNotificationRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    type: row.type,
+    templateId: row.template_id,
+    subject: row.subject,
+    content: row.content,
+    recipient: row.recipient,
+    status: row.status,
+    retryCount: row.retry_count,
+    maxRetries: row.max_retries,
+    scheduledFor: toISOString(row.scheduled_for),
+    sentAt: toISOString(row.sent_at),
+    deliveredAt: toISOString(row.delivered_at),
+    openedAt: toISOString(row.opened_at),
+    failedAt: toISOString(row.failed_at),
+    failureReason: row.failure_reason,
+    metadata: row.metadata || {},
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at)
+  };
+}
+
+// Notifications backed by the `notifications` table. A notification is due
+// while it is `pending` and its `scheduled_for` (if any) has passed; the
+// delivery worker also uses `scheduled_for` as the time of the next retry
+// and as a lease while a send is in flight.
+class NotificationRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Queue the notifications of one request together, in a transaction of
+  // their own or in the caller's one when given its `client`
+  async createMany(notifications, client = null) {
+    if (!client) {
+      return withTransaction(this.db, transaction => this.createMany(notifications, transaction));
+    }
+
+    const created = [];
+
+    for (const notification of notifications) {
+      const { rows } = await client.query(`
+        INSERT INTO notifications (
+          user_id, type, template_id, subject, content, recipient,
+          max_retries, scheduled_for, metadata
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        notification.userId,
+        notification.type,
+        notification.templateId,
+        notification.subject,
+        notification.content,
+        notification.recipient,
+        notification.maxRetries,
+        notification.scheduledFor,
+        JSON.stringify(notification.metadata)
+      ]);
+      created.push(mapNotificationRow(rows[0]));
+    }
+
+    return created;
+  }
+
+  async findById(id) {
+    const { rows } = await this.db.query('SELECT * FROM notifications WHERE id = $1', [id]);
+    return rows.length ? mapNotificationRow(rows[0]) : null;
+  }
+
+  // Notifications of a user, newest first
+  async listForUser(userId, { type, status, limit, offset }) {
+    const filters = ['user_id = $1'];
+    const params = [userId];
+
+    if (type) {
+      params.push(type);
+      filters.push(`type = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      filters.push(`status = $${params.length}`);
+    }
+
+    const where = `WHERE ${filters.join(' AND ')}`;
+
+    const { rows: countRows } = await this.db.query(
+      `SELECT COUNT(*)::int AS total FROM notifications ${where}`,
+      params
+    );
+
+    const { rows } = await this.db.query(`
+      SELECT * FROM notifications
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return { data: rows.map(mapNotificationRow), total: countRows[0].total };
+  }
+
+  // Claim up to `limit` due notifications by pushing `scheduled_for` out to
+  // `leaseUntil`, so that other workers skip them while they are being sent.
+  async claimDue(limit, leaseUntil) {
+    const { rows } = await this.db.query(`
+      UPDATE notifications SET scheduled_for = $2
+      WHERE id IN (
+        SELECT id FROM notifications
+        WHERE status = 'pending'
+          AND (scheduled_for IS NULL OR scheduled_for <= CURRENT_TIMESTAMP)
+        ORDER BY scheduled_for NULLS FIRST, created_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, leaseUntil]);
+
+    return rows.map(mapNotificationRow);
+  }
+
+  // Move a notification out of `fromStatus`. The timestamp of the new status
+  // is set and `metadata` merged into the stored metadata; a retry keeps the
+  // status and sets `retryCount` and `scheduledFor`. Returns null when the
+  // notification is no longer in `fromStatus`.
+  async transition(id, fromStatus, {
+    status,
+    retryCount = null,
+    scheduledFor = null,
+    failureReason = null,
+    metadata = {}
+  }) {
+    const { rows } = await this.db.query(`
+      UPDATE notifications
+      SET status = $3,
+          retry_count = COALESCE($4, retry_count),
+          scheduled_for = COALESCE($5, scheduled_for),
+          failure_reason = $6,
+          sent_at = CASE WHEN $7 THEN COALESCE(sent_at, CURRENT_TIMESTAMP) ELSE sent_at END,
+          delivered_at = CASE WHEN $8 THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+          failed_at = CASE WHEN $9 THEN CURRENT_TIMESTAMP ELSE failed_at END,
+          metadata = COALESCE(metadata, '{}'::jsonb) || $10::jsonb
+      WHERE id = $1 AND status = $2
+      RETURNING *
+    `, [
+      id,
+      fromStatus,
+      status,
+      retryCount,
+      scheduledFor,
+      failureReason,
+      status === 'sent' || status === 'delivered',
+      status === 'delivered',
+      status === 'failed',
+      JSON.stringify(metadata)
+    ]);
+
+    return rows.length ? mapNotificationRow(rows[0]) : null;
+  }
+
+  // Record the first time a user opened a notification
+  async markOpened(id) {
+    const { rows } = await this.db.query(`
+      UPDATE notifications SET opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP)
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+
+    return rows.length ? mapNotificationRow(rows[0]) : null;
+  }
+}
+
+// In-memory stand-in for NotificationRepository, used when no DATABASE_URL is configured
+class InMemoryNotificationRepository {
+  constructor() {
+    this.notifications = new Map();
+  }
+
+  async createMany(notifications) {
+    return notifications.map((notification) => {
+      const now = new Date().toISOString();
+      const record = {
+        id: crypto.randomUUID(),
+        userId: notification.userId,
+        type: notification.type,
+        templateId: notification.templateId,
+        subject: notification.subject,
+        content: notification.content,
+        recipient: notification.recipient,
+        status: 'pending',
+        retryCount: 0,
+        maxRetries: notification.maxRetries,
+        scheduledFor: notification.scheduledFor ? new Date(notification.scheduledFor).toISOString() : null,
+        sentAt: null,
+        deliveredAt: null,
+        openedAt: null,
+        failedAt: null,
+        failureReason: null,
+        metadata: { ...notification.metadata },
+        createdAt: now,
+        updatedAt: now
+      };
+      this.notifications.set(record.id, record);
+      return { ...record };
+    });
+  }
+
+  async findById(id) {
+    const notification = this.notifications.get(id);
+    return notification ? { ...notification } : null;
+  }
+
+  async listForUser(userId, { type, status, limit, offset }) {
+    const matching = [...this.notifications.values()]
+      .filter(notification => notification.userId === userId &&
+        (!type || notification.type === type) &&
+        (!status || notification.status === status))
+      .reverse();
+
+    return {
+      data: matching.slice(offset, offset + limit).map(notification => ({ ...notification })),
+      total: matching.length
+    };
+  }
+
+  async claimDue(limit, leaseUntil) {
+    const now = Date.now();
+    const due = [...this.notifications.values()]
+      .filter(notification => notification.status === 'pending' &&
+        (!notification.scheduledFor || new Date(notification.scheduledFor).getTime() <= now))
+      .slice(0, limit);
+
+    return due.map((notification) => {
+      notification.scheduledFor = new Date(leaseUntil).toISOString();
+      return { ...notification };
+    });
+  }
+
+  async transition(id, fromStatus, {
+    status,
+    retryCount = null,
+    scheduledFor = null,
+    failureReason = null,
+    metadata = {}
+  }) {
+    const notification = this.notifications.get(id);
+    if (!notification || notification.status !== fromStatus) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(notification, {
+      status,
+      retryCount: retryCount ?? notification.retryCount,
+      scheduledFor: scheduledFor ? new Date(scheduledFor).toISOString() : notification.scheduledFor,
+      failureReason,
+      sentAt: ['sent', 'delivered'].includes(status) ? notification.sentAt || now : notification.sentAt,
+      deliveredAt: status === 'delivered' ? now : notification.deliveredAt,
+      failedAt: status === 'failed' ? now : notification.failedAt,
+      metadata: { ...notification.metadata, ...metadata },
+      updatedAt: now
+    });
+
+    return { ...notification };
+  }
+
+  async markOpened(id) {
+    const notification = this.notifications.get(id);
+    if (!notification) {
+      return null;
+    }
+
+    notification.openedAt = notification.openedAt || new Date().toISOString();
+    return { ...notification };
+  }
+}
+
+module.exports = { NotificationRepository, InMemoryNotificationRepository };
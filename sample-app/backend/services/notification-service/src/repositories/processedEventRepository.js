@@ -0,0 +1,54 @@
+const { withTransaction } = require('../db');
+
+// Event bus events a consumer group has handled, backed by the
+// `processed_events` table, so that redelivered events are skipped
+class ProcessedEventRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Run `work(client)` for an event the group has not handled yet, in one
+  // database transaction with recording the event as handled. Resolves to
+  // false, without running `work`, for an event already handled. Writes
+  // `work` makes with `client` are committed together with the record, or
+  // rolled back with it when `work` throws. A concurrent delivery of the same
+  // event waits on the record's key until this one has committed or rolled
+  // back.
+  async handleOnce(consumerGroup, eventId, work) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query(`
+        INSERT INTO processed_events (consumer_group, event_id)
+        VALUES ($1, $2)
+        ON CONFLICT (consumer_group, event_id) DO NOTHING
+        RETURNING event_id
+      `, [consumerGroup, eventId]);
+
+      if (!rows.length) {
+        return false;
+      }
+      await work(client);
+      return true;
+    });
+  }
+}
+
+// In-memory stand-in for ProcessedEventRepository. `work` is given no client;
+// the event is recorded once it has succeeded.
+class InMemoryProcessedEventRepository {
+  constructor() {
+    this.processed = new Set();
+  }
+
+  async handleOnce(consumerGroup, eventId, work) {
+    const key = `${consumerGroup}:${eventId}`;
+    if (this.processed.has(key)) {
+      return false;
+    }
+
+    await work(null);
+    this.processed.add(key);
+    return true;
+  }
+}
+
+module.exports = { ProcessedEventRepository, InMemoryProcessedEventRepository };
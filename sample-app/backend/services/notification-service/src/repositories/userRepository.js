@@ -0,0 +1,42 @@
+// Contact details of the users notifications are addressed to, read from
+// the `users` table owned by the user service
+class UserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // `{ id, email, phone, firstName }`, or null for an unknown user
+  async findContact(userId) {
+    const { rows } = await this.db.query(
+      'SELECT id, email, phone, first_name FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      id: rows[0].id,
+      email: rows[0].email,
+      phone: rows[0].phone,
+      firstName: rows[0].first_name
+    };
+  }
+}
+
+// In-memory stand-in for UserRepository. Without a database every user
+// exists, but only users added to `users` have an email address or phone
+// number.
+class InMemoryUserRepository {
+  constructor(users = []) {
+    this.users = new Map(users.map(user => [user.id, { ...user }]));
+  }
+
+  async findContact(userId) {
+    const user = this.users.get(userId);
+    return user ? { ...user } : { id: userId, email: null, phone: null, firstName: null };
+  }
+}
+
+module.exports = { UserRepository, InMemoryUserRepository };
@@ -0,0 +1,87 @@
+const express = require('express');
+const {
+  validateNotificationRequest,
+  validateNotificationListQuery,
+  validateDeliveryStatus,
+  validateUuidParam
+} = require('../middleware/validation');
+const { NotificationError } = require('../utils/errors');
+
+// Inbox routes are scoped to the user identified by the API gateway
+function requireUser(req, res, next) {
+  req.userId = req.get('X-User-ID');
+
+  if (!req.userId) {
+    return next(new NotificationError(401, 'authentication_required',
+      'Notifications can only be read by an authenticated user'));
+  }
+  next();
+}
+
+// Queuing notifications and recording delivery reports are for other
+// services on the private network; the API gateway only exposes the inbox.
+function createNotificationRoutes({ notificationDispatcher }) {
+  const router = express.Router({ caseSensitive: true });
+
+  // Render and queue a template for a user
+  router.post('/', validateNotificationRequest, async (req, res, next) => {
+    try {
+      const result = await notificationDispatcher.enqueue(req.body);
+      res.status(result.data.length ? 201 : 200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The caller's notifications, newest first
+  router.get('/', requireUser, validateNotificationListQuery, async (req, res, next) => {
+    const { limit, offset } = req.listQuery;
+
+    try {
+      const { data, total } = await notificationDispatcher.listForUser(req.userId, req.listQuery);
+
+      res.json({
+        data,
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + data.length < total
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:notificationId', requireUser, validateUuidParam('notificationId'), async (req, res, next) => {
+    try {
+      res.json(await notificationDispatcher.get(req.params.notificationId, req.userId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:notificationId/read', requireUser, validateUuidParam('notificationId'),
+    async (req, res, next) => {
+      try {
+        res.json(await notificationDispatcher.markRead(req.params.notificationId, req.userId));
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  // Delivery report for a notification a provider accepted
+  router.post('/:notificationId/status', validateUuidParam('notificationId'), validateDeliveryStatus,
+    async (req, res, next) => {
+      try {
+        res.json(await notificationDispatcher.recordDeliveryStatus(req.params.notificationId, req.body));
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  return router;
+}
+
+module.exports = { createNotificationRoutes };
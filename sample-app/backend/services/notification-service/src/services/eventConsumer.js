@@ -0,0 +1,172 @@
+const { logger } = require('../utils/logger');
+
+// Reads the PayFlow event bus (a Redis stream, see the payment service's
+// eventBus.js) as one consumer of a consumer group and hands each event
+// envelope to `handler`.
+//
+// Delivery is at least once: an entry is acknowledged only after `handler`
+// has succeeded. Entries left unacknowledged for `claimIdleMs` (the handler
+// failed, or the consumer holding them died) are claimed and delivered
+// again; after `maxDeliveries` deliveries an entry is moved to
+// `deadLetterStream` instead. Events the group has already handled are
+// skipped by their `id`, recorded in `processedEventRepository` in the same
+// database transaction as `handler(event, { db })` makes its writes with `db`.
+class EventConsumer {
+  constructor({
+    client,
+    stream,
+    group,
+    consumer,
+    deadLetterStream,
+    handler,
+    processedEventRepository,
+    batchSize,
+    pollIntervalMs,
+    claimIdleMs,
+    maxDeliveries
+  }) {
+    this.client = client;
+    this.stream = stream;
+    this.group = group;
+    this.consumer = consumer;
+    this.deadLetterStream = deadLetterStream;
+    this.handler = handler;
+    this.processedEventRepository = processedEventRepository;
+    this.batchSize = batchSize;
+    this.pollIntervalMs = pollIntervalMs;
+    this.claimIdleMs = claimIdleMs;
+    this.maxDeliveries = maxDeliveries;
+    this.groupCreated = false;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // Skip the tick if the previous batch is still being handled
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.poll();
+    } catch (error) {
+      logger.error('Event consumer run failed', { stream: this.stream, error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Redeliver stale entries, then handle one batch of new ones
+  async poll() {
+    await this.createGroup();
+    await this.redeliverStale();
+
+    const reply = await this.client.xReadGroup(this.group, this.consumer,
+      { key: this.stream, id: '>' }, { COUNT: this.batchSize });
+
+    for (const entry of reply ? reply[0].messages : []) {
+      await this.deliver(entry);
+    }
+  }
+
+  // A new group starts at the beginning of the stream, so events published
+  // before the consumer first ran are handled too
+  async createGroup() {
+    if (this.groupCreated) {
+      return;
+    }
+
+    try {
+      await this.client.xGroupCreate(this.stream, this.group, '0', { MKSTREAM: true });
+    } catch (error) {
+      if (!error.message.startsWith('BUSYGROUP')) {
+        throw error;
+      }
+    }
+    this.groupCreated = true;
+  }
+
+  async redeliverStale() {
+    const pending = await this.client.xPendingRange(this.stream, this.group, '-', '+', this.batchSize,
+      { IDLE: this.claimIdleMs });
+
+    for (const { id, deliveriesCounter } of pending) {
+      if (deliveriesCounter >= this.maxDeliveries) {
+        const [entry] = await this.client.xRange(this.stream, id, id);
+        await this.deadLetter(id, entry ? entry.message : {},
+          `Not handled after ${deliveriesCounter} deliveries`);
+        continue;
+      }
+
+      // Another consumer may have claimed the entry in the meantime
+      const [entry] = await this.client.xClaim(this.stream, this.group, this.consumer, this.claimIdleMs, id);
+      if (entry) {
+        await this.deliver(entry);
+      } else if (entry === null) {
+        // Trimmed from the stream before it was handled
+        await this.deadLetter(id, {}, 'Entry no longer in the stream');
+      }
+    }
+  }
+
+  async deliver({ id, message }) {
+    let event;
+    try {
+      event = JSON.parse(message.event);
+    } catch (error) {
+      await this.deadLetter(id, message, `Malformed event: ${error.message}`);
+      return;
+    }
+
+    try {
+      const handled = await this.processedEventRepository.handleOnce(this.group, event.id,
+        db => this.handler(event, { db }));
+      if (!handled) {
+        logger.info('Skipping event already handled', { eventId: event.id, eventType: event.type });
+      }
+      await this.client.xAck(this.stream, this.group, id);
+    } catch (error) {
+      // Left unacknowledged; delivered again once stale
+      logger.error('Failed to handle event', {
+        eventId: event.id,
+        eventType: event.type,
+        error: error.message
+      });
+    }
+  }
+
+  async deadLetter(id, message, reason) {
+    await this.client.xAdd(this.deadLetterStream, '*', {
+      ...message,
+      streamId: id,
+      consumerGroup: this.group,
+      reason
+    });
+    await this.client.xAck(this.stream, this.group, id);
+
+    logger.error('Event moved to the dead-letter stream', {
+      streamId: id,
+      eventId: message.id,
+      eventType: message.type,
+      deadLetterStream: this.deadLetterStream,
+      reason
+    });
+  }
+}
+
+module.exports = { EventConsumer };
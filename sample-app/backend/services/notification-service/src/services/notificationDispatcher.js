@@ -0,0 +1,217 @@
+const { NotificationError, TransportError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { TEMPLATES, renderTemplate } = require('./templates');
+
+// notification_status values and the moves allowed between them. A pending
+// notification is sent by the worker: local sinks and in-app messages are
+// delivered straight away, providers report `sent` and may later confirm
+// delivery or failure.
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'delivered', 'failed'];
+const STATUS_TRANSITIONS = {
+  pending: ['sent', 'delivered', 'failed'],
+  sent: ['delivered', 'failed'],
+  delivered: [],
+  failed: []
+};
+
+function recipientFor(channel, user) {
+  switch (channel) {
+    case 'email':
+      return user.email;
+    case 'sms':
+      return user.phone;
+    default:
+      return user.id;
+  }
+}
+
+// Templated email, SMS and in-app notifications for users.
+//
+// A request is rendered into one `notifications` row per channel and sent
+// right away unless it is scheduled for later. Sends go through the
+// transport configured for the channel; failures are retried with
+// exponential backoff by NotificationWorker until the notification's
+// `max_retries` is used up, after which it is marked failed.
+class NotificationDispatcher {
+  constructor({ notificationRepository, userRepository, transports, config }) {
+    this.notificationRepository = notificationRepository;
+    this.userRepository = userRepository;
+    this.transports = transports;
+    this.config = config;
+  }
+
+  // Queue `template` for `userId` on `channels` (by default the template's
+  // own). Channels that are disabled or for which the user has no address
+  // are skipped and reported in `skipped`. With `db`, a client in the
+  // caller's database transaction, the notifications are written with it and
+  // left to the worker, which only sees them once the caller has committed.
+  async enqueue({ userId, template, data, channels, scheduledFor, maxRetries, metadata = {} }, { db } = {}) {
+    const user = await this.userRepository.findContact(userId);
+    if (!user) {
+      throw new NotificationError(404, 'user_not_found', 'User not found');
+    }
+
+    const skipped = [];
+    const notifications = [];
+    const due = !scheduledFor || new Date(scheduledFor) <= new Date();
+    const sendNow = due && !db;
+
+    for (const channel of channels || TEMPLATES[template].channels) {
+      const recipient = recipientFor(channel, user);
+
+      if (!this.config.enabledChannels[channel]) {
+        skipped.push({ channel, reason: 'channel_disabled' });
+      } else if (!recipient) {
+        skipped.push({ channel, reason: 'no_recipient' });
+      } else {
+        notifications.push({
+          userId,
+          type: channel,
+          templateId: template,
+          ...renderTemplate(template, channel, data, user),
+          recipient,
+          maxRetries: maxRetries ?? this.config.maxRetries,
+          // Leave time for the immediate send before the worker may claim it
+          scheduledFor: sendNow ? this.leaseExpiry() : new Date(due ? Date.now() : scheduledFor).toISOString(),
+          metadata
+        });
+      }
+    }
+
+    const created = notifications.length
+      ? await this.notificationRepository.createMany(notifications, db)
+      : [];
+
+    if (sendNow) {
+      created.forEach((notification) => {
+        this.deliver(notification).catch((error) => {
+          logger.error('Notification send errored', { notificationId: notification.id, error: error.message });
+        });
+      });
+    }
+
+    return { data: created, skipped };
+  }
+
+  async get(notificationId, userId) {
+    const notification = await this.notificationRepository.findById(notificationId);
+
+    if (!notification || (userId && notification.userId !== userId)) {
+      throw new NotificationError(404, 'notification_not_found', 'Notification not found');
+    }
+    return notification;
+  }
+
+  async listForUser(userId, query) {
+    return this.notificationRepository.listForUser(userId, query);
+  }
+
+  async markRead(notificationId, userId) {
+    await this.get(notificationId, userId);
+    return this.notificationRepository.markOpened(notificationId);
+  }
+
+  // Record a delivery report (e.g. relayed from a provider's status callback)
+  async recordDeliveryStatus(notificationId, { status, reason = null }) {
+    const notification = await this.get(notificationId);
+
+    if (!STATUS_TRANSITIONS[notification.status].includes(status)) {
+      throw new NotificationError(409, 'invalid_status_transition',
+        `Cannot move a ${notification.status} notification to ${status}`,
+        { status: notification.status, requestedStatus: status });
+    }
+
+    const updated = await this.notificationRepository.transition(notificationId, notification.status, {
+      status,
+      failureReason: status === 'failed' ? reason : null
+    });
+    if (!updated) {
+      throw new NotificationError(409, 'notification_changed',
+        'The notification changed while the status was being recorded');
+    }
+
+    return updated;
+  }
+
+  // Send every due notification once (called periodically by the worker)
+  async processDue(limit = this.config.batchSize) {
+    const notifications = await this.notificationRepository.claimDue(limit, this.leaseExpiry());
+
+    for (const notification of notifications) {
+      await this.deliver(notification);
+    }
+
+    return notifications.length;
+  }
+
+  async deliver(notification) {
+    const transport = this.transports[notification.type];
+    let result;
+    let error = null;
+
+    try {
+      if (!transport) {
+        throw new TransportError(`No transport for ${notification.type} notifications`, { permanent: true });
+      }
+      result = await transport.send(notification);
+    } catch (sendError) {
+      error = sendError;
+    }
+
+    if (!error) {
+      const sent = await this.notificationRepository.transition(notification.id, 'pending', {
+        status: result.status,
+        metadata: {
+          transport: transport.name,
+          ...(result.providerMessageId && { providerMessageId: result.providerMessageId })
+        }
+      });
+
+      logger.info('Notification sent', {
+        notificationId: notification.id,
+        type: notification.type,
+        transport: transport.name,
+        status: result.status
+      });
+      return sent;
+    }
+
+    const retry = !error.permanent && notification.retryCount < notification.maxRetries;
+    const outcome = retry
+      ? {
+        status: 'pending',
+        retryCount: notification.retryCount + 1,
+        scheduledFor: new Date(Date.now() + this.retryDelay(notification.retryCount + 1)).toISOString(),
+        failureReason: error.message
+      }
+      : { status: 'failed', failureReason: error.message };
+
+    const recorded = await this.notificationRepository.transition(notification.id, 'pending', outcome);
+
+    logger.warn('Notification send failed', {
+      notificationId: notification.id,
+      type: notification.type,
+      attempt: notification.retryCount + 1,
+      error: error.message,
+      status: outcome.status,
+      nextAttemptAt: outcome.scheduledFor || null
+    });
+
+    return recorded;
+  }
+
+  // Exponential backoff: retryBaseMs, 2x, 4x, ... capped at retryMaxMs
+  retryDelay(retryCount) {
+    return Math.min(this.config.retryBaseMs * 2 ** (retryCount - 1), this.config.retryMaxMs);
+  }
+
+  leaseExpiry() {
+    return new Date(Date.now() + this.config.sendTimeoutMs * 2).toISOString();
+  }
+}
+
+module.exports = {
+  NotificationDispatcher,
+  NOTIFICATION_STATUSES,
+  STATUS_TRANSITIONS
+};
@@ -0,0 +1,44 @@
+const { logger } = require('../utils/logger');
+
+// Periodically sends notifications that are due: scheduled ones whose time
+// has come and failed sends whose backoff has elapsed
+class NotificationWorker {
+  constructor({ notificationDispatcher, intervalMs }) {
+    this.notificationDispatcher = notificationDispatcher;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // Skip the tick if the previous batch is still being sent
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.notificationDispatcher.processDue();
+    } catch (error) {
+      logger.error('Notification run failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = { NotificationWorker };
@@ -0,0 +1,83 @@
+const { logger } = require('../utils/logger');
+
+// Template and data for the payment events customers are told about, or null
+// for other events
+function notificationFor({ type, data }) {
+  switch (type) {
+    case 'payment.completed':
+    case 'payment.captured':
+      return {
+        userId: data.customerId,
+        template: 'payment_receipt',
+        data: {
+          amount: data.capturedAmount || data.amount,
+          currency: data.currency,
+          paymentId: data.id
+        }
+      };
+    case 'payment.failed':
+      return {
+        userId: data.customerId,
+        template: 'payment_failed',
+        data: {
+          amount: data.amount,
+          currency: data.currency,
+          paymentId: data.id,
+          reason: data.failureMessage || 'the payment was declined'
+        }
+      };
+    case 'refund.created':
+      return {
+        userId: data.customerId,
+        template: 'refund_issued',
+        data: {
+          amount: data.amount,
+          currency: data.currency,
+          paymentId: data.paymentId,
+          refundId: data.id
+        }
+      };
+    default:
+      return null;
+  }
+}
+
+// Event bus handler sending customers receipts, payment failure notices and
+// refund confirmations for the payment service's events
+class PaymentEventNotifier {
+  constructor({ notificationDispatcher }) {
+    this.notificationDispatcher = notificationDispatcher;
+  }
+
+  // Queue the notification for `event`, with `db` when the event is handled
+  // in a database transaction (see EventConsumer)
+  async handle(event, { db } = {}) {
+    const notification = notificationFor(event);
+    if (!notification) {
+      return;
+    }
+
+    try {
+      await this.notificationDispatcher.enqueue({
+        ...notification,
+        metadata: {
+          eventId: event.id,
+          eventType: event.type,
+          [`${event.aggregateType}Id`]: event.aggregateId
+        }
+      }, { db });
+    } catch (error) {
+      // Redelivering the event would not make an unknown customer appear
+      if (error.code !== 'user_not_found') {
+        throw error;
+      }
+      logger.warn('Event names an unknown customer, not notified', {
+        eventId: event.id,
+        eventType: event.type,
+        userId: notification.userId
+      });
+    }
+  }
+}
+
+module.exports = { PaymentEventNotifier };
@@ -0,0 +1,125 @@
+const { NotificationError } = require('../utils/errors');
+
+// Channels a template can be rendered for, as stored in `notifications.type`
+const CHANNELS = ['email', 'sms', 'in_app'];
+
+// Message templates per channel. `{{name}}` placeholders are filled from the
+// data the notification was requested with; `amount` is formatted in
+// `currency` and `firstName` comes from the recipient's user record. SMS
+// messages have no subject. `channels` are used when a request names none.
+const TEMPLATES = {
+  payment_receipt: {
+    channels: ['email', 'in_app'],
+    required: ['amount', 'currency', 'paymentId'],
+    email: {
+      subject: 'Your payment of {{amount}} was received',
+      body: [
+        'Hi {{firstName}},',
+        '',
+        'We received your payment of {{amount}}.',
+        '',
+        'Payment ID: {{paymentId}}',
+        '',
+        'Thank you for using PayFlow.'
+      ].join('\n')
+    },
+    sms: {
+      body: 'PayFlow: your payment of {{amount}} was received. Ref {{paymentId}}'
+    },
+    in_app: {
+      subject: 'Payment received',
+      body: 'Your payment of {{amount}} was received.'
+    }
+  },
+
+  payment_failed: {
+    channels: ['email', 'sms', 'in_app'],
+    required: ['amount', 'currency', 'paymentId', 'reason'],
+    email: {
+      subject: 'Your payment of {{amount}} could not be completed',
+      body: [
+        'Hi {{firstName}},',
+        '',
+        'Your payment of {{amount}} could not be completed: {{reason}}.',
+        'Please try again or use another payment method.',
+        '',
+        'Payment ID: {{paymentId}}'
+      ].join('\n')
+    },
+    sms: {
+      body: 'PayFlow: your payment of {{amount}} failed ({{reason}}). Ref {{paymentId}}'
+    },
+    in_app: {
+      subject: 'Payment failed',
+      body: 'Your payment of {{amount}} could not be completed: {{reason}}.'
+    }
+  },
+
+  refund_issued: {
+    channels: ['email', 'in_app'],
+    required: ['amount', 'currency', 'paymentId', 'refundId'],
+    email: {
+      subject: 'Your refund of {{amount}} is on its way',
+      body: [
+        'Hi {{firstName}},',
+        '',
+        'We issued a refund of {{amount}} for payment {{paymentId}}.',
+        'It can take 5-10 business days to appear on your statement.',
+        '',
+        'Refund ID: {{refundId}}'
+      ].join('\n')
+    },
+    sms: {
+      body: 'PayFlow: a refund of {{amount}} for payment {{paymentId}} is on its way.'
+    },
+    in_app: {
+      subject: 'Refund issued',
+      body: 'A refund of {{amount}} for payment {{paymentId}} is on its way.'
+    }
+  }
+};
+
+const TEMPLATE_IDS = Object.keys(TEMPLATES);
+
+// `amount` in `currency` with the currency's own decimals, e.g. $10.50 or ¥1,000
+function formatAmount(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${amount} ${currency}`;
+  }
+}
+
+function fill(text, values) {
+  return text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => String(values[name]));
+}
+
+// `{ subject, content }` of `templateId` for `channel`. Throws a 400
+// NotificationError when data the template needs is missing.
+function renderTemplate(templateId, channel, data, user = {}) {
+  const template = TEMPLATES[templateId];
+  if (!template) {
+    throw new NotificationError(400, 'unknown_template', `Unknown notification template: ${templateId}`);
+  }
+
+  const missing = template.required.filter(name => data[name] === undefined || data[name] === null);
+  if (missing.length > 0) {
+    throw new NotificationError(400, 'missing_template_data',
+      `Template ${templateId} requires ${missing.join(', ')}`,
+      { template: templateId, missing });
+  }
+
+  const values = {
+    ...data,
+    amount: formatAmount(data.amount, data.currency),
+    firstName: user.firstName || 'there'
+  };
+  const message = template[channel];
+
+  return {
+    subject: message.subject ? fill(message.subject, values) : null,
+    content: fill(message.body, values)
+  };
+}
+
+module.exports = { TEMPLATES, TEMPLATE_IDS, CHANNELS, renderTemplate, formatAmount };
@@ -0,0 +1,23 @@
+const { logger } = require('../utils/logger');
+
+// Local sink that writes messages to the service log instead of sending
+// them. Recipients are masked by the log redaction like any other log line.
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(notification) {
+    logger.info('Notification written to console sink', {
+      notificationId: notification.id,
+      type: notification.type,
+      recipient: notification.recipient,
+      subject: notification.subject,
+      content: notification.content
+    });
+
+    return { status: 'delivered' };
+  }
+}
+
+module.exports = { ConsoleTransport };
@@ -0,0 +1,28 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local sink that appends every message as a JSON line to a file, for
+// development and end-to-end tests that need to read what was sent
+class FileTransport {
+  constructor({ filePath }) {
+    this.name = 'file';
+    this.filePath = filePath;
+  }
+
+  async send(notification) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify({
+      id: notification.id,
+      type: notification.type,
+      templateId: notification.templateId,
+      recipient: notification.recipient,
+      subject: notification.subject,
+      content: notification.content,
+      sentAt: new Date().toISOString()
+    })}\n`);
+
+    return { status: 'delivered' };
+  }
+}
+
+module.exports = { FileTransport };
@@ -0,0 +1,63 @@
+const { ConsoleTransport } = require('./consoleTransport');
+const { FileTransport } = require('./fileTransport');
+const { SendGridTransport } = require('./sendgridTransport');
+const { TwilioTransport } = require('./twilioTransport');
+const { InAppTransport } = require('./inAppTransport');
+
+// Notification transports. Every transport implements:
+//   send(notification) -> { status: sent | delivered, providerMessageId? }
+//     `delivered` when the message reached its destination (local sinks,
+//     in-app), `sent` when a provider accepted it for delivery
+// Transports throw a TransportError when the message could not be handed
+// over; `permanent` errors are not retried.
+function createTransport(name, transportConfig, { fetch }) {
+  switch (name) {
+    case 'console':
+      return new ConsoleTransport();
+    case 'file':
+      return new FileTransport({ filePath: transportConfig.file.path });
+    case 'sendgrid':
+      if (!transportConfig.sendgrid.apiKey || transportConfig.sendgrid.apiKey === 'SG.your_sendgrid_api_key') {
+        throw new Error('SENDGRID_API_KEY is required when NOTIFICATION_EMAIL_TRANSPORT=sendgrid');
+      }
+      return new SendGridTransport({ ...transportConfig.sendgrid, timeoutMs: transportConfig.timeoutMs, fetch });
+    case 'twilio':
+      if (!transportConfig.twilio.accountSid || !transportConfig.twilio.authToken) {
+        throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required when NOTIFICATION_SMS_TRANSPORT=twilio');
+      }
+      return new TwilioTransport({ ...transportConfig.twilio, timeoutMs: transportConfig.timeoutMs, fetch });
+    default:
+      throw new Error(`Unknown notification transport: ${name}`);
+  }
+}
+
+// Transports that can carry each notification type
+const TRANSPORTS_BY_TYPE = {
+  email: ['console', 'file', 'sendgrid'],
+  sms: ['console', 'file', 'twilio']
+};
+
+// Transport per notification type
+function createTransports(transportConfig, { fetch = globalThis.fetch } = {}) {
+  Object.entries(TRANSPORTS_BY_TYPE).forEach(([type, names]) => {
+    if (!names.includes(transportConfig[type])) {
+      throw new Error(`${type} notifications cannot be sent with transport ${transportConfig[type]}` +
+        ` (expected one of ${names.join(', ')})`);
+    }
+  });
+
+  return {
+    email: createTransport(transportConfig.email, transportConfig, { fetch }),
+    sms: createTransport(transportConfig.sms, transportConfig, { fetch }),
+    in_app: new InAppTransport()
+  };
+}
+
+module.exports = {
+  createTransports,
+  ConsoleTransport,
+  FileTransport,
+  SendGridTransport,
+  TwilioTransport,
+  InAppTransport
+};
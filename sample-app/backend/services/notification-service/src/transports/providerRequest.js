@@ -0,0 +1,29 @@
+const { TransportError } = require('../utils/errors');
+
+const MAX_ERROR_BODY_LENGTH = 500;
+
+// Send a request to an email or SMS provider's HTTP API and return the
+// response. Timeouts, network errors, rate limiting and 5xx responses are
+// retried; any other non-2xx response means the provider rejected the
+// message and is permanent.
+async function providerRequest(fetch, provider, url, init, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    throw new TransportError(error.name === 'TimeoutError'
+      ? `${provider} did not respond within ${timeoutMs}ms`
+      : `${provider} request failed: ${error.cause?.message || error.message}`);
+  }
+
+  if (!response.ok) {
+    const body = (await response.text()).slice(0, MAX_ERROR_BODY_LENGTH);
+    throw new TransportError(`${provider} responded with ${response.status}: ${body}`, {
+      permanent: response.status !== 429 && response.status < 500
+    });
+  }
+
+  return response;
+}
+
+module.exports = { providerRequest };
@@ -0,0 +1,36 @@
+const { providerRequest } = require('./providerRequest');
+
+const SENDGRID_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+// Email through the SendGrid v3 mail send API. SendGrid accepts the message
+// for delivery, so it is reported as sent.
+class SendGridTransport {
+  constructor({ apiKey, fromEmail, timeoutMs, fetch = globalThis.fetch }) {
+    this.name = 'sendgrid';
+    this.apiKey = apiKey;
+    this.fromEmail = fromEmail;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetch;
+  }
+
+  async send(notification) {
+    const response = await providerRequest(this.fetch, 'SendGrid', SENDGRID_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: notification.recipient }] }],
+        from: { email: this.fromEmail },
+        subject: notification.subject,
+        content: [{ type: 'text/plain', value: notification.content }],
+        custom_args: { notification_id: notification.id }
+      })
+    }, this.timeoutMs);
+
+    return { status: 'sent', providerMessageId: response.headers.get('x-message-id') };
+  }
+}
+
+module.exports = { SendGridTransport };
@@ -0,0 +1,37 @@
+const { providerRequest } = require('./providerRequest');
+
+// SMS through the Twilio Messages API. Twilio queues the message for the
+// carrier, so it is reported as sent.
+class TwilioTransport {
+  constructor({ accountSid, authToken, fromNumber, timeoutMs, fetch = globalThis.fetch }) {
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.fromNumber = fromNumber;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetch;
+  }
+
+  async send(notification) {
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`;
+    const credentials = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
+
+    const response = await providerRequest(this.fetch, 'Twilio', url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        To: notification.recipient,
+        From: this.fromNumber,
+        Body: notification.content
+      }).toString()
+    }, this.timeoutMs);
+
+    const message = await response.json();
+    return { status: 'sent', providerMessageId: message.sid };
+  }
+}
+
+module.exports = { TwilioTransport };
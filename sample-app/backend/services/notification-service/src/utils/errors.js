@@ -0,0 +1,25 @@
+// Error raised for expected notification failures (unknown template, missing
+// recipient, etc.). The global error handler turns it into a JSON response
+// using `statusCode`, and exposes `code` and `details` so that callers can
+// react programmatically.
+class NotificationError extends Error {
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = 'NotificationError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Raised by a transport that could not hand a message over. `permanent`
+// failures (e.g. an address the provider rejects) are not retried.
+class TransportError extends Error {
+  constructor(message, { permanent = false } = {}) {
+    super(message);
+    this.name = 'TransportError';
+    this.permanent = permanent;
+  }
+}
+
+module.exports = { NotificationError, TransportError };
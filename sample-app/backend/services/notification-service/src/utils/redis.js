@@ -0,0 +1,25 @@
+const { createClient } = require('redis');
+const { logger } = require('./logger');
+
+// Connect to Redis in the background. Commands fail straight away while the
+// connection is down (instead of queueing) so that callers can fall back
+// rather than hang; the client keeps reconnecting, backing off to 5 seconds.
+function createRedisClient(url) {
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: { reconnectStrategy: (retries) => Math.min(retries * 100, 5000) }
+  });
+
+  client.on('error', (error) => {
+    logger.error('Redis connection error', { error: error.message });
+  });
+
+  client.connect().catch((error) => {
+    logger.error('Failed to connect to Redis', { error: error.message });
+  });
+
+  return client;
+}
+
+module.exports = { createRedisClient };
@@ -0,0 +1,111 @@
+// In-memory stand-in for the node-redis client, covering the stream and
+// consumer group commands the event consumer uses. Idle times follow
+// Date.now(), so jest fake timers move them. `trim(id)` removes an entry from
+// the stream, as MAXLEN trimming does.
+class FakeRedisStreams {
+  constructor() {
+    // stream -> [{ id, message }]
+    this.streams = new Map();
+    // `${stream}:${group}` -> { lastDelivered, pending: Map(id -> { consumer, deliveredAt, deliveries }) }
+    this.groups = new Map();
+    this.sequence = 0;
+  }
+
+  entries(stream) {
+    if (!this.streams.has(stream)) {
+      this.streams.set(stream, []);
+    }
+    return this.streams.get(stream);
+  }
+
+  group(stream, group) {
+    const state = this.groups.get(`${stream}:${group}`);
+    if (!state) {
+      throw new Error(`NOGROUP No such consumer group '${group}' for key name '${stream}'`);
+    }
+    return state;
+  }
+
+  async xAdd(stream, id, message) {
+    this.sequence += 1;
+    const entryId = `${this.sequence}-0`;
+    this.entries(stream).push({ id: entryId, message: { ...message } });
+    return entryId;
+  }
+
+  async xGroupCreate(stream, group, id, { MKSTREAM } = {}) {
+    if (!this.streams.has(stream) && !MKSTREAM) {
+      throw new Error('ERR The XGROUP subcommand requires the key to exist');
+    }
+    if (this.groups.has(`${stream}:${group}`)) {
+      throw new Error('BUSYGROUP Consumer Group name already exists');
+    }
+    this.entries(stream);
+    this.groups.set(`${stream}:${group}`, { lastDelivered: 0, pending: new Map() });
+    return 'OK';
+  }
+
+  async xReadGroup(group, consumer, { key, id }, { COUNT } = {}) {
+    if (id !== '>') {
+      throw new Error('FakeRedisStreams only reads new entries');
+    }
+
+    const state = this.group(key, group);
+    const messages = this.entries(key)
+      .filter(entry => sequenceOf(entry.id) > state.lastDelivered)
+      .slice(0, COUNT);
+
+    messages.forEach((entry) => {
+      state.lastDelivered = sequenceOf(entry.id);
+      state.pending.set(entry.id, { consumer, deliveredAt: Date.now(), deliveries: 1 });
+    });
+
+    return messages.length
+      ? [{ name: key, messages: messages.map(entry => ({ id: entry.id, message: { ...entry.message } })) }]
+      : null;
+  }
+
+  async xPendingRange(stream, group, start, end, count, { IDLE = 0 } = {}) {
+    return [...this.group(stream, group).pending]
+      .filter(([, pending]) => Date.now() - pending.deliveredAt >= IDLE)
+      .slice(0, count)
+      .map(([id, pending]) => ({
+        id,
+        consumer: pending.consumer,
+        millisecondsSinceLastDelivery: Date.now() - pending.deliveredAt,
+        deliveriesCounter: pending.deliveries
+      }));
+  }
+
+  // Claimed entries; null in place of a pending entry no longer in the stream
+  async xClaim(stream, group, consumer, minIdleTime, id) {
+    const pending = this.group(stream, group).pending.get(id);
+    if (!pending || Date.now() - pending.deliveredAt < minIdleTime) {
+      return [];
+    }
+
+    Object.assign(pending, { consumer, deliveredAt: Date.now(), deliveries: pending.deliveries + 1 });
+    const entry = this.entries(stream).find(candidate => candidate.id === id);
+    return [entry ? { id, message: { ...entry.message } } : null];
+  }
+
+  async xRange(stream, start, end) {
+    return this.entries(stream)
+      .filter(entry => sequenceOf(entry.id) >= sequenceOf(start) && sequenceOf(entry.id) <= sequenceOf(end))
+      .map(entry => ({ id: entry.id, message: { ...entry.message } }));
+  }
+
+  async xAck(stream, group, id) {
+    return this.group(stream, group).pending.delete(id) ? 1 : 0;
+  }
+
+  trim(stream, id) {
+    this.streams.set(stream, this.entries(stream).filter(entry => entry.id !== id));
+  }
+}
+
+function sequenceOf(id) {
+  return Number(id.split('-')[0]);
+}
+
+module.exports = { FakeRedisStreams };
@@ -0,0 +1,150 @@
+const { ProcessedEventRepository } = require('../../src/repositories/processedEventRepository');
+const { NotificationRepository } = require('../../src/repositories/notificationRepository');
+const { InMemoryUserRepository } = require('../../src/repositories/userRepository');
+const { NotificationDispatcher } = require('../../src/services/notificationDispatcher');
+const { PaymentEventNotifier } = require('../../src/services/paymentEventNotifier');
+
+const GROUP = 'notification-service';
+const EVENT_ID = '750e8400-e29b-41d4-a716-446655440801';
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440801';
+
+// Stand-in for a pg Pool handing out a single client. `statements` lists the
+// first line of every query run on it; `processed` holds the committed
+// processed_events keys.
+function fakePool() {
+  const pool = { statements: [], processed: new Set() };
+  let inserted = null;
+
+  const client = {
+    query: jest.fn(async (sql, params = []) => {
+      const statement = sql.trim().split('\n')[0].trim();
+      pool.statements.push(statement);
+
+      if (statement === 'COMMIT' && inserted) {
+        pool.processed.add(inserted);
+      }
+      if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(statement)) {
+        inserted = null;
+        return { rows: [] };
+      }
+      if (statement.startsWith('INSERT INTO processed_events')) {
+        const key = params.join(':');
+        if (pool.processed.has(key)) {
+          return { rows: [] };
+        }
+        inserted = key;
+        return { rows: [{ event_id: params[1] }] };
+      }
+      if (statement.startsWith('INSERT INTO notifications')) {
+        const [userId, type, templateId, subject, content, recipient, maxRetries, scheduledFor, metadata] = params;
+        return {
+          rows: [{
+            id: `notification-${pool.statements.length}`,
+            user_id: userId,
+            type,
+            template_id: templateId,
+            subject,
+            content,
+            recipient,
+            status: 'pending',
+            retry_count: 0,
+            max_retries: maxRetries,
+            scheduled_for: scheduledFor,
+            metadata: JSON.parse(metadata)
+          }]
+        };
+      }
+      throw new Error(`Unexpected query: ${statement}`);
+    }),
+    release: jest.fn()
+  };
+
+  pool.connect = async () => client;
+  pool.query = client.query;
+  pool.client = client;
+  return pool;
+}
+
+describe('processed event repository', () => {
+  let pool;
+  let repository;
+
+  beforeEach(() => {
+    pool = fakePool();
+    repository = new ProcessedEventRepository(pool);
+  });
+
+  it('runs the handler in the transaction recording the event', async () => {
+    const work = jest.fn(async (client) => {
+      await client.query('INSERT INTO notifications (...)', [CUSTOMER, 'in_app', 'payment_receipt',
+        null, 'Receipt', CUSTOMER, 3, null, '{}']);
+    });
+
+    expect(await repository.handleOnce(GROUP, EVENT_ID, work)).toBe(true);
+
+    expect(work).toHaveBeenCalledWith(pool.client);
+    expect(pool.statements).toEqual([
+      'BEGIN',
+      'INSERT INTO processed_events (consumer_group, event_id)',
+      'INSERT INTO notifications (...)',
+      'COMMIT'
+    ]);
+  });
+
+  it('rolls the record back with the handler\'s writes when the handler fails', async () => {
+    const failing = jest.fn().mockRejectedValueOnce(new Error('template missing'));
+
+    await expect(repository.handleOnce(GROUP, EVENT_ID, failing)).rejects.toThrow('template missing');
+    expect(pool.statements.slice(-1)).toEqual(['ROLLBACK']);
+
+    // Delivered again, the event is handled
+    expect(await repository.handleOnce(GROUP, EVENT_ID, async () => {})).toBe(true);
+  });
+
+  it('skips an event the group has handled', async () => {
+    await repository.handleOnce(GROUP, EVENT_ID, async () => {});
+    const work = jest.fn();
+
+    expect(await repository.handleOnce(GROUP, EVENT_ID, work)).toBe(false);
+    expect(work).not.toHaveBeenCalled();
+    expect(await repository.handleOnce('another-group', EVENT_ID, work)).toBe(true);
+  });
+
+  it('writes the notifications of an event in that transaction and leaves sending them to the worker', async () => {
+    const transports = {
+      email: { name: 'console', send: jest.fn() },
+      in_app: { name: 'in_app', send: jest.fn() }
+    };
+    const notifier = new PaymentEventNotifier({
+      notificationDispatcher: new NotificationDispatcher({
+        notificationRepository: new NotificationRepository(pool),
+        userRepository: new InMemoryUserRepository([{ id: CUSTOMER, email: 'customer@example.com' }]),
+        transports,
+        config: {
+          enabledChannels: { email: true, sms: true, in_app: true },
+          maxRetries: 3,
+          sendTimeoutMs: 10000
+        }
+      })
+    });
+    const event = {
+      id: EVENT_ID,
+      type: 'payment.completed',
+      aggregateType: 'payment',
+      aggregateId: 'pay_1',
+      data: { id: 'pay_1', customerId: CUSTOMER, amount: 25, capturedAmount: 25, currency: 'USD' }
+    };
+
+    await repository.handleOnce(GROUP, EVENT_ID, db => notifier.handle(event, { db }));
+
+    expect(pool.statements).toEqual([
+      'BEGIN',
+      'INSERT INTO processed_events (consumer_group, event_id)',
+      'INSERT INTO notifications (',
+      'INSERT INTO notifications (',
+      'COMMIT'
+    ]);
+    expect(transports.email.send).not.toHaveBeenCalled();
+    expect(transports.in_app.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,184 @@
+const { EventConsumer } = require('../../src/services/eventConsumer');
+const { InMemoryProcessedEventRepository } = require('../../src/repositories/processedEventRepository');
+const NotificationService = require('../../src/app');
+const { FakeRedisStreams } = require('../helpers/fakeRedisStreams');
+
+const REAL_TIMERS = [
+  'hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+];
+
+const STREAM = 'payflow.events';
+const DEAD_LETTER_STREAM = 'payflow.events.dead-letter';
+const GROUP = 'notification-service';
+const CLAIM_IDLE_MS = 60 * 1000;
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440701';
+
+let eventCount = 0;
+function paymentEvent(type = 'payment.completed', overrides = {}) {
+  eventCount += 1;
+  const paymentId = `650e8400-e29b-41d4-a716-${String(eventCount).padStart(12, '0')}`;
+  return {
+    id: `750e8400-e29b-41d4-a716-${String(eventCount).padStart(12, '0')}`,
+    type,
+    source: 'payment-service',
+    aggregateType: 'payment',
+    aggregateId: paymentId,
+    occurredAt: new Date().toISOString(),
+    data: { id: paymentId, customerId: CUSTOMER, amount: 25, capturedAmount: 25, currency: 'USD' },
+    ...overrides
+  };
+}
+
+// Publish `event` the way the payment service's RedisStreamsEventBus does
+function publish(client, event) {
+  return client.xAdd(STREAM, '*', { id: event.id, type: event.type, event: JSON.stringify(event) });
+}
+
+describe('event consumer', () => {
+  let client;
+  let processedEventRepository;
+  let handler;
+
+  const consumer = (name = 'consumer-1') => new EventConsumer({
+    client,
+    stream: STREAM,
+    group: GROUP,
+    consumer: name,
+    deadLetterStream: DEAD_LETTER_STREAM,
+    handler,
+    processedEventRepository,
+    batchSize: 10,
+    pollIntervalMs: 1000,
+    claimIdleMs: CLAIM_IDLE_MS,
+    maxDeliveries: 3
+  });
+  const pendingCount = async () => (await client.xPendingRange(STREAM, GROUP, '-', '+', 100)).length;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: REAL_TIMERS, now: new Date('2026-03-02T12:00:00Z') });
+    client = new FakeRedisStreams();
+    processedEventRepository = new InMemoryProcessedEventRepository();
+    handler = jest.fn(async () => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('handles events published before it first ran, and acknowledges them', async () => {
+    const event = paymentEvent();
+    await publish(client, event);
+
+    await consumer().poll();
+
+    expect(handler).toHaveBeenCalledWith(event, { db: null });
+    expect(await pendingCount()).toBe(0);
+  });
+
+  it('skips an event published again with the same id', async () => {
+    const event = paymentEvent();
+    await publish(client, event);
+    await publish(client, event);
+
+    await consumer().poll();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(await pendingCount()).toBe(0);
+  });
+
+  it('leaves a failed event pending and delivers it again once stale', async () => {
+    const event = paymentEvent();
+    await publish(client, event);
+    handler.mockRejectedValueOnce(new Error('database unavailable'));
+    const worker = consumer();
+
+    await worker.poll();
+    expect(await pendingCount()).toBe(1);
+
+    // Not stale yet
+    await worker.poll();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(CLAIM_IDLE_MS);
+    await worker.poll();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(await pendingCount()).toBe(0);
+    expect(await processedEventRepository.handleOnce(GROUP, event.id, handler)).toBe(false);
+  });
+
+  it('claims events left pending by a consumer that died', async () => {
+    const event = paymentEvent();
+    await publish(client, event);
+    await consumer('dead').createGroup();
+    await client.xReadGroup(GROUP, 'dead', { key: STREAM, id: '>' }, { COUNT: 10 });
+
+    jest.advanceTimersByTime(CLAIM_IDLE_MS);
+    await consumer('consumer-2').poll();
+
+    expect(handler).toHaveBeenCalledWith(event, { db: null });
+    expect(await pendingCount()).toBe(0);
+  });
+
+  it('moves an event to the dead-letter stream after the last delivery failed', async () => {
+    const event = paymentEvent();
+    const streamId = await publish(client, event);
+    handler.mockRejectedValue(new Error('template missing'));
+    const worker = consumer();
+
+    await worker.poll();
+    for (let delivery = 2; delivery <= 4; delivery += 1) {
+      jest.advanceTimersByTime(CLAIM_IDLE_MS);
+      await worker.poll();
+    }
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(await pendingCount()).toBe(0);
+    expect(client.entries(DEAD_LETTER_STREAM)).toEqual([{
+      id: expect.any(String),
+      message: expect.objectContaining({
+        id: event.id,
+        type: event.type,
+        streamId,
+        consumerGroup: GROUP,
+        reason: 'Not handled after 3 deliveries'
+      })
+    }]);
+  });
+
+  it('moves malformed events and events trimmed before they were handled to the dead-letter stream', async () => {
+    await client.xAdd(STREAM, '*', { id: 'not-json', type: 'payment.completed', event: '{' });
+    const trimmed = await publish(client, paymentEvent());
+    handler.mockRejectedValueOnce(new Error('database unavailable'));
+    const worker = consumer();
+
+    await worker.poll();
+    client.trim(STREAM, trimmed);
+    jest.advanceTimersByTime(CLAIM_IDLE_MS);
+    await worker.poll();
+
+    expect(client.entries(DEAD_LETTER_STREAM).map(entry => entry.message.reason)).toEqual([
+      expect.stringMatching(/^Malformed event: /),
+      'Entry no longer in the stream'
+    ]);
+    expect(await pendingCount()).toBe(0);
+  });
+
+  it('sends customers a receipt for a completed payment, once', async () => {
+    const service = new NotificationService({ redisClient: client });
+    const event = paymentEvent('payment.completed');
+    await publish(client, event);
+    await publish(client, event);
+
+    await service.eventConsumer.poll();
+
+    const notifications = [...service.notificationRepository.notifications.values()];
+    expect(notifications).toEqual([expect.objectContaining({
+      userId: CUSTOMER,
+      type: 'in_app',
+      templateId: 'payment_receipt',
+      metadata: expect.objectContaining({ eventId: event.id, paymentId: event.aggregateId })
+    })]);
+  });
+});
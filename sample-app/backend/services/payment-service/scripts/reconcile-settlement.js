@@ -0,0 +1,82 @@
+// Reconcile a processor settlement file against the transactions table:
+//   npm run reconcile -- <settlement.csv> [--date YYYY-MM-DD] [--processor name] [--dry-run]
+// The settlement date defaults to yesterday (UTC), so the command can run as
+// a daily job. Prints the report as JSON and exits with status 1 when there
+// are discrepancies, 2 on errors.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('../src/db');
+const { TransactionRepository } = require('../src/repositories/transactionRepository');
+const { ReconciliationRepository } = require('../src/repositories/reconciliationRepository');
+const { ReconciliationService } = require('../src/services/reconciliationService');
+
+function parseArgs(argv) {
+  const args = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--date') {
+      args.settlementDate = argv[i += 1];
+    } else if (argv[i] === '--processor') {
+      args.processor = argv[i += 1];
+    } else if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (!args.file) {
+      args.file = argv[i];
+    } else {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+  }
+
+  if (!args.file) {
+    throw new Error('Usage: reconcile-settlement <settlement.csv> [--date YYYY-MM-DD] [--processor name] [--dry-run]');
+  }
+  if (args.settlementDate && !/^\d{4}-\d{2}-\d{2}$/.test(args.settlementDate)) {
+    throw new Error('--date must be a YYYY-MM-DD date');
+  }
+
+  return args;
+}
+
+function yesterday() {
+  return new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is required to reconcile settlements');
+  }
+
+  const content = fs.readFileSync(args.file, 'utf8');
+  const db = createPool({ url: process.env.DATABASE_URL, poolSize: 1 });
+
+  try {
+    const reconciliationService = new ReconciliationService({
+      reconciliationRepository: new ReconciliationRepository(db),
+      transactionRepository: new TransactionRepository(db)
+    });
+
+    const report = await reconciliationService.reconcile({
+      content,
+      settlementDate: args.settlementDate || yesterday(),
+      processor: args.processor || process.env.PAYMENT_PROCESSOR || 'simulator',
+      fileName: path.basename(args.file),
+      dryRun: args.dryRun
+    });
+
+    console.log(JSON.stringify(report, null, 2));
+    return report.status === 'balanced' ? 0 : 1;
+  } finally {
+    await db.end();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Settlement reconciliation failed: ${error.message}`);
+    process.exit(2);
+  });
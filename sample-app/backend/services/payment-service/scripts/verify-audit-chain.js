@@ -0,0 +1,33 @@
+// Verify the audit log hash chain: `npm run audit:verify`.
+// Prints the verification report as JSON and exits with status 1 when the
+// chain is broken (edited, reordered or deleted entries), 2 on errors.
+require('dotenv').config();
+
+const { createPool } = require('../src/db');
+const { AuditLogRepository } = require('../src/repositories/auditLogRepository');
+const { AuditTrail } = require('../src/services/auditTrail');
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is required to verify the audit log');
+  }
+
+  const db = createPool({ url: process.env.DATABASE_URL, poolSize: 1 });
+
+  try {
+    const auditTrail = new AuditTrail({ auditLogRepository: new AuditLogRepository(db) });
+    const result = await auditTrail.verify();
+
+    console.log(JSON.stringify(result, null, 2));
+    return result.valid ? 0 : 1;
+  } finally {
+    await db.end();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Audit log verification failed: ${error.message}`);
+    process.exit(2);
+  });
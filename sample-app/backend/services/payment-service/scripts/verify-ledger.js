@@ -0,0 +1,42 @@
+// Check the ledger invariants: `npm run ledger:verify`.
+// Prints the report as JSON and exits with status 1 when a journal entry does
+// not balance or debits and credits diverge in any currency, 2 on errors.
+require('dotenv').config();
+
+const { createPool } = require('../src/db');
+const { LedgerRepository } = require('../src/repositories/ledgerRepository');
+const { LedgerService } = require('../src/services/ledgerService');
+
+// Print the report on the ledger of `ledgerRepository` to `output` and
+// resolve to the exit status
+async function verifyLedger(ledgerRepository, output = console) {
+  const result = await new LedgerService({ ledgerRepository }).verify();
+
+  output.log(JSON.stringify(result, null, 2));
+  return result.valid ? 0 : 1;
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is required to verify the ledger');
+  }
+
+  const db = createPool({ url: process.env.DATABASE_URL, poolSize: 1 });
+
+  try {
+    return await verifyLedger(new LedgerRepository(db));
+  } finally {
+    await db.end();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(`Ledger verification failed: ${error.message}`);
+      process.exit(2);
+    });
+}
+
+module.exports = { verifyLedger };
@@ -3,36 +3,378 @@ const helmet = require('helmet');
 const cors = require('cors');
 const morgan = require('morgan');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 
 const { logger } = require('./utils/logger');
-const { validatePaymentRequest } = require('./middleware/validation');
-const paymentRoutes = require('./routes/payments');
+const { createPool } = require('./db');
+const { createRedisClient } = require('./utils/redis');
+const { clientQuotas } = require('./middleware/rateLimit');
+const { keepRawBody, verifyProcessorSignature } = require('./middleware/processorSignature');
+const { PaymentRepository, InMemoryPaymentRepository } = require('./repositories/paymentRepository');
+const { IdempotencyRepository, InMemoryIdempotencyRepository } = require('./repositories/idempotencyRepository');
+const { RefundRepository, InMemoryRefundRepository } = require('./repositories/refundRepository');
+const { WebhookRepository, InMemoryWebhookRepository } = require('./repositories/webhookRepository');
+const { PaymentMethodRepository, InMemoryPaymentMethodRepository } = require('./repositories/paymentMethodRepository');
+const { RiskRepository, InMemoryRiskRepository } = require('./repositories/riskRepository');
+const { AuditLogRepository, InMemoryAuditLogRepository } = require('./repositories/auditLogRepository');
+const { TransactionRepository, InMemoryTransactionRepository } = require('./repositories/transactionRepository');
+const { ReconciliationRepository, InMemoryReconciliationRepository } = require('./repositories/reconciliationRepository');
+const { LedgerRepository, InMemoryLedgerRepository } = require('./repositories/ledgerRepository');
+const { CustomerRepository, InMemoryCustomerRepository } = require('./repositories/customerRepository');
+const { SubscriptionRepository, InMemorySubscriptionRepository } = require('./repositories/subscriptionRepository');
+const { DisputeRepository, InMemoryDisputeRepository } = require('./repositories/disputeRepository');
+const { OutboxRepository, InMemoryOutboxRepository } = require('./repositories/outboxRepository');
+const { RefundService } = require('./services/refundService');
+const { WebhookService } = require('./services/webhookService');
+const { PaymentMethodService } = require('./services/paymentMethodService');
+const { RiskEngine, loadRiskConfig } = require('./services/riskEngine');
+const { FxRates, loadFxRates } = require('./services/fxRates');
+const { WebhookRetryWorker } = require('./services/webhookRetryWorker');
+const { BankSettlementWorker } = require('./services/bankSettlementWorker');
+const { SubscriptionService } = require('./services/subscriptionService');
+const { SubscriptionBillingWorker } = require('./services/subscriptionBillingWorker');
+const { DisputeService } = require('./services/disputeService');
+const { LocalEvidenceStorage } = require('./services/evidenceStorage');
+const { AuditTrail } = require('./services/auditTrail');
+const { ReconciliationService } = require('./services/reconciliationService');
+const { LedgerService } = require('./services/ledgerService');
+const { PaymentLifecycleService } = require('./services/paymentLifecycleService');
+const { RedisStreamsEventBus } = require('./services/eventBus');
+const { OutboxRelay } = require('./services/outboxRelay');
+const { KycLimits } = require('./services/kycLimits');
+const { AmlScreeningClient } = require('./services/amlScreening');
+const { createProcessor } = require('./processors');
+const { systemClock } = require('./utils/clock');
+const { createPaymentRoutes } = require('./routes/payments');
+const { createWebhookRoutes } = require('./routes/webhooks');
+const { createPaymentMethodRoutes } = require('./routes/paymentMethods');
+const { createAuditLogRoutes } = require('./routes/auditLogs');
+const { createTransactionRoutes } = require('./routes/transactions');
+const { createReconciliationRoutes } = require('./routes/reconciliations');
+const { createLedgerRoutes } = require('./routes/ledger');
+const { createSubscriptionPlanRoutes } = require('./routes/subscriptionPlans');
+const { createSubscriptionRoutes } = require('./routes/subscriptions');
+const { createDisputeRoutes } = require('./routes/disputes');
+
+// TRUST_PROXY accepts 'true'/'false', a hop count or a list of trusted addresses/subnets
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') {
+    return 'loopback, uniquelocal';
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
 
 class PaymentService {
-  constructor() {
+  // `options` allows collaborators (e.g. an in-memory repository) to be injected for tests
+  constructor(options = {}) {
     this.app = express();
+    // Match routes case-sensitively, like the gateway that authorizes them
+    this.app.set('case sensitive routing', true);
     this.config = this.loadConfiguration();
+    this.setupDataAccess(options);
+    this.setupServices(options);
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
   }
 
   loadConfiguration() {
+    const environment = process.env.NODE_ENV || 'development';
+
     return {
       port: process.env.PORT || 3002,
-      environment: process.env.NODE_ENV || 'development',
-      stripeSecretKey: process.env.STRIPE_SECRET_KEY || 'sk_test_...',
+      environment,
+      trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+      processor: {
+        name: process.env.PAYMENT_PROCESSOR || 'simulator',
+        stripeSecretKey: process.env.STRIPE_SECRET_KEY,
+        simulatorLatencyMs: parseInt(process.env.SIMULATOR_LATENCY_MS, 10) || 0,
+        // Business days before a simulated ACH transfer (or micro-deposit) settles
+        achSettlementDays: parseInt(process.env.SIMULATOR_ACH_SETTLEMENT_DAYS, 10) || 2
+      },
+      database: {
+        url: process.env.DATABASE_URL,
+        poolSize: parseInt(process.env.CONNECTION_POOL_SIZE, 10) || 20,
+        queryTimeout: parseInt(process.env.QUERY_TIMEOUT, 10) || 30000
+      },
+      // Shared rate limit counters and the event bus; without it each
+      // instance counts on its own and events stay in the outbox
+      redis: {
+        url: process.env.REDIS_URL
+      },
+      idempotency: {
+        ttlMs: parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS, 10) || 24 * 60 * 60 * 1000
+      },
+      // Fraud screening rules; RISK_RULES_FILE is a JSON file overriding the defaults
+      risk: loadRiskConfig(process.env.RISK_RULES_FILE),
+      // Exchange rates for cross-currency settlement; FX_RATES_FILE is a JSON
+      // rate table, required outside development and tests
+      fxRates: loadFxRates(process.env.FX_RATES_FILE, environment),
+      webhooks: {
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+        retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000,
+        retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 60 * 60 * 1000,
+        pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000
+      },
+      // Pending ACH and wire payments are settled once their settlement date has passed
+      bankSettlement: {
+        pollIntervalMs: parseInt(process.env.BANK_SETTLEMENT_POLL_INTERVAL_MS, 10) || 60 * 1000,
+        batchSize: parseInt(process.env.BANK_SETTLEMENT_BATCH_SIZE, 10) || 100
+      },
+      paymentMethods: {
+        microDepositMaxAttempts: parseInt(process.env.MICRO_DEPOSIT_MAX_ATTEMPTS, 10) || 3
+      },
+      // Renewals and dunning: a declined invoice is retried after each of
+      // `dunningRetryDays` in turn, then the subscription is canceled
+      subscriptions: {
+        pollIntervalMs: parseInt(process.env.SUBSCRIPTION_BILLING_POLL_INTERVAL_MS, 10) || 60 * 1000,
+        batchSize: parseInt(process.env.SUBSCRIPTION_BILLING_BATCH_SIZE, 10) || 100,
+        dunningRetryDays: (process.env.SUBSCRIPTION_DUNNING_RETRY_DAYS || '1,3,5')
+          .split(',')
+          .map(days => parseInt(days, 10))
+          .filter(days => days > 0)
+      },
+      // Chargebacks: evidence is due `evidenceDays` after a dispute is opened
+      // unless the processor sets the deadline; files are kept under `storageDir`.
+      // Dispute notifications from the processor must be signed with
+      // `processorEventSecret`, at most `processorEventToleranceSeconds` ago.
+      disputes: {
+        evidenceDays: parseInt(process.env.DISPUTE_EVIDENCE_DAYS, 10) || 7,
+        storageDir: process.env.DISPUTE_EVIDENCE_DIR || 'storage/dispute-evidence',
+        maxEvidenceBytes: parseInt(process.env.DISPUTE_MAX_EVIDENCE_BYTES, 10) || 5 * 1024 * 1024,
+        processorEventSecret: process.env.DISPUTE_EVENTS_SIGNING_SECRET,
+        processorEventToleranceSeconds: parseInt(process.env.DISPUTE_EVENTS_TOLERANCE_SECONDS, 10) || 300
+      },
+      // Limits for customers whose KYC verification is not approved, in `currency`
+      kycLimits: {
+        currency: process.env.KYC_LIMIT_CURRENCY || 'USD',
+        perTransaction: parseFloat(process.env.KYC_REQUIRED_AMOUNT) || 2000,
+        daily: parseFloat(process.env.KYC_UNVERIFIED_DAILY_LIMIT) || 5000
+      },
+      // AML screening of new payments by the compliance service; not screened when unset
+      compliance: {
+        serviceUrl: process.env.COMPLIANCE_SERVICE_URL,
+        timeoutMs: parseInt(process.env.COMPLIANCE_SERVICE_TIMEOUT_MS, 10) || 5000
+      },
+      // Payment, refund, dispute and subscription events, relayed from the
+      // outbox to webhooks and to the `stream` Redis stream
+      eventBus: {
+        stream: process.env.EVENT_BUS_STREAM || 'payflow.events',
+        maxLength: parseInt(process.env.EVENT_BUS_MAX_LENGTH, 10) || 100000,
+        pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 1000,
+        batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 100,
+        leaseMs: parseInt(process.env.OUTBOX_LEASE_MS, 10) || 30 * 1000
+      },
+      // Per API key (or user) quotas, stricter than the gateway's
       rateLimiting: {
-        windowMs: 15 * 60 * 1000, // 15 minutes
-        max: 50, // More restrictive for payment service
-        message: 'Too many payment requests from this IP'
+        windowMs: parseInt(process.env.PAYMENT_RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000,
+        writeMax: parseInt(process.env.PAYMENT_RATE_LIMIT_WRITE_MAX, 10) || 30,
+        readMax: parseInt(process.env.PAYMENT_RATE_LIMIT_READ_MAX, 10) || 200
       }
     };
   }
 
+  setupDataAccess(options) {
+    if (this.config.database.url) {
+      this.db = createPool(this.config.database);
+    } else {
+      logger.warn('DATABASE_URL not set, using in-memory repositories');
+    }
+
+    this.ledgerRepository = options.ledgerRepository || (this.db
+      ? new LedgerRepository(this.db)
+      : new InMemoryLedgerRepository());
+
+    this.outboxRepository = options.outboxRepository || (this.db
+      ? new OutboxRepository(this.db)
+      : new InMemoryOutboxRepository());
+
+    this.paymentRepository = options.paymentRepository || (this.db
+      ? new PaymentRepository(this.db)
+      : new InMemoryPaymentRepository(this.ledgerRepository, this.outboxRepository));
+
+    this.idempotencyRepository = options.idempotencyRepository || (this.db
+      ? new IdempotencyRepository(this.db)
+      : new InMemoryIdempotencyRepository());
+
+    this.refundRepository = options.refundRepository || (this.db
+      ? new RefundRepository(this.db)
+      : new InMemoryRefundRepository(this.paymentRepository));
+
+    this.riskRepository = options.riskRepository || (this.db
+      ? new RiskRepository(this.db)
+      : new InMemoryRiskRepository(this.paymentRepository));
+
+    this.webhookRepository = options.webhookRepository || (this.db
+      ? new WebhookRepository(this.db)
+      : new InMemoryWebhookRepository());
+
+    this.auditLogRepository = options.auditLogRepository || (this.db
+      ? new AuditLogRepository(this.db)
+      : new InMemoryAuditLogRepository());
+
+    this.transactionRepository = options.transactionRepository || (this.db
+      ? new TransactionRepository(this.db)
+      : new InMemoryTransactionRepository(this.paymentRepository, this.refundRepository));
+
+    this.reconciliationRepository = options.reconciliationRepository || (this.db
+      ? new ReconciliationRepository(this.db)
+      : new InMemoryReconciliationRepository(this.transactionRepository, this.ledgerRepository));
+
+    this.paymentMethodRepository = options.paymentMethodRepository || (this.db
+      ? new PaymentMethodRepository(this.db)
+      : new InMemoryPaymentMethodRepository());
+
+    this.customerRepository = options.customerRepository || (this.db
+      ? new CustomerRepository(this.db)
+      : new InMemoryCustomerRepository(this.paymentRepository));
+
+    this.subscriptionRepository = options.subscriptionRepository || (this.db
+      ? new SubscriptionRepository(this.db)
+      : new InMemorySubscriptionRepository(this.outboxRepository));
+
+    this.disputeRepository = options.disputeRepository || (this.db
+      ? new DisputeRepository(this.db)
+      : new InMemoryDisputeRepository(this.paymentRepository));
+
+    if (options.redisClient) {
+      this.redis = options.redisClient;
+    } else if (this.config.redis.url) {
+      this.redis = createRedisClient(this.config.redis.url);
+    } else {
+      logger.warn('REDIS_URL not set, rate limits are counted in memory per instance');
+    }
+  }
+
+  setupServices(options) {
+    // Settlement dates of bank transfers and subscription billing; tests
+    // inject a ManualClock
+    this.clock = options.clock || systemClock;
+    this.processor = options.processor || createProcessor(this.config.processor, { clock: this.clock });
+    this.auditTrail = new AuditTrail({ auditLogRepository: this.auditLogRepository });
+
+    this.webhookService = new WebhookService({
+      webhookRepository: this.webhookRepository,
+      config: this.config.webhooks,
+      ...(options.fetch && { fetch: options.fetch }),
+      ...(options.dnsLookup && { lookup: options.dnsLookup })
+    });
+    this.webhookRetryWorker = new WebhookRetryWorker({
+      webhookService: this.webhookService,
+      intervalMs: this.config.webhooks.pollIntervalMs
+    });
+
+    // Events written to the outbox are relayed to the webhooks of merchants,
+    // and to the event bus from which other services (e.g. customer
+    // notifications) learn about payments
+    this.eventBus = options.eventBus || (this.redis
+      ? new RedisStreamsEventBus({
+        client: this.redis,
+        stream: this.config.eventBus.stream,
+        maxLength: this.config.eventBus.maxLength
+      })
+      : null);
+    if (!this.eventBus) {
+      logger.warn('REDIS_URL not set, payment events are only relayed to webhooks');
+    }
+    this.outboxRelay = new OutboxRelay({
+      outboxRepository: this.outboxRepository,
+      publishers: this.eventBus ? [this.webhookService, this.eventBus] : [this.webhookService],
+      intervalMs: this.config.eventBus.pollIntervalMs,
+      batchSize: this.config.eventBus.batchSize,
+      leaseMs: this.config.eventBus.leaseMs
+    });
+
+    this.amlScreening = options.amlScreening || (this.config.compliance.serviceUrl
+      ? new AmlScreeningClient({
+        ...this.config.compliance,
+        ...(options.fetch && { fetch: options.fetch })
+      })
+      : null);
+    if (!this.amlScreening) {
+      logger.warn('COMPLIANCE_SERVICE_URL not set, payments are not screened for AML');
+    }
+
+    this.fxRates = options.fxRates || new FxRates(this.config.fxRates);
+    this.riskEngine = new RiskEngine({
+      riskRepository: this.riskRepository,
+      fxRates: this.fxRates,
+      config: this.config.risk
+    });
+    this.kycLimits = new KycLimits({
+      customerRepository: this.customerRepository,
+      fxRates: this.fxRates,
+      config: this.config.kycLimits
+    });
+
+    this.paymentMethodService = new PaymentMethodService({
+      paymentMethodRepository: this.paymentMethodRepository,
+      processor: this.processor,
+      clock: this.clock,
+      config: this.config.paymentMethods
+    });
+
+    this.paymentLifecycleService = new PaymentLifecycleService({
+      paymentRepository: this.paymentRepository,
+      processor: this.processor,
+      riskEngine: this.riskEngine,
+      customerRepository: this.customerRepository,
+      kycLimits: this.kycLimits,
+      amlScreening: this.amlScreening,
+      paymentMethodService: this.paymentMethodService,
+      fxRates: this.fxRates,
+      clock: this.clock
+    });
+    this.bankSettlementWorker = new BankSettlementWorker({
+      paymentLifecycleService: this.paymentLifecycleService,
+      intervalMs: this.config.bankSettlement.pollIntervalMs,
+      batchSize: this.config.bankSettlement.batchSize
+    });
+    this.subscriptionService = new SubscriptionService({
+      subscriptionRepository: this.subscriptionRepository,
+      paymentLifecycleService: this.paymentLifecycleService,
+      paymentMethodService: this.paymentMethodService,
+      paymentRepository: this.paymentRepository,
+      clock: this.clock,
+      config: this.config.subscriptions
+    });
+    this.subscriptionBillingWorker = new SubscriptionBillingWorker({
+      subscriptionService: this.subscriptionService,
+      intervalMs: this.config.subscriptions.pollIntervalMs,
+      batchSize: this.config.subscriptions.batchSize
+    });
+    this.refundService = new RefundService({
+      paymentRepository: this.paymentRepository,
+      refundRepository: this.refundRepository,
+      processor: this.processor
+    });
+    this.evidenceStorage = options.evidenceStorage || new LocalEvidenceStorage({
+      directory: this.config.disputes.storageDir
+    });
+    this.disputeService = new DisputeService({
+      disputeRepository: this.disputeRepository,
+      paymentRepository: this.paymentRepository,
+      evidenceStorage: this.evidenceStorage,
+      processor: this.processor,
+      clock: this.clock,
+      config: this.config.disputes
+    });
+    this.reconciliationService = new ReconciliationService({
+      reconciliationRepository: this.reconciliationRepository,
+      transactionRepository: this.transactionRepository
+    });
+    this.ledgerService = new LedgerService({ ledgerRepository: this.ledgerRepository });
+  }
+
   setupMiddleware() {
+    // Resolve the client IP (used by fraud screening) from X-Forwarded-For set
+    // by the API gateway on the private network
+    this.app.set('trust proxy', this.config.trustProxy);
+
     // Security middleware - Enhanced for payment service
     this.app.use(helmet({
       contentSecurityPolicy: {
@@ -54,12 +396,12 @@ class PaymentService {
     this.app.use(cors({
       origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
       credentials: true,
-      methods: ['GET', 'POST'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      methods: ['GET', 'POST', 'DELETE'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
     }));
 
     this.app.use(compression());
-    this.app.use(express.json({ limit: '1mb' })); // Smaller limit for security
+    this.app.use(express.json({ limit: '1mb', verify: keepRawBody })); // Smaller limit for security
     
     // Enhanced logging for compliance
     if (this.config.environment !== 'test') {
@@ -68,15 +410,18 @@ class PaymentService {
       }));
     }
 
-    // Stricter rate limiting for payment endpoints
-    this.app.use(rateLimit(this.config.rateLimiting));
-
-    // Request ID for tracing
+    // Request ID for tracing (reuses the one assigned by the API gateway)
     this.app.use((req, res, next) => {
-      req.requestId = uuidv4();
+      req.requestId = req.get('X-Request-ID') || uuidv4();
       res.setHeader('X-Request-ID', req.requestId);
       next();
     });
+
+    // Stricter rate limiting for payment endpoints
+    this.app.use(clientQuotas({
+      ...this.config.rateLimiting,
+      redisClient: this.redis
+    }));
   }
 
   setupRoutes() {
@@ -90,10 +435,8 @@ class PaymentService {
       });
     });
 
-    // Payment routes
-    this.app.use('/payments', paymentRoutes);
-
-    // Demo endpoints for development
+    // Demo endpoints for development (registered before the payment routes
+    // so that `/payments/demo` is not treated as a payment ID)
     this.app.get('/payments/demo', (req, res) => {
       res.json({
         service: 'Payment Service',
@@ -108,28 +451,71 @@ class PaymentService {
       });
     });
 
-    this.app.post('/payments/process', validatePaymentRequest, (req, res) => {
-      // Demo payment processing
-      const { amount, currency, paymentMethod } = req.body;
-      
-      logger.info(`Processing payment: ${amount} ${currency}`, {
-        requestId: req.requestId,
-        paymentMethod: paymentMethod?.type
-      });
+    // Payment routes
+    this.app.use('/payments', createPaymentRoutes({
+      paymentRepository: this.paymentRepository,
+      paymentLifecycleService: this.paymentLifecycleService,
+      refundService: this.refundService,
+      auditTrail: this.auditTrail,
+      idempotencyRepository: this.idempotencyRepository,
+      idempotencyTtlMs: this.config.idempotency.ttlMs
+    }));
 
-      // Simulate payment processing
-      setTimeout(() => {
-        res.status(201).json({
-          id: uuidv4(),
-          status: 'completed',
-          amount: amount,
-          currency: currency,
-          transactionId: `txn_${Date.now()}`,
-          processedAt: new Date().toISOString(),
-          requestId: req.requestId
-        });
-      }, Math.random() * 1000 + 500); // 500-1500ms processing time
-    });
+    // Customers' stored cards and bank accounts
+    this.app.use('/payment-methods', createPaymentMethodRoutes({
+      paymentMethodService: this.paymentMethodService,
+      auditTrail: this.auditTrail
+    }));
+
+    // Recurring billing plans and customers' subscriptions to them
+    this.app.use('/subscription-plans', createSubscriptionPlanRoutes({
+      subscriptionService: this.subscriptionService,
+      auditTrail: this.auditTrail
+    }));
+    this.app.use('/subscriptions', createSubscriptionRoutes({
+      subscriptionService: this.subscriptionService,
+      auditTrail: this.auditTrail
+    }));
+
+    // Chargebacks and their evidence
+    this.app.use('/disputes', createDisputeRoutes({
+      disputeService: this.disputeService,
+      auditTrail: this.auditTrail,
+      maxEvidenceBytes: this.config.disputes.maxEvidenceBytes,
+      processorSignature: verifyProcessorSignature({
+        secret: this.config.disputes.processorEventSecret,
+        toleranceSeconds: this.config.disputes.processorEventToleranceSeconds
+      })
+    }));
+
+    // Webhook endpoint management and delivery log
+    this.app.use('/webhooks', createWebhookRoutes({
+      webhookService: this.webhookService,
+      auditTrail: this.auditTrail
+    }));
+
+    // Audit trail queries and chain verification
+    this.app.use('/audit-logs', createAuditLogRoutes({
+      auditTrail: this.auditTrail
+    }));
+
+    // Transaction history and accounting exports
+    this.app.use('/transactions', createTransactionRoutes({
+      transactionRepository: this.transactionRepository,
+      auditTrail: this.auditTrail
+    }));
+
+    // Processor settlement reconciliation
+    this.app.use('/reconciliations', createReconciliationRoutes({
+      reconciliationService: this.reconciliationService,
+      auditTrail: this.auditTrail,
+      defaultProcessor: this.config.processor.name
+    }));
+
+    // Double-entry ledger balances and invariant check
+    this.app.use('/ledger', createLedgerRoutes({
+      ledgerService: this.ledgerService
+    }));
   }
 
   setupErrorHandling() {
@@ -145,20 +531,26 @@ class PaymentService {
 
     // Global error handler
     this.app.use((err, req, res, next) => {
-      logger.error('Payment service error:', {
-        error: err.message,
-        stack: err.stack,
-        requestId: req.requestId
-      });
+      const statusCode = err.statusCode || 500;
+
+      if (statusCode >= 500) {
+        logger.error('Payment service error:', {
+          error: err.message,
+          stack: err.stack,
+          requestId: req.requestId
+        });
+      }
 
       // Don't expose internal errors in production
-      const message = this.config.environment === 'production' 
-        ? 'Payment processing error' 
+      const message = this.config.environment === 'production' && statusCode >= 500
+        ? 'Payment processing error'
         : err.message;
 
-      res.status(err.statusCode || 500).json({
+      res.status(statusCode).json({
         error: 'Payment Error',
+        ...(err.code && { code: err.code }),
         message: message,
+        ...(err.details && { details: err.details }),
         requestId: req.requestId,
         timestamp: new Date().toISOString()
       });
@@ -171,13 +563,27 @@ class PaymentService {
         const server = this.app.listen(this.config.port, () => {
           logger.info(`Payment Service started on port ${this.config.port}`);
           logger.info(`Environment: ${this.config.environment}`);
+          this.webhookRetryWorker.start();
+          this.bankSettlementWorker.start();
+          this.subscriptionBillingWorker.start();
+          this.outboxRelay.start();
           resolve(server);
         });
 
         // Graceful shutdown
         process.on('SIGTERM', () => {
           logger.info('SIGTERM received, shutting down payment service');
-          server.close(() => {
+          this.webhookRetryWorker.stop();
+          this.bankSettlementWorker.stop();
+          this.subscriptionBillingWorker.stop();
+          this.outboxRelay.stop();
+          server.close(async () => {
+            if (this.db) {
+              await this.db.end();
+            }
+            if (this.redis?.isOpen) {
+              await this.redis.quit();
+            }
             logger.info('Payment service terminated');
             process.exit(0);
           });
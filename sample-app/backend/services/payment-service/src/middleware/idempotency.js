@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// JSON.stringify with sorted object keys, so that semantically identical
+// bodies produce the same fingerprint regardless of key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function requestFingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+function idempotencyError(req, res, statusCode, error, message) {
+  return res.status(statusCode).json({
+    error,
+    message,
+    idempotencyKey: req.idempotencyKey,
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Called by a handler once its side effect (e.g. the payment) is committed.
+// From then on a server error is stored like any other response, so that a
+// retry replays it instead of repeating the side effect.
+function markCommitted(res) {
+  res.locals.idempotencyCommitted = true;
+}
+
+// Makes a POST endpoint safe to retry. Keys are scoped to the caller
+// authenticated by the API gateway (`req.principal`, see principal.js), so
+// two callers never see each other's requests. When the client sends an
+// Idempotency-Key header:
+//   - a replay with the same key and body returns the stored status and body
+//   - the same key with a different body is rejected with 422
+//   - a replay while the original request is still running is rejected with 409
+// Server errors (5xx) raised before the handler called markCommitted() are not
+// stored so the client can retry with the same key, nor are refusals because
+// another capture, void or refund of the payment was in progress.
+// `req.scopedIdempotencyKey` identifies the key and caller together, for
+// passing on to the payment processor.
+function createIdempotencyMiddleware({ idempotencyRepository, ttlMs }) {
+  return async function idempotency(req, res, next) {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    const callerId = req.principal.id;
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `${IDEMPOTENCY_HEADER} header must be between 1 and ${MAX_KEY_LENGTH} characters`,
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.idempotencyKey = key;
+    req.scopedIdempotencyKey = crypto.createHash('sha256').update(`${callerId}\n${key}`).digest('hex');
+    const fingerprint = requestFingerprint(req);
+
+    try {
+      const acquired = await idempotencyRepository.acquire(
+        callerId,
+        key,
+        fingerprint,
+        new Date(Date.now() + ttlMs)
+      );
+
+      if (!acquired) {
+        const existing = await idempotencyRepository.find(callerId, key);
+
+        if (existing && existing.fingerprint !== fingerprint) {
+          return idempotencyError(req, res, 422, 'Idempotency Key Reused',
+            'Idempotency key was already used with a different request');
+        }
+
+        if (!existing || existing.responseStatus === null) {
+          return idempotencyError(req, res, 409, 'Idempotency Key In Use',
+            'A request with this idempotency key is still being processed');
+        }
+
+        logger.info('Replaying idempotent response', {
+          idempotencyKey: key,
+          requestId: req.requestId
+        });
+
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    // Capture the response so that it can be replayed later. The response is
+    // only sent once it has been stored, so a retry never races the write.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const retryable = res.statusCode >= 500 || (body && body.code === 'payment_operation_in_progress');
+      const persist = retryable && !res.locals.idempotencyCommitted
+        ? idempotencyRepository.release(callerId, key)
+        : idempotencyRepository.complete(callerId, key, res.statusCode, body);
+
+      persist
+        .catch(error => {
+          logger.error('Failed to persist idempotent response', {
+            error: error.message,
+            idempotencyKey: key,
+            requestId: req.requestId
+          });
+        })
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = { createIdempotencyMiddleware, markCommitted, IDEMPOTENCY_HEADER };
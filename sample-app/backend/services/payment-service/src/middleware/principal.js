@@ -0,0 +1,67 @@
+const { PaymentError } = require('../utils/errors');
+
+// Scope letting support staff and admins see and act on every account's
+// payments and transactions (see the API gateway's config/scopes.js)
+const ALL_ACCOUNTS_SCOPE = 'payments:all_accounts';
+
+// Store the caller identified by the API gateway on `req.principal` as
+// `{ id, allAccounts }`; requests without one are rejected
+function requirePrincipal(req, res, next) {
+  const id = req.get('X-User-ID');
+
+  if (!id) {
+    return next(new PaymentError(401, 'authentication_required',
+      'Payments can only be accessed by an authenticated caller'));
+  }
+
+  const scopes = (req.get('X-User-Scopes') || '').split(' ');
+  req.principal = { id, allAccounts: scopes.includes(ALL_ACCOUNTS_SCOPE) };
+  next();
+}
+
+// Reject callers the API gateway did not grant `scope`
+function requireScope(scope) {
+  return (req, res, next) => {
+    const scopes = (req.get('X-User-Scopes') || '').split(' ');
+    if (!scopes.includes(scope)) {
+      return next(new PaymentError(403, 'insufficient_scope',
+        `This operation requires the ${scope} scope`, { requiredScopes: [scope] }));
+    }
+    next();
+  };
+}
+
+// Whether `principal` may see and act on `payment`: its customer, its
+// merchant or staff
+function canAccessPayment(principal, payment) {
+  return principal.allAccounts ||
+    payment.customerId === principal.id ||
+    payment.merchantId === principal.id;
+}
+
+// The customer a payment requested by `principal` is charged to: the
+// principal themselves, or any `customerId` for staff. KYC limits, AML
+// screening and risk rules apply to this customer, so a caller naming
+// someone else is refused rather than screened as them.
+function payingCustomerId(principal, customerId) {
+  if (principal.allAccounts || customerId === principal.id) {
+    return customerId;
+  }
+  throw new PaymentError(403, 'customer_not_permitted',
+    'Payments can only be made for the authenticated customer');
+}
+
+// Whether `principal` may capture or void `payment`: its merchant or staff.
+// The paying customer can see the authorization but not settle or cancel it.
+function canManagePayment(principal, payment) {
+  return principal.allAccounts || Boolean(payment.merchantId && payment.merchantId === principal.id);
+}
+
+module.exports = {
+  ALL_ACCOUNTS_SCOPE,
+  requirePrincipal,
+  requireScope,
+  canAccessPayment,
+  canManagePayment,
+  payingCustomerId
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { PaymentError } = require('../utils/errors');
+const { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../services/webhookService');
+
+function invalidSignature(message) {
+  return new PaymentError(401, 'invalid_signature', message);
+}
+
+// Keep the raw bytes of JSON request bodies on `req.rawBody`, for signatures
+// computed over the body as sent (express.json `verify` option)
+function keepRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+// Accept only requests signed by the payment processor. Requests are signed
+// like outgoing webhooks (see signPayload), with the shared `secret`: the
+// timestamp header must be within `toleranceSeconds` of now, so that a
+// captured request cannot be replayed later. Without a secret every request
+// is refused.
+function verifyProcessorSignature({ secret, toleranceSeconds }) {
+  return (req, res, next) => {
+    if (!secret) {
+      return next(new PaymentError(503, 'processor_events_disabled',
+        'Processor events are not accepted: no signing secret is configured'));
+    }
+
+    const timestamp = req.get(TIMESTAMP_HEADER) || '';
+    if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+      return next(invalidSignature(`${TIMESTAMP_HEADER} is missing or more than ${toleranceSeconds} seconds away`));
+    }
+
+    const expected = Buffer.from(signPayload(secret, timestamp, req.rawBody || ''), 'hex');
+    const signature = Buffer.from((req.get(SIGNATURE_HEADER) || '').replace(/^v1=/, ''), 'hex');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      return next(invalidSignature(`${SIGNATURE_HEADER} does not match the request`));
+    }
+
+    next();
+  };
+}
+
+module.exports = { keepRawBody, verifyProcessorSignature };
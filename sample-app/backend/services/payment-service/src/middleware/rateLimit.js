@@ -0,0 +1,79 @@
+const rateLimit = require('express-rate-limit');
+const { RedisRateLimitStore } = require('../../../../shared/rateLimitStore');
+const { PaymentError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function isWriteRequest(req) {
+  return !READ_METHODS.includes(req.method);
+}
+
+// Quotas belong to the caller identified by the API gateway: the API key,
+// else the user, else (direct calls) the client IP
+function clientKey(req) {
+  const apiKeyId = req.get('X-API-Key-ID');
+  const userId = req.get('X-User-ID');
+
+  if (apiKeyId) return `api_key:${apiKeyId}`;
+  if (userId) return `user:${userId}`;
+  return `ip:${req.ip}`;
+}
+
+// Rate limiter answering with the standard RateLimit-Limit/-Remaining/-Reset
+// headers (and Retry-After once exceeded). Counters live in Redis when a
+// client is given, in process memory otherwise. If Redis is unreachable
+// requests are let through rather than rejected.
+function createRateLimiter({ name, windowMs, max, redisClient, skip }) {
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    store: redisClient
+      ? new RedisRateLimitStore({ client: redisClient, prefix: `rl:payment-service:${name}:` })
+      : undefined,
+    passOnStoreError: true,
+    keyGenerator: clientKey,
+    ...(skip && { skip }),
+    handler(req, res, next) {
+      logger.warn('Rate limit exceeded', {
+        limiter: name,
+        key: clientKey(req),
+        path: req.originalUrl,
+        requestId: req.requestId
+      });
+
+      next(new PaymentError(429, 'rate_limit_exceeded',
+        'Too many payment requests, please retry later',
+        {
+          limit: req.rateLimit.limit,
+          windowMs,
+          retryAfterSeconds: Math.max(0, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000))
+        }));
+    }
+  });
+}
+
+// Per-client quotas. Writes (processing, capturing, refunding payments) and
+// reads are counted against separate quotas.
+function clientQuotas({ redisClient, windowMs, writeMax, readMax }) {
+  return [
+    createRateLimiter({
+      name: 'write',
+      windowMs,
+      max: writeMax,
+      redisClient,
+      skip: req => !isWriteRequest(req)
+    }),
+    createRateLimiter({
+      name: 'read',
+      windowMs,
+      max: readMax,
+      redisClient,
+      skip: isWriteRequest
+    })
+  ];
+}
+
+module.exports = { clientQuotas, createRateLimiter, isWriteRequest };
@@ -1,22 +1,82 @@
 const Joi = require('joi');
 const { logger } = require('../utils/logger');
+const { PAYMENT_STATES } = require('../services/paymentStateMachine');
+const { WEBHOOK_EVENT_TYPES } = require('../services/webhookService');
+const { ACCOUNT_TYPES } = require('../services/ledgerService');
+const { CARD_BRANDS, BANK_ACCOUNT_TYPES } = require('../services/paymentMethodService');
+const { PLAN_INTERVALS } = require('../services/subscriptionService');
+const { DISPUTE_REASON_CODES, DISPUTE_STATUSES, DISPUTE_OUTCOMES } = require('../services/disputeService');
+const {
+  TRANSACTION_STATUSES,
+  TRANSACTION_TYPES,
+  decodeCursor
+} = require('../repositories/transactionRepository');
+const {
+  SUPPORTED_CURRENCIES,
+  isSupportedCurrency,
+  currencyExponent,
+  currencyLimits,
+  hasValidPrecision,
+  toMinorUnits,
+  isWithinLimits
+} = require('../utils/money');
+
+// Check a payment amount against its sibling `currency`: no more decimals than
+// the currency's exponent allows and within the currency's accepted range.
+// Unsupported currencies are reported by the currency field itself.
+function paymentAmount(value, helpers) {
+  const currency = String(helpers.state.ancestors[0].currency || '').toUpperCase();
+
+  if (!isSupportedCurrency(currency)) {
+    return value;
+  }
+  if (!hasValidPrecision(value, currency)) {
+    return helpers.error('money.precision', { currency, exponent: currencyExponent(currency) });
+  }
+  if (!validateAmount(value, currency)) {
+    return helpers.error('money.range', { currency, ...currencyLimits(currency) });
+  }
+  return value;
+}
+
+const moneyMessages = {
+  'money.precision': '{{#label}} must have at most {{#exponent}} decimal places for {{#currency}}',
+  'money.range': '{{#label}} must be between {{#min}} and {{#max}} {{#currency}}'
+};
 
 // Payment request validation schema
 const paymentRequestSchema = Joi.object({
-  amount: Joi.number().positive().precision(2).max(1000000).required()
+  customerId: Joi.string().guid().required()
     .messages({
+      'string.guid': 'Customer ID must be a valid UUID',
+      'any.required': 'Customer ID is required'
+    }),
+
+  merchantId: Joi.string().guid().optional(),
+
+  amount: Joi.number().positive().custom(paymentAmount).required()
+    .messages({
+      ...moneyMessages,
       'number.positive': 'Amount must be a positive number',
-      'number.max': 'Amount cannot exceed $1,000,000',
       'any.required': 'Amount is required'
     }),
   
-  currency: Joi.string().length(3).uppercase().valid('USD', 'EUR', 'GBP').required()
+  currency: Joi.string().length(3).uppercase().valid(...SUPPORTED_CURRENCIES).required()
     .messages({
       'string.length': 'Currency must be a 3-character code',
-      'any.only': 'Currency must be one of USD, EUR, GBP',
+      'any.only': `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`,
       'any.required': 'Currency is required'
     }),
+
+  // Currency the merchant is paid out in. When it differs from `currency` the
+  // amount is converted at the current FX rate; defaults to `currency`.
+  settlementCurrency: Joi.string().length(3).uppercase().valid(...SUPPORTED_CURRENCIES).optional()
+    .messages({
+      'any.only': `Settlement currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+    }),
   
+  // Either a one-off tokenized `paymentMethod` or the ID of one of the
+  // customer's stored payment methods; their default one when neither is given
   paymentMethod: Joi.object({
     type: Joi.string().valid('card', 'ach', 'wire').required(),
     card: Joi.when('type', {
@@ -34,16 +94,40 @@ const paymentRequestSchema = Joi.object({
         accountToken: Joi.string().required()
       }).required(),
       otherwise: Joi.forbidden()
+    }),
+    // Payer's bank account, and who the wire is credited to with which reference
+    wire: Joi.when('type', {
+      is: 'wire',
+      then: Joi.object({
+        accountToken: Joi.string().required(),
+        beneficiaryName: Joi.string().max(140).required(),
+        beneficiaryBankName: Joi.string().max(255).optional(),
+        beneficiarySwiftCode: Joi.string().uppercase().pattern(/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/).optional()
+          .messages({ 'string.pattern.base': 'Beneficiary SWIFT code must be a valid BIC' }),
+        reference: Joi.string().max(140).required()
+      }).required(),
+      otherwise: Joi.forbidden()
     })
-  }).required(),
+  }),
+
+  paymentMethodId: Joi.string().guid()
+    .messages({
+      'string.guid': 'Payment method ID must be a valid UUID'
+    }),
   
+  // false = authorize only; the payment must then be captured or voided
+  capture: Joi.boolean().default(true),
+
   description: Joi.string().max(255).optional(),
   
   metadata: Joi.object().pattern(
     Joi.string(),
     Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())
   ).optional()
-});
+}).oxor('paymentMethod', 'paymentMethodId')
+  .messages({
+    'object.oxor': 'Only one of paymentMethod and paymentMethodId may be given'
+  });
 
 function validatePaymentRequest(req, res, next) {
   const { error, value } = paymentRequestSchema.validate(req.body, {
@@ -58,9 +142,10 @@ function validatePaymentRequest(req, res, next) {
       value: detail.context?.value
     }));
 
+    // Rejected values are echoed to the caller but never logged
     logger.warn('Payment validation failed', {
       requestId: req.requestId,
-      errors: validationErrors,
+      errors: validationErrors.map(({ field, message }) => ({ field, message })),
       clientIP: req.ip
     });
 
@@ -78,35 +163,741 @@ function validatePaymentRequest(req, res, next) {
   next();
 }
 
+const paymentIdSchema = Joi.string().guid().required();
+
+// Payment list query validation schema
+const paymentListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  offset: Joi.number().integer().min(0).default(0),
+  status: Joi.string().valid(...PAYMENT_STATES).optional()
+});
+
+// Capture request validation schema. Amount defaults to the full authorized
+// amount; its precision is checked against the payment currency when captured.
+const captureRequestSchema = Joi.object({
+  amount: Joi.number().positive().optional()
+    .messages({
+      'number.positive': 'Capture amount must be a positive number'
+    })
+});
+
+// Refund request validation schema. Amount defaults to the remaining
+// refundable balance of the payment when omitted. Precision is checked against
+// the payment currency by the refund service.
+const refundRequestSchema = Joi.object({
+  amount: Joi.number().positive().optional()
+    .messages({
+      'number.positive': 'Refund amount must be a positive number'
+    }),
+  currency: Joi.string().length(3).uppercase().optional(),
+  reason: Joi.string().valid('requested_by_customer', 'duplicate', 'fraudulent')
+    .default('requested_by_customer')
+});
+
+// Payment method saved for later payments: the processor token from
+// client-side tokenization and the display details returned with it
+const paymentMethodSchema = Joi.object({
+  type: Joi.string().valid('card', 'bank_account').required(),
+  card: Joi.when('type', {
+    is: 'card',
+    then: Joi.object({
+      token: Joi.string().max(255).required(),
+      brand: Joi.string().lowercase().valid(...CARD_BRANDS).required(),
+      last4: Joi.string().pattern(/^\d{4}$/).required(),
+      expMonth: Joi.number().integer().min(1).max(12).required(),
+      expYear: Joi.number().integer().min(2000).max(2100).required()
+    }).required(),
+    otherwise: Joi.forbidden()
+  }),
+  bankAccount: Joi.when('type', {
+    is: 'bank_account',
+    then: Joi.object({
+      accountToken: Joi.string().max(255).required(),
+      bankName: Joi.string().max(255).required(),
+      accountType: Joi.string().valid(...BANK_ACCOUNT_TYPES).required(),
+      routingNumber: Joi.string().pattern(/^\d{9}$/).required(),
+      last4: Joi.string().pattern(/^\d{4}$/).required()
+    }).required(),
+    otherwise: Joi.forbidden()
+  }),
+  isDefault: Joi.boolean().default(false)
+});
+
+// Micro-deposit amounts (e.g. 0.32) as seen on the customer's bank statement
+const microDepositVerificationSchema = Joi.object({
+  amounts: Joi.array().items(Joi.number().positive().max(0.99).precision(2).strict())
+    .length(2).required()
+});
+
+// Recurring billing plan: `amount` is charged every `intervalCount` intervals,
+// after a trial of `trialDays`
+const subscriptionPlanSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+  amount: Joi.number().positive().custom(paymentAmount).required()
+    .messages(moneyMessages),
+  currency: Joi.string().length(3).uppercase().valid(...SUPPORTED_CURRENCIES).required()
+    .messages({
+      'any.only': `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+    }),
+  interval: Joi.string().valid(...PLAN_INTERVALS).required(),
+  intervalCount: Joi.number().integer().min(1).max(365).default(1),
+  trialDays: Joi.number().integer().min(0).max(730).default(0)
+});
+
+// Charged to the customer's default payment method when none is given
+const subscriptionSchema = Joi.object({
+  planId: Joi.string().guid().required(),
+  paymentMethodId: Joi.string().guid().optional()
+});
+
+const subscriptionCancelSchema = Joi.object({
+  atPeriodEnd: Joi.boolean().default(true)
+});
+
+// Paused until resumed when `resumesAt` is omitted
+const subscriptionPauseSchema = Joi.object({
+  resumesAt: Joi.date().iso().optional()
+});
+
+const subscriptionPlanChangeSchema = Joi.object({
+  planId: Joi.string().guid().required(),
+  prorate: Joi.boolean().default(true)
+});
+
+const subscriptionPaymentMethodSchema = Joi.object({
+  paymentMethodId: Joi.string().guid().required()
+});
+
+// Dispute opened through the API. The whole captured amount is disputed when
+// `amount` is omitted; evidence is due after the configured number of days
+// when `evidenceDueBy` is.
+const disputeSchema = Joi.object({
+  paymentId: Joi.string().guid().required(),
+  amount: Joi.number().positive().optional(),
+  currency: Joi.string().length(3).uppercase().optional(),
+  reasonCode: Joi.string().valid(...DISPUTE_REASON_CODES).required(),
+  evidenceDueBy: Joi.date().iso().optional()
+});
+
+// Dispute notification forwarded from the processor
+const disputeProcessorEventSchema = Joi.object({
+  type: Joi.string().valid('dispute.created', 'dispute.closed').required(),
+  data: Joi.object({
+    providerDisputeId: Joi.string().max(255).required(),
+    providerTransactionId: Joi.when('...type', {
+      is: 'dispute.created',
+      then: Joi.string().max(255).required(),
+      otherwise: Joi.forbidden()
+    }),
+    amount: Joi.when('...type', {
+      is: 'dispute.created',
+      then: Joi.number().positive().optional(),
+      otherwise: Joi.forbidden()
+    }),
+    currency: Joi.when('...type', {
+      is: 'dispute.created',
+      then: Joi.string().length(3).uppercase().optional(),
+      otherwise: Joi.forbidden()
+    }),
+    reasonCode: Joi.when('...type', {
+      is: 'dispute.created',
+      then: Joi.string().valid(...DISPUTE_REASON_CODES).default('general'),
+      otherwise: Joi.forbidden()
+    }),
+    evidenceDueBy: Joi.when('...type', {
+      is: 'dispute.created',
+      then: Joi.date().iso().optional(),
+      otherwise: Joi.forbidden()
+    }),
+    outcome: Joi.when('...type', {
+      is: 'dispute.closed',
+      then: Joi.string().valid(...DISPUTE_OUTCOMES).required(),
+      otherwise: Joi.forbidden()
+    })
+  }).required()
+});
+
+// Unresolved disputes are listed when `status` is omitted
+const disputeListQuerySchema = Joi.object({
+  status: Joi.string().valid(...DISPUTE_STATUSES).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Evidence files are sent as the raw request body; the query describes them
+const evidenceUploadQuerySchema = Joi.object({
+  description: Joi.string().max(500).optional()
+});
+
+const disputeResolutionSchema = Joi.object({
+  outcome: Joi.string().valid(...DISPUTE_OUTCOMES).required()
+});
+
+// Webhook endpoint registration. Events default to every event type ('*').
+// Where the URL points is checked by the webhook service once resolved.
+const webhookEndpointSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['https'] }).max(2048).required()
+    .messages({
+      'string.uriCustomScheme': 'URL must be an https URL',
+      'any.required': 'URL is required'
+    }),
+  events: Joi.array().items(Joi.string().valid('*', ...WEBHOOK_EVENT_TYPES))
+    .min(1).unique().default(['*']),
+  description: Joi.string().max(255).optional()
+});
+
+const webhookDeliveryListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Audit log query filters for compliance reviews; `from` is inclusive, `to` exclusive
+const auditLogQuerySchema = Joi.object({
+  action: Joi.string().max(100).optional(),
+  resourceType: Joi.string().max(50).optional(),
+  resourceId: Joi.string().guid().optional(),
+  userId: Joi.string().guid().optional(),
+  actorType: Joi.string().valid('user', 'api_key', 'system').optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('from'))
+  }).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Transaction history filters, shared by the list and export endpoints.
+// `from` is inclusive, `to` exclusive; the amount range is inclusive.
+const transactionFilters = {
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('from'))
+  }).optional(),
+  status: Joi.string().valid(...TRANSACTION_STATUSES).optional(),
+  type: Joi.string().valid(...TRANSACTION_TYPES).optional(),
+  minAmount: Joi.number().min(0).optional(),
+  maxAmount: Joi.number().min(0).when('minAmount', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('minAmount'))
+  }).optional(),
+  currency: Joi.string().length(3).uppercase().valid(...SUPPORTED_CURRENCIES).optional(),
+  paymentMethod: Joi.string().valid('card', 'ach', 'wire').optional(),
+  userId: Joi.string().guid().optional()
+};
+
+const transactionListQuerySchema = Joi.object({
+  ...transactionFilters,
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  cursor: Joi.string().max(200)
+    .custom((value, helpers) => (decodeCursor(value) ? value : helpers.error('any.invalid')))
+    .optional()
+    .messages({ 'any.invalid': 'Cursor must be a nextCursor returned by a previous page' })
+});
+
+const transactionExportQuerySchema = Joi.object({
+  ...transactionFilters,
+  format: Joi.string().valid('csv', 'json').default('csv')
+});
+
+// Settlement file upload; the file itself is the text/csv request body
+const reconciliationRequestSchema = Joi.object({
+  settlementDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .custom((value, helpers) => (Number.isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value))
+    .required()
+    .messages({
+      'string.pattern.base': 'Settlement date must be a YYYY-MM-DD date',
+      'any.invalid': 'Settlement date must be a YYYY-MM-DD date'
+    }),
+  processor: Joi.string().max(50).optional(),
+  fileName: Joi.string().max(255).optional(),
+  dryRun: Joi.boolean().default(false)
+});
+
+const reconciliationListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Ledger accounts are named `<type>:<id>` (customer:<uuid>) or just `<type>` (fees)
+const ledgerAccount = Joi.string().max(100).pattern(/^[a-z_]+(:[\w-]+)?$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be a ledger account such as fees or customer:<id>' });
+
+const ledgerBalanceQuerySchema = Joi.object({
+  account: ledgerAccount.optional(),
+  accountType: Joi.string().valid(...ACCOUNT_TYPES).optional(),
+  currency: Joi.string().length(3).uppercase().valid(...SUPPORTED_CURRENCIES).optional()
+});
+
+const ledgerEntryQuerySchema = Joi.object({
+  transactionId: Joi.string().guid().optional(),
+  account: ledgerAccount.optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+function validationErrorResponse(req, res, message, error) {
+  return res.status(400).json({
+    error: 'Validation Error',
+    message,
+    details: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    })),
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function validatePaymentId(req, res, next) {
+  const { error } = paymentIdSchema.validate(req.params.paymentId);
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid payment ID', error);
+  }
+
+  next();
+}
+
+function validatePaymentListQuery(req, res, next) {
+  const { error, value } = paymentListQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid payment list query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
+function validateRefundRequest(req, res, next) {
+  const { error, value } = refundRequestSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid refund request', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateCaptureRequest(req, res, next) {
+  const { error, value } = captureRequestSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid capture request', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+// Validate that route parameter `name` is a UUID
+function validateUuidParam(name) {
+  return (req, res, next) => {
+    const { error } = Joi.string().guid().required().label(name).validate(req.params[name]);
+
+    if (error) {
+      return validationErrorResponse(req, res, `Invalid ${name}`, error);
+    }
+
+    next();
+  };
+}
+
+function validatePaymentMethod(req, res, next) {
+  const { error, value } = paymentMethodSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid payment method', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateMicroDepositVerification(req, res, next) {
+  const { error, value } = microDepositVerificationSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid micro-deposit verification', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateSubscriptionPlan(req, res, next) {
+  const { error, value } = subscriptionPlanSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid subscription plan', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateSubscription(req, res, next) {
+  const { error, value } = subscriptionSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid subscription', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateSubscriptionCancel(req, res, next) {
+  const { error, value } = subscriptionCancelSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid subscription cancellation', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateSubscriptionPause(req, res, next) {
+  const { error, value } = subscriptionPauseSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid subscription pause', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateSubscriptionPlanChange(req, res, next) {
+  const { error, value } = subscriptionPlanChangeSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid plan change', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateSubscriptionPaymentMethod(req, res, next) {
+  const { error, value } = subscriptionPaymentMethodSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid subscription payment method', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateDispute(req, res, next) {
+  const { error, value } = disputeSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid dispute', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateDisputeProcessorEvent(req, res, next) {
+  const { error, value } = disputeProcessorEventSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid dispute event', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateDisputeListQuery(req, res, next) {
+  const { error, value } = disputeListQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid dispute list query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
+function validateEvidenceUpload(req, res, next) {
+  const { error, value } = evidenceUploadQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid evidence upload', error);
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid evidence upload',
+      details: [{ field: 'body', message: 'The evidence file must be sent as the request body' }],
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.uploadQuery = value;
+  next();
+}
+
+function validateDisputeResolution(req, res, next) {
+  const { error, value } = disputeResolutionSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid dispute resolution', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateWebhookEndpoint(req, res, next) {
+  const { error, value } = webhookEndpointSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid webhook endpoint', error);
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateWebhookDeliveryListQuery(req, res, next) {
+  const { error, value } = webhookDeliveryListQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid webhook delivery query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
+function validateAuditLogQuery(req, res, next) {
+  const { error, value } = auditLogQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid audit log query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
+function validateTransactionListQuery(req, res, next) {
+  const { error, value } = transactionListQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid transaction query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
+function validateTransactionExportQuery(req, res, next) {
+  const { error, value } = transactionExportQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid transaction export query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
+function validateReconciliationRequest(req, res, next) {
+  const { error, value } = reconciliationRequestSchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid reconciliation request', error);
+  }
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid reconciliation request',
+      details: [{ field: 'body', message: 'The settlement file must be sent as a text/csv request body' }],
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.reconciliationQuery = value;
+  next();
+}
+
+function validateReconciliationListQuery(req, res, next) {
+  const { error, value } = reconciliationListQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid reconciliation list query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
+function validateLedgerBalanceQuery(req, res, next) {
+  const { error, value } = ledgerBalanceQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid ledger balance query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
+function validateLedgerEntryQuery(req, res, next) {
+  const { error, value } = ledgerEntryQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return validationErrorResponse(req, res, 'Invalid ledger entry query', error);
+  }
+
+  req.listQuery = value;
+  next();
+}
+
 // Card token validation (for demo purposes)
 function validateCardToken(token) {
   // In real implementation, this would validate against payment processor
   return token && token.startsWith('tok_') && token.length >= 10;
 }
 
-// Amount validation helpers
+// Whether `amount` (major units) is within the accepted payment range of `currency`
 function validateAmount(amount, currency = 'USD') {
-  const minAmounts = {
-    'USD': 0.50,
-    'EUR': 0.50,
-    'GBP': 0.30
-  };
-
-  const maxAmounts = {
-    'USD': 999999.99,
-    'EUR': 999999.99,
-    'GBP': 999999.99
-  };
-
-  const min = minAmounts[currency] || 0.50;
-  const max = maxAmounts[currency] || 999999.99;
-
-  return amount >= min && amount <= max;
+  return isSupportedCurrency(currency) && isWithinLimits(toMinorUnits(amount, currency), currency);
 }
 
 module.exports = {
   validatePaymentRequest,
+  validatePaymentId,
+  validatePaymentListQuery,
+  validateRefundRequest,
+  validateCaptureRequest,
+  validateUuidParam,
+  validatePaymentMethod,
+  validateMicroDepositVerification,
+  validateSubscriptionPlan,
+  validateSubscription,
+  validateSubscriptionCancel,
+  validateSubscriptionPause,
+  validateSubscriptionPlanChange,
+  validateSubscriptionPaymentMethod,
+  validateDispute,
+  validateDisputeProcessorEvent,
+  validateDisputeListQuery,
+  validateEvidenceUpload,
+  validateDisputeResolution,
+  validateWebhookEndpoint,
+  validateWebhookDeliveryListQuery,
+  validateAuditLogQuery,
+  validateTransactionListQuery,
+  validateTransactionExportQuery,
+  validateReconciliationRequest,
+  validateReconciliationListQuery,
+  validateLedgerBalanceQuery,
+  validateLedgerEntryQuery,
   validateCardToken,
   validateAmount,
-  paymentRequestSchema
+  paymentRequestSchema,
+  paymentListQuerySchema,
+  refundRequestSchema,
+  captureRequestSchema,
+  paymentMethodSchema,
+  microDepositVerificationSchema,
+  subscriptionPlanSchema,
+  subscriptionSchema,
+  subscriptionPlanChangeSchema,
+  disputeSchema,
+  disputeProcessorEventSchema,
+  webhookEndpointSchema,
+  auditLogQuerySchema,
+  transactionListQuerySchema,
+  transactionExportQuerySchema,
+  reconciliationRequestSchema,
+  ledgerBalanceQuerySchema,
+  ledgerEntryQuerySchema
 };
\ No newline at end of file
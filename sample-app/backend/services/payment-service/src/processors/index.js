@@ -0,0 +1,39 @@
+const { SimulatorProcessor } = require('./simulatorProcessor');
+const { StripeProcessor } = require('./stripeProcessor');
+
+// Payment processor adapters. Every adapter implements:
+//   authorize({ amount, currency, paymentMethod, capture, description, metadata, idempotencyKey })
+//     -> { status, providerTransactionId, paymentMethod, settlesAt?, failureCode?, failureMessage? }
+//        status is one of completed | authorized | pending | failed; bank
+//        transfers (ach, wire) are pending until `settlesAt`
+//   capture({ providerTransactionId, amount, currency }) -> { status: captured | failed, ... }
+//   refund({ providerTransactionId, amount, currency, reason })
+//     -> { status: completed | pending | failed, providerRefundId, ... }
+//   void({ providerTransactionId }) -> { status: voided }
+//   getStatus(providerTransactionId) -> { status, failureCode?, failureMessage? }
+//     once settled, a bank transfer is completed or failed (returned, with
+//     its return code as failureCode)
+//   sendMicroDeposits({ accountToken, currency }) -> { amounts, currency, arrivesAt }
+//     optional; verifies a bank account by two small deposits
+// Declines are returned as `status: 'failed'`; adapters throw only when the
+// processor could not be reached or returned an unexpected error.
+// `clock` dates the simulator's bank transfer settlements.
+function createProcessor(processorConfig, { clock } = {}) {
+  switch (processorConfig.name) {
+    case 'stripe':
+      if (!processorConfig.stripeSecretKey || processorConfig.stripeSecretKey === 'sk_test_...') {
+        throw new Error('STRIPE_SECRET_KEY is required when PAYMENT_PROCESSOR=stripe');
+      }
+      return new StripeProcessor({ secretKey: processorConfig.stripeSecretKey });
+    case 'simulator':
+      return new SimulatorProcessor({
+        latencyMs: processorConfig.simulatorLatencyMs,
+        achSettlementDays: processorConfig.achSettlementDays,
+        clock
+      });
+    default:
+      throw new Error(`Unknown payment processor: ${processorConfig.name}`);
+  }
+}
+
+module.exports = { createProcessor, SimulatorProcessor, StripeProcessor };
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { systemClock, addBusinessDays } = require('../utils/clock');
+
+// Magic tokens understood by the simulator. Any other token succeeds.
+//   tok_decline_<code>   authorization declined with failure code <code>
+//                        (e.g. tok_decline_insufficient_funds, tok_decline_card_declined)
+//   tok_pending          authorization left pending at the processor
+//   tok_capture_decline  authorizes, but the capture is declined
+//   tok_refund_decline   succeeds, but any refund is declined
+//   tok_return_<code>    bank transfer returned at settlement with return
+//                        code <code> (e.g. tok_return_R01, tok_return_R03)
+// Tokens ending in four digits (e.g. tok_visa_1881) report those as last4.
+const DECLINE_PREFIX = 'tok_decline_';
+const RETURN_PREFIX = 'tok_return_';
+
+const FAILURE_MESSAGES = {
+  insufficient_funds: 'The card has insufficient funds',
+  card_declined: 'The card was declined',
+  expired_card: 'The card has expired',
+  invalid_card: 'The card details are invalid',
+  processing_error: 'An error occurred while processing the card',
+  refund_declined: 'The refund was declined',
+  // ACH return codes
+  R01: 'Insufficient funds',
+  R02: 'Account closed',
+  R03: 'No account or unable to locate account',
+  R04: 'Invalid account number'
+};
+
+function failure(code) {
+  return {
+    status: 'failed',
+    failureCode: code,
+    failureMessage: FAILURE_MESSAGES[code] || 'Payment could not be processed'
+  };
+}
+
+// Only what the token itself reveals; stored payment methods carry their own details
+function describePaymentMethod(paymentMethod, token) {
+  const digits = /(\d{4})$/.exec(token);
+  if (paymentMethod.type === 'card' && digits) {
+    return { type: 'card', last4: digits[1] };
+  }
+  if (paymentMethod.type === 'wire') {
+    const { accountToken, ...wire } = paymentMethod.wire;
+    return { type: 'wire', ...wire };
+  }
+  return { type: paymentMethod.type };
+}
+
+function paymentToken(paymentMethod) {
+  return paymentMethod.card?.token
+    || paymentMethod.ach?.accountToken
+    || paymentMethod.wire?.accountToken
+    || '';
+}
+
+// Micro-deposit amounts (in cents, 1-99) sent to a bank account. Derived from
+// the account token so that tests can predict them.
+function microDepositAmounts(accountToken) {
+  const digest = crypto.createHash('sha256').update(accountToken).digest();
+  return [digest[0] % 99 + 1, digest[1] % 99 + 1];
+}
+
+// Deterministic, offline payment processor. Outcomes are chosen from the
+// payment method token instead of randomness so that tests are reproducible.
+// Bank transfers stay pending until their settlement date on `clock`: ACH
+// after `achSettlementDays` business days, wires on the same business day.
+class SimulatorProcessor {
+  constructor({ latencyMs = 0, achSettlementDays = 2, clock = systemClock } = {}) {
+    this.name = 'simulator';
+    this.latencyMs = latencyMs;
+    this.clock = clock;
+    this.settlementDays = { ach: achSettlementDays, wire: 0 };
+    this.charges = new Map();
+  }
+
+  async simulateLatency() {
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+  }
+
+  async authorize({ amount, currency, paymentMethod, capture }) {
+    await this.simulateLatency();
+
+    const token = paymentToken(paymentMethod);
+    const settlementDays = this.settlementDays[paymentMethod.type];
+    const providerTransactionId = `sim_${uuidv4().replace(/-/g, '')}`;
+    const base = {
+      providerTransactionId,
+      paymentMethod: describePaymentMethod(paymentMethod, token)
+    };
+
+    let outcome;
+    if (token.startsWith(DECLINE_PREFIX)) {
+      outcome = failure(token.slice(DECLINE_PREFIX.length));
+    } else if (settlementDays !== undefined) {
+      outcome = {
+        status: 'pending',
+        settlesAt: addBusinessDays(this.clock.now(), settlementDays).toISOString()
+      };
+    } else if (token === 'tok_pending') {
+      outcome = { status: 'pending' };
+    } else {
+      outcome = { status: capture ? 'completed' : 'authorized' };
+    }
+
+    this.charges.set(providerTransactionId, {
+      token,
+      amount,
+      currency,
+      status: outcome.status,
+      settlesAt: outcome.settlesAt
+    });
+
+    return { ...base, ...outcome };
+  }
+
+  async capture({ providerTransactionId }) {
+    await this.simulateLatency();
+
+    const charge = this.charges.get(providerTransactionId);
+    if (charge?.token === 'tok_capture_decline') {
+      return failure('card_declined');
+    }
+    if (charge) {
+      charge.status = 'captured';
+    }
+    return { status: 'captured' };
+  }
+
+  async refund({ providerTransactionId }) {
+    await this.simulateLatency();
+
+    const charge = this.charges.get(providerTransactionId);
+    if (charge?.token === 'tok_refund_decline') {
+      return failure('refund_declined');
+    }
+    return {
+      status: 'completed',
+      providerRefundId: `sim_re_${uuidv4().replace(/-/g, '')}`
+    };
+  }
+
+  async void({ providerTransactionId }) {
+    await this.simulateLatency();
+
+    const charge = this.charges.get(providerTransactionId);
+    if (charge) {
+      charge.status = 'voided';
+    }
+    return { status: 'voided' };
+  }
+
+  // Bank transfers past their settlement date settle, or are returned
+  async getStatus(providerTransactionId) {
+    const charge = this.charges.get(providerTransactionId);
+    if (!charge) {
+      return { status: 'unknown' };
+    }
+
+    if (charge.status === 'pending' && charge.settlesAt && this.clock.now() >= new Date(charge.settlesAt)) {
+      if (charge.token.startsWith(RETURN_PREFIX)) {
+        Object.assign(charge, failure(charge.token.slice(RETURN_PREFIX.length)));
+      } else {
+        charge.status = 'completed';
+      }
+    }
+
+    return {
+      status: charge.status,
+      ...(charge.failureCode && { failureCode: charge.failureCode, failureMessage: charge.failureMessage })
+    };
+  }
+
+  // Send two micro-deposits to a bank account for the customer to confirm;
+  // they arrive with the next ACH settlement
+  async sendMicroDeposits({ accountToken, currency }) {
+    await this.simulateLatency();
+
+    return {
+      amounts: microDepositAmounts(accountToken).map(cents => cents / 100),
+      currency,
+      arrivesAt: addBusinessDays(this.clock.now(), this.settlementDays.ach).toISOString()
+    };
+  }
+
+  // Dispute evidence is accepted as is; the issuer's decision is reported
+  // separately
+  async submitDisputeEvidence({ providerDisputeId, evidence }) {
+    await this.simulateLatency();
+
+    return { providerDisputeId, status: 'under_review', files: evidence.length };
+  }
+}
+
+module.exports = { SimulatorProcessor, microDepositAmounts };
@@ -0,0 +1,135 @@
+const Stripe = require('stripe');
+const { toMinorUnits } = require('../utils/money');
+
+// PaymentIntent status -> payment status
+const STATUS_BY_INTENT_STATUS = {
+  requires_payment_method: 'failed',
+  requires_confirmation: 'pending',
+  requires_action: 'pending',
+  processing: 'pending',
+  requires_capture: 'authorized',
+  succeeded: 'completed',
+  canceled: 'voided'
+};
+
+const STATUS_BY_REFUND_STATUS = {
+  pending: 'pending',
+  requires_action: 'pending',
+  succeeded: 'completed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+// Card declines come back as StripeCardError and are reported as a failed
+// outcome; anything else (network, auth, rate limit) is rethrown.
+function declineFrom(error) {
+  if (error.type !== 'StripeCardError') {
+    throw error;
+  }
+  return {
+    status: 'failed',
+    failureCode: error.decline_code || error.code || 'card_declined',
+    failureMessage: error.message
+  };
+}
+
+function describePaymentMethod(intent) {
+  const card = intent.payment_method?.card || intent.charges?.data?.[0]?.payment_method_details?.card;
+  return card
+    ? { type: 'card', brand: card.brand, last4: card.last4 }
+    : { type: 'card' };
+}
+
+// Saved cards are Stripe PaymentMethods (`pm_...`); anything else is a
+// single-use card token
+function paymentMethodParams(token) {
+  return token.startsWith('pm_')
+    ? { payment_method: token }
+    : { payment_method_data: { type: 'card', card: { token } } };
+}
+
+// Processor adapter backed by Stripe PaymentIntents. Authorize-only payments
+// use manual capture; one-step payments are captured automatically.
+class StripeProcessor {
+  constructor({ secretKey }) {
+    this.name = 'stripe';
+    this.stripe = new Stripe(secretKey);
+  }
+
+  async authorize({ amount, currency, paymentMethod, capture, description, metadata, idempotencyKey }) {
+    if (paymentMethod.type !== 'card') {
+      return {
+        status: 'failed',
+        failureCode: 'unsupported_payment_method',
+        failureMessage: `Stripe processor does not support ${paymentMethod.type} payments`,
+        paymentMethod: { type: paymentMethod.type }
+      };
+    }
+
+    try {
+      const intent = await this.stripe.paymentIntents.create({
+        amount: toMinorUnits(amount, currency),
+        currency: currency.toLowerCase(),
+        capture_method: capture ? 'automatic' : 'manual',
+        confirm: true,
+        payment_method_types: ['card'],
+        ...paymentMethodParams(paymentMethod.card.token),
+        expand: ['payment_method'],
+        description,
+        metadata
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+
+      return {
+        status: STATUS_BY_INTENT_STATUS[intent.status] || 'pending',
+        providerTransactionId: intent.id,
+        paymentMethod: describePaymentMethod(intent)
+      };
+    } catch (error) {
+      return {
+        ...declineFrom(error),
+        providerTransactionId: error.payment_intent?.id,
+        paymentMethod: { type: 'card' }
+      };
+    }
+  }
+
+  async capture({ providerTransactionId, amount, currency }) {
+    try {
+      await this.stripe.paymentIntents.capture(providerTransactionId, {
+        amount_to_capture: toMinorUnits(amount, currency)
+      });
+      return { status: 'captured' };
+    } catch (error) {
+      return declineFrom(error);
+    }
+  }
+
+  async refund({ providerTransactionId, amount, currency, reason }) {
+    const refund = await this.stripe.refunds.create({
+      payment_intent: providerTransactionId,
+      amount: toMinorUnits(amount, currency),
+      reason
+    });
+
+    return {
+      status: STATUS_BY_REFUND_STATUS[refund.status] || 'pending',
+      providerRefundId: refund.id,
+      ...(refund.status === 'failed' && {
+        failureCode: refund.failure_reason || 'refund_failed',
+        failureMessage: 'Refund was declined by the processor'
+      })
+    };
+  }
+
+  async void({ providerTransactionId }) {
+    await this.stripe.paymentIntents.cancel(providerTransactionId);
+    return { status: 'voided' };
+  }
+
+  async getStatus(providerTransactionId) {
+    const intent = await this.stripe.paymentIntents.retrieve(providerTransactionId);
+    return { status: STATUS_BY_INTENT_STATUS[intent.status] || 'pending' };
+  }
+}
+
+module.exports = { StripeProcessor };
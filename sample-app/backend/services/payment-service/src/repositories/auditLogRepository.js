@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { withTransaction } = require('../db');
+
+// Serializes appends to the hash chain across service instances
+const AUDIT_CHAIN_LOCK_ID = 7262001;
+
+function mapAuditRow(row) {
+  return {
+    id: row.id,
+    sequence: Number(row.sequence),
+    action: row.action,
+    resourceType: row.resource_type,
+    resourceId: row.resource_id,
+    actorType: row.actor_type,
+    userId: row.user_id,
+    oldValues: row.old_values,
+    newValues: row.new_values,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    sessionId: row.session_id,
+    metadata: row.metadata,
+    createdAt: new Date(row.created_at).toISOString(),
+    previousHash: row.previous_hash,
+    hash: row.hash
+  };
+}
+
+// `{ where, params }` SQL filter for the audit log query API
+function buildFilters({ action, resourceType, resourceId, userId, actorType, from, to }) {
+  const filters = [];
+  const params = [];
+  const add = (clause, value) => {
+    params.push(value);
+    filters.push(clause.replace('?', `$${params.length}`));
+  };
+
+  if (action) add('action = ?', action);
+  if (resourceType) add('resource_type = ?', resourceType);
+  if (resourceId) add('resource_id = ?', resourceId);
+  if (userId) add('user_id = ?', userId);
+  if (actorType) add('actor_type = ?', actorType);
+  if (from) add('created_at >= ?', from);
+  if (to) add('created_at < ?', to);
+
+  return { where: filters.length ? `WHERE ${filters.join(' AND ')}` : '', params };
+}
+
+// Append-only audit trail backed by the `audit_logs` table. Entries form a
+// hash chain ordered by `sequence`; see services/auditTrail.js.
+class AuditLogRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Append an entry to the chain. Appends are serialized with an advisory
+  // lock; the latest entry (or null for the first one) is handed to `seal`,
+  // which returns the complete entry including `sequence` and `hash`.
+  async append(seal) {
+    return withTransaction(this.db, async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK_ID]);
+
+      const { rows: latest } = await client.query(
+        'SELECT * FROM audit_logs ORDER BY sequence DESC LIMIT 1'
+      );
+      const entry = seal(latest.length ? mapAuditRow(latest[0]) : null);
+
+      const { rows } = await client.query(`
+        INSERT INTO audit_logs (
+          sequence, action, resource_type, resource_id, actor_type, user_id,
+          old_values, new_values, ip_address, user_agent, session_id, metadata,
+          created_at, previous_hash, hash
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING *
+      `, [
+        entry.sequence,
+        entry.action,
+        entry.resourceType,
+        entry.resourceId,
+        entry.actorType,
+        entry.userId,
+        entry.oldValues === null ? null : JSON.stringify(entry.oldValues),
+        entry.newValues === null ? null : JSON.stringify(entry.newValues),
+        entry.ipAddress,
+        entry.userAgent,
+        entry.sessionId,
+        JSON.stringify(entry.metadata),
+        entry.createdAt,
+        entry.previousHash,
+        entry.hash
+      ]);
+
+      return mapAuditRow(rows[0]);
+    });
+  }
+
+  // Entries matching the filters, newest first
+  async list(filters, { limit, offset }) {
+    const { where, params } = buildFilters(filters);
+
+    const { rows: countRows } = await this.db.query(
+      `SELECT COUNT(*)::int AS total FROM audit_logs ${where}`,
+      params
+    );
+
+    const { rows } = await this.db.query(`
+      SELECT * FROM audit_logs
+      ${where}
+      ORDER BY sequence DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return { data: rows.map(mapAuditRow), total: countRows[0].total };
+  }
+
+  // Up to `limit` entries following `afterSequence`, in chain order
+  async listChain(afterSequence, limit) {
+    const { rows } = await this.db.query(`
+      SELECT * FROM audit_logs
+      WHERE sequence > $1
+      ORDER BY sequence ASC
+      LIMIT $2
+    `, [afterSequence, limit]);
+
+    return rows.map(mapAuditRow);
+  }
+}
+
+// Drop-in stand-in for AuditLogRepository used when no DATABASE_URL is configured
+class InMemoryAuditLogRepository {
+  constructor() {
+    this.entries = [];
+  }
+
+  async append(seal) {
+    const latest = this.entries[this.entries.length - 1];
+    const entry = {
+      id: crypto.randomUUID(),
+      ...seal(latest ? { ...latest } : null)
+    };
+
+    this.entries.push(entry);
+    return { ...entry };
+  }
+
+  async list({ action, resourceType, resourceId, userId, actorType, from, to }, { limit, offset }) {
+    const matching = this.entries
+      .filter(entry => (!action || entry.action === action) &&
+        (!resourceType || entry.resourceType === resourceType) &&
+        (!resourceId || entry.resourceId === resourceId) &&
+        (!userId || entry.userId === userId) &&
+        (!actorType || entry.actorType === actorType) &&
+        (!from || new Date(entry.createdAt) >= new Date(from)) &&
+        (!to || new Date(entry.createdAt) < new Date(to)))
+      .reverse();
+
+    return {
+      data: matching.slice(offset, offset + limit).map(entry => ({ ...entry })),
+      total: matching.length
+    };
+  }
+
+  async listChain(afterSequence, limit) {
+    return this.entries
+      .filter(entry => entry.sequence > afterSequence)
+      .slice(0, limit)
+      .map(entry => ({ ...entry }));
+  }
+}
+
+module.exports = { AuditLogRepository, InMemoryAuditLogRepository };
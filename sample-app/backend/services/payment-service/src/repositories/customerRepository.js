@@ -0,0 +1,71 @@
+// Payments that never moved money do not count towards a customer's limits
+const EXCLUDED_PAYMENT_STATUSES = ['failed', 'voided'];
+
+// Read-only queries about the customers paying, used to enforce the limits of
+// customers without verified KYC
+class CustomerRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Whether `userId` (a customer or merchant) is a known user
+  async exists(userId) {
+    const { rows } = await this.db.query('SELECT 1 FROM users WHERE id = $1', [userId]);
+    return rows.length > 0;
+  }
+
+  // The customer's `users.kyc_status`, or null for an unknown customer
+  async findKycStatus(customerId) {
+    const { rows } = await this.db.query('SELECT kyc_status FROM users WHERE id = $1', [customerId]);
+    return rows.length ? rows[0].kyc_status : null;
+  }
+
+  // `[{ currency, amount }]` the customer has paid since `since`
+  async paymentTotalsSince(customerId, since) {
+    const { rows } = await this.db.query(`
+      SELECT currency, SUM(amount) AS amount
+      FROM payments
+      WHERE customer_id = $1
+        AND created_at >= $2
+        AND status NOT IN (${EXCLUDED_PAYMENT_STATUSES.map(status => `'${status}'`).join(', ')})
+      GROUP BY currency
+    `, [customerId, since]);
+
+    return rows.map(row => ({ currency: row.currency, amount: parseFloat(row.amount) }));
+  }
+}
+
+// In-memory stand-in for CustomerRepository over an InMemoryPaymentRepository.
+// `kycStatuses` maps customer IDs to their KYC status; other customers are
+// treated as not verified. Every user exists unless `unknownUserIds` names it.
+class InMemoryCustomerRepository {
+  constructor(paymentRepository, kycStatuses = {}, unknownUserIds = []) {
+    this.paymentRepository = paymentRepository;
+    this.kycStatuses = new Map(Object.entries(kycStatuses));
+    this.unknownUserIds = new Set(unknownUserIds);
+  }
+
+  async exists(userId) {
+    return !this.unknownUserIds.has(userId);
+  }
+
+  async findKycStatus(customerId) {
+    return this.kycStatuses.get(customerId) || 'not_started';
+  }
+
+  async paymentTotalsSince(customerId, since) {
+    const totals = new Map();
+
+    [...this.paymentRepository.payments.values()]
+      .filter(payment => payment.customerId === customerId
+        && new Date(payment.createdAt) >= since
+        && !EXCLUDED_PAYMENT_STATUSES.includes(payment.status))
+      .forEach((payment) => {
+        totals.set(payment.currency, (totals.get(payment.currency) || 0) + payment.amount);
+      });
+
+    return [...totals].map(([currency, amount]) => ({ currency, amount }));
+  }
+}
+
+module.exports = { CustomerRepository, InMemoryCustomerRepository };
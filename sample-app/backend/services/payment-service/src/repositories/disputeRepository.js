@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const { withTransaction } = require('../db');
+const { PAYMENT_COLUMNS, mapPaymentRow } = require('./paymentRepository');
+const { insertJournalEntry } = require('./ledgerRepository');
+const { insertOutboxEvents, paymentEvent, disputeEvent } = require('./outboxRepository');
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function mapDisputeRow(row) {
+  return {
+    id: row.id,
+    paymentId: row.payment_id,
+    amount: Number(row.amount),
+    currency: row.currency,
+    reasonCode: row.reason_code,
+    status: row.status,
+    evidenceDueBy: toISOString(row.evidence_due_by),
+    originalPaymentStatus: row.original_payment_status,
+    providerDisputeId: row.provider_dispute_id,
+    evidenceSubmittedAt: toISOString(row.evidence_submitted_at),
+    resolvedAt: toISOString(row.resolved_at),
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at)
+  };
+}
+
+function mapEvidenceRow(row) {
+  return {
+    id: row.id,
+    disputeId: row.dispute_id,
+    description: row.description,
+    filePath: row.file_path,
+    fileSize: row.file_size,
+    mimeType: row.mime_type,
+    sha256: row.sha256,
+    createdAt: toISOString(row.created_at)
+  };
+}
+
+async function lockPayment(client, paymentId) {
+  const { rows } = await client.query(`
+    SELECT ${PAYMENT_COLUMNS}
+    FROM payments p
+    JOIN transactions t ON t.id = p.transaction_id
+    WHERE p.id = $1
+    FOR UPDATE OF p
+  `, [paymentId]);
+
+  return rows.length ? mapPaymentRow(rows[0]) : null;
+}
+
+async function updatePayment(client, payment, changes) {
+  const next = { ...payment, ...changes };
+
+  await client.query(
+    'UPDATE payments SET status = $2, dispute_amount = $3 WHERE id = $1',
+    [payment.id, next.status, next.disputedAmount]
+  );
+  return next;
+}
+
+// Outbox events of a change to a dispute: `dispute.closed` when it is won or
+// lost, and the payment's new state when the payment changed
+function transitionEvents(previous, dispute, payment, paymentChanged) {
+  const events = dispute.resolvedAt && !previous.resolvedAt
+    ? [disputeEvent('dispute.closed', dispute, payment)]
+    : [];
+  return paymentChanged ? [...events, paymentEvent(payment)] : events;
+}
+
+// Disputes of payments and their evidence, backed by the `disputes` and
+// `dispute_evidence` tables. Changes to a dispute lock its payment row first,
+// then the dispute, so that the payment's status and disputed amount move
+// together with the dispute (see open() and transition()), and are written to
+// the outbox in the same database transaction.
+class DisputeRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Open a dispute of a payment. The payment row and its existing dispute
+  // (or null) are handed to `plan`, which returns `{ dispute, paymentStatus }`
+  // (or throws). Resolves to `{ dispute, payment }`.
+  async open(paymentId, plan) {
+    return withTransaction(this.db, async (client) => {
+      const payment = await lockPayment(client, paymentId);
+      const { rows: existing } = payment
+        ? await client.query('SELECT * FROM disputes WHERE payment_id = $1', [paymentId])
+        : { rows: [] };
+
+      const { dispute, paymentStatus } = plan(payment, existing.length ? mapDisputeRow(existing[0]) : null);
+
+      const { rows } = await client.query(`
+        INSERT INTO disputes (
+          payment_id, amount, currency, reason_code, status, evidence_due_by,
+          original_payment_status, provider_dispute_id
+        )
+        VALUES ($1, $2, $3, $4, 'open', $5, $6, $7)
+        RETURNING *
+      `, [
+        paymentId,
+        dispute.amount,
+        dispute.currency,
+        dispute.reasonCode,
+        dispute.evidenceDueBy,
+        payment.status,
+        dispute.providerDisputeId
+      ]);
+
+      const opened = mapDisputeRow(rows[0]);
+      const updatedPayment = await updatePayment(client, payment, { status: paymentStatus });
+      await insertOutboxEvents(client, [
+        disputeEvent('dispute.created', opened, updatedPayment),
+        paymentEvent(updatedPayment)
+      ]);
+
+      return { dispute: opened, payment: updatedPayment };
+    });
+  }
+
+  // Change a dispute. Its payment, the dispute and its evidence are locked and
+  // handed to `plan` (with nulls for an unknown dispute), which returns
+  // `{ dispute?, payment?, journalEntry? }`: changes to the dispute, changes
+  // to the payment's `status` and `disputedAmount`, and a journal entry to
+  // post (or throws). Resolves to `{ dispute, payment }`.
+  async transition(id, plan) {
+    return withTransaction(this.db, async (client) => {
+      const { rows: found } = await client.query('SELECT payment_id FROM disputes WHERE id = $1', [id]);
+      const payment = found.length ? await lockPayment(client, found[0].payment_id) : null;
+
+      const { rows } = payment
+        ? await client.query('SELECT * FROM disputes WHERE id = $1 FOR UPDATE', [id])
+        : { rows: [] };
+      const dispute = rows.length ? mapDisputeRow(rows[0]) : null;
+      const evidence = dispute ? await this.listEvidence(id, client) : [];
+
+      const changes = plan(dispute, payment, evidence);
+      const next = { ...dispute, ...changes.dispute };
+
+      const { rows: updated } = await client.query(`
+        UPDATE disputes
+        SET status = $2,
+            evidence_submitted_at = $3,
+            resolved_at = $4
+        WHERE id = $1
+        RETURNING *
+      `, [id, next.status, next.evidenceSubmittedAt, next.resolvedAt]);
+
+      const updatedPayment = changes.payment
+        ? await updatePayment(client, payment, changes.payment)
+        : payment;
+
+      if (changes.journalEntry) {
+        await insertJournalEntry(client, changes.journalEntry);
+      }
+
+      const updatedDispute = mapDisputeRow(updated[0]);
+      await insertOutboxEvents(client,
+        transitionEvents(dispute, updatedDispute, updatedPayment, Boolean(changes.payment)));
+
+      return { dispute: updatedDispute, payment: updatedPayment };
+    });
+  }
+
+  // Attach evidence to a dispute. The dispute row (or null) and its evidence
+  // so far are locked and handed to `plan`, which throws when no more
+  // evidence is accepted.
+  async addEvidence(disputeId, evidence, plan) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query('SELECT * FROM disputes WHERE id = $1 FOR UPDATE', [disputeId]);
+      const dispute = rows.length ? mapDisputeRow(rows[0]) : null;
+      plan(dispute, dispute ? await this.listEvidence(disputeId, client) : []);
+
+      const { rows: inserted } = await client.query(`
+        INSERT INTO dispute_evidence (id, dispute_id, description, file_path, file_size, mime_type, sha256)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        evidence.id,
+        disputeId,
+        evidence.description,
+        evidence.filePath,
+        evidence.fileSize,
+        evidence.mimeType,
+        evidence.sha256
+      ]);
+
+      return mapEvidenceRow(inserted[0]);
+    });
+  }
+
+  async findById(id) {
+    const { rows } = await this.db.query('SELECT * FROM disputes WHERE id = $1', [id]);
+    return rows.length ? mapDisputeRow(rows[0]) : null;
+  }
+
+  async findByProviderDisputeId(providerDisputeId) {
+    const { rows } = await this.db.query('SELECT * FROM disputes WHERE provider_dispute_id = $1', [providerDisputeId]);
+    return rows.length ? mapDisputeRow(rows[0]) : null;
+  }
+
+  // Disputes in one of `statuses`, earliest evidence deadline first
+  async list({ statuses, limit, offset }) {
+    const { rows: countRows } = await this.db.query(
+      'SELECT COUNT(*)::int AS total FROM disputes WHERE status = ANY($1)',
+      [statuses]
+    );
+
+    const { rows } = await this.db.query(`
+      SELECT * FROM disputes
+      WHERE status = ANY($1)
+      ORDER BY evidence_due_by, id
+      LIMIT $2 OFFSET $3
+    `, [statuses, limit, offset]);
+
+    return {
+      data: rows.map(mapDisputeRow),
+      total: countRows[0].total
+    };
+  }
+
+  // Oldest first
+  async listEvidence(disputeId, client = this.db) {
+    const { rows } = await client.query(
+      'SELECT * FROM dispute_evidence WHERE dispute_id = $1 ORDER BY created_at, id',
+      [disputeId]
+    );
+    return rows.map(mapEvidenceRow);
+  }
+
+  async findEvidence(disputeId, evidenceId) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM dispute_evidence WHERE dispute_id = $1 AND id = $2',
+      [disputeId, evidenceId]
+    );
+    return rows.length ? mapEvidenceRow(rows[0]) : null;
+  }
+}
+
+// In-memory stand-in for DisputeRepository. Shares the payment records (ledger
+// and outbox) of an InMemoryPaymentRepository so that disputes update the
+// payments they belong to.
+class InMemoryDisputeRepository {
+  constructor(paymentRepository) {
+    this.paymentRepository = paymentRepository;
+    this.disputes = new Map();
+    this.evidence = new Map();
+  }
+
+  async open(paymentId, plan) {
+    const stored = this.paymentRepository.payments.get(paymentId);
+    const existing = stored
+      ? [...this.disputes.values()].find(dispute => dispute.paymentId === paymentId)
+      : null;
+
+    const { dispute, paymentStatus } = plan(stored ? { ...stored } : null, existing ? { ...existing } : null);
+
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      paymentId,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      reasonCode: dispute.reasonCode,
+      status: 'open',
+      evidenceDueBy: dispute.evidenceDueBy,
+      originalPaymentStatus: stored.status,
+      providerDisputeId: dispute.providerDisputeId || null,
+      evidenceSubmittedAt: null,
+      resolvedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.disputes.set(record.id, record);
+
+    stored.status = paymentStatus;
+    stored.updatedAt = now;
+    this.paymentRepository.outboxRepository.append([
+      disputeEvent('dispute.created', record, stored),
+      paymentEvent(stored)
+    ]);
+
+    return { dispute: { ...record }, payment: { ...stored } };
+  }
+
+  async transition(id, plan) {
+    const record = this.disputes.get(id);
+    const stored = record ? this.paymentRepository.payments.get(record.paymentId) : null;
+    const evidence = record ? await this.listEvidence(id) : [];
+
+    const previous = record ? { ...record } : null;
+    const changes = plan(previous, stored ? { ...stored } : null, evidence);
+    const now = new Date().toISOString();
+
+    Object.assign(record, changes.dispute, { updatedAt: now });
+    if (changes.payment) {
+      Object.assign(stored, changes.payment, { updatedAt: now });
+    }
+    if (changes.journalEntry) {
+      this.paymentRepository.ledgerRepository.post(changes.journalEntry);
+    }
+    this.paymentRepository.outboxRepository.append(
+      transitionEvents(previous, record, stored, Boolean(changes.payment)));
+
+    return { dispute: { ...record }, payment: { ...stored } };
+  }
+
+  async addEvidence(disputeId, evidence, plan) {
+    const dispute = this.disputes.get(disputeId);
+    plan(dispute ? { ...dispute } : null, dispute ? await this.listEvidence(disputeId) : []);
+
+    const record = { ...evidence, disputeId, createdAt: new Date().toISOString() };
+    this.evidence.set(record.id, record);
+    return { ...record };
+  }
+
+  async findById(id) {
+    const dispute = this.disputes.get(id);
+    return dispute ? { ...dispute } : null;
+  }
+
+  async findByProviderDisputeId(providerDisputeId) {
+    const dispute = [...this.disputes.values()]
+      .find(candidate => candidate.providerDisputeId === providerDisputeId);
+    return dispute ? { ...dispute } : null;
+  }
+
+  async list({ statuses, limit, offset }) {
+    const matching = [...this.disputes.values()]
+      .filter(dispute => statuses.includes(dispute.status))
+      .sort((a, b) => new Date(a.evidenceDueBy) - new Date(b.evidenceDueBy) || (a.id < b.id ? -1 : 1));
+
+    return {
+      data: matching.slice(offset, offset + limit).map(dispute => ({ ...dispute })),
+      total: matching.length
+    };
+  }
+
+  async listEvidence(disputeId) {
+    return [...this.evidence.values()]
+      .filter(evidence => evidence.disputeId === disputeId)
+      .map(evidence => ({ ...evidence }));
+  }
+
+  async findEvidence(disputeId, evidenceId) {
+    const evidence = this.evidence.get(evidenceId);
+    return evidence && evidence.disputeId === disputeId ? { ...evidence } : null;
+  }
+}
+
+module.exports = { DisputeRepository, InMemoryDisputeRepository };
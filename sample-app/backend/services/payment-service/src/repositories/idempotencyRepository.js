@@ -0,0 +1,115 @@
+function mapIdempotencyRow(row) {
+  return {
+    callerId: row.caller_id,
+    key: row.idempotency_key,
+    fingerprint: row.request_fingerprint,
+    responseStatus: row.response_status,
+    responseBody: row.response_body,
+    expiresAt: new Date(row.expires_at).toISOString()
+  };
+}
+
+// Idempotency key store backed by the `idempotency_keys` table. Keys are
+// unique per caller (`callerId`, the authenticated user).
+// A record without a response status is a request that is still in flight.
+class IdempotencyRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Claim `key` for a new request. Returns null when the key is already held
+  // by an unexpired record, which the caller should then look up.
+  async acquire(callerId, key, fingerprint, expiresAt) {
+    const { rows } = await this.db.query(`
+      INSERT INTO idempotency_keys (caller_id, idempotency_key, request_fingerprint, expires_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (caller_id, idempotency_key) DO UPDATE
+        SET request_fingerprint = EXCLUDED.request_fingerprint,
+            response_status = NULL,
+            response_body = NULL,
+            completed_at = NULL,
+            created_at = CURRENT_TIMESTAMP,
+            expires_at = EXCLUDED.expires_at
+        WHERE idempotency_keys.expires_at <= CURRENT_TIMESTAMP
+      RETURNING *
+    `, [callerId, key, fingerprint, expiresAt]);
+
+    return rows.length ? mapIdempotencyRow(rows[0]) : null;
+  }
+
+  async find(callerId, key) {
+    const { rows } = await this.db.query(`
+      SELECT * FROM idempotency_keys
+      WHERE caller_id = $1 AND idempotency_key = $2 AND expires_at > CURRENT_TIMESTAMP
+    `, [callerId, key]);
+
+    return rows.length ? mapIdempotencyRow(rows[0]) : null;
+  }
+
+  async complete(callerId, key, responseStatus, responseBody) {
+    await this.db.query(`
+      UPDATE idempotency_keys
+      SET response_status = $3, response_body = $4, completed_at = CURRENT_TIMESTAMP
+      WHERE caller_id = $1 AND idempotency_key = $2
+    `, [callerId, key, responseStatus, JSON.stringify(responseBody)]);
+  }
+
+  async release(callerId, key) {
+    await this.db.query(
+      'DELETE FROM idempotency_keys WHERE caller_id = $1 AND idempotency_key = $2 AND response_status IS NULL',
+      [callerId, key]
+    );
+  }
+}
+
+// Records are keyed by caller and key
+const recordKey = (callerId, key) => `${callerId}\n${key}`;
+
+class InMemoryIdempotencyRepository {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async acquire(callerId, key, fingerprint, expiresAt) {
+    const existing = this.records.get(recordKey(callerId, key));
+    if (existing && new Date(existing.expiresAt) > new Date()) {
+      return null;
+    }
+
+    const record = {
+      callerId,
+      key,
+      fingerprint,
+      responseStatus: null,
+      responseBody: null,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+    this.records.set(recordKey(callerId, key), record);
+    return { ...record };
+  }
+
+  async find(callerId, key) {
+    const record = this.records.get(recordKey(callerId, key));
+    if (!record || new Date(record.expiresAt) <= new Date()) {
+      return null;
+    }
+    return { ...record };
+  }
+
+  async complete(callerId, key, responseStatus, responseBody) {
+    const record = this.records.get(recordKey(callerId, key));
+    if (record) {
+      record.responseStatus = responseStatus;
+      record.responseBody = responseBody;
+    }
+  }
+
+  async release(callerId, key) {
+    const record = this.records.get(recordKey(callerId, key));
+    if (record && record.responseStatus === null) {
+      this.records.delete(recordKey(callerId, key));
+    }
+  }
+}
+
+module.exports = { IdempotencyRepository, InMemoryIdempotencyRepository };
@@ -0,0 +1,314 @@
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+function toNumber(value) {
+  return value === null || value === undefined ? value : Number(value);
+}
+
+function mapEntryRow(row, lines) {
+  return {
+    id: row.id,
+    type: row.entry_type,
+    transactionId: row.transaction_id,
+    currency: row.currency,
+    description: row.description,
+    lines,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+function mapLineRow(row) {
+  return {
+    account: row.account,
+    direction: row.direction,
+    amount: toNumber(row.amount)
+  };
+}
+
+function mapBalanceRow(row) {
+  return {
+    account: row.account,
+    currency: row.currency,
+    debits: toNumber(row.debits),
+    credits: toNumber(row.credits),
+    balance: toNumber(row.balance)
+  };
+}
+
+// `account` matches one account; `accountType` every account of a type
+// (`customer` matches customer:<id>)
+function matchesAccount(account, { account: exact, accountType }) {
+  return (!exact || account === exact) &&
+    (!accountType || account === accountType || account.startsWith(`${accountType}:`));
+}
+
+// Write a journal entry with `client`, which must be inside the database
+// transaction of the change it records. An entry is posted once per
+// transaction and type; returns false when it already was.
+async function insertJournalEntry(client, entry) {
+  const { rows } = await client.query(`
+    INSERT INTO journal_entries (id, entry_type, transaction_id, currency, description)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (transaction_id, entry_type) DO NOTHING
+    RETURNING id
+  `, [entry.id, entry.type, entry.transactionId, entry.currency, entry.description]);
+
+  if (rows.length === 0) {
+    return false;
+  }
+
+  for (const line of entry.lines) {
+    await client.query(`
+      INSERT INTO journal_lines (journal_entry_id, account, direction, amount)
+      VALUES ($1, $2, $3, $4)
+    `, [entry.id, line.account, line.direction, line.amount]);
+  }
+
+  return true;
+}
+
+// Read side of the double-entry ledger in `journal_entries` and
+// `journal_lines`. Entries are written by the repositories of the changes
+// they record, through insertJournalEntry.
+class LedgerRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async balances({ account, accountType, currency }) {
+    const filters = [];
+    const params = [];
+
+    if (account) {
+      params.push(account);
+      filters.push(`l.account = $${params.length}`);
+    }
+    if (accountType) {
+      params.push(accountType, `${accountType}:%`);
+      filters.push(`(l.account = $${params.length - 1} OR l.account LIKE $${params.length})`);
+    }
+    if (currency) {
+      params.push(currency);
+      filters.push(`e.currency = $${params.length}`);
+    }
+
+    const { rows } = await this.db.query(`
+      SELECT
+        l.account, e.currency,
+        SUM(CASE WHEN l.direction = 'debit' THEN l.amount ELSE 0 END) AS debits,
+        SUM(CASE WHEN l.direction = 'credit' THEN l.amount ELSE 0 END) AS credits,
+        SUM(CASE WHEN l.direction = 'debit' THEN l.amount ELSE -l.amount END) AS balance
+      FROM journal_lines l
+      JOIN journal_entries e ON e.id = l.journal_entry_id
+      ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+      GROUP BY l.account, e.currency
+      ORDER BY l.account ASC, e.currency ASC
+    `, params);
+
+    return rows.map(mapBalanceRow);
+  }
+
+  // Entries of a transaction or touching an account, newest first
+  async listEntries({ transactionId, account }, { limit, offset }) {
+    const filters = [];
+    const params = [];
+
+    if (transactionId) {
+      params.push(transactionId);
+      filters.push(`e.transaction_id = $${params.length}`);
+    }
+    if (account) {
+      params.push(account);
+      filters.push(`e.id IN (SELECT journal_entry_id FROM journal_lines WHERE account = $${params.length})`);
+    }
+
+    const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+
+    const { rows: countRows } = await this.db.query(
+      `SELECT COUNT(*)::int AS total FROM journal_entries e ${where}`,
+      params
+    );
+
+    const { rows } = await this.db.query(`
+      SELECT * FROM journal_entries e
+      ${where}
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const { rows: lineRows } = rows.length
+      ? await this.db.query(
+        'SELECT * FROM journal_lines WHERE journal_entry_id = ANY($1) ORDER BY direction DESC, account ASC',
+        [rows.map(row => row.id)]
+      )
+      : { rows: [] };
+
+    return {
+      data: rows.map(row => mapEntryRow(row, lineRows
+        .filter(line => line.journal_entry_id === row.id)
+        .map(mapLineRow))),
+      total: countRows[0].total
+    };
+  }
+
+  // `{ checkedEntries, unbalancedEntries, currencies }`: entries whose debits
+  // and credits differ (or that have fewer than two lines), and total debits
+  // and credits per currency
+  async checkBalances() {
+    const { rows: countRows } = await this.db.query(
+      'SELECT COUNT(*)::int AS total FROM journal_entries'
+    );
+
+    const { rows: unbalanced } = await this.db.query(`
+      SELECT * FROM (
+        SELECT
+          e.id, e.entry_type, e.transaction_id, e.currency,
+          COALESCE(SUM(CASE WHEN l.direction = 'debit' THEN l.amount ELSE 0 END), 0) AS debits,
+          COALESCE(SUM(CASE WHEN l.direction = 'credit' THEN l.amount ELSE 0 END), 0) AS credits,
+          COUNT(l.id) AS line_count
+        FROM journal_entries e
+        LEFT JOIN journal_lines l ON l.journal_entry_id = e.id
+        GROUP BY e.id, e.entry_type, e.transaction_id, e.currency
+      ) entry_totals
+      WHERE line_count < 2 OR debits <> credits
+    `);
+
+    const { rows: currencies } = await this.db.query(`
+      SELECT
+        e.currency,
+        SUM(CASE WHEN l.direction = 'debit' THEN l.amount ELSE 0 END) AS debits,
+        SUM(CASE WHEN l.direction = 'credit' THEN l.amount ELSE 0 END) AS credits
+      FROM journal_lines l
+      JOIN journal_entries e ON e.id = l.journal_entry_id
+      GROUP BY e.currency
+      ORDER BY e.currency ASC
+    `);
+
+    return {
+      checkedEntries: countRows[0].total,
+      unbalancedEntries: unbalanced.map(row => ({
+        id: row.id,
+        type: row.entry_type,
+        transactionId: row.transaction_id,
+        currency: row.currency,
+        debits: toNumber(row.debits),
+        credits: toNumber(row.credits),
+        lines: Number(row.line_count)
+      })),
+      currencies: currencies.map(row => ({
+        currency: row.currency,
+        debits: toNumber(row.debits),
+        credits: toNumber(row.credits)
+      }))
+    };
+  }
+}
+
+// In-memory stand-in for LedgerRepository. The in-memory payment, refund and
+// reconciliation repositories post their entries here with `post`.
+class InMemoryLedgerRepository {
+  constructor() {
+    this.entries = [];
+  }
+
+  post(entry) {
+    const posted = this.entries.some(existing =>
+      existing.transactionId === entry.transactionId && existing.type === entry.type);
+    if (posted) {
+      return false;
+    }
+
+    this.entries.push({
+      ...entry,
+      lines: entry.lines.map(line => ({ ...line })),
+      createdAt: new Date().toISOString()
+    });
+    return true;
+  }
+
+  async balances({ account, accountType, currency }) {
+    const balances = new Map();
+
+    this.entries
+      .filter(entry => !currency || entry.currency === currency)
+      .forEach(entry => entry.lines
+        .filter(line => matchesAccount(line.account, { account, accountType }))
+        .forEach((line) => {
+          const key = `${line.account} ${entry.currency}`;
+          const balance = balances.get(key) || {
+            account: line.account,
+            currency: entry.currency,
+            debits: 0,
+            credits: 0
+          };
+          balance[line.direction === 'debit' ? 'debits' : 'credits'] += toMinorUnits(line.amount, entry.currency);
+          balances.set(key, balance);
+        }));
+
+    return [...balances.values()]
+      .sort((a, b) => a.account.localeCompare(b.account) || a.currency.localeCompare(b.currency))
+      .map(balance => ({
+        ...balance,
+        debits: fromMinorUnits(balance.debits, balance.currency),
+        credits: fromMinorUnits(balance.credits, balance.currency),
+        balance: fromMinorUnits(balance.debits - balance.credits, balance.currency)
+      }));
+  }
+
+  async listEntries({ transactionId, account }, { limit, offset }) {
+    const matching = this.entries
+      .filter(entry => (!transactionId || entry.transactionId === transactionId) &&
+        (!account || entry.lines.some(line => line.account === account)))
+      .reverse();
+
+    return {
+      data: matching.slice(offset, offset + limit).map(entry => ({
+        ...entry,
+        lines: entry.lines.map(line => ({ ...line }))
+      })),
+      total: matching.length
+    };
+  }
+
+  async checkBalances() {
+    const currencies = new Map();
+    const unbalancedEntries = [];
+
+    this.entries.forEach((entry) => {
+      const sum = { debits: 0, credits: 0 };
+      entry.lines.forEach((line) => {
+        sum[line.direction === 'debit' ? 'debits' : 'credits'] += toMinorUnits(line.amount, entry.currency);
+      });
+
+      if (sum.debits !== sum.credits || entry.lines.length < 2) {
+        unbalancedEntries.push({
+          id: entry.id,
+          type: entry.type,
+          transactionId: entry.transactionId,
+          currency: entry.currency,
+          debits: fromMinorUnits(sum.debits, entry.currency),
+          credits: fromMinorUnits(sum.credits, entry.currency),
+          lines: entry.lines.length
+        });
+      }
+
+      const total = currencies.get(entry.currency) || { debits: 0, credits: 0 };
+      total.debits += sum.debits;
+      total.credits += sum.credits;
+      currencies.set(entry.currency, total);
+    });
+
+    return {
+      checkedEntries: this.entries.length,
+      unbalancedEntries,
+      currencies: [...currencies.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([currency, total]) => ({
+          currency,
+          debits: fromMinorUnits(total.debits, currency),
+          credits: fromMinorUnits(total.credits, currency)
+        }))
+    };
+  }
+}
+
+module.exports = { LedgerRepository, InMemoryLedgerRepository, insertJournalEntry };
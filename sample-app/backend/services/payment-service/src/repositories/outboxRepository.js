@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function mapOutboxRow(row) {
+  return {
+    id: row.id,
+    sequence: Number(row.sequence),
+    eventType: row.event_type,
+    aggregateType: row.aggregate_type,
+    aggregateId: row.aggregate_id,
+    accountId: row.account_id,
+    payload: row.payload,
+    attempts: row.attempts,
+    nextAttemptAt: toISOString(row.next_attempt_at),
+    lastError: row.last_error,
+    publishedAt: toISOString(row.published_at),
+    createdAt: toISOString(row.created_at)
+  };
+}
+
+// Events are addressed to the merchant account, or to the customer when the
+// payment was not made through a merchant
+function accountOf(payment) {
+  return payment.merchantId || payment.customerId;
+}
+
+// `payment.<status>` after a payment is created or changes state. Payloads
+// are also the `data.object` of the webhooks sent for the event (see
+// WebhookService.publish()).
+function paymentEvent(payment) {
+  return {
+    eventType: `payment.${payment.status}`,
+    aggregateType: 'payment',
+    aggregateId: payment.id,
+    accountId: accountOf(payment),
+    payload: {
+      id: payment.id,
+      object: 'payment',
+      status: payment.status,
+      amount: payment.amount,
+      capturedAmount: payment.capturedAmount,
+      refundedAmount: payment.refundedAmount,
+      disputedAmount: payment.disputedAmount || 0,
+      currency: payment.currency,
+      settlement: payment.settlement,
+      transactionId: payment.transactionId,
+      customerId: payment.customerId,
+      merchantId: payment.merchantId,
+      description: payment.description,
+      metadata: payment.metadata,
+      failureCode: payment.failureCode,
+      failureMessage: payment.failureMessage,
+      createdAt: payment.createdAt,
+      updatedAt: payment.updatedAt
+    }
+  };
+}
+
+function refundEvent(refund, payment) {
+  return {
+    eventType: 'refund.created',
+    aggregateType: 'refund',
+    aggregateId: refund.id,
+    accountId: accountOf(payment),
+    payload: {
+      id: refund.id,
+      object: 'refund',
+      status: refund.status,
+      amount: refund.amount,
+      currency: refund.currency,
+      reason: refund.reason,
+      providerRefundId: refund.providerRefundId,
+      paymentId: payment.id,
+      transactionId: refund.transactionId,
+      customerId: payment.customerId,
+      merchantId: payment.merchantId,
+      createdAt: refund.createdAt
+    }
+  };
+}
+
+// `dispute.created` or `dispute.closed`
+function disputeEvent(eventType, dispute, payment) {
+  return {
+    eventType,
+    aggregateType: 'dispute',
+    aggregateId: dispute.id,
+    accountId: accountOf(payment),
+    payload: {
+      id: dispute.id,
+      object: 'dispute',
+      status: dispute.status,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      reasonCode: dispute.reasonCode,
+      evidenceDueBy: dispute.evidenceDueBy,
+      evidenceSubmittedAt: dispute.evidenceSubmittedAt,
+      providerDisputeId: dispute.providerDisputeId,
+      resolvedAt: dispute.resolvedAt,
+      paymentId: payment.id,
+      paymentStatus: payment.status,
+      customerId: payment.customerId,
+      merchantId: payment.merchantId,
+      createdAt: dispute.createdAt,
+      updatedAt: dispute.updatedAt
+    }
+  };
+}
+
+// `subscription.created` or `subscription.canceled`, addressed to the plan's
+// merchant
+function subscriptionEvent(eventType, subscription) {
+  return {
+    eventType,
+    aggregateType: 'subscription',
+    aggregateId: subscription.id,
+    accountId: subscription.merchantId,
+    payload: {
+      id: subscription.id,
+      object: 'subscription',
+      status: subscription.status,
+      planId: subscription.planId,
+      customerId: subscription.customerId,
+      merchantId: subscription.merchantId,
+      currentPeriodStart: subscription.currentPeriodStart,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      canceledAt: subscription.canceledAt,
+      cancellationReason: subscription.cancellationReason
+    }
+  };
+}
+
+// `invoice.paid` or `invoice.payment_failed`, addressed to the merchant of
+// the invoice's `subscription`
+function invoiceEvent(eventType, invoice, subscription) {
+  return {
+    eventType,
+    aggregateType: 'invoice',
+    aggregateId: invoice.id,
+    accountId: subscription.merchantId,
+    payload: {
+      id: invoice.id,
+      object: 'invoice',
+      status: invoice.status,
+      subscriptionId: invoice.subscriptionId,
+      customerId: invoice.customerId,
+      amount: invoice.amount,
+      currency: invoice.currency,
+      billingReason: invoice.billingReason,
+      attempts: invoice.attempts,
+      nextAttemptAt: invoice.nextAttemptAt,
+      paymentId: invoice.paymentId,
+      failureCode: invoice.failureCode,
+      failureMessage: invoice.failureMessage
+    }
+  };
+}
+
+// Write events to the outbox with `client`, inside the caller's database
+// transaction, so that they are recorded if and only if the change they
+// describe is committed
+async function insertOutboxEvents(client, events) {
+  for (const event of events) {
+    await client.query(`
+      INSERT INTO outbox_events (event_type, aggregate_type, aggregate_id, account_id, payload)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      event.eventType,
+      event.aggregateType,
+      event.aggregateId,
+      event.accountId,
+      JSON.stringify(event.payload)
+    ]);
+  }
+}
+
+// Outbox events waiting to be published, backed by the `outbox_events`
+// table. Events are written by the payment, refund, dispute and subscription
+// repositories
+// (see insertOutboxEvents()) and read back by the outbox relay.
+class OutboxRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Claim up to `limit` unpublished events, oldest first, by pushing their
+  // next attempt out to `leaseUntil` so that other relays skip them while
+  // they are being published
+  async claimDue(limit, leaseUntil) {
+    const { rows } = await this.db.query(`
+      UPDATE outbox_events SET next_attempt_at = $2
+      WHERE id IN (
+        SELECT id FROM outbox_events
+        WHERE next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY sequence
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, leaseUntil]);
+
+    return rows.map(mapOutboxRow).sort((a, b) => a.sequence - b.sequence);
+  }
+
+  async markPublished(ids) {
+    await this.db.query(`
+      UPDATE outbox_events
+      SET published_at = CURRENT_TIMESTAMP,
+          next_attempt_at = NULL,
+          attempts = attempts + 1,
+          last_error = NULL
+      WHERE id = ANY($1)
+    `, [ids]);
+  }
+
+  // The event stays claimed until its lease runs out, then is retried
+  async recordFailure(id, error) {
+    await this.db.query(
+      'UPDATE outbox_events SET attempts = attempts + 1, last_error = $2 WHERE id = $1',
+      [id, error]
+    );
+  }
+}
+
+// In-memory stand-in for OutboxRepository. The in-memory payment, refund,
+// dispute and subscription repositories append() to it in place of
+// insertOutboxEvents().
+class InMemoryOutboxRepository {
+  constructor() {
+    this.events = new Map();
+    this.sequence = 0;
+  }
+
+  append(events) {
+    const now = new Date().toISOString();
+
+    for (const event of events) {
+      this.sequence += 1;
+      const record = {
+        ...event,
+        id: crypto.randomUUID(),
+        sequence: this.sequence,
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        publishedAt: null,
+        createdAt: now
+      };
+      this.events.set(record.id, record);
+    }
+  }
+
+  async claimDue(limit, leaseUntil) {
+    const now = new Date();
+
+    return [...this.events.values()]
+      .filter(event => event.nextAttemptAt && new Date(event.nextAttemptAt) <= now)
+      .sort((a, b) => a.sequence - b.sequence)
+      .slice(0, limit)
+      .map(event => {
+        event.nextAttemptAt = toISOString(leaseUntil);
+        return { ...event };
+      });
+  }
+
+  async markPublished(ids) {
+    const now = new Date().toISOString();
+
+    for (const id of ids) {
+      Object.assign(this.events.get(id), {
+        publishedAt: now,
+        nextAttemptAt: null,
+        attempts: this.events.get(id).attempts + 1,
+        lastError: null
+      });
+    }
+  }
+
+  async recordFailure(id, error) {
+    const event = this.events.get(id);
+    Object.assign(event, { attempts: event.attempts + 1, lastError: error });
+  }
+}
+
+module.exports = {
+  OutboxRepository,
+  InMemoryOutboxRepository,
+  insertOutboxEvents,
+  paymentEvent,
+  refundEvent,
+  disputeEvent,
+  subscriptionEvent,
+  invoiceEvent
+};
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { withTransaction } = require('../db');
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function mapPaymentMethodRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    type: row.type,
+    provider: row.provider,
+    providerId: row.provider_id,
+    isDefault: row.is_default,
+    isVerified: row.is_verified,
+    card: row.type === 'card'
+      ? {
+        brand: row.card_brand,
+        last4: row.card_last_four,
+        expMonth: row.card_exp_month,
+        expYear: row.card_exp_year
+      }
+      : null,
+    bankAccount: row.type === 'bank_account'
+      ? {
+        bankName: row.bank_name,
+        accountType: row.bank_account_type,
+        routingNumber: row.bank_routing_number,
+        last4: row.bank_account_last_four
+      }
+      : null,
+    microDeposits: row.micro_deposits,
+    expiresAt: toISOString(row.expires_at),
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at)
+  };
+}
+
+// Serializes changes to one customer's payment methods, which keep exactly
+// one default between them
+async function lockUser(client, userId) {
+  await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+}
+
+// Newest remaining payment method becomes the default
+async function promoteNewest(client, userId) {
+  await client.query(`
+    UPDATE payment_methods SET is_default = TRUE
+    WHERE id = (
+      SELECT id FROM payment_methods
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT 1
+    )
+  `, [userId]);
+}
+
+// Saved cards and bank accounts backed by the `payment_methods` table. Only
+// the processor's token (`provider_id`) and display details are stored.
+class PaymentMethodRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Save a payment method. It becomes the default when `isDefault` is set or
+  // it is the customer's first one.
+  async create(paymentMethod) {
+    return withTransaction(this.db, async (client) => {
+      await lockUser(client, paymentMethod.userId);
+
+      const { rows: existing } = await client.query(
+        'SELECT COUNT(*) AS count FROM payment_methods WHERE user_id = $1',
+        [paymentMethod.userId]
+      );
+      const isDefault = paymentMethod.isDefault || parseInt(existing[0].count, 10) === 0;
+
+      if (isDefault) {
+        await client.query(
+          'UPDATE payment_methods SET is_default = FALSE WHERE user_id = $1 AND is_default',
+          [paymentMethod.userId]
+        );
+      }
+
+      const { card, bankAccount } = paymentMethod;
+      const { rows } = await client.query(`
+        INSERT INTO payment_methods (
+          user_id, type, provider, provider_id, is_default, is_verified,
+          card_last_four, card_brand, card_exp_month, card_exp_year,
+          bank_name, bank_account_type, bank_routing_number, bank_account_last_four,
+          expires_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING *
+      `, [
+        paymentMethod.userId,
+        paymentMethod.type,
+        paymentMethod.provider,
+        paymentMethod.providerId,
+        isDefault,
+        paymentMethod.isVerified,
+        card ? card.last4 : null,
+        card ? card.brand : null,
+        card ? card.expMonth : null,
+        card ? card.expYear : null,
+        bankAccount ? bankAccount.bankName : null,
+        bankAccount ? bankAccount.accountType : null,
+        bankAccount ? bankAccount.routingNumber : null,
+        bankAccount ? bankAccount.last4 : null,
+        paymentMethod.expiresAt
+      ]);
+
+      return mapPaymentMethodRow(rows[0]);
+    });
+  }
+
+  async findById(id) {
+    const { rows } = await this.db.query('SELECT * FROM payment_methods WHERE id = $1', [id]);
+    return rows.length ? mapPaymentMethodRow(rows[0]) : null;
+  }
+
+  // Default first, then newest first
+  async listForUser(userId) {
+    const { rows } = await this.db.query(`
+      SELECT * FROM payment_methods
+      WHERE user_id = $1
+      ORDER BY is_default DESC, created_at DESC
+    `, [userId]);
+
+    return rows.map(mapPaymentMethodRow);
+  }
+
+  // Update a payment method's verification. The row is locked and handed to
+  // `plan`, which returns `{ isVerified?, microDeposits? }` (or throws).
+  async update(userId, id, plan) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query(
+        'SELECT * FROM payment_methods WHERE user_id = $1 AND id = $2 FOR UPDATE',
+        [userId, id]
+      );
+      const changes = plan(rows.length ? mapPaymentMethodRow(rows[0]) : null);
+
+      const { rows: updated } = await client.query(`
+        UPDATE payment_methods
+        SET is_verified = COALESCE($2, is_verified),
+            micro_deposits = COALESCE($3, micro_deposits)
+        WHERE id = $1
+        RETURNING *
+      `, [id, changes.isVerified, changes.microDeposits ? JSON.stringify(changes.microDeposits) : null]);
+
+      return mapPaymentMethodRow(updated[0]);
+    });
+  }
+
+  async setDefault(userId, id) {
+    return withTransaction(this.db, async (client) => {
+      await lockUser(client, userId);
+
+      await client.query(
+        'UPDATE payment_methods SET is_default = FALSE WHERE user_id = $1 AND is_default AND id <> $2',
+        [userId, id]
+      );
+      const { rows } = await client.query(
+        'UPDATE payment_methods SET is_default = TRUE WHERE user_id = $1 AND id = $2 RETURNING *',
+        [userId, id]
+      );
+
+      return rows.length ? mapPaymentMethodRow(rows[0]) : null;
+    });
+  }
+
+  // Delete a payment method; when it was the default, the newest remaining
+  // one takes its place. Payments made with it keep their summary of it.
+  async delete(userId, id) {
+    return withTransaction(this.db, async (client) => {
+      await lockUser(client, userId);
+
+      const { rows } = await client.query(
+        'DELETE FROM payment_methods WHERE user_id = $1 AND id = $2 RETURNING *',
+        [userId, id]
+      );
+      if (!rows.length) {
+        return null;
+      }
+
+      const deleted = mapPaymentMethodRow(rows[0]);
+      if (deleted.isDefault) {
+        await promoteNewest(client, userId);
+      }
+      return deleted;
+    });
+  }
+}
+
+// In-memory stand-in for PaymentMethodRepository, used when no DATABASE_URL is configured
+class InMemoryPaymentMethodRepository {
+  constructor() {
+    this.paymentMethods = new Map();
+  }
+
+  forUser(userId) {
+    return [...this.paymentMethods.values()].filter(method => method.userId === userId);
+  }
+
+  async create(paymentMethod) {
+    const existing = this.forUser(paymentMethod.userId);
+    const isDefault = Boolean(paymentMethod.isDefault) || existing.length === 0;
+
+    if (isDefault) {
+      existing.forEach((method) => { method.isDefault = false; });
+    }
+
+    const now = new Date().toISOString();
+    const created = {
+      id: crypto.randomUUID(),
+      userId: paymentMethod.userId,
+      type: paymentMethod.type,
+      provider: paymentMethod.provider,
+      providerId: paymentMethod.providerId,
+      isDefault,
+      isVerified: paymentMethod.isVerified,
+      card: paymentMethod.card || null,
+      bankAccount: paymentMethod.bankAccount || null,
+      microDeposits: null,
+      expiresAt: paymentMethod.expiresAt || null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.paymentMethods.set(created.id, created);
+    return { ...created };
+  }
+
+  async findById(id) {
+    const method = this.paymentMethods.get(id);
+    return method ? { ...method } : null;
+  }
+
+  async listForUser(userId) {
+    return this.forUser(userId)
+      .reverse()
+      .sort((a, b) => Number(b.isDefault) - Number(a.isDefault))
+      .map(method => ({ ...method }));
+  }
+
+  async update(userId, id, plan) {
+    const method = this.paymentMethods.get(id);
+    const owned = method && method.userId === userId ? method : null;
+    const changes = plan(owned ? { ...owned } : null);
+
+    if (changes.isVerified !== undefined) {
+      owned.isVerified = changes.isVerified;
+    }
+    if (changes.microDeposits) {
+      owned.microDeposits = changes.microDeposits;
+    }
+    owned.updatedAt = new Date().toISOString();
+    return { ...owned };
+  }
+
+  async setDefault(userId, id) {
+    const method = this.paymentMethods.get(id);
+    if (!method || method.userId !== userId) {
+      return null;
+    }
+
+    this.forUser(userId).forEach((other) => { other.isDefault = other.id === id; });
+    method.updatedAt = new Date().toISOString();
+    return { ...method };
+  }
+
+  async delete(userId, id) {
+    const method = this.paymentMethods.get(id);
+    if (!method || method.userId !== userId) {
+      return null;
+    }
+
+    this.paymentMethods.delete(id);
+    const newest = this.forUser(userId).pop();
+    if (method.isDefault && newest) {
+      newest.isDefault = true;
+    }
+    return { ...method };
+  }
+}
+
+module.exports = { PaymentMethodRepository, InMemoryPaymentMethodRepository };
@@ -0,0 +1,528 @@
+const { v4: uuidv4 } = require('uuid');
+const { withTransaction } = require('../db');
+const { insertJournalEntry, InMemoryLedgerRepository } = require('./ledgerRepository');
+const { insertOutboxEvents, paymentEvent, InMemoryOutboxRepository } = require('./outboxRepository');
+
+// payment_status_type -> transaction_status_type
+const TRANSACTION_STATUS_BY_PAYMENT_STATUS = {
+  pending: 'pending',
+  processing: 'processing',
+  authorized: 'pending',
+  captured: 'completed',
+  completed: 'completed',
+  failed: 'failed',
+  voided: 'cancelled',
+  refunded: 'completed',
+  disputed: 'completed'
+};
+
+// Timestamp column stamped when a payment enters a given state
+const TIMESTAMP_COLUMN_BY_STATUS = {
+  authorized: 'authorized_at',
+  captured: 'confirmed_at',
+  completed: 'confirmed_at',
+  failed: 'failed_at',
+  voided: 'voided_at'
+};
+
+const PAYMENT_COLUMNS = `
+  p.id, p.transaction_id, p.customer_id, p.merchant_id, p.amount, p.currency,
+  p.status, p.payment_method_details, p.captured_amount, p.refunded_amount, p.dispute_amount,
+  p.settlement_amount, p.settlement_currency, p.exchange_rate, p.fx_rates_as_of,
+  p.failure_code, p.failure_message, p.authorized_at, p.confirmed_at, p.voided_at, p.settles_at,
+  p.created_at, p.updated_at,
+  t.payment_method_id, t.description, t.metadata, t.provider_transaction_id, t.processed_at,
+  t.risk_score, t.fraud_check_result
+`;
+
+function toNumber(value) {
+  return value === null || value === undefined ? value : Number(value);
+}
+
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Settlement is null for payments recorded before multi-currency support
+function mapSettlement(row) {
+  return row.settlement_currency
+    ? {
+      amount: toNumber(row.settlement_amount),
+      currency: row.settlement_currency,
+      exchangeRate: toNumber(row.exchange_rate),
+      ratesAsOf: toIsoString(row.fx_rates_as_of)
+    }
+    : null;
+}
+
+function mapPaymentRow(row) {
+  return {
+    id: row.id,
+    transactionId: row.transaction_id,
+    customerId: row.customer_id,
+    merchantId: row.merchant_id,
+    amount: toNumber(row.amount),
+    currency: row.currency,
+    settlement: mapSettlement(row),
+    status: row.status,
+    paymentMethodId: row.payment_method_id,
+    paymentMethod: row.payment_method_details,
+    capturedAmount: toNumber(row.captured_amount),
+    refundedAmount: toNumber(row.refunded_amount),
+    disputedAmount: toNumber(row.dispute_amount),
+    description: row.description,
+    metadata: row.metadata,
+    providerTransactionId: row.provider_transaction_id,
+    failureCode: row.failure_code,
+    failureMessage: row.failure_message,
+    processedAt: toIsoString(row.processed_at),
+    authorizedAt: toIsoString(row.authorized_at),
+    capturedAt: toIsoString(row.confirmed_at),
+    voidedAt: toIsoString(row.voided_at),
+    settlesAt: toIsoString(row.settles_at),
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at),
+    risk: row.fraud_check_result
+      ? { ...row.fraud_check_result, score: row.risk_score }
+      : null
+  };
+}
+
+async function findPayment(client, paymentId) {
+  const { rows } = await client.query(`
+    SELECT ${PAYMENT_COLUMNS}
+    FROM payments p
+    JOIN transactions t ON t.id = p.transaction_id
+    WHERE p.id = $1
+  `, [paymentId]);
+
+  return rows.length ? mapPaymentRow(rows[0]) : null;
+}
+
+// Payment repository backed by the `transactions` and `payments` tables.
+// Every payment is written as a `payment` transaction plus its payments row.
+// A `journalEntry` on a new payment or a transition's changes is posted to
+// the ledger in the same database transaction, as is a `payment.<status>`
+// event written to the outbox.
+class PaymentRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(payment) {
+    const transactionStatus = TRANSACTION_STATUS_BY_PAYMENT_STATUS[payment.status];
+    const capturedAmount = payment.status === 'completed' ? payment.amount : 0;
+
+    return withTransaction(this.db, async (client) => {
+      await client.query(`
+        INSERT INTO transactions (
+          id, user_id, payment_method_id, type, amount, currency, status, description,
+          provider_transaction_id, net_amount, processed_at, metadata,
+          risk_score, fraud_check_result
+        )
+        VALUES ($1, $2, $3, 'payment', $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      `, [
+        payment.transactionId,
+        payment.customerId,
+        payment.paymentMethodId || null,
+        payment.amount,
+        payment.currency,
+        transactionStatus,
+        payment.description,
+        payment.providerTransactionId,
+        capturedAmount,
+        payment.processedAt,
+        payment.metadata || {},
+        payment.risk ? payment.risk.score : 0,
+        payment.risk || null
+      ]);
+
+      await client.query(`
+        INSERT INTO payments (
+          id, transaction_id, merchant_id, customer_id, amount, currency, status,
+          payment_method_details, captured_amount, authorized_at, confirmed_at,
+          failed_at, failure_code, failure_message,
+          settlement_amount, settlement_currency, exchange_rate, fx_rates_as_of, settles_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+      `, [
+        payment.id,
+        payment.transactionId,
+        payment.merchantId,
+        payment.customerId,
+        payment.amount,
+        payment.currency,
+        payment.status,
+        payment.paymentMethod,
+        capturedAmount,
+        payment.status === 'authorized' ? payment.processedAt : null,
+        payment.status === 'completed' ? payment.processedAt : null,
+        payment.status === 'failed' ? payment.processedAt : null,
+        payment.failureCode,
+        payment.failureMessage,
+        payment.settlement ? payment.settlement.amount : null,
+        payment.settlement ? payment.settlement.currency : null,
+        payment.settlement ? payment.settlement.exchangeRate : null,
+        payment.settlement ? payment.settlement.ratesAsOf : null,
+        payment.settlesAt || null
+      ]);
+
+      if (payment.journalEntry) {
+        await insertJournalEntry(client, payment.journalEntry);
+      }
+
+      const created = await findPayment(client, payment.id);
+      await insertOutboxEvents(client, [paymentEvent(created)]);
+      return created;
+    });
+  }
+
+  // Move a payment to a new state. The payment row is locked and handed to
+  // `plan`, which validates the transition and returns the changes to apply:
+  // `{ status, capturedAmount?, settlementAmount?, failureCode?, failureMessage?,
+  // journalEntry? }` (or throws). The processor's answer to a new payment also
+  // sets `providerTransactionId`, `paymentMethod`, `settlesAt` and `processedAt`.
+  async transition(paymentId, plan) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query(`
+        SELECT ${PAYMENT_COLUMNS}
+        FROM payments p
+        JOIN transactions t ON t.id = p.transaction_id
+        WHERE p.id = $1
+        FOR UPDATE OF p
+      `, [paymentId]);
+
+      const payment = rows.length ? mapPaymentRow(rows[0]) : null;
+      const changes = plan(payment);
+      const capturedAmount = changes.capturedAmount !== undefined
+        ? changes.capturedAmount
+        : payment.capturedAmount;
+      const timestampColumn = TIMESTAMP_COLUMN_BY_STATUS[changes.status];
+
+      await client.query(`
+        UPDATE payments
+        SET status = $2,
+            captured_amount = $3,
+            failure_code = COALESCE($4, failure_code),
+            failure_message = COALESCE($5, failure_message),
+            settlement_amount = COALESCE($6, settlement_amount),
+            payment_method_details = COALESCE($7, payment_method_details),
+            settles_at = COALESCE($8, settles_at)
+            ${timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : ''}
+        WHERE id = $1
+      `, [
+        paymentId,
+        changes.status,
+        capturedAmount,
+        changes.failureCode,
+        changes.failureMessage,
+        changes.settlementAmount,
+        changes.paymentMethod,
+        changes.settlesAt
+      ]);
+
+      // net_amount stays net of the processor fee once reconciliation has
+      // recorded it (see the `transactions` table)
+      await client.query(`
+        UPDATE transactions
+        SET status = $2,
+            net_amount = $3 - COALESCE(fee_amount, 0),
+            provider_transaction_id = COALESCE($4, provider_transaction_id),
+            processed_at = COALESCE($5, processed_at)
+        WHERE id = $1
+      `, [
+        payment.transactionId,
+        TRANSACTION_STATUS_BY_PAYMENT_STATUS[changes.status],
+        capturedAmount,
+        changes.providerTransactionId,
+        changes.processedAt
+      ]);
+
+      if (changes.journalEntry) {
+        await insertJournalEntry(client, changes.journalEntry);
+      }
+
+      const updated = await findPayment(client, paymentId);
+      await insertOutboxEvents(client, [paymentEvent(updated)]);
+      return updated;
+    });
+  }
+
+  // Reserve the payment for a capture, void or refund (`reservationId`, held
+  // until `reservedUntil`) while the processor is called. The payment row is
+  // locked and handed to `plan` together with whether another reservation is
+  // still held; `plan` throws to refuse. Resolves to the payment as reserved.
+  async reserve(paymentId, reservationId, reservedUntil, plan) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query(`
+        SELECT operation_reserved_until > CURRENT_TIMESTAMP AS reserved
+        FROM payments
+        WHERE id = $1
+        FOR UPDATE
+      `, [paymentId]);
+
+      const payment = rows.length ? await findPayment(client, paymentId) : null;
+      plan(payment, Boolean(rows.length && rows[0].reserved));
+
+      await client.query(`
+        UPDATE payments
+        SET operation_reservation_id = $2,
+            operation_reserved_until = $3
+        WHERE id = $1
+      `, [paymentId, reservationId, reservedUntil]);
+      return payment;
+    });
+  }
+
+  // Replace the risk assessment of a payment. The payment row is locked and
+  // handed to `plan`, which returns the new assessment (or throws).
+  async updateRisk(paymentId, plan) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query(`
+        SELECT ${PAYMENT_COLUMNS}
+        FROM payments p
+        JOIN transactions t ON t.id = p.transaction_id
+        WHERE p.id = $1
+        FOR UPDATE OF p
+      `, [paymentId]);
+
+      const payment = rows.length ? mapPaymentRow(rows[0]) : null;
+      const risk = plan(payment);
+
+      await client.query(
+        'UPDATE transactions SET fraud_check_result = $2 WHERE id = $1',
+        [payment.transactionId, risk]
+      );
+      return findPayment(client, paymentId);
+    });
+  }
+
+  // Release reservation `reservationId`, unless it expired and was replaced
+  async release(paymentId, reservationId) {
+    await this.db.query(`
+      UPDATE payments
+      SET operation_reservation_id = NULL, operation_reserved_until = NULL
+      WHERE id = $1 AND operation_reservation_id = $2
+    `, [paymentId, reservationId]);
+  }
+
+  async findById(paymentId) {
+    return findPayment(this.db, paymentId);
+  }
+
+  // The payment the processor knows as `providerTransactionId`
+  async findByProviderTransactionId(providerTransactionId) {
+    const { rows } = await this.db.query(`
+      SELECT ${PAYMENT_COLUMNS}
+      FROM payments p
+      JOIN transactions t ON t.id = p.transaction_id
+      WHERE t.provider_transaction_id = $1 AND t.type = 'payment'
+    `, [providerTransactionId]);
+
+    return rows.length ? mapPaymentRow(rows[0]) : null;
+  }
+
+  // Pending bank transfers whose settlement date is at or before `asOf`,
+  // oldest first
+  async listDueSettlements(asOf, limit) {
+    const { rows } = await this.db.query(`
+      SELECT ${PAYMENT_COLUMNS}
+      FROM payments p
+      JOIN transactions t ON t.id = p.transaction_id
+      WHERE p.status = 'pending' AND p.settles_at <= $1
+      ORDER BY p.settles_at
+      LIMIT $2
+    `, [asOf, limit]);
+
+    return rows.map(mapPaymentRow);
+  }
+
+  // Newest first. With `accountId`, only payments the account made or
+  // received.
+  async list({ status, accountId, limit, offset }) {
+    const filters = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      filters.push(`p.status = $${params.length}`);
+    }
+    if (accountId) {
+      params.push(accountId);
+      filters.push(`(p.customer_id = $${params.length} OR p.merchant_id = $${params.length})`);
+    }
+
+    const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+
+    const { rows: countRows } = await this.db.query(
+      `SELECT COUNT(*)::int AS total FROM payments p ${where}`,
+      params
+    );
+
+    const { rows } = await this.db.query(`
+      SELECT ${PAYMENT_COLUMNS}
+      FROM payments p
+      JOIN transactions t ON t.id = p.transaction_id
+      ${where}
+      ORDER BY p.created_at DESC, p.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return {
+      data: rows.map(mapPaymentRow),
+      total: countRows[0].total
+    };
+  }
+}
+
+// Drop-in stand-in for PaymentRepository used when no DATABASE_URL is configured
+// (local development and tests). Mirrors the Postgres defaults from init.sql.
+// Journal entries are posted to an InMemoryLedgerRepository and events to an
+// InMemoryOutboxRepository.
+class InMemoryPaymentRepository {
+  constructor(ledgerRepository = new InMemoryLedgerRepository(), outboxRepository = new InMemoryOutboxRepository()) {
+    this.payments = new Map();
+    // paymentId -> { id, until }
+    this.reservations = new Map();
+    this.ledgerRepository = ledgerRepository;
+    this.outboxRepository = outboxRepository;
+  }
+
+  async create(payment) {
+    const now = new Date().toISOString();
+    const timestampAt = (status) => (payment.status === status ? payment.processedAt : null);
+    const record = {
+      id: payment.id || uuidv4(),
+      transactionId: payment.transactionId || uuidv4(),
+      customerId: payment.customerId,
+      merchantId: payment.merchantId || null,
+      amount: payment.amount,
+      currency: payment.currency,
+      settlement: payment.settlement ? { ...payment.settlement } : null,
+      status: payment.status,
+      paymentMethodId: payment.paymentMethodId || null,
+      paymentMethod: payment.paymentMethod,
+      capturedAmount: payment.status === 'completed' ? payment.amount : 0,
+      refundedAmount: 0,
+      disputedAmount: 0,
+      description: payment.description || null,
+      metadata: payment.metadata || {},
+      providerTransactionId: payment.providerTransactionId || null,
+      failureCode: payment.failureCode || null,
+      failureMessage: payment.failureMessage || null,
+      processedAt: payment.processedAt || null,
+      authorizedAt: timestampAt('authorized'),
+      capturedAt: timestampAt('completed'),
+      voidedAt: null,
+      settlesAt: payment.settlesAt || null,
+      createdAt: now,
+      updatedAt: now,
+      risk: payment.risk || null
+    };
+
+    this.payments.set(record.id, record);
+    if (payment.journalEntry) {
+      this.ledgerRepository.post(payment.journalEntry);
+    }
+    this.outboxRepository.append([paymentEvent(record)]);
+    return { ...record };
+  }
+
+  async transition(paymentId, plan) {
+    const record = this.payments.get(paymentId);
+    const changes = plan(record ? { ...record } : null);
+    const now = new Date().toISOString();
+
+    record.status = changes.status;
+    if (changes.capturedAmount !== undefined) {
+      record.capturedAmount = changes.capturedAmount;
+    }
+    if (changes.settlementAmount !== undefined) {
+      record.settlement = { ...record.settlement, amount: changes.settlementAmount };
+    }
+    if (changes.failureCode) {
+      record.failureCode = changes.failureCode;
+      record.failureMessage = changes.failureMessage;
+    }
+    ['providerTransactionId', 'paymentMethod', 'settlesAt', 'processedAt']
+      .filter(field => changes[field])
+      .forEach((field) => {
+        record[field] = changes[field];
+      });
+    if (changes.status === 'authorized') record.authorizedAt = now;
+    if (changes.status === 'captured' || changes.status === 'completed') record.capturedAt = now;
+    if (changes.status === 'voided') record.voidedAt = now;
+    record.updatedAt = now;
+
+    if (changes.journalEntry) {
+      this.ledgerRepository.post(changes.journalEntry);
+    }
+    this.outboxRepository.append([paymentEvent(record)]);
+
+    return { ...record };
+  }
+
+  async reserve(paymentId, reservationId, reservedUntil, plan) {
+    const record = this.payments.get(paymentId);
+    const reservation = this.reservations.get(paymentId);
+    plan(record ? { ...record } : null, Boolean(reservation && new Date(reservation.until) > new Date()));
+
+    this.reservations.set(paymentId, { id: reservationId, until: reservedUntil });
+    return { ...record };
+  }
+
+  async updateRisk(paymentId, plan) {
+    const record = this.payments.get(paymentId);
+    const risk = plan(record ? { ...record } : null);
+
+    record.risk = risk;
+    record.updatedAt = new Date().toISOString();
+    return { ...record };
+  }
+
+  async release(paymentId, reservationId) {
+    if (this.reservations.get(paymentId)?.id === reservationId) {
+      this.reservations.delete(paymentId);
+    }
+  }
+
+  async findById(paymentId) {
+    const record = this.payments.get(paymentId);
+    return record ? { ...record } : null;
+  }
+
+  async findByProviderTransactionId(providerTransactionId) {
+    const record = [...this.payments.values()]
+      .find(payment => payment.providerTransactionId === providerTransactionId);
+    return record ? { ...record } : null;
+  }
+
+  async listDueSettlements(asOf, limit) {
+    return [...this.payments.values()]
+      .filter(payment => payment.status === 'pending' && payment.settlesAt && new Date(payment.settlesAt) <= asOf)
+      .sort((a, b) => new Date(a.settlesAt) - new Date(b.settlesAt))
+      .slice(0, limit)
+      .map(payment => ({ ...payment }));
+  }
+
+  async list({ status, accountId, limit, offset }) {
+    // Map preserves insertion order, so reversing gives newest first
+    const matching = [...this.payments.values()]
+      .reverse()
+      .filter(payment => !status || payment.status === status)
+      .filter(payment => !accountId || payment.customerId === accountId || payment.merchantId === accountId);
+
+    return {
+      data: matching.slice(offset, offset + limit).map(payment => ({ ...payment })),
+      total: matching.length
+    };
+  }
+}
+
+module.exports = {
+  PaymentRepository,
+  InMemoryPaymentRepository,
+  TRANSACTION_STATUS_BY_PAYMENT_STATUS,
+  PAYMENT_COLUMNS,
+  mapPaymentRow
+};
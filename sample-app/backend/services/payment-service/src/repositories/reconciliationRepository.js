@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { withTransaction } = require('../db');
+const { insertJournalEntry } = require('./ledgerRepository');
+
+function toNumber(value) {
+  return value === null || value === undefined ? value : Number(value);
+}
+
+// YYYY-MM-DD of a DATE column, which node-postgres parses as local midnight
+function toDateString(value) {
+  if (!(value instanceof Date)) {
+    return String(value).slice(0, 10);
+  }
+
+  return [
+    value.getFullYear(),
+    String(value.getMonth() + 1).padStart(2, '0'),
+    String(value.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+function mapReconciliationRow(row) {
+  return {
+    id: row.id,
+    processor: row.processor,
+    settlementDate: toDateString(row.settlement_date),
+    fileName: row.file_name,
+    fileSha256: row.file_sha256,
+    status: row.status,
+    summary: row.summary,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+function mapItemRow(row) {
+  return {
+    status: row.status,
+    providerTransactionId: row.provider_transaction_id,
+    transactionId: row.transaction_id,
+    line: row.line_number,
+    currency: row.currency,
+    expectedAmount: toNumber(row.expected_amount),
+    settledAmount: toNumber(row.settled_amount),
+    feeAmount: toNumber(row.fee_amount),
+    netAmount: toNumber(row.net_amount),
+    reason: row.reason
+  };
+}
+
+// Settlement reconciliations backed by the `settlement_reconciliations` and
+// `settlement_reconciliation_items` tables
+class ReconciliationRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Store a reconciliation and its items, record the processor fee and net
+  // amount on every matched transaction and post the settlement `journalEntries`
+  // to the ledger. Returns null when the same settlement file (by SHA-256) has
+  // already been reconciled.
+  async create(reconciliation, items, journalEntries = []) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query(`
+        INSERT INTO settlement_reconciliations (
+          processor, settlement_date, file_name, file_sha256, status, summary
+        )
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (file_sha256) DO NOTHING
+        RETURNING *
+      `, [
+        reconciliation.processor,
+        reconciliation.settlementDate,
+        reconciliation.fileName,
+        reconciliation.fileSha256,
+        reconciliation.status,
+        JSON.stringify(reconciliation.summary)
+      ]);
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      for (const item of items) {
+        await client.query(`
+          INSERT INTO settlement_reconciliation_items (
+            reconciliation_id, status, provider_transaction_id, transaction_id, line_number,
+            currency, expected_amount, settled_amount, fee_amount, net_amount, reason
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+          rows[0].id,
+          item.status,
+          item.providerTransactionId,
+          item.transactionId,
+          item.line,
+          item.currency,
+          item.expectedAmount,
+          item.settledAmount,
+          item.feeAmount,
+          item.netAmount,
+          item.reason
+        ]);
+
+        if (item.status === 'matched') {
+          await client.query(
+            'UPDATE transactions SET fee_amount = $2, net_amount = $3 WHERE id = $1',
+            [item.transactionId, item.feeAmount, item.netAmount]
+          );
+        }
+      }
+
+      // A transaction settled by an earlier file keeps its first settlement entry
+      for (const entry of journalEntries) {
+        await insertJournalEntry(client, entry);
+      }
+
+      return { ...mapReconciliationRow(rows[0]), items };
+    });
+  }
+
+  async findById(reconciliationId) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM settlement_reconciliations WHERE id = $1',
+      [reconciliationId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const { rows: itemRows } = await this.db.query(`
+      SELECT * FROM settlement_reconciliation_items
+      WHERE reconciliation_id = $1
+      ORDER BY line_number ASC NULLS LAST, provider_transaction_id ASC
+    `, [reconciliationId]);
+
+    return { ...mapReconciliationRow(rows[0]), items: itemRows.map(mapItemRow) };
+  }
+
+  // Reconciliations without their items, most recent settlement date first
+  async list({ limit, offset }) {
+    const { rows: countRows } = await this.db.query(
+      'SELECT COUNT(*)::int AS total FROM settlement_reconciliations'
+    );
+
+    const { rows } = await this.db.query(`
+      SELECT * FROM settlement_reconciliations
+      ORDER BY settlement_date DESC, created_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    return { data: rows.map(mapReconciliationRow), total: countRows[0].total };
+  }
+}
+
+// In-memory stand-in for ReconciliationRepository. Settled fees are recorded
+// on an InMemoryTransactionRepository, settlement entries on an
+// InMemoryLedgerRepository.
+class InMemoryReconciliationRepository {
+  constructor(transactionRepository, ledgerRepository) {
+    this.transactionRepository = transactionRepository;
+    this.ledgerRepository = ledgerRepository;
+    this.reconciliations = new Map();
+  }
+
+  async create(reconciliation, items, journalEntries = []) {
+    const alreadyReconciled = [...this.reconciliations.values()]
+      .some(existing => existing.fileSha256 === reconciliation.fileSha256);
+    if (alreadyReconciled) {
+      return null;
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      ...reconciliation,
+      createdAt: new Date().toISOString(),
+      items: items.map(item => ({ ...item }))
+    };
+    this.reconciliations.set(record.id, record);
+
+    items
+      .filter(item => item.status === 'matched')
+      .forEach(item => this.transactionRepository.settledAmounts.set(item.transactionId, {
+        feeAmount: item.feeAmount,
+        netAmount: item.netAmount
+      }));
+    journalEntries.forEach(entry => this.ledgerRepository.post(entry));
+
+    return { ...record };
+  }
+
+  async findById(reconciliationId) {
+    const record = this.reconciliations.get(reconciliationId);
+    return record ? { ...record } : null;
+  }
+
+  async list({ limit, offset }) {
+    const sorted = [...this.reconciliations.values()]
+      .reverse()
+      .sort((a, b) => b.settlementDate.localeCompare(a.settlementDate));
+
+    return {
+      data: sorted.slice(offset, offset + limit).map(({ items, ...reconciliation }) => reconciliation),
+      total: sorted.length
+    };
+  }
+}
+
+module.exports = { ReconciliationRepository, InMemoryReconciliationRepository };
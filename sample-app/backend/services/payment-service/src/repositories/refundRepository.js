@@ -0,0 +1,154 @@
+const { withTransaction } = require('../db');
+const { PAYMENT_COLUMNS, mapPaymentRow } = require('./paymentRepository');
+const { insertJournalEntry } = require('./ledgerRepository');
+const { insertOutboxEvents, paymentEvent, refundEvent } = require('./outboxRepository');
+
+function mapRefundRow(row) {
+  return {
+    id: row.id,
+    paymentId: row.payment_id,
+    transactionId: row.transaction_id,
+    amount: Number(row.amount),
+    currency: row.currency,
+    status: row.status,
+    reason: row.reason,
+    providerRefundId: row.provider_refund_id,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+function refundEvents(refund, payment, updated) {
+  return updated.status !== payment.status
+    ? [refundEvent(refund, updated), paymentEvent(updated)]
+    : [refundEvent(refund, updated)];
+}
+
+// Refund repository backed by the `refunds` table. Each refund is also
+// recorded as a `refund` transaction referencing the original payment, and
+// written to the outbox as a `refund.created` event (plus `payment.refunded`
+// once the payment is fully refunded).
+class RefundRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Record a refund against a payment. The payment row is locked for the
+  // duration of the transaction and handed to `buildRefund`, which validates
+  // it and returns `{ refund, refundedAmount, paymentStatus, journalEntry? }`
+  // (or throws). Locking guarantees concurrent partial refunds cannot
+  // over-refund; the journal entry is posted to the ledger in the same
+  // database transaction.
+  async createForPayment(paymentId, buildRefund) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query(`
+        SELECT ${PAYMENT_COLUMNS}
+        FROM payments p
+        JOIN transactions t ON t.id = p.transaction_id
+        WHERE p.id = $1
+        FOR UPDATE OF p
+      `, [paymentId]);
+
+      const payment = rows.length ? mapPaymentRow(rows[0]) : null;
+      const { refund, refundedAmount, paymentStatus, journalEntry } = buildRefund(payment);
+
+      await client.query(`
+        INSERT INTO transactions (
+          id, user_id, type, amount, currency, status, description,
+          reference_id, net_amount, processed_at
+        )
+        VALUES ($1, $2, 'refund', $3, $4, $5, $6, $7, $3, CURRENT_TIMESTAMP)
+      `, [
+        refund.transactionId,
+        payment.customerId,
+        refund.amount,
+        refund.currency,
+        refund.status === 'pending' ? 'pending' : 'completed',
+        `Refund for payment ${payment.id}`,
+        payment.id
+      ]);
+
+      const { rows: refundRows } = await client.query(`
+        INSERT INTO refunds (
+          id, payment_id, transaction_id, amount, currency, status, reason, provider_refund_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [
+        refund.id,
+        payment.id,
+        refund.transactionId,
+        refund.amount,
+        refund.currency,
+        refund.status,
+        refund.reason,
+        refund.providerRefundId
+      ]);
+
+      await client.query(
+        'UPDATE payments SET refunded_amount = $2, status = $3 WHERE id = $1',
+        [payment.id, refundedAmount, paymentStatus]
+      );
+
+      if (journalEntry) {
+        await insertJournalEntry(client, journalEntry);
+      }
+
+      const created = mapRefundRow(refundRows[0]);
+      const updated = { ...payment, refundedAmount, status: paymentStatus };
+      await insertOutboxEvents(client, refundEvents(created, payment, updated));
+
+      return { refund: created, payment: updated };
+    });
+  }
+
+  async listByPayment(paymentId) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM refunds WHERE payment_id = $1 ORDER BY created_at ASC',
+      [paymentId]
+    );
+
+    return rows.map(mapRefundRow);
+  }
+}
+
+// In-memory stand-in for RefundRepository. Shares the payment records (ledger
+// and outbox) of an InMemoryPaymentRepository so that refunds update the
+// payments they belong to.
+class InMemoryRefundRepository {
+  constructor(paymentRepository) {
+    this.paymentRepository = paymentRepository;
+    this.refunds = new Map();
+  }
+
+  async createForPayment(paymentId, buildRefund) {
+    const stored = this.paymentRepository.payments.get(paymentId);
+    const payment = stored ? { ...stored } : null;
+    const { refund, refundedAmount, paymentStatus, journalEntry } = buildRefund(payment);
+
+    const record = {
+      ...refund,
+      paymentId,
+      createdAt: new Date().toISOString()
+    };
+    this.refunds.set(record.id, record);
+
+    stored.refundedAmount = refundedAmount;
+    stored.status = paymentStatus;
+    stored.updatedAt = record.createdAt;
+
+    if (journalEntry) {
+      this.paymentRepository.ledgerRepository.post(journalEntry);
+    }
+    this.paymentRepository.outboxRepository.append(refundEvents(record, payment, stored));
+
+    return { refund: { ...record }, payment: { ...stored } };
+  }
+
+  async listByPayment(paymentId) {
+    return [...this.refunds.values()]
+      .filter(refund => refund.paymentId === paymentId)
+      .map(refund => ({ ...refund }));
+  }
+}
+
+module.exports = { RefundRepository, InMemoryRefundRepository };
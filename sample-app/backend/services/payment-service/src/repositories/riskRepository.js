@@ -0,0 +1,55 @@
+// Signals stored in `transactions.fraud_check_result` that velocity rules count by
+const SIGNAL_EXPRESSIONS = {
+  cardFingerprint: "fraud_check_result->'signals'->>'cardFingerprint'",
+  ipAddress: "fraud_check_result->'signals'->>'ipAddress'"
+};
+
+const SUCCESSFUL_PAYMENT_STATUSES = ['captured', 'completed', 'refunded'];
+
+// Read-only queries over past payments used by the risk engine
+class RiskRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async countRecentPayments(signal, value, since) {
+    const { rows } = await this.db.query(`
+      SELECT COUNT(*)::int AS count
+      FROM transactions
+      WHERE type = 'payment' AND created_at >= $2 AND ${SIGNAL_EXPRESSIONS[signal]} = $1
+    `, [value, since]);
+
+    return rows[0].count;
+  }
+
+  async hasSuccessfulPayment(customerId) {
+    const { rows } = await this.db.query(`
+      SELECT id FROM payments
+      WHERE customer_id = $1 AND status IN (${SUCCESSFUL_PAYMENT_STATUSES.map(status => `'${status}'`).join(', ')})
+      LIMIT 1
+    `, [customerId]);
+
+    return rows.length > 0;
+  }
+}
+
+// In-memory stand-in for RiskRepository over an InMemoryPaymentRepository
+class InMemoryRiskRepository {
+  constructor(paymentRepository) {
+    this.paymentRepository = paymentRepository;
+  }
+
+  async countRecentPayments(signal, value, since) {
+    return [...this.paymentRepository.payments.values()]
+      .filter(payment => new Date(payment.createdAt) >= since && payment.risk?.signals?.[signal] === value)
+      .length;
+  }
+
+  async hasSuccessfulPayment(customerId) {
+    return [...this.paymentRepository.payments.values()]
+      .some(payment => payment.customerId === customerId
+        && SUCCESSFUL_PAYMENT_STATUSES.includes(payment.status));
+  }
+}
+
+module.exports = { RiskRepository, InMemoryRiskRepository };
@@ -0,0 +1,511 @@
+const crypto = require('crypto');
+const { withTransaction } = require('../db');
+const {
+  insertOutboxEvents,
+  subscriptionEvent,
+  invoiceEvent,
+  InMemoryOutboxRepository
+} = require('./outboxRepository');
+
+const UNSETTLED_STATUSES = ['open', 'processing'];
+
+// Outbox events of the `eventTypes` (`subscription.*` or `invoice.*`) of a
+// change to a subscription or its invoice
+function outboxEvents(eventTypes, { subscription, invoice }) {
+  return eventTypes.map(eventType => (eventType.startsWith('invoice.')
+    ? invoiceEvent(eventType, invoice, subscription)
+    : subscriptionEvent(eventType, subscription)));
+}
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? value : Number(value);
+}
+
+function mapPlanRow(row) {
+  return {
+    id: row.id,
+    merchantId: row.merchant_id,
+    name: row.name,
+    amount: toNumber(row.amount),
+    currency: row.currency,
+    interval: row.billing_interval,
+    intervalCount: row.interval_count,
+    trialDays: row.trial_days,
+    isActive: row.is_active,
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at)
+  };
+}
+
+function mapSubscriptionRow(row) {
+  return {
+    id: row.id,
+    planId: row.plan_id,
+    customerId: row.customer_id,
+    merchantId: row.merchant_id,
+    paymentMethodId: row.payment_method_id,
+    status: row.status,
+    currency: row.currency,
+    currentPeriodStart: toISOString(row.current_period_start),
+    currentPeriodEnd: toISOString(row.current_period_end),
+    trialEnd: toISOString(row.trial_end),
+    cancelAtPeriodEnd: row.cancel_at_period_end,
+    canceledAt: toISOString(row.canceled_at),
+    cancellationReason: row.cancellation_reason,
+    pausedAt: toISOString(row.paused_at),
+    resumesAt: toISOString(row.resumes_at),
+    creditBalance: toNumber(row.credit_balance),
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at)
+  };
+}
+
+function mapInvoiceRow(row) {
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    customerId: row.customer_id,
+    planId: row.plan_id,
+    amount: toNumber(row.amount),
+    currency: row.currency,
+    status: row.status,
+    billingReason: row.billing_reason,
+    periodStart: toISOString(row.period_start),
+    periodEnd: toISOString(row.period_end),
+    lines: row.lines,
+    attempts: row.attempts,
+    nextAttemptAt: toISOString(row.next_attempt_at),
+    paymentId: row.payment_id,
+    failureCode: row.failure_code,
+    failureMessage: row.failure_message,
+    paidAt: toISOString(row.paid_at),
+    createdAt: toISOString(row.created_at),
+    updatedAt: toISOString(row.updated_at)
+  };
+}
+
+async function insertInvoice(client, invoice) {
+  const { rows } = await client.query(`
+    INSERT INTO subscription_invoices (
+      subscription_id, customer_id, plan_id, amount, currency, status, billing_reason,
+      period_start, period_end, lines, attempts, next_attempt_at, paid_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING *
+  `, [
+    invoice.subscriptionId,
+    invoice.customerId,
+    invoice.planId,
+    invoice.amount,
+    invoice.currency,
+    invoice.status,
+    invoice.billingReason,
+    invoice.periodStart,
+    invoice.periodEnd,
+    JSON.stringify(invoice.lines),
+    invoice.attempts || 0,
+    invoice.nextAttemptAt,
+    invoice.paidAt
+  ]);
+
+  return mapInvoiceRow(rows[0]);
+}
+
+async function updateInvoice(client, invoice) {
+  const { rows } = await client.query(`
+    UPDATE subscription_invoices
+    SET status = $2,
+        attempts = $3,
+        next_attempt_at = $4,
+        payment_id = $5,
+        failure_code = $6,
+        failure_message = $7,
+        paid_at = $8
+    WHERE id = $1
+    RETURNING *
+  `, [
+    invoice.id,
+    invoice.status,
+    invoice.attempts,
+    invoice.nextAttemptAt,
+    invoice.paymentId,
+    invoice.failureCode,
+    invoice.failureMessage,
+    invoice.paidAt
+  ]);
+
+  return mapInvoiceRow(rows[0]);
+}
+
+// Subscription plans, subscriptions and their invoices, backed by the
+// `subscription_plans`, `subscriptions` and `subscription_invoices` tables.
+// A subscription has at most one unsettled invoice at a time (`open`, or
+// `processing` while its payment settles); changes to either
+// are made under a lock of the subscription row (see transition()). Events
+// about subscriptions and invoices are written to the outbox in the same
+// transaction.
+class SubscriptionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async createPlan(plan) {
+    const { rows } = await this.db.query(`
+      INSERT INTO subscription_plans (
+        merchant_id, name, amount, currency, billing_interval, interval_count, trial_days
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      plan.merchantId,
+      plan.name,
+      plan.amount,
+      plan.currency,
+      plan.interval,
+      plan.intervalCount,
+      plan.trialDays
+    ]);
+
+    return mapPlanRow(rows[0]);
+  }
+
+  async findPlan(id) {
+    const { rows } = await this.db.query('SELECT * FROM subscription_plans WHERE id = $1', [id]);
+    return rows.length ? mapPlanRow(rows[0]) : null;
+  }
+
+  // Newest first
+  async listPlans(merchantId) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM subscription_plans WHERE merchant_id = $1 ORDER BY created_at DESC',
+      [merchantId]
+    );
+    return rows.map(mapPlanRow);
+  }
+
+  async archivePlan(merchantId, id) {
+    const { rows } = await this.db.query(
+      'UPDATE subscription_plans SET is_active = FALSE WHERE merchant_id = $1 AND id = $2 RETURNING *',
+      [merchantId, id]
+    );
+    return rows.length ? mapPlanRow(rows[0]) : null;
+  }
+
+  // Create a subscription together with its first invoice, if any (no
+  // invoice while trialing), and its `subscription.created` event. Resolves
+  // to `{ subscription, invoice }`.
+  async create(subscription, invoice) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query(`
+        INSERT INTO subscriptions (
+          plan_id, customer_id, merchant_id, payment_method_id, status, currency,
+          current_period_start, current_period_end, trial_end
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        subscription.planId,
+        subscription.customerId,
+        subscription.merchantId,
+        subscription.paymentMethodId,
+        subscription.status,
+        subscription.currency,
+        subscription.currentPeriodStart,
+        subscription.currentPeriodEnd,
+        subscription.trialEnd
+      ]);
+      const created = mapSubscriptionRow(rows[0]);
+      await insertOutboxEvents(client, [subscriptionEvent('subscription.created', created)]);
+
+      return {
+        subscription: created,
+        invoice: invoice ? await insertInvoice(client, { ...invoice, subscriptionId: created.id }) : null
+      };
+    });
+  }
+
+  async findById(id) {
+    const { rows } = await this.db.query('SELECT * FROM subscriptions WHERE id = $1', [id]);
+    return rows.length ? mapSubscriptionRow(rows[0]) : null;
+  }
+
+  // Subscriptions of a customer, or to a merchant's plans; newest first
+  async listForAccount(accountId) {
+    const { rows } = await this.db.query(`
+      SELECT * FROM subscriptions
+      WHERE customer_id = $1 OR merchant_id = $1
+      ORDER BY created_at DESC
+    `, [accountId]);
+
+    return rows.map(mapSubscriptionRow);
+  }
+
+  // Change a subscription and its unsettled invoice. The subscription row and
+  // its unsettled invoice (or null) are locked and handed to `plan`, which
+  // returns `{ subscription?, invoice? }`: changes to the subscription, and the
+  // unsettled invoice updated (with its `id`) or a new invoice (without one). It
+  // returns null (or throws) to leave both unchanged.
+  // `eventTypes(previous, { subscription, invoice })` returns the types of
+  // the events of the change (e.g. `invoice.paid`), given the subscription as
+  // it was locked; they are written to the outbox.
+  // Resolves to `{ subscription, invoice }`, or null when nothing changed.
+  async transition(id, plan, eventTypes = () => []) {
+    return withTransaction(this.db, async (client) => {
+      const { rows } = await client.query('SELECT * FROM subscriptions WHERE id = $1 FOR UPDATE', [id]);
+      const subscription = rows.length ? mapSubscriptionRow(rows[0]) : null;
+
+      const { rows: invoiceRows } = subscription
+        ? await client.query(
+          `SELECT * FROM subscription_invoices WHERE subscription_id = $1 AND status IN ('open', 'processing') FOR UPDATE`,
+          [id]
+        )
+        : { rows: [] };
+      const openInvoice = invoiceRows.length ? mapInvoiceRow(invoiceRows[0]) : null;
+
+      const changes = plan(subscription, openInvoice);
+      if (!changes) {
+        return null;
+      }
+
+      const next = { ...subscription, ...changes.subscription };
+      const { rows: updated } = await client.query(`
+        UPDATE subscriptions
+        SET plan_id = $2,
+            payment_method_id = $3,
+            status = $4,
+            current_period_start = $5,
+            current_period_end = $6,
+            trial_end = $7,
+            cancel_at_period_end = $8,
+            canceled_at = $9,
+            cancellation_reason = $10,
+            paused_at = $11,
+            resumes_at = $12,
+            credit_balance = $13
+        WHERE id = $1
+        RETURNING *
+      `, [
+        id,
+        next.planId,
+        next.paymentMethodId,
+        next.status,
+        next.currentPeriodStart,
+        next.currentPeriodEnd,
+        next.trialEnd,
+        next.cancelAtPeriodEnd,
+        next.canceledAt,
+        next.cancellationReason,
+        next.pausedAt,
+        next.resumesAt,
+        next.creditBalance
+      ]);
+
+      let invoice = null;
+      if (changes.invoice && changes.invoice.id) {
+        invoice = await updateInvoice(client, changes.invoice);
+      } else if (changes.invoice) {
+        invoice = await insertInvoice(client, { ...changes.invoice, subscriptionId: id });
+      }
+
+      const result = { subscription: mapSubscriptionRow(updated[0]), invoice };
+      await insertOutboxEvents(client, outboxEvents(eventTypes(subscription, result), result));
+      return result;
+    });
+  }
+
+  // Subscriptions due for renewal (or cancellation at period end) and paused
+  // ones due to resume, as of `asOf`
+  async listDue(asOf, limit) {
+    const { rows } = await this.db.query(`
+      SELECT * FROM subscriptions
+      WHERE (status IN ('trialing', 'active') AND current_period_end <= $1)
+         OR (status = 'paused' AND resumes_at <= $1)
+      ORDER BY current_period_end
+      LIMIT $2
+    `, [asOf, limit]);
+
+    return rows.map(mapSubscriptionRow);
+  }
+
+  // Unsettled invoices whose next payment attempt (or settlement check) is
+  // due. Their next attempt is pushed to `leaseUntil` so that other instances
+  // skip them meanwhile.
+  async claimDueInvoices(asOf, limit, leaseUntil) {
+    const { rows } = await this.db.query(`
+      UPDATE subscription_invoices SET next_attempt_at = $3
+      WHERE id IN (
+        SELECT id FROM subscription_invoices
+        WHERE status IN ('open', 'processing') AND next_attempt_at <= $1
+        ORDER BY next_attempt_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [asOf, limit, leaseUntil]);
+
+    return rows.map(mapInvoiceRow);
+  }
+
+  // Newest first
+  async listInvoices(subscriptionId) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM subscription_invoices WHERE subscription_id = $1 ORDER BY created_at DESC',
+      [subscriptionId]
+    );
+    return rows.map(mapInvoiceRow);
+  }
+}
+
+// In-memory stand-in for SubscriptionRepository, used when no DATABASE_URL is configured
+class InMemorySubscriptionRepository {
+  constructor(outboxRepository = new InMemoryOutboxRepository()) {
+    this.plans = new Map();
+    this.subscriptions = new Map();
+    this.invoices = new Map();
+    this.outboxRepository = outboxRepository;
+  }
+
+  async createPlan(plan) {
+    const now = new Date().toISOString();
+    const created = { id: crypto.randomUUID(), ...plan, isActive: true, createdAt: now, updatedAt: now };
+    this.plans.set(created.id, created);
+    return { ...created };
+  }
+
+  async findPlan(id) {
+    const plan = this.plans.get(id);
+    return plan ? { ...plan } : null;
+  }
+
+  async listPlans(merchantId) {
+    return [...this.plans.values()]
+      .filter(plan => plan.merchantId === merchantId)
+      .reverse()
+      .map(plan => ({ ...plan }));
+  }
+
+  async archivePlan(merchantId, id) {
+    const plan = this.plans.get(id);
+    if (!plan || plan.merchantId !== merchantId) {
+      return null;
+    }
+
+    plan.isActive = false;
+    plan.updatedAt = new Date().toISOString();
+    return { ...plan };
+  }
+
+  insertInvoice(invoice) {
+    const now = new Date().toISOString();
+    const created = {
+      id: crypto.randomUUID(),
+      attempts: 0,
+      paymentId: null,
+      failureCode: null,
+      failureMessage: null,
+      paidAt: null,
+      ...invoice,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.invoices.set(created.id, created);
+    return { ...created };
+  }
+
+  async create(subscription, invoice) {
+    const now = new Date().toISOString();
+    const created = {
+      id: crypto.randomUUID(),
+      ...subscription,
+      cancelAtPeriodEnd: false,
+      canceledAt: null,
+      cancellationReason: null,
+      pausedAt: null,
+      resumesAt: null,
+      creditBalance: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.subscriptions.set(created.id, created);
+    this.outboxRepository.append([subscriptionEvent('subscription.created', created)]);
+
+    return {
+      subscription: { ...created },
+      invoice: invoice ? this.insertInvoice({ ...invoice, subscriptionId: created.id }) : null
+    };
+  }
+
+  async findById(id) {
+    const subscription = this.subscriptions.get(id);
+    return subscription ? { ...subscription } : null;
+  }
+
+  async listForAccount(accountId) {
+    return [...this.subscriptions.values()]
+      .filter(subscription => subscription.customerId === accountId || subscription.merchantId === accountId)
+      .reverse()
+      .map(subscription => ({ ...subscription }));
+  }
+
+  async transition(id, plan, eventTypes = () => []) {
+    const subscription = this.subscriptions.get(id);
+    const openInvoice = subscription
+      ? [...this.invoices.values()].find(invoice => invoice.subscriptionId === id && UNSETTLED_STATUSES.includes(invoice.status))
+      : null;
+
+    const changes = plan(subscription ? { ...subscription } : null, openInvoice ? { ...openInvoice } : null);
+    if (!changes) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const previous = { ...subscription };
+    Object.assign(subscription, changes.subscription, { updatedAt: now });
+
+    let invoice = null;
+    if (changes.invoice && changes.invoice.id) {
+      invoice = Object.assign(this.invoices.get(changes.invoice.id), changes.invoice, { updatedAt: now });
+      invoice = { ...invoice };
+    } else if (changes.invoice) {
+      invoice = this.insertInvoice({ ...changes.invoice, subscriptionId: id });
+    }
+
+    const result = { subscription: { ...subscription }, invoice };
+    this.outboxRepository.append(outboxEvents(eventTypes(previous, result), result));
+    return result;
+  }
+
+  async listDue(asOf, limit) {
+    return [...this.subscriptions.values()]
+      .filter(subscription =>
+        (['trialing', 'active'].includes(subscription.status) && new Date(subscription.currentPeriodEnd) <= asOf) ||
+        (subscription.status === 'paused' && subscription.resumesAt && new Date(subscription.resumesAt) <= asOf))
+      .sort((a, b) => new Date(a.currentPeriodEnd) - new Date(b.currentPeriodEnd))
+      .slice(0, limit)
+      .map(subscription => ({ ...subscription }));
+  }
+
+  async claimDueInvoices(asOf, limit, leaseUntil) {
+    return [...this.invoices.values()]
+      .filter(invoice => UNSETTLED_STATUSES.includes(invoice.status) && invoice.nextAttemptAt && new Date(invoice.nextAttemptAt) <= asOf)
+      .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+      .slice(0, limit)
+      .map((invoice) => {
+        invoice.nextAttemptAt = leaseUntil;
+        return { ...invoice };
+      });
+  }
+
+  async listInvoices(subscriptionId) {
+    return [...this.invoices.values()]
+      .filter(invoice => invoice.subscriptionId === subscriptionId)
+      .reverse()
+      .map(invoice => ({ ...invoice }));
+  }
+}
+
+module.exports = { SubscriptionRepository, InMemorySubscriptionRepository };
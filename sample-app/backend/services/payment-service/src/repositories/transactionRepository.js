@@ -0,0 +1,259 @@
+const { TRANSACTION_STATUS_BY_PAYMENT_STATUS } = require('./paymentRepository');
+
+// transaction_status_type and the `transactions.type` values from init.sql
+const TRANSACTION_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
+const TRANSACTION_TYPES = ['payment', 'refund', 'transfer', 'fee'];
+
+// Transactions are joined to the payment they belong to (directly, or through
+// the refund for refund transactions) for the payment ID and method type.
+// The processor reference of a refund transaction is the processor's refund ID.
+// `position` is the exact created_at, which a JS Date would truncate to
+// milliseconds, for keyset pagination.
+const TRANSACTION_QUERY = `
+  SELECT
+    t.id, t.user_id, t.type, t.amount, t.currency, t.status, t.description,
+    t.reference_id, t.fee_amount, t.net_amount,
+    COALESCE(t.provider_transaction_id, r.provider_refund_id) AS provider_transaction_id,
+    t.processed_at, t.created_at, t.created_at::text AS position,
+    COALESCE(p.id, r.payment_id) AS payment_id,
+    p.captured_amount,
+    r.id AS refund_id,
+    COALESCE(p.payment_method_details, rp.payment_method_details)->>'type' AS payment_method
+  FROM transactions t
+  LEFT JOIN payments p ON p.transaction_id = t.id
+  LEFT JOIN refunds r ON r.transaction_id = t.id
+  LEFT JOIN payments rp ON rp.id = r.payment_id
+`;
+
+function toNumber(value) {
+  return value === null || value === undefined ? value : Number(value);
+}
+
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function mapTransactionRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    amount: toNumber(row.amount),
+    currency: row.currency,
+    feeAmount: toNumber(row.fee_amount),
+    netAmount: toNumber(row.net_amount),
+    paymentMethod: row.payment_method || null,
+    paymentId: row.payment_id || null,
+    refundId: row.refund_id || null,
+    userId: row.user_id,
+    description: row.description,
+    referenceId: row.reference_id,
+    providerTransactionId: row.provider_transaction_id,
+    // Amount the processor settles for a payment transaction
+    capturedAmount: toNumber(row.captured_amount),
+    processedAt: toIsoString(row.processed_at),
+    createdAt: toIsoString(row.created_at)
+  };
+}
+
+// Postgres timestamptz text output or an ISO 8601 timestamp
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Cursors are opaque to clients: the position and ID of the last transaction
+// of a page, newest first
+function encodeCursor(position, id) {
+  return Buffer.from(JSON.stringify([position, id])).toString('base64url');
+}
+
+// `{ position, id }` of a cursor, or null when it is malformed
+function decodeCursor(cursor) {
+  try {
+    const [position, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const valid = typeof position === 'string' && TIMESTAMP_PATTERN.test(position)
+      && typeof id === 'string' && UUID_PATTERN.test(id);
+
+    return valid ? { position, id: id.toLowerCase() } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// `{ where, params }` SQL filter for the transaction history API.
+// `accountId` matches the transactions of payments the account made or
+// received (as their merchant).
+function buildFilters({ from, to, status, type, minAmount, maxAmount, currency, paymentMethod, userId, accountId }, after) {
+  const filters = [];
+  const params = [];
+  const add = (clause, value) => {
+    params.push(value);
+    filters.push(clause.replace(/\?/g, `$${params.length}`));
+  };
+
+  if (from) add('t.created_at >= ?', from);
+  if (to) add('t.created_at < ?', to);
+  if (status) add('t.status = ?', status);
+  if (type) add('t.type = ?', type);
+  if (minAmount !== undefined) add('t.amount >= ?', minAmount);
+  if (maxAmount !== undefined) add('t.amount <= ?', maxAmount);
+  if (currency) add('t.currency = ?', currency);
+  if (paymentMethod) add("COALESCE(p.payment_method_details, rp.payment_method_details)->>'type' = ?", paymentMethod);
+  if (userId) add('t.user_id = ?', userId);
+  if (accountId) add('(t.user_id = ? OR COALESCE(p.merchant_id, rp.merchant_id) = ?)', accountId);
+
+  if (after) {
+    params.push(after.position, after.id);
+    const position = `$${params.length - 1}::timestamptz`;
+    filters.push(`(t.created_at < ${position} OR (t.created_at = ${position} AND t.id < $${params.length}))`);
+  }
+
+  return { where: filters.length ? `WHERE ${filters.join(' AND ')}` : '', params };
+}
+
+// Read side of the `transactions` table (written by the payment and refund
+// repositories), for transaction history and accounting exports
+class TransactionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Up to `limit` transactions matching the filters, newest first, starting
+  // after `cursor`. `nextCursor` is null on the last page.
+  async list(filters, { limit, cursor }) {
+    const { where, params } = buildFilters(filters, cursor && decodeCursor(cursor));
+
+    const { rows } = await this.db.query(`
+      ${TRANSACTION_QUERY}
+      ${where}
+      ORDER BY t.created_at DESC, t.id DESC
+      LIMIT $${params.length + 1}
+    `, [...params, limit + 1]);
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      data: page.map(mapTransactionRow),
+      nextCursor: rows.length > limit ? encodeCursor(last.position, last.id) : null
+    };
+  }
+
+  // Transactions carrying any of the given processor references
+  async findByProviderTransactionIds(providerTransactionIds) {
+    if (providerTransactionIds.length === 0) {
+      return [];
+    }
+
+    const { rows } = await this.db.query(`
+      ${TRANSACTION_QUERY}
+      WHERE t.provider_transaction_id = ANY($1) OR r.provider_refund_id = ANY($1)
+    `, [providerTransactionIds]);
+
+    return rows.map(mapTransactionRow);
+  }
+}
+
+// In-memory stand-in for TransactionRepository, deriving the transactions
+// from the records of an InMemoryPaymentRepository and InMemoryRefundRepository
+class InMemoryTransactionRepository {
+  constructor(paymentRepository, refundRepository) {
+    this.paymentRepository = paymentRepository;
+    this.refundRepository = refundRepository;
+    // Transaction ID -> { feeAmount, netAmount } recorded by reconciliation
+    this.settledAmounts = new Map();
+  }
+
+  transactions() {
+    const payments = this.paymentRepository.payments;
+
+    const paymentTransactions = [...payments.values()].map(payment => ({
+      id: payment.transactionId,
+      type: 'payment',
+      status: TRANSACTION_STATUS_BY_PAYMENT_STATUS[payment.status],
+      amount: payment.amount,
+      currency: payment.currency,
+      feeAmount: 0,
+      netAmount: payment.capturedAmount,
+      paymentMethod: payment.paymentMethod?.type || null,
+      paymentId: payment.id,
+      refundId: null,
+      userId: payment.customerId,
+      description: payment.description,
+      referenceId: null,
+      providerTransactionId: payment.providerTransactionId,
+      capturedAmount: payment.capturedAmount,
+      processedAt: payment.processedAt,
+      createdAt: payment.createdAt
+    }));
+
+    const refundTransactions = [...this.refundRepository.refunds.values()].map((refund) => {
+      const payment = payments.get(refund.paymentId);
+
+      return {
+        id: refund.transactionId,
+        type: 'refund',
+        status: refund.status === 'pending' ? 'pending' : 'completed',
+        amount: refund.amount,
+        currency: refund.currency,
+        feeAmount: 0,
+        netAmount: refund.amount,
+        paymentMethod: payment.paymentMethod?.type || null,
+        paymentId: payment.id,
+        refundId: refund.id,
+        userId: payment.customerId,
+        description: `Refund for payment ${payment.id}`,
+        referenceId: payment.id,
+        providerTransactionId: refund.providerRefundId || null,
+        capturedAmount: null,
+        processedAt: refund.createdAt,
+        createdAt: refund.createdAt
+      };
+    });
+
+    // Newest first, by creation time then ID like the Postgres query
+    const key = transaction => `${transaction.createdAt} ${transaction.id}`;
+    return [...paymentTransactions, ...refundTransactions]
+      .map(transaction => ({ ...transaction, ...this.settledAmounts.get(transaction.id) }))
+      .sort((a, b) => (key(a) < key(b) ? 1 : -1));
+  }
+
+  async findByProviderTransactionIds(providerTransactionIds) {
+    return this.transactions()
+      .filter(transaction => providerTransactionIds.includes(transaction.providerTransactionId));
+  }
+
+  async list({ from, to, status, type, minAmount, maxAmount, currency, paymentMethod, userId, accountId }, { limit, cursor }) {
+    const after = cursor && decodeCursor(cursor);
+    const payments = this.paymentRepository.payments;
+
+    const matching = this.transactions()
+      .filter(transaction => (!from || new Date(transaction.createdAt) >= new Date(from)) &&
+        (!to || new Date(transaction.createdAt) < new Date(to)) &&
+        (!status || transaction.status === status) &&
+        (!type || transaction.type === type) &&
+        (minAmount === undefined || transaction.amount >= minAmount) &&
+        (maxAmount === undefined || transaction.amount <= maxAmount) &&
+        (!currency || transaction.currency === currency) &&
+        (!paymentMethod || transaction.paymentMethod === paymentMethod) &&
+        (!userId || transaction.userId === userId) &&
+        (!accountId || transaction.userId === accountId || payments.get(transaction.paymentId).merchantId === accountId) &&
+        (!after || transaction.createdAt < after.position ||
+          (transaction.createdAt === after.position && transaction.id < after.id)));
+
+    const page = matching.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      data: page,
+      nextCursor: matching.length > limit ? encodeCursor(last.createdAt, last.id) : null
+    };
+  }
+}
+
+module.exports = {
+  TransactionRepository,
+  InMemoryTransactionRepository,
+  TRANSACTION_STATUSES,
+  TRANSACTION_TYPES,
+  decodeCursor
+};
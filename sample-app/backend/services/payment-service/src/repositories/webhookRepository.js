@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const { withTransaction } = require('../db');
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function mapEndpointRow(row) {
+  return {
+    id: row.id,
+    merchantId: row.merchant_id,
+    url: row.url,
+    secret: row.secret,
+    events: row.events,
+    description: row.description,
+    isActive: row.is_active,
+    createdAt: toISOString(row.created_at)
+  };
+}
+
+function mapDeliveryRow(row) {
+  return {
+    id: row.id,
+    endpointId: row.endpoint_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: toISOString(row.next_attempt_at),
+    lastAttemptAt: toISOString(row.last_attempt_at),
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: toISOString(row.created_at)
+  };
+}
+
+// Webhook endpoints and deliveries backed by the `webhook_endpoints` and
+// `webhook_deliveries` tables. A delivery is due while it is `pending` and
+// its `next_attempt_at` has passed.
+class WebhookRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async createEndpoint({ merchantId, url, secret, events, description }) {
+    const { rows } = await this.db.query(`
+      INSERT INTO webhook_endpoints (merchant_id, url, secret, events, description)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [merchantId, url, secret, JSON.stringify(events), description]);
+
+    return mapEndpointRow(rows[0]);
+  }
+
+  async findEndpoint(id) {
+    const { rows } = await this.db.query('SELECT * FROM webhook_endpoints WHERE id = $1', [id]);
+    return rows.length ? mapEndpointRow(rows[0]) : null;
+  }
+
+  async listEndpoints(merchantId, { activeOnly = false } = {}) {
+    const { rows } = await this.db.query(`
+      SELECT * FROM webhook_endpoints
+      WHERE merchant_id = $1 ${activeOnly ? 'AND is_active = TRUE' : ''}
+      ORDER BY created_at DESC
+    `, [merchantId]);
+
+    return rows.map(mapEndpointRow);
+  }
+
+  async disableEndpoint(id) {
+    const { rows } = await this.db.query(
+      'UPDATE webhook_endpoints SET is_active = FALSE WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    return rows.length ? mapEndpointRow(rows[0]) : null;
+  }
+
+  // Queue deliveries of one event. `nextAttemptAt` is the time after which
+  // the retry worker may pick them up. Endpoints that already have a delivery
+  // of the event are skipped; resolves to the deliveries created.
+  async createDeliveries(deliveries) {
+    return withTransaction(this.db, async (client) => {
+      const created = [];
+
+      for (const delivery of deliveries) {
+        const { rows } = await client.query(`
+          INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, next_attempt_at)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (endpoint_id, event_id) DO NOTHING
+          RETURNING *
+        `, [
+          delivery.endpointId,
+          delivery.eventId,
+          delivery.eventType,
+          JSON.stringify(delivery.payload),
+          delivery.nextAttemptAt
+        ]);
+        created.push(...rows.map(mapDeliveryRow));
+      }
+
+      return created;
+    });
+  }
+
+  async findDelivery(id) {
+    const { rows } = await this.db.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return rows.length ? mapDeliveryRow(rows[0]) : null;
+  }
+
+  async listDeliveries(endpointId, { limit }) {
+    const { rows } = await this.db.query(`
+      SELECT * FROM webhook_deliveries
+      WHERE endpoint_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [endpointId, limit]);
+
+    return rows.map(mapDeliveryRow);
+  }
+
+  // Claim up to `limit` due deliveries by pushing their next attempt out to
+  // `leaseUntil`, so that other workers skip them while they are in flight.
+  async claimDueDeliveries(limit, leaseUntil) {
+    const { rows } = await this.db.query(`
+      UPDATE webhook_deliveries SET next_attempt_at = $2
+      WHERE id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, leaseUntil]);
+
+    return rows.map(mapDeliveryRow);
+  }
+
+  async recordAttempt(id, { status, nextAttemptAt, responseStatus, error }) {
+    const { rows } = await this.db.query(`
+      UPDATE webhook_deliveries
+      SET status = $2,
+          attempts = attempts + 1,
+          next_attempt_at = $3,
+          last_attempt_at = CURRENT_TIMESTAMP,
+          response_status = $4,
+          error = $5
+      WHERE id = $1
+      RETURNING *
+    `, [id, status, nextAttemptAt, responseStatus, error]);
+
+    return mapDeliveryRow(rows[0]);
+  }
+}
+
+// In-memory stand-in for WebhookRepository, used when no DATABASE_URL is configured
+class InMemoryWebhookRepository {
+  constructor() {
+    this.endpoints = new Map();
+    this.deliveries = new Map();
+  }
+
+  async createEndpoint({ merchantId, url, secret, events, description }) {
+    const endpoint = {
+      id: crypto.randomUUID(),
+      merchantId,
+      url,
+      secret,
+      events,
+      description: description || null,
+      isActive: true,
+      createdAt: new Date().toISOString()
+    };
+    this.endpoints.set(endpoint.id, endpoint);
+    return { ...endpoint };
+  }
+
+  async findEndpoint(id) {
+    const endpoint = this.endpoints.get(id);
+    return endpoint ? { ...endpoint } : null;
+  }
+
+  async listEndpoints(merchantId, { activeOnly = false } = {}) {
+    return [...this.endpoints.values()]
+      .filter(endpoint => endpoint.merchantId === merchantId && (!activeOnly || endpoint.isActive))
+      .reverse()
+      .map(endpoint => ({ ...endpoint }));
+  }
+
+  async disableEndpoint(id) {
+    const endpoint = this.endpoints.get(id);
+    if (!endpoint) {
+      return null;
+    }
+    endpoint.isActive = false;
+    return { ...endpoint };
+  }
+
+  async createDeliveries(deliveries) {
+    const exists = ({ endpointId, eventId }) => [...this.deliveries.values()]
+      .some(delivery => delivery.endpointId === endpointId && delivery.eventId === eventId);
+
+    return deliveries.filter(delivery => !exists(delivery)).map(({ endpointId, eventId, eventType, payload, nextAttemptAt }) => {
+      const delivery = {
+        id: crypto.randomUUID(),
+        endpointId,
+        eventId,
+        eventType,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: toISOString(nextAttemptAt),
+        lastAttemptAt: null,
+        responseStatus: null,
+        error: null,
+        createdAt: new Date().toISOString()
+      };
+      this.deliveries.set(delivery.id, delivery);
+      return { ...delivery };
+    });
+  }
+
+  async findDelivery(id) {
+    const delivery = this.deliveries.get(id);
+    return delivery ? { ...delivery } : null;
+  }
+
+  async listDeliveries(endpointId, { limit }) {
+    return [...this.deliveries.values()]
+      .filter(delivery => delivery.endpointId === endpointId)
+      .reverse()
+      .slice(0, limit)
+      .map(delivery => ({ ...delivery }));
+  }
+
+  async claimDueDeliveries(limit, leaseUntil) {
+    const now = new Date();
+
+    return [...this.deliveries.values()]
+      .filter(delivery => delivery.status === 'pending' && new Date(delivery.nextAttemptAt) <= now)
+      .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+      .slice(0, limit)
+      .map(delivery => {
+        delivery.nextAttemptAt = toISOString(leaseUntil);
+        return { ...delivery };
+      });
+  }
+
+  async recordAttempt(id, { status, nextAttemptAt, responseStatus, error }) {
+    const delivery = this.deliveries.get(id);
+
+    Object.assign(delivery, {
+      status,
+      attempts: delivery.attempts + 1,
+      nextAttemptAt: toISOString(nextAttemptAt),
+      lastAttemptAt: new Date().toISOString(),
+      responseStatus,
+      error
+    });
+    return { ...delivery };
+  }
+}
+
+module.exports = { WebhookRepository, InMemoryWebhookRepository };
@@ -0,0 +1,52 @@
+const express = require('express');
+const { validateAuditLogQuery } = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+
+// Compliance review of the audit trail. Access is restricted to the
+// `audit_logs:read` scope by the API gateway.
+function createAuditLogRoutes({ auditTrail }) {
+  const router = express.Router({ caseSensitive: true });
+
+  // Filtered audit log entries, newest first
+  router.get('/', validateAuditLogQuery, async (req, res, next) => {
+    const { limit, offset, ...filters } = req.listQuery;
+
+    try {
+      const { data, total } = await auditTrail.list(filters, { limit, offset });
+
+      res.json({
+        data,
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + data.length < total
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Walk the hash chain and report any broken links
+  router.get('/verify', async (req, res, next) => {
+    try {
+      const result = await auditTrail.verify();
+
+      if (!result.valid) {
+        logger.error('Audit log chain verification failed', {
+          brokenLinks: result.brokenLinks.length,
+          requestId: req.requestId
+        });
+      }
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditLogRoutes };
@@ -0,0 +1,210 @@
+const express = require('express');
+const {
+  validateDispute,
+  validateDisputeProcessorEvent,
+  validateDisputeListQuery,
+  validateEvidenceUpload,
+  validateDisputeResolution,
+  validateUuidParam
+} = require('../middleware/validation');
+const { PaymentError } = require('../utils/errors');
+const { EVIDENCE_MIME_TYPES } = require('../services/evidenceStorage');
+const { auditContext } = require('../services/auditTrail');
+
+// Evidence files are sent as the raw request body with their own Content-Type
+function evidenceParser(maxEvidenceBytes) {
+  const parser = express.raw({ type: EVIDENCE_MIME_TYPES, limit: maxEvidenceBytes });
+
+  return (req, res, next) => {
+    if (!req.is(EVIDENCE_MIME_TYPES)) {
+      return next(new PaymentError(415, 'unsupported_evidence_type',
+        `Evidence must be sent as one of ${EVIDENCE_MIME_TYPES.join(', ')}`,
+        { contentType: req.get('Content-Type') || null, supportedTypes: EVIDENCE_MIME_TYPES }));
+    }
+
+    parser(req, res, (error) => {
+      if (error && error.type === 'entity.too.large') {
+        return next(new PaymentError(413, 'evidence_too_large',
+          `Evidence files must not be larger than ${maxEvidenceBytes} bytes`,
+          { maxBytes: maxEvidenceBytes }));
+      }
+      next(error);
+    });
+  };
+}
+
+// Audited state of a dispute and its payment
+function auditedValues({ dispute, payment }) {
+  return {
+    status: dispute.status,
+    amount: dispute.amount,
+    currency: dispute.currency,
+    paymentStatus: payment.status,
+    disputedAmount: payment.disputedAmount
+  };
+}
+
+// Payment disputes (chargebacks), see services/disputeService.js. Access is
+// restricted to the `disputes:manage` scope by the API gateway.
+function createDisputeRoutes({ disputeService, auditTrail, maxEvidenceBytes, processorSignature }) {
+  const router = express.Router({ caseSensitive: true });
+
+  // Unresolved disputes, earliest evidence deadline first
+  router.get('/', validateDisputeListQuery, async (req, res, next) => {
+    const { status, limit, offset } = req.listQuery;
+
+    try {
+      const { data, total } = await disputeService.list({ status, limit, offset });
+
+      res.json({
+        data,
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + data.length < total
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/', validateDispute, async (req, res, next) => {
+    const { paymentId, ...request } = req.body;
+
+    try {
+      const opened = await disputeService.open(paymentId, request);
+
+      await auditTrail.record({
+        action: 'dispute.opened',
+        resourceType: 'dispute',
+        resourceId: opened.dispute.id,
+        newValues: { ...auditedValues(opened), paymentId, reasonCode: opened.dispute.reasonCode }
+      }, auditContext(req));
+
+      res.status(201).json(opened.dispute);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Dispute notifications forwarded from the processor, signed with the
+  // shared secret (see middleware/processorSignature.js). Replayed
+  // notifications are acknowledged without changes.
+  router.post('/processor-events', processorSignature, validateDisputeProcessorEvent, async (req, res, next) => {
+    try {
+      const { applied, previousStatus, ...result } = await disputeService.handleProcessorEvent(req.body);
+
+      if (applied) {
+        const opened = req.body.type === 'dispute.created';
+        await auditTrail.record({
+          action: opened ? 'dispute.opened' : 'dispute.resolved',
+          resourceType: 'dispute',
+          resourceId: result.dispute.id,
+          ...(!opened && { oldValues: { status: previousStatus, paymentStatus: 'disputed' } }),
+          newValues: { ...auditedValues(result), providerDisputeId: result.dispute.providerDisputeId }
+        }, auditContext(req));
+      }
+
+      res.status(applied && req.body.type === 'dispute.created' ? 201 : 200).json(result.dispute);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:disputeId', validateUuidParam('disputeId'), async (req, res, next) => {
+    try {
+      res.json(await disputeService.get(req.params.disputeId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:disputeId/evidence', validateUuidParam('disputeId'), evidenceParser(maxEvidenceBytes),
+    validateEvidenceUpload, async (req, res, next) => {
+      try {
+        const evidence = await disputeService.addEvidence(req.params.disputeId, {
+          mimeType: req.is(EVIDENCE_MIME_TYPES),
+          content: req.body,
+          description: req.uploadQuery.description
+        });
+
+        await auditTrail.record({
+          action: 'dispute.evidence_added',
+          resourceType: 'dispute',
+          resourceId: req.params.disputeId,
+          newValues: {
+            evidenceId: evidence.id,
+            mimeType: evidence.mimeType,
+            fileSize: evidence.fileSize,
+            sha256: evidence.sha256
+          }
+        }, auditContext(req));
+
+        res.status(201).json(evidence);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  // The stored file of an evidence item
+  router.get('/:disputeId/evidence/:evidenceId/content', validateUuidParam('disputeId'),
+    validateUuidParam('evidenceId'), async (req, res, next) => {
+      try {
+        const { evidence, content } = await disputeService.readEvidence(req.params.disputeId, req.params.evidenceId);
+
+        res.set({
+          'Content-Type': evidence.mimeType,
+          'Content-Disposition': 'inline',
+          'Cache-Control': 'no-store'
+        });
+        res.send(content);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  // Send the evidence for the issuer's review; no evidence can be added afterwards
+  router.post('/:disputeId/submit', validateUuidParam('disputeId'), async (req, res, next) => {
+    try {
+      const dispute = await disputeService.submitEvidence(req.params.disputeId);
+
+      await auditTrail.record({
+        action: 'dispute.evidence_submitted',
+        resourceType: 'dispute',
+        resourceId: dispute.id,
+        oldValues: { status: 'open' },
+        newValues: { status: dispute.status, evidenceSubmittedAt: dispute.evidenceSubmittedAt }
+      }, auditContext(req));
+
+      res.json(dispute);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Record the issuer's decision
+  router.post('/:disputeId/resolve', validateUuidParam('disputeId'), validateDisputeResolution,
+    async (req, res, next) => {
+      try {
+        const { previousStatus, ...resolved } = await disputeService.resolve(req.params.disputeId, req.body.outcome);
+
+        await auditTrail.record({
+          action: 'dispute.resolved',
+          resourceType: 'dispute',
+          resourceId: resolved.dispute.id,
+          oldValues: { status: previousStatus, paymentStatus: 'disputed' },
+          newValues: auditedValues(resolved)
+        }, auditContext(req));
+
+        res.json(resolved.dispute);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  return router;
+}
+
+module.exports = { createDisputeRoutes };
@@ -0,0 +1,54 @@
+const express = require('express');
+const {
+  validateLedgerBalanceQuery,
+  validateLedgerEntryQuery
+} = require('../middleware/validation');
+
+// Double-entry ledger queries (see services/ledgerService.js). Access is
+// restricted to the `ledger:read` scope by the API gateway.
+function createLedgerRoutes({ ledgerService }) {
+  const router = express.Router({ caseSensitive: true });
+
+  // Account balances per currency, filtered by account or account type
+  router.get('/balances', validateLedgerBalanceQuery, async (req, res, next) => {
+    try {
+      res.json({ data: await ledgerService.balances(req.listQuery) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Journal entries with their lines, newest first
+  router.get('/entries', validateLedgerEntryQuery, async (req, res, next) => {
+    const { limit, offset, ...filters } = req.listQuery;
+
+    try {
+      const { data, total } = await ledgerService.listEntries(filters, { limit, offset });
+
+      res.json({
+        data,
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + data.length < total
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Invariant check: every entry balances and debits equal credits overall
+  router.get('/verify', async (req, res, next) => {
+    try {
+      res.json(await ledgerService.verify());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLedgerRoutes };
@@ -0,0 +1,131 @@
+const express = require('express');
+const {
+  validateUuidParam,
+  validatePaymentMethod,
+  validateMicroDepositVerification
+} = require('../middleware/validation');
+const { PaymentError } = require('../utils/errors');
+const { auditContext } = require('../services/auditTrail');
+
+// Payment methods belong to the customer identified by the API gateway
+function requireCustomer(req, res, next) {
+  req.customerId = req.get('X-User-ID');
+
+  if (!req.customerId) {
+    return next(new PaymentError(401, 'authentication_required',
+      'Payment methods can only be managed by an authenticated customer'));
+  }
+  next();
+}
+
+function createPaymentMethodRoutes({ paymentMethodService, auditTrail }) {
+  const router = express.Router({ caseSensitive: true });
+
+  router.use(requireCustomer);
+
+  router.post('/', validatePaymentMethod, async (req, res, next) => {
+    try {
+      const paymentMethod = await paymentMethodService.create(req.customerId, req.body);
+
+      await auditTrail.record({
+        action: 'payment_method.created',
+        resourceType: 'payment_method',
+        resourceId: paymentMethod.id,
+        newValues: { type: paymentMethod.type, isDefault: paymentMethod.isDefault }
+      }, auditContext(req));
+
+      res.status(201).json(paymentMethod);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Default first, then newest first
+  router.get('/', async (req, res, next) => {
+    try {
+      res.json({ data: await paymentMethodService.list(req.customerId) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:paymentMethodId', validateUuidParam('paymentMethodId'), async (req, res, next) => {
+    try {
+      res.json(await paymentMethodService.get(req.customerId, req.params.paymentMethodId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Used for payments that name neither a payment method nor a stored one
+  router.post('/:paymentMethodId/default', validateUuidParam('paymentMethodId'), async (req, res, next) => {
+    try {
+      const paymentMethod = await paymentMethodService.setDefault(req.customerId, req.params.paymentMethodId);
+
+      await auditTrail.record({
+        action: 'payment_method.updated',
+        resourceType: 'payment_method',
+        resourceId: paymentMethod.id,
+        newValues: { isDefault: true }
+      }, auditContext(req));
+
+      res.json(paymentMethod);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Bank account verification: send two micro-deposits, then confirm their
+  // amounts once they have arrived
+  router.post('/:paymentMethodId/micro-deposits', validateUuidParam('paymentMethodId'), async (req, res, next) => {
+    try {
+      res.json(await paymentMethodService.sendMicroDeposits(req.customerId, req.params.paymentMethodId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:paymentMethodId/verify', validateUuidParam('paymentMethodId'), validateMicroDepositVerification,
+    async (req, res, next) => {
+      try {
+        const paymentMethod = await paymentMethodService.verifyMicroDeposits(
+          req.customerId,
+          req.params.paymentMethodId,
+          req.body
+        );
+
+        await auditTrail.record({
+          action: 'payment_method.verified',
+          resourceType: 'payment_method',
+          resourceId: paymentMethod.id,
+          oldValues: { isVerified: false },
+          newValues: { isVerified: true }
+        }, auditContext(req));
+
+        res.json(paymentMethod);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  router.delete('/:paymentMethodId', validateUuidParam('paymentMethodId'), async (req, res, next) => {
+    try {
+      const paymentMethod = await paymentMethodService.delete(req.customerId, req.params.paymentMethodId);
+
+      await auditTrail.record({
+        action: 'payment_method.deleted',
+        resourceType: 'payment_method',
+        resourceId: paymentMethod.id,
+        oldValues: { type: paymentMethod.type, isDefault: paymentMethod.isDefault }
+      }, auditContext(req));
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPaymentMethodRoutes };
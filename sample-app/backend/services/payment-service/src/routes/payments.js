@@ -1,195 +1,393 @@
 const express = require('express');
-const { validatePaymentRequest } = require('../middleware/validation');
+const {
+  validatePaymentRequest,
+  validatePaymentId,
+  validatePaymentListQuery,
+  validateRefundRequest,
+  validateCaptureRequest
+} = require('../middleware/validation');
+const { createIdempotencyMiddleware, markCommitted } = require('../middleware/idempotency');
+const {
+  requirePrincipal,
+  requireScope,
+  canAccessPayment,
+  canManagePayment,
+  payingCustomerId
+} = require('../middleware/principal');
 const { logger, auditLogger } = require('../utils/logger');
-const { v4: uuidv4 } = require('uuid');
+const { PaymentError } = require('../utils/errors');
+const { roundAmount } = require('../utils/money');
+const { auditContext } = require('../services/auditTrail');
 
-const router = express.Router();
+// Shape a stored payment for API responses
+function toPaymentResponse(payment, requestId) {
+  const { currency, settlement } = payment;
+  const response = {
+    id: payment.id,
+    status: payment.status,
+    amount: roundAmount(payment.amount, currency),
+    capturedAmount: roundAmount(payment.capturedAmount, currency),
+    refundedAmount: roundAmount(payment.refundedAmount, currency),
+    // Charged back by a lost dispute
+    disputedAmount: roundAmount(payment.disputedAmount, currency),
+    currency,
+    settlement: settlement
+      ? {
+        amount: roundAmount(settlement.amount, settlement.currency),
+        currency: settlement.currency,
+        exchangeRate: settlement.exchangeRate
+      }
+      : null,
+    transactionId: payment.transactionId,
+    paymentMethod: payment.paymentMethod,
+    // Bank transfers stay pending until then
+    settlesAt: payment.settlesAt || null,
+    description: payment.description,
+    metadata: payment.metadata,
+    processedAt: payment.processedAt,
+    requestId
+  };
 
-// Demo payment processing endpoint
-router.post('/process', validatePaymentRequest, async (req, res) => {
-  const { amount, currency, paymentMethod, description, metadata } = req.body;
-  const paymentId = uuidv4();
-  const transactionId = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  if (payment.status === 'failed') {
+    response.failureReason = payment.failureCode;
+    response.failureMessage = payment.failureMessage;
+  }
 
-  try {
-    // Log payment attempt for audit purposes
-    auditLogger.info('Payment processing initiated', {
-      paymentId,
-      amount,
-      currency,
-      paymentMethodType: paymentMethod.type,
-      requestId: req.requestId,
-      clientIP: req.ip,
-      userAgent: req.get('User-Agent')
-    });
+  if (payment.risk) {
+    response.risk = {
+      decision: payment.risk.decision,
+      score: payment.risk.score,
+      reasons: payment.risk.reasons,
+      // When staff released a payment held for review
+      release: payment.risk.release || null
+    };
+  }
+
+  return response;
+}
+
+// Payment fields recorded as old/new values in the audit trail
+function auditedValues(payment) {
+  return {
+    status: payment.status,
+    amount: payment.amount,
+    capturedAmount: payment.capturedAmount,
+    refundedAmount: payment.refundedAmount,
+    currency: payment.currency
+  };
+}
+
+function paymentNotFound() {
+  return new PaymentError(404, 'payment_not_found', 'Payment not found');
+}
+
+// Refuse a capture or void of `payment` by a caller other than its merchant or staff
+function assertManageable(principal, payment, operation) {
+  if (!canManagePayment(principal, payment)) {
+    throw new PaymentError(403, 'payment_operation_not_permitted',
+      `Only the merchant can ${operation} this payment`);
+  }
+}
+
+function createPaymentRoutes({
+  paymentRepository,
+  paymentLifecycleService,
+  refundService,
+  auditTrail,
+  idempotencyRepository,
+  idempotencyTtlMs
+}) {
+  const router = express.Router({ caseSensitive: true });
+  const idempotency = createIdempotencyMiddleware({
+    idempotencyRepository,
+    ttlMs: idempotencyTtlMs
+  });
+
+  // The payment named in the path, when the caller may access it. Other
+  // accounts' payments are reported as not found.
+  const findAccessible = async (req) => {
+    const payment = await paymentRepository.findById(req.params.paymentId);
+    return payment && canAccessPayment(req.principal, payment) ? payment : null;
+  };
+
+  router.use(requirePrincipal);
 
-    // Simulate payment processing delay
-    await new Promise(resolve => setTimeout(resolve, Math.random() * 1500 + 500));
-
-    // Simulate different payment outcomes
-    const outcomes = ['completed', 'failed', 'pending'];
-    const weights = [0.85, 0.10, 0.05]; // 85% success, 10% failure, 5% pending
-    const randomValue = Math.random();
-    let cumulativeWeight = 0;
-    let status = 'completed';
-
-    for (let i = 0; i < outcomes.length; i++) {
-      cumulativeWeight += weights[i];
-      if (randomValue <= cumulativeWeight) {
-        status = outcomes[i];
-        break;
+  // Payment processing endpoint
+  router.post('/process', idempotency, validatePaymentRequest, async (req, res, next) => {
+    const { amount, currency, paymentMethod, paymentMethodId } = req.body;
+
+    try {
+      // Log payment attempt for audit purposes
+      auditLogger.info('Payment processing initiated', {
+        amount,
+        currency,
+        paymentMethodType: paymentMethod ? paymentMethod.type : 'stored',
+        paymentMethodId,
+        requestId: req.requestId,
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      const customerId = payingCustomerId(req.principal, req.body.customerId);
+      const payment = await paymentLifecycleService.process({ ...req.body, customerId }, {
+        idempotencyKey: req.scopedIdempotencyKey,
+        ipAddress: req.ip,
+        // Stored payment methods are charged for the authenticated customer
+        payerId: req.get('X-User-ID')
+      });
+      markCommitted(res);
+
+      await auditTrail.record({
+        action: 'payment.created',
+        resourceType: 'payment',
+        resourceId: payment.id,
+        newValues: {
+          ...auditedValues(payment),
+          transactionId: payment.transactionId,
+          providerTransactionId: payment.providerTransactionId,
+          paymentMethodId: payment.paymentMethodId,
+          settlement: payment.settlement,
+          failureCode: payment.failureCode,
+          riskDecision: payment.risk?.decision,
+          riskScore: payment.risk?.score
+        }
+      }, auditContext(req));
+
+      // Return appropriate status code based on result
+      const statusCode = payment.status === 'pending' ? 202 : payment.status === 'failed' ? 400 : 201;
+      res.status(statusCode).json(toPaymentResponse(payment, req.requestId));
+
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        return next(error);
       }
-    }
 
-    const paymentResult = {
-      id: paymentId,
-      status: status,
-      amount: amount,
-      currency: currency,
-      transactionId: transactionId,
-      paymentMethod: {
-        type: paymentMethod.type,
-        ...(paymentMethod.type === 'card' && { last4: '4242' }),
-        ...(paymentMethod.type === 'ach' && { bankName: 'Demo Bank' })
-      },
-      description: description,
-      metadata: metadata,
-      processedAt: new Date().toISOString(),
-      requestId: req.requestId
-    };
+      logger.error('Payment processing error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.requestId
+      });
+
+      auditLogger.error('Payment processing failed', {
+        error: error.message,
+        requestId: req.requestId
+      });
 
-    // Add failure details if payment failed
-    if (status === 'failed') {
-      const failureReasons = [
-        'insufficient_funds',
-        'card_declined',
-        'invalid_card',
-        'processing_error'
-      ];
-      paymentResult.failureReason = failureReasons[Math.floor(Math.random() * failureReasons.length)];
-      paymentResult.failureMessage = 'Payment could not be processed';
+      res.status(500).json({
+        error: 'Payment Processing Error',
+        message: 'Unable to process payment at this time',
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
     }
+  });
+
+  // Get payment status
+  router.get('/:paymentId', validatePaymentId, async (req, res, next) => {
+    const { paymentId } = req.params;
 
-    // Log payment result
-    auditLogger.info('Payment processing completed', {
+    logger.info('Payment status requested', {
       paymentId,
-      status,
-      transactionId,
-      amount,
-      currency,
       requestId: req.requestId
     });
 
-    // Return appropriate status code based on result
-    const statusCode = status === 'completed' ? 201 : status === 'pending' ? 202 : 400;
-    res.status(statusCode).json(paymentResult);
+    try {
+      const payment = await findAccessible(req);
 
-  } catch (error) {
-    logger.error('Payment processing error', {
-      error: error.message,
-      stack: error.stack,
-      paymentId,
-      requestId: req.requestId
-    });
+      if (!payment) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Payment not found',
+          paymentId,
+          requestId: req.requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json(toPaymentResponse(payment, req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Capture an authorized payment (full or partial)
+  router.post('/:paymentId/capture', validatePaymentId, idempotency, validateCaptureRequest, async (req, res, next) => {
+    const { paymentId } = req.params;
+
+    try {
+      const before = await findAccessible(req);
+      if (!before) {
+        throw paymentNotFound();
+      }
+      assertManageable(req.principal, before, 'capture');
+      const payment = await paymentLifecycleService.capture(paymentId, req.body);
+      markCommitted(res);
+
+      await auditTrail.record({
+        action: 'payment.captured',
+        resourceType: 'payment',
+        resourceId: paymentId,
+        oldValues: auditedValues(before),
+        newValues: { ...auditedValues(payment), settlement: payment.settlement }
+      }, auditContext(req));
+
+      res.json(toPaymentResponse(payment, req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Release an authorization held for risk review so that it can be captured
+  router.post('/:paymentId/risk-review/release', validatePaymentId, requireScope('risk:review'), async (req, res, next) => {
+    const { paymentId } = req.params;
+
+    try {
+      const before = await findAccessible(req);
+      if (!before) {
+        throw paymentNotFound();
+      }
+      const payment = await paymentLifecycleService.releaseRiskReview(paymentId, { releasedBy: req.principal.id });
+
+      await auditTrail.record({
+        action: 'payment.risk_review_released',
+        resourceType: 'payment',
+        resourceId: paymentId,
+        oldValues: { riskDecision: before.risk.decision, riskScore: before.risk.score },
+        newValues: { riskDecision: payment.risk.decision, riskRelease: payment.risk.release }
+      }, auditContext(req));
+
+      res.json(toPaymentResponse(payment, req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Void an authorization that has not been captured
+  router.post('/:paymentId/void', validatePaymentId, idempotency, async (req, res, next) => {
+    const { paymentId } = req.params;
+
+    try {
+      const before = await findAccessible(req);
+      if (!before) {
+        throw paymentNotFound();
+      }
+      assertManageable(req.principal, before, 'void');
+      const payment = await paymentLifecycleService.void(paymentId);
+      markCommitted(res);
+
+      await auditTrail.record({
+        action: 'payment.voided',
+        resourceType: 'payment',
+        resourceId: paymentId,
+        oldValues: auditedValues(before),
+        newValues: auditedValues(payment)
+      }, auditContext(req));
 
-    auditLogger.error('Payment processing failed', {
+      res.json(toPaymentResponse(payment, req.requestId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Refund payment (full or partial)
+  router.post('/:paymentId/refund', validatePaymentId, idempotency, validateRefundRequest, async (req, res, next) => {
+    const { paymentId } = req.params;
+    const { amount, currency, reason } = req.body;
+
+    auditLogger.info('Refund initiated', {
       paymentId,
-      error: error.message,
+      amount,
+      reason,
       requestId: req.requestId
     });
 
-    res.status(500).json({
-      error: 'Payment Processing Error',
-      message: 'Unable to process payment at this time',
-      paymentId: paymentId,
-      requestId: req.requestId,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-// Get payment status
-router.get('/:paymentId', (req, res) => {
-  const { paymentId } = req.params;
-  
-  // Demo payment status lookup
-  const demoPayment = {
-    id: paymentId,
-    status: 'completed',
-    amount: 100.00,
-    currency: 'USD',
-    transactionId: `txn_${Date.now()}`,
-    processedAt: new Date().toISOString(),
-    paymentMethod: {
-      type: 'card',
-      last4: '4242'
-    }
-  };
+    try {
+      const before = await findAccessible(req);
+      if (!before) {
+        throw paymentNotFound();
+      }
+      const { refund, payment, remainingAmount } = await refundService.refund(paymentId, {
+        amount,
+        currency,
+        reason
+      });
+      markCommitted(res);
+
+      await auditTrail.record({
+        action: 'refund.created',
+        resourceType: 'payment',
+        resourceId: paymentId,
+        oldValues: auditedValues(before),
+        newValues: {
+          ...auditedValues(payment),
+          refundId: refund.id,
+          refundAmount: refund.amount,
+          reason: refund.reason
+        }
+      }, auditContext(req));
 
-  logger.info('Payment status requested', {
-    paymentId,
-    requestId: req.requestId
+      res.status(201).json({
+        id: refund.id,
+        paymentId,
+        status: refund.status,
+        amount: roundAmount(refund.amount, refund.currency),
+        currency: refund.currency,
+        reason: refund.reason,
+        paymentStatus: payment.status,
+        refundedAmount: roundAmount(payment.refundedAmount, payment.currency),
+        remainingAmount,
+        processedAt: refund.createdAt,
+        requestId: req.requestId
+      });
+    } catch (error) {
+      auditLogger.warn('Refund rejected', {
+        paymentId,
+        amount,
+        code: error.code,
+        error: error.message,
+        requestId: req.requestId
+      });
+      next(error);
+    }
   });
 
-  res.json(demoPayment);
-});
-
-// Refund payment
-router.post('/:paymentId/refund', (req, res) => {
-  const { paymentId } = req.params;
-  const { amount, reason } = req.body;
-  const refundId = uuidv4();
-
-  auditLogger.info('Refund initiated', {
-    paymentId,
-    refundId,
-    amount,
-    reason,
-    requestId: req.requestId
+  // List refunds issued against a payment
+  router.get('/:paymentId/refunds', validatePaymentId, async (req, res, next) => {
+    try {
+      if (!await findAccessible(req)) {
+        throw paymentNotFound();
+      }
+      const refunds = await refundService.listRefunds(req.params.paymentId);
+      res.json({ data: refunds });
+    } catch (error) {
+      next(error);
+    }
   });
 
-  // Demo refund processing
-  const refundResult = {
-    id: refundId,
-    paymentId: paymentId,
-    status: 'completed',
-    amount: amount || 100.00,
-    currency: 'USD',
-    reason: reason || 'requested_by_customer',
-    processedAt: new Date().toISOString(),
-    requestId: req.requestId
-  };
+  // List payments: the caller's own, as customer or merchant, unless they
+  // may see every account
+  router.get('/', validatePaymentListQuery, async (req, res, next) => {
+    const { limit, offset, status } = req.listQuery;
+    const accountId = req.principal.allAccounts ? undefined : req.principal.id;
 
-  res.status(201).json(refundResult);
-});
-
-// List payments (demo endpoint)
-router.get('/', (req, res) => {
-  const { limit = 10, offset = 0, status } = req.query;
-  
-  // Demo payment list
-  const payments = Array.from({ length: Math.min(limit, 50) }, (_, i) => ({
-    id: uuidv4(),
-    status: status || ['completed', 'pending', 'failed'][Math.floor(Math.random() * 3)],
-    amount: Math.floor(Math.random() * 1000) + 10,
-    currency: 'USD',
-    transactionId: `txn_${Date.now() + i}`,
-    processedAt: new Date(Date.now() - Math.random() * 86400000 * 30).toISOString(),
-    paymentMethod: {
-      type: 'card',
-      last4: '4242'
-    }
-  }));
-
-  res.json({
-    data: payments,
-    pagination: {
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      total: 1000,
-      hasMore: offset + limit < 1000
+    try {
+      const { data, total } = await paymentRepository.list({ status, accountId, limit, offset });
+
+      res.json({
+        data: data.map(payment => toPaymentResponse(payment)),
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + data.length < total
+        }
+      });
+    } catch (error) {
+      next(error);
     }
   });
-});
 
-module.exports = router;
\ No newline at end of file
+  return router;
+}
+
+module.exports = { createPaymentRoutes, toPaymentResponse };
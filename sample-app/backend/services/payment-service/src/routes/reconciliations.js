@@ -0,0 +1,95 @@
+const express = require('express');
+const {
+  validateReconciliationRequest,
+  validateReconciliationListQuery,
+  validateUuidParam
+} = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+const { auditContext } = require('../services/auditTrail');
+
+// Settlement files are sent as the raw CSV body
+const settlementFileParser = express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' });
+
+// Reconciliation of processor settlement files (see services/reconciliationService.js).
+// Access is restricted to the `reconciliations:manage` scope by the API gateway.
+function createReconciliationRoutes({ reconciliationService, auditTrail, defaultProcessor }) {
+  const router = express.Router({ caseSensitive: true });
+
+  // Reconcile a settlement file. `dryRun=true` returns the report without
+  // storing it or recording fees.
+  router.post('/', settlementFileParser, validateReconciliationRequest, async (req, res, next) => {
+    const { settlementDate, processor = defaultProcessor, fileName, dryRun } = req.reconciliationQuery;
+
+    try {
+      const reconciliation = await reconciliationService.reconcile({
+        content: req.body,
+        settlementDate,
+        processor,
+        fileName,
+        dryRun
+      });
+
+      const log = reconciliation.status === 'balanced' ? logger.info : logger.warn;
+      log.call(logger, 'Settlement reconciled', {
+        reconciliationId: reconciliation.id,
+        settlementDate,
+        processor,
+        status: reconciliation.status,
+        dryRun,
+        requestId: req.requestId
+      });
+
+      if (!dryRun) {
+        await auditTrail.record({
+          action: 'settlement.reconciled',
+          resourceType: 'settlement_reconciliation',
+          resourceId: reconciliation.id,
+          newValues: {
+            settlementDate,
+            processor,
+            fileSha256: reconciliation.fileSha256,
+            status: reconciliation.status,
+            summary: reconciliation.summary
+          }
+        }, auditContext(req));
+      }
+
+      res.status(dryRun ? 200 : 201).json(reconciliation);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/', validateReconciliationListQuery, async (req, res, next) => {
+    const { limit, offset } = req.listQuery;
+
+    try {
+      const { data, total } = await reconciliationService.list({ limit, offset });
+
+      res.json({
+        data,
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + data.length < total
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Full report, including every item
+  router.get('/:reconciliationId', validateUuidParam('reconciliationId'), async (req, res, next) => {
+    try {
+      res.json(await reconciliationService.get(req.params.reconciliationId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createReconciliationRoutes };
@@ -0,0 +1,83 @@
+const express = require('express');
+const { validateUuidParam, validateSubscriptionPlan } = require('../middleware/validation');
+const { PaymentError } = require('../utils/errors');
+const { auditContext } = require('../services/auditTrail');
+
+// Plans are offered by the merchant identified by the API gateway
+function requireMerchant(req, res, next) {
+  req.merchantId = req.get('X-User-ID');
+
+  if (!req.merchantId) {
+    return next(new PaymentError(401, 'authentication_required',
+      'Subscription plans require an authenticated caller'));
+  }
+  next();
+}
+
+function createSubscriptionPlanRoutes({ subscriptionService, auditTrail }) {
+  const router = express.Router({ caseSensitive: true });
+
+  router.use(requireMerchant);
+
+  router.post('/', validateSubscriptionPlan, async (req, res, next) => {
+    try {
+      const plan = await subscriptionService.createPlan(req.merchantId, req.body);
+
+      await auditTrail.record({
+        action: 'subscription_plan.created',
+        resourceType: 'subscription_plan',
+        resourceId: plan.id,
+        newValues: {
+          amount: plan.amount,
+          currency: plan.currency,
+          interval: plan.interval,
+          intervalCount: plan.intervalCount,
+          trialDays: plan.trialDays
+        }
+      }, auditContext(req));
+
+      res.status(201).json(plan);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The caller's own plans, newest first
+  router.get('/', async (req, res, next) => {
+    try {
+      res.json({ data: await subscriptionService.listPlans(req.merchantId) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Any plan, so that customers can review it before subscribing
+  router.get('/:planId', validateUuidParam('planId'), async (req, res, next) => {
+    try {
+      res.json(await subscriptionService.getPlan(req.params.planId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:planId/archive', validateUuidParam('planId'), async (req, res, next) => {
+    try {
+      const plan = await subscriptionService.archivePlan(req.merchantId, req.params.planId);
+
+      await auditTrail.record({
+        action: 'subscription_plan.archived',
+        resourceType: 'subscription_plan',
+        resourceId: plan.id,
+        newValues: { isActive: false }
+      }, auditContext(req));
+
+      res.json(plan);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSubscriptionPlanRoutes };
@@ -0,0 +1,173 @@
+const express = require('express');
+const {
+  validateUuidParam,
+  validateSubscription,
+  validateSubscriptionCancel,
+  validateSubscriptionPause,
+  validateSubscriptionPlanChange,
+  validateSubscriptionPaymentMethod
+} = require('../middleware/validation');
+const { PaymentError } = require('../utils/errors');
+const { auditContext } = require('../services/auditTrail');
+
+// Subscriptions are managed by their customer or the plan's merchant, as
+// identified by the API gateway
+function requireAccount(req, res, next) {
+  req.accountId = req.get('X-User-ID');
+
+  if (!req.accountId) {
+    return next(new PaymentError(401, 'authentication_required',
+      'Subscriptions can only be managed by an authenticated caller'));
+  }
+  next();
+}
+
+function createSubscriptionRoutes({ subscriptionService, auditTrail }) {
+  const router = express.Router({ caseSensitive: true });
+
+  router.use(requireAccount);
+
+  // Subscribe the caller to a plan
+  router.post('/', validateSubscription, async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.subscribe(req.accountId, req.body);
+
+      await auditTrail.record({
+        action: 'subscription.created',
+        resourceType: 'subscription',
+        resourceId: subscription.id,
+        newValues: { planId: subscription.planId, status: subscription.status }
+      }, auditContext(req));
+
+      res.status(201).json(subscription);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The caller's subscriptions and subscriptions to their plans, newest first
+  router.get('/', async (req, res, next) => {
+    try {
+      res.json({ data: await subscriptionService.list(req.accountId) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:subscriptionId', validateUuidParam('subscriptionId'), async (req, res, next) => {
+    try {
+      res.json(await subscriptionService.get(req.accountId, req.params.subscriptionId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:subscriptionId/invoices', validateUuidParam('subscriptionId'), async (req, res, next) => {
+    try {
+      res.json({ data: await subscriptionService.listInvoices(req.accountId, req.params.subscriptionId) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:subscriptionId/cancel', validateUuidParam('subscriptionId'), validateSubscriptionCancel,
+    async (req, res, next) => {
+      try {
+        const subscription = await subscriptionService.cancel(req.accountId, req.params.subscriptionId, req.body);
+
+        await auditTrail.record({
+          action: 'subscription.canceled',
+          resourceType: 'subscription',
+          resourceId: subscription.id,
+          newValues: { status: subscription.status, cancelAtPeriodEnd: subscription.cancelAtPeriodEnd }
+        }, auditContext(req));
+
+        res.json(subscription);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  router.post('/:subscriptionId/pause', validateUuidParam('subscriptionId'), validateSubscriptionPause,
+    async (req, res, next) => {
+      try {
+        const subscription = await subscriptionService.pause(req.accountId, req.params.subscriptionId, req.body);
+
+        await auditTrail.record({
+          action: 'subscription.paused',
+          resourceType: 'subscription',
+          resourceId: subscription.id,
+          newValues: { status: subscription.status, resumesAt: subscription.resumesAt }
+        }, auditContext(req));
+
+        res.json(subscription);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  router.post('/:subscriptionId/resume', validateUuidParam('subscriptionId'), async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.resume(req.accountId, req.params.subscriptionId);
+
+      await auditTrail.record({
+        action: 'subscription.resumed',
+        resourceType: 'subscription',
+        resourceId: subscription.id,
+        oldValues: { status: 'paused' },
+        newValues: { status: subscription.status, currentPeriodEnd: subscription.currentPeriodEnd }
+      }, auditContext(req));
+
+      res.json(subscription);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Switch plans, charging or crediting the prorated difference
+  router.post('/:subscriptionId/plan', validateUuidParam('subscriptionId'), validateSubscriptionPlanChange,
+    async (req, res, next) => {
+      try {
+        const previous = await subscriptionService.get(req.accountId, req.params.subscriptionId);
+        const subscription = await subscriptionService.changePlan(req.accountId, req.params.subscriptionId, req.body);
+
+        await auditTrail.record({
+          action: 'subscription.updated',
+          resourceType: 'subscription',
+          resourceId: subscription.id,
+          oldValues: { planId: previous.planId },
+          newValues: { planId: subscription.planId, creditBalance: subscription.creditBalance }
+        }, auditContext(req));
+
+        res.json(subscription);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  router.post('/:subscriptionId/payment-method', validateUuidParam('subscriptionId'), validateSubscriptionPaymentMethod,
+    async (req, res, next) => {
+      try {
+        const subscription = await subscriptionService.updatePaymentMethod(
+          req.accountId,
+          req.params.subscriptionId,
+          req.body
+        );
+
+        await auditTrail.record({
+          action: 'subscription.updated',
+          resourceType: 'subscription',
+          resourceId: subscription.id,
+          newValues: { paymentMethodId: subscription.paymentMethodId }
+        }, auditContext(req));
+
+        res.json(subscription);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  return router;
+}
+
+module.exports = { createSubscriptionRoutes };
@@ -0,0 +1,166 @@
+const express = require('express');
+const { once } = require('events');
+const {
+  validateTransactionListQuery,
+  validateTransactionExportQuery
+} = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+const { roundAmount, toMinorUnits, formatAmount } = require('../utils/money');
+const { csvField } = require('../utils/csv');
+const { auditContext } = require('../services/auditTrail');
+const { requirePrincipal } = require('../middleware/principal');
+
+// Transactions read per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'processedAt', 'type', 'status', 'amount', 'feeAmount', 'netAmount',
+  'currency', 'paymentMethod', 'paymentId', 'refundId', 'userId', 'referenceId',
+  'providerTransactionId', 'description'
+];
+
+// Shape a stored transaction for API responses
+function toTransactionResponse(transaction) {
+  const { currency } = transaction;
+
+  return {
+    id: transaction.id,
+    type: transaction.type,
+    status: transaction.status,
+    amount: roundAmount(transaction.amount, currency),
+    feeAmount: roundAmount(transaction.feeAmount, currency),
+    netAmount: roundAmount(transaction.netAmount, currency),
+    currency,
+    paymentMethod: transaction.paymentMethod,
+    paymentId: transaction.paymentId,
+    refundId: transaction.refundId,
+    userId: transaction.userId,
+    description: transaction.description,
+    referenceId: transaction.referenceId,
+    providerTransactionId: transaction.providerTransactionId,
+    processedAt: transaction.processedAt,
+    createdAt: transaction.createdAt
+  };
+}
+
+// Amounts are written with the currency's fixed number of decimals ("10.50")
+function toCsvRow(transaction) {
+  const row = toTransactionResponse(transaction);
+  ['amount', 'feeAmount', 'netAmount'].forEach((field) => {
+    if (row[field] !== null && row[field] !== undefined) {
+      row[field] = formatAmount(toMinorUnits(row[field], row.currency), row.currency);
+    }
+  });
+
+  return `${CSV_COLUMNS.map(column => csvField(row[column])).join(',')}\r\n`;
+}
+
+// Filters as recorded in the audit trail (dates as ISO strings)
+function describeFilters(filters) {
+  return Object.fromEntries(Object.entries(filters)
+    .map(([key, value]) => [key, value instanceof Date ? value.toISOString() : value]));
+}
+
+// Callers who may not see every account only get the transactions of
+// payments they made or received
+function scopedFilters(filters, principal) {
+  return principal.allAccounts ? filters : { ...filters, accountId: principal.id };
+}
+
+function createTransactionRoutes({ transactionRepository, auditTrail }) {
+  const router = express.Router({ caseSensitive: true });
+
+  router.use(requirePrincipal);
+
+  // Filtered transaction history, newest first. Pages are linked by cursor:
+  // pass `pagination.nextCursor` as `cursor` to get the next page.
+  router.get('/', validateTransactionListQuery, async (req, res, next) => {
+    const { limit, cursor, ...query } = req.listQuery;
+    const filters = scopedFilters(query, req.principal);
+
+    try {
+      const { data, nextCursor } = await transactionRepository.list(filters, { limit, cursor });
+
+      res.json({
+        data: data.map(toTransactionResponse),
+        pagination: {
+          limit,
+          nextCursor,
+          hasMore: nextCursor !== null
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Every transaction matching the filters as a CSV or JSON download, for
+  // accounting. Rows are streamed in batches rather than loaded at once.
+  router.get('/export', validateTransactionExportQuery, async (req, res, next) => {
+    const { format, ...query } = req.listQuery;
+    const filters = scopedFilters(query, req.principal);
+    let exported = 0;
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) {
+        await once(res, 'drain');
+      }
+    };
+
+    try {
+      // The first batch is read before responding so that a failing query
+      // still gets a JSON error response
+      let page = await transactionRepository.list(filters, { limit: EXPORT_BATCH_SIZE });
+
+      res.status(200)
+        .type(format === 'csv' ? 'text/csv' : 'application/json')
+        .attachment(`transactions-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+      await write(format === 'csv' ? `${CSV_COLUMNS.join(',')}\r\n` : '[');
+
+      for (;;) {
+        for (const transaction of page.data) {
+          await write(format === 'csv'
+            ? toCsvRow(transaction)
+            : `${exported > 0 ? ',' : ''}\n${JSON.stringify(toTransactionResponse(transaction))}`);
+          exported += 1;
+        }
+
+        if (!page.nextCursor) {
+          break;
+        }
+        page = await transactionRepository.list(filters, {
+          limit: EXPORT_BATCH_SIZE,
+          cursor: page.nextCursor
+        });
+      }
+
+      res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (error) {
+      if (!res.headersSent) {
+        return next(error);
+      }
+
+      // Too late for an error response; cut the download short instead
+      logger.error('Transaction export failed', {
+        error: error.message,
+        exported,
+        requestId: req.requestId
+      });
+      res.destroy(error);
+      return;
+    }
+
+    logger.info('Transactions exported', { format, exported, requestId: req.requestId });
+
+    await auditTrail.record({
+      action: 'transactions.exported',
+      resourceType: 'transaction',
+      newValues: { format, filters: describeFilters(filters), exported }
+    }, auditContext(req));
+  });
+
+  return router;
+}
+
+module.exports = { createTransactionRoutes, toTransactionResponse };
@@ -0,0 +1,99 @@
+const express = require('express');
+const {
+  validateUuidParam,
+  validateWebhookEndpoint,
+  validateWebhookDeliveryListQuery
+} = require('../middleware/validation');
+const { PaymentError } = require('../utils/errors');
+const { auditContext } = require('../services/auditTrail');
+
+// Webhook endpoints belong to the caller identified by the API gateway
+function requireAccount(req, res, next) {
+  req.accountId = req.get('X-User-ID');
+
+  if (!req.accountId) {
+    return next(new PaymentError(401, 'authentication_required',
+      'Webhook management requires an authenticated caller'));
+  }
+  next();
+}
+
+function createWebhookRoutes({ webhookService, auditTrail }) {
+  const router = express.Router({ caseSensitive: true });
+
+  router.use(requireAccount);
+
+  // Register an endpoint. The response carries the signing secret, which
+  // is not shown again.
+  router.post('/endpoints', validateWebhookEndpoint, async (req, res, next) => {
+    try {
+      const endpoint = await webhookService.createEndpoint(req.accountId, req.body);
+
+      await auditTrail.record({
+        action: 'webhook_endpoint.created',
+        resourceType: 'webhook_endpoint',
+        resourceId: endpoint.id,
+        newValues: { url: endpoint.url, events: endpoint.events, isActive: endpoint.isActive }
+      }, auditContext(req));
+
+      res.status(201).json(endpoint);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/endpoints', async (req, res, next) => {
+    try {
+      res.json({ data: await webhookService.listEndpoints(req.accountId) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Disable an endpoint; its pending deliveries are abandoned
+  router.delete('/endpoints/:endpointId', validateUuidParam('endpointId'), async (req, res, next) => {
+    try {
+      const endpoint = await webhookService.disableEndpoint(req.accountId, req.params.endpointId);
+
+      await auditTrail.record({
+        action: 'webhook_endpoint.disabled',
+        resourceType: 'webhook_endpoint',
+        resourceId: endpoint.id,
+        oldValues: { isActive: true },
+        newValues: { isActive: endpoint.isActive }
+      }, auditContext(req));
+
+      res.json(endpoint);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Delivery log of an endpoint, newest first
+  router.get('/endpoints/:endpointId/deliveries', validateUuidParam('endpointId'),
+    validateWebhookDeliveryListQuery, async (req, res, next) => {
+      try {
+        const deliveries = await webhookService.listDeliveries(
+          req.accountId,
+          req.params.endpointId,
+          req.listQuery
+        );
+        res.json({ data: deliveries });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+  // Attempt a delivery again immediately
+  router.post('/deliveries/:deliveryId/redeliver', validateUuidParam('deliveryId'), async (req, res, next) => {
+    try {
+      res.json(await webhookService.redeliver(req.accountId, req.params.deliveryId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRoutes };
@@ -0,0 +1,66 @@
+const { PaymentError } = require('../utils/errors');
+
+// Asks the compliance service to screen payments for sanctions matches and
+// structuring. Screening is mandatory once configured: when the compliance
+// service cannot be reached, payments are refused rather than let through.
+class AmlScreeningClient {
+  constructor({ serviceUrl, timeoutMs, fetch = globalThis.fetch }) {
+    this.serviceUrl = serviceUrl;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetch;
+  }
+
+  // `{ decision: 'clear' | 'hold' | 'block', cases }` for a payment about to
+  // be processed
+  async screen({ paymentId, customerId, amount, currency }) {
+    return this.request('/aml/screenings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ paymentId, customerId, amount, currency })
+    });
+  }
+
+  // Current `{ decision, cases }` for a payment screened earlier
+  async paymentDecision(payment) {
+    return this.request(
+      `/aml/payments/${encodeURIComponent(payment.id)}?customerId=${encodeURIComponent(payment.customerId)}`,
+      { method: 'GET' }
+    );
+  }
+
+  async request(path, init) {
+    let response;
+    try {
+      response = await this.fetch(`${this.serviceUrl}${path}`, {
+        ...init,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw unavailable(error.message);
+    }
+
+    if (!response.ok) {
+      throw unavailable(`Compliance service responded with ${response.status}`);
+    }
+    return response.json();
+  }
+}
+
+function unavailable(reason) {
+  return new PaymentError(503, 'compliance_unavailable',
+    'Compliance screening is unavailable, the payment was not processed',
+    { reason });
+}
+
+// Error for a payment that compliance screening does not allow to be captured
+function complianceRefusal(screening) {
+  const caseIds = screening.cases.map(record => record.id);
+
+  return screening.decision === 'block'
+    ? new PaymentError(403, 'compliance_blocked', 'Payment blocked by compliance screening', { caseIds })
+    : new PaymentError(409, 'compliance_hold',
+      'Payment is held for compliance review and cannot be captured until the review is completed',
+      { caseIds });
+}
+
+module.exports = { AmlScreeningClient, complianceRefusal };
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const net = require('net');
+const { PaymentError } = require('../utils/errors');
+const { logger, auditLogger } = require('../utils/logger');
+
+const VERIFY_BATCH_SIZE = 500;
+
+// Actions whose audit entries must be written: the request fails when they
+// cannot be, instead of the money movement going unaudited
+const MONEY_MOVING_ACTIONS = [
+  'payment.created',
+  'payment.captured',
+  'payment.voided',
+  'refund.created',
+  'dispute.opened',
+  'dispute.resolved'
+];
+
+// An IP address in the text form PostgreSQL's INET type reads it back in
+// (e.g. `2001:db8::1`), so that the hash of an entry does not change once it
+// is stored; null for anything that is not an IP address. IPv4-mapped IPv6
+// addresses are reduced to the IPv4 address, and IPv6 zone IDs are dropped.
+function normalizeIp(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const address = value.replace(/%.*$/, '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  const family = net.isIP(address);
+  return family ? new net.SocketAddress({ address, family: `ipv${family}` }).address : null;
+}
+
+// JSON with object keys sorted at every level, so that a value hashes the
+// same before it is stored and after it is read back from JSONB
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// SHA-256 over the entry's content and the hash of the entry before it
+function hashAuditEntry(entry) {
+  return crypto.createHash('sha256').update(canonicalJson({
+    sequence: entry.sequence,
+    previousHash: entry.previousHash,
+    action: entry.action,
+    resourceType: entry.resourceType,
+    resourceId: entry.resourceId,
+    actorType: entry.actorType,
+    userId: entry.userId,
+    oldValues: entry.oldValues,
+    newValues: entry.newValues,
+    ipAddress: entry.ipAddress,
+    userAgent: entry.userAgent,
+    sessionId: entry.sessionId,
+    metadata: entry.metadata,
+    createdAt: entry.createdAt
+  })).digest('hex');
+}
+
+// Who made the request, as identified by the API gateway
+function auditContext(req) {
+  const userId = req.get('X-User-ID') || null;
+  const apiKeyId = req.get('X-API-Key-ID');
+
+  return {
+    actorType: apiKeyId ? 'api_key' : userId ? 'user' : 'system',
+    userId,
+    ipAddress: req.ip || null,
+    userAgent: req.get('User-Agent') || null,
+    sessionId: req.get('X-Session-ID') || null,
+    metadata: {
+      requestId: req.requestId,
+      ...(apiKeyId && { apiKeyId })
+    }
+  };
+}
+
+// Tamper-evident audit trail persisted to `audit_logs`. Every entry stores
+// the hash of the entry before it, so editing or deleting any entry breaks
+// the chain from that point on; `verify` walks the chain and reports where.
+class AuditTrail {
+  constructor({ auditLogRepository }) {
+    this.auditLogRepository = auditLogRepository;
+  }
+
+  // Record an event. A failed write is logged; for MONEY_MOVING_ACTIONS it
+  // then throws a 500 PaymentError, so that the caller learns the operation
+  // (which has already happened) went unaudited. Other events resolve to null.
+  async record({ action, resourceType, resourceId, oldValues = null, newValues = null }, context = {}) {
+    const event = {
+      action,
+      resourceType,
+      resourceId: resourceId || null,
+      actorType: context.actorType || 'system',
+      userId: context.userId || null,
+      oldValues,
+      newValues,
+      ipAddress: normalizeIp(context.ipAddress),
+      userAgent: context.userAgent || null,
+      sessionId: context.sessionId || null,
+      metadata: context.metadata || {}
+    };
+
+    try {
+      const entry = await this.auditLogRepository.append((latest) => {
+        const sealed = {
+          ...event,
+          sequence: latest ? latest.sequence + 1 : 1,
+          previousHash: latest ? latest.hash : null,
+          createdAt: new Date().toISOString()
+        };
+        return { ...sealed, hash: hashAuditEntry(sealed) };
+      });
+
+      auditLogger.info(action, {
+        auditLogId: entry.id,
+        sequence: entry.sequence,
+        resourceType,
+        resourceId,
+        userId: event.userId,
+        requestId: event.metadata.requestId
+      });
+      return entry;
+    } catch (error) {
+      logger.error('Failed to persist audit log entry', { error: error.message, ...event });
+      if (MONEY_MOVING_ACTIONS.includes(action)) {
+        throw new PaymentError(500, 'audit_log_unavailable',
+          `The ${resourceType} change was made but could not be recorded in the audit log`,
+          { action, resourceId: event.resourceId });
+      }
+      return null;
+    }
+  }
+
+  async list(filters, pagination) {
+    return this.auditLogRepository.list(filters, pagination);
+  }
+
+  // Walk the whole chain in sequence order. Reports every entry whose hash
+  // does not match its content (edited), whose previousHash does not match
+  // the entry before it (reordered or re-chained), or that follows a gap in
+  // the sequence (deleted entries).
+  async verify() {
+    const brokenLinks = [];
+    let previous = null;
+    let checkedEntries = 0;
+
+    for (;;) {
+      const batch = await this.auditLogRepository.listChain(
+        previous ? previous.sequence : 0,
+        VERIFY_BATCH_SIZE
+      );
+
+      for (const entry of batch) {
+        const expectedSequence = previous ? previous.sequence + 1 : 1;
+        const expectedPreviousHash = previous ? previous.hash : null;
+        const link = { id: entry.id, sequence: entry.sequence };
+
+        if (entry.sequence !== expectedSequence) {
+          brokenLinks.push({ ...link, reason: 'sequence_gap', expectedSequence });
+        }
+        if (entry.previousHash !== expectedPreviousHash) {
+          brokenLinks.push({ ...link, reason: 'previous_hash_mismatch' });
+        }
+        if (entry.hash !== hashAuditEntry(entry)) {
+          brokenLinks.push({ ...link, reason: 'hash_mismatch' });
+        }
+
+        previous = entry;
+        checkedEntries += 1;
+      }
+
+      if (batch.length < VERIFY_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    return {
+      valid: brokenLinks.length === 0,
+      checkedEntries,
+      lastSequence: previous ? previous.sequence : 0,
+      lastHash: previous ? previous.hash : null,
+      brokenLinks,
+      verifiedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = {
+  AuditTrail,
+  auditContext,
+  hashAuditEntry,
+  canonicalJson,
+  normalizeIp,
+  MONEY_MOVING_ACTIONS
+};
@@ -0,0 +1,47 @@
+const { logger } = require('../utils/logger');
+
+// Periodically settles pending bank transfers whose settlement date has passed
+class BankSettlementWorker {
+  constructor({ paymentLifecycleService, intervalMs, batchSize }) {
+    this.paymentLifecycleService = paymentLifecycleService;
+    this.intervalMs = intervalMs;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // Skip the tick if the previous batch is still being settled
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const settled = await this.paymentLifecycleService.settleBankTransfers({ limit: this.batchSize });
+      if (settled) {
+        logger.info('Bank transfers settled', { count: settled });
+      }
+    } catch (error) {
+      logger.error('Bank transfer settlement run failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = { BankSettlementWorker };
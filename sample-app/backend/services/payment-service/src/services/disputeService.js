@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const { PaymentError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { systemClock, DAY_MS } = require('../utils/clock');
+const { assertTransition, assertDisputeResolution } = require('./paymentStateMachine');
+const { chargebackEntry } = require('./ledgerService');
+const { matchesFormat } = require('./evidenceStorage');
+const {
+  assertAmountPrecision,
+  callProcessor
+} = require('./paymentLifecycleService');
+
+// Card network reason categories, as reported by the processor
+const DISPUTE_REASON_CODES = [
+  'fraudulent',
+  'unrecognized',
+  'duplicate',
+  'product_not_received',
+  'product_unacceptable',
+  'subscription_canceled',
+  'credit_not_processed',
+  'general'
+];
+
+//   open          waiting for the merchant's evidence
+//   under_review  evidence submitted, waiting for the issuer's decision
+//   won / lost    final
+const DISPUTE_STATUSES = ['open', 'under_review', 'won', 'lost'];
+const UNRESOLVED_STATUSES = ['open', 'under_review'];
+const DISPUTE_OUTCOMES = ['won', 'lost'];
+
+function requireFound(dispute) {
+  if (!dispute) {
+    throw new PaymentError(404, 'dispute_not_found', 'Dispute not found');
+  }
+  return dispute;
+}
+
+function isPastDue(dispute, now) {
+  return now > new Date(dispute.evidenceDueBy);
+}
+
+// Evidence can be added and submitted while the dispute is open and its
+// evidence deadline has not passed
+function assertAcceptsEvidence(dispute, now) {
+  if (dispute.status !== 'open') {
+    throw new PaymentError(409, 'dispute_not_open',
+      `Evidence cannot be changed once the dispute is ${dispute.status}`,
+      { status: dispute.status });
+  }
+  if (isPastDue(dispute, now)) {
+    throw new PaymentError(409, 'evidence_deadline_passed',
+      'The deadline for submitting evidence has passed',
+      { evidenceDueBy: dispute.evidenceDueBy });
+  }
+}
+
+// Validate a new dispute of `payment` and work out the dispute to record.
+// A payment is disputed at most once, for at most its captured amount (the
+// issuer may claw back money already refunded).
+function planOpen(payment, existing, request, { now, evidenceDays }) {
+  if (!payment) {
+    throw new PaymentError(404, 'payment_not_found', 'Payment not found');
+  }
+  if (existing) {
+    throw new PaymentError(409, 'payment_already_disputed', 'The payment has already been disputed',
+      { disputeId: existing.id });
+  }
+
+  assertTransition(payment.status, 'disputed');
+
+  if (request.currency && request.currency !== payment.currency) {
+    throw new PaymentError(400, 'currency_mismatch',
+      `Dispute currency must match the payment currency (${payment.currency})`,
+      { paymentCurrency: payment.currency, requestedCurrency: request.currency });
+  }
+
+  if (request.amount !== undefined) {
+    assertAmountPrecision(request.amount, payment.currency);
+  }
+
+  const capturedMinor = toMinorUnits(payment.capturedAmount, payment.currency);
+  const disputedMinor = request.amount === undefined
+    ? capturedMinor
+    : toMinorUnits(request.amount, payment.currency);
+
+  if (disputedMinor > capturedMinor) {
+    throw new PaymentError(422, 'dispute_exceeds_captured_amount',
+      'Dispute amount exceeds the captured amount of the payment',
+      {
+        requestedAmount: fromMinorUnits(disputedMinor, payment.currency),
+        capturedAmount: payment.capturedAmount,
+        currency: payment.currency
+      });
+  }
+
+  return {
+    dispute: {
+      amount: fromMinorUnits(disputedMinor, payment.currency),
+      currency: payment.currency,
+      reasonCode: request.reasonCode,
+      evidenceDueBy: request.evidenceDueBy
+        ? new Date(request.evidenceDueBy).toISOString()
+        : new Date(now.getTime() + evidenceDays * DAY_MS).toISOString(),
+      providerDisputeId: request.providerDisputeId || null
+    },
+    paymentStatus: 'disputed'
+  };
+}
+
+// Close an unresolved dispute with the issuer's decision. A won dispute
+// returns the payment to its status before the dispute. A lost one charges
+// the disputed amount back from the merchant: the payment is `refunded` once
+// refunds and the chargeback cover its captured amount, and returns to its
+// previous status otherwise.
+function planResolution(dispute, payment, outcome, now) {
+  requireFound(dispute);
+  if (!UNRESOLVED_STATUSES.includes(dispute.status)) {
+    throw new PaymentError(409, 'dispute_already_resolved', `The dispute has already been ${dispute.status}`,
+      { status: dispute.status });
+  }
+
+  const resolved = { status: outcome, resolvedAt: now.toISOString() };
+  if (outcome === 'won') {
+    assertDisputeResolution(payment.status, dispute.originalPaymentStatus, dispute.originalPaymentStatus);
+    return { dispute: resolved, payment: { status: dispute.originalPaymentStatus } };
+  }
+
+  const toMinor = (value) => toMinorUnits(value || 0, payment.currency);
+  const disputedMinor = toMinor(payment.disputedAmount) + toMinor(dispute.amount);
+  const paymentStatus = toMinor(payment.refundedAmount) + disputedMinor >= toMinor(payment.capturedAmount)
+    ? 'refunded'
+    : dispute.originalPaymentStatus;
+  assertDisputeResolution(payment.status, dispute.originalPaymentStatus, paymentStatus);
+
+  return {
+    dispute: resolved,
+    payment: { status: paymentStatus, disputedAmount: fromMinorUnits(disputedMinor, payment.currency) },
+    journalEntry: chargebackEntry(payment, dispute)
+  };
+}
+
+// Disputes (chargebacks) of captured payments. A dispute is opened through
+// the API or reported by the processor, which gives its evidence deadline;
+// otherwise evidence is due `config.evidenceDays` after opening (on `clock`).
+// While a dispute is unresolved its payment is `disputed` and cannot be
+// refunded. Evidence files (JPEG, PNG or PDF) are kept in `evidenceStorage`
+// and sent to the processor when the evidence is submitted. Only a lost
+// dispute moves money: the ledger records it as a chargeback.
+class DisputeService {
+  constructor({
+    disputeRepository,
+    paymentRepository,
+    evidenceStorage,
+    processor,
+    clock = systemClock,
+    config
+  }) {
+    this.disputeRepository = disputeRepository;
+    this.paymentRepository = paymentRepository;
+    this.evidenceStorage = evidenceStorage;
+    this.processor = processor;
+    this.clock = clock;
+    this.config = config;
+  }
+
+  // Dispute as returned by the API
+  present(dispute, evidence) {
+    return {
+      ...dispute,
+      isPastDue: dispute.status === 'open' && isPastDue(dispute, this.clock.now()),
+      ...(evidence && { evidence: evidence.map(({ filePath, ...item }) => item) })
+    };
+  }
+
+  // `request`: `{ amount?, currency?, reasonCode, evidenceDueBy?, providerDisputeId? }`;
+  // the whole captured amount is disputed when `amount` is omitted
+  async open(paymentId, request) {
+    const { dispute, payment } = await this.disputeRepository.open(paymentId, (locked, existing) =>
+      planOpen(locked, existing, request, { now: this.clock.now(), evidenceDays: this.config.evidenceDays })
+    );
+
+    logger.warn('Payment disputed', {
+      disputeId: dispute.id,
+      paymentId,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      reasonCode: dispute.reasonCode,
+      evidenceDueBy: dispute.evidenceDueBy
+    });
+
+    return { dispute: this.present(dispute, []), payment };
+  }
+
+  // Dispute notifications from the processor: `dispute.created` opens a
+  // dispute of the payment the processor knows as `providerTransactionId`,
+  // `dispute.closed` resolves it with `outcome`. Notifications already
+  // applied are acknowledged without changes (`applied: false`).
+  async handleProcessorEvent({ type, data }) {
+    const existing = await this.disputeRepository.findByProviderDisputeId(data.providerDisputeId);
+
+    if (type === 'dispute.created') {
+      if (existing) {
+        return { applied: false, dispute: this.present(existing) };
+      }
+
+      const payment = await this.paymentRepository.findByProviderTransactionId(data.providerTransactionId);
+      if (!payment) {
+        throw new PaymentError(404, 'payment_not_found', 'No payment matches the disputed processor transaction',
+          { providerTransactionId: data.providerTransactionId });
+      }
+
+      return { applied: true, ...(await this.open(payment.id, data)) };
+    }
+
+    requireFound(existing);
+    if (existing.status === data.outcome) {
+      return { applied: false, dispute: this.present(existing) };
+    }
+
+    return { applied: true, ...(await this.resolve(existing.id, data.outcome)) };
+  }
+
+  // Unresolved disputes (or those in `status`), earliest evidence deadline first
+  async list({ status, limit, offset }) {
+    const { data, total } = await this.disputeRepository.list({
+      statuses: status ? [status] : UNRESOLVED_STATUSES,
+      limit,
+      offset
+    });
+
+    return { data: data.map(dispute => this.present(dispute)), total };
+  }
+
+  async get(disputeId) {
+    const dispute = requireFound(await this.disputeRepository.findById(disputeId));
+    return this.present(dispute, await this.disputeRepository.listEvidence(disputeId));
+  }
+
+  // Attach an evidence file. Its content must match its declared `mimeType`.
+  async addEvidence(disputeId, { mimeType, content, description }) {
+    if (!matchesFormat(content, mimeType)) {
+      throw new PaymentError(415, 'evidence_type_mismatch',
+        `Evidence content is not a valid ${mimeType} file`,
+        { mimeType });
+    }
+
+    const planEvidence = (dispute) => assertAcceptsEvidence(requireFound(dispute), this.clock.now());
+    // Fail before writing the file when the evidence would be refused anyway
+    planEvidence(await this.disputeRepository.findById(disputeId));
+
+    const evidenceId = crypto.randomUUID();
+    const filePath = await this.evidenceStorage.save(disputeId, evidenceId, mimeType, content);
+
+    try {
+      const evidence = await this.disputeRepository.addEvidence(disputeId, {
+        id: evidenceId,
+        description: description || null,
+        filePath,
+        fileSize: content.length,
+        mimeType,
+        sha256: crypto.createHash('sha256').update(content).digest('hex')
+      }, planEvidence);
+
+      const { filePath: storedPath, ...presented } = evidence;
+      return presented;
+    } catch (error) {
+      await this.evidenceStorage.remove(filePath);
+      throw error;
+    }
+  }
+
+  async readEvidence(disputeId, evidenceId) {
+    const evidence = await this.disputeRepository.findEvidence(disputeId, evidenceId);
+    if (!evidence) {
+      throw new PaymentError(404, 'evidence_not_found', 'Evidence not found');
+    }
+
+    const { filePath, ...presented } = evidence;
+    return { evidence: presented, content: await this.evidenceStorage.read(filePath) };
+  }
+
+  // Submit the evidence for the issuer's review. Disputes reported by the
+  // processor are sent to it, when it supports evidence submission.
+  async submitEvidence(disputeId) {
+    const planSubmission = (dispute, evidence) => {
+      assertAcceptsEvidence(requireFound(dispute), this.clock.now());
+      if (evidence.length === 0) {
+        throw new PaymentError(422, 'evidence_required', 'Add evidence to the dispute before submitting it');
+      }
+      return { dispute: { status: 'under_review', evidenceSubmittedAt: this.clock.now().toISOString() } };
+    };
+
+    const dispute = await this.disputeRepository.findById(disputeId);
+    const evidence = dispute ? await this.disputeRepository.listEvidence(disputeId) : [];
+    planSubmission(dispute, evidence);
+
+    if (dispute.providerDisputeId && typeof this.processor.submitDisputeEvidence === 'function') {
+      const files = await Promise.all(evidence.map(async item => ({
+        mimeType: item.mimeType,
+        description: item.description,
+        content: await this.evidenceStorage.read(item.filePath)
+      })));
+
+      await callProcessor(this.processor, 'submit dispute evidence for', () =>
+        this.processor.submitDisputeEvidence({ providerDisputeId: dispute.providerDisputeId, evidence: files })
+      );
+    }
+
+    const { dispute: submitted } = await this.disputeRepository.transition(disputeId,
+      (locked, lockedPayment, lockedEvidence) => planSubmission(locked, lockedEvidence));
+    return this.present(submitted);
+  }
+
+  // Record the issuer's decision (`won` or `lost`). Resolves to the dispute,
+  // its payment and the dispute's status before the decision.
+  async resolve(disputeId, outcome) {
+    let previousStatus;
+    const { dispute, payment } = await this.disputeRepository.transition(disputeId, (locked, lockedPayment) => {
+      previousStatus = locked && locked.status;
+      return planResolution(locked, lockedPayment, outcome, this.clock.now());
+    });
+
+    logger.info('Dispute resolved', {
+      disputeId,
+      paymentId: payment.id,
+      outcome,
+      paymentStatus: payment.status
+    });
+
+    return { dispute: this.present(dispute), payment, previousStatus };
+  }
+}
+
+module.exports = {
+  DisputeService,
+  DISPUTE_REASON_CODES,
+  DISPUTE_STATUSES,
+  DISPUTE_OUTCOMES,
+  planOpen,
+  planResolution
+};
@@ -0,0 +1,31 @@
+// Event bus shared by the PayFlow services. An event bus has one method,
+// `publish(event)`, taking the event envelope:
+//
+//   { id, type, source, aggregateType, aggregateId, accountId, occurredAt, data }
+//
+// `id` is unique per event and stays the same when an event is published
+// again, so consumers can skip events they have already handled.
+
+// Event bus on a Redis stream. Each event is one stream entry with its `id`,
+// `type` and the JSON envelope as `event`; consumers read the stream through
+// consumer groups (see the notification service's eventConsumer.js). The
+// stream is trimmed to roughly `maxLength` entries.
+class RedisStreamsEventBus {
+  constructor({ client, stream, maxLength }) {
+    this.client = client;
+    this.stream = stream;
+    this.maxLength = maxLength;
+  }
+
+  async publish(event) {
+    await this.client.xAdd(this.stream, '*', {
+      id: event.id,
+      type: event.type,
+      event: JSON.stringify(event)
+    }, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxLength }
+    });
+  }
+}
+
+module.exports = { RedisStreamsEventBus };
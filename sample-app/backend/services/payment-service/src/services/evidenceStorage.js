@@ -0,0 +1,19 @@
+const { LocalFileStorage, matchesFormat: matchesFileFormat } = require('../../../../shared/fileStorage');
+
+// Accepted dispute evidence types
+const EVIDENCE_MIME_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+// Whether `content` is accepted evidence of `mimeType`, judged by its contents
+function matchesFormat(content, mimeType) {
+  return EVIDENCE_MIME_TYPES.includes(mimeType) && matchesFileFormat(content, mimeType);
+}
+
+// Dispute evidence on the local filesystem under `directory`, one directory
+// per dispute
+class LocalEvidenceStorage extends LocalFileStorage {
+  constructor({ directory }) {
+    super({ directory, label: 'Evidence' });
+  }
+}
+
+module.exports = { LocalEvidenceStorage, EVIDENCE_MIME_TYPES, matchesFormat };
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const { PaymentError } = require('../utils/errors');
+const { convertMinorUnits, isSupportedCurrency } = require('../utils/money');
+
+// Indicative rates used when no rate table is configured in development and
+// tests: units of each currency per one unit of `base`. Other environments
+// must point FX_RATES_FILE at a table refreshed from their FX provider.
+const DEFAULT_FX_RATES = {
+  base: 'USD',
+  asOf: null,
+  rates: {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    CAD: 1.36,
+    AUD: 1.52,
+    NZD: 1.64,
+    CHF: 0.88,
+    SEK: 10.45,
+    NOK: 10.6,
+    DKK: 6.87,
+    PLN: 3.98,
+    SGD: 1.34,
+    HKD: 7.82,
+    INR: 83.1,
+    MXN: 17.05,
+    BRL: 4.97,
+    JPY: 149.5,
+    KRW: 1330,
+    KWD: 0.308,
+    BHD: 0.377,
+    OMR: 0.385,
+    JOD: 0.709
+  }
+};
+
+// Environments that may fall back to DEFAULT_FX_RATES
+const DEFAULT_RATES_ENVIRONMENTS = ['development', 'test'];
+
+// Load the rate table from the JSON file at `ratesFile`, shaped like
+// DEFAULT_FX_RATES. Rates for unsupported currencies are rejected. Without a
+// file, DEFAULT_FX_RATES are used in development and tests; other
+// environments (`environment`) refuse to start rather than settle payments
+// at made-up rates.
+function loadFxRates(ratesFile, environment = 'development') {
+  if (!ratesFile) {
+    if (!DEFAULT_RATES_ENVIRONMENTS.includes(environment)) {
+      throw new Error(`FX_RATES_FILE is required when NODE_ENV=${environment}: ` +
+        'the built-in indicative rates are only for development and tests');
+    }
+    return DEFAULT_FX_RATES;
+  }
+
+  const table = JSON.parse(fs.readFileSync(ratesFile, 'utf8'));
+  const unsupported = Object.keys(table.rates || {}).filter(code => !isSupportedCurrency(code));
+
+  if (!table.base || !table.rates || unsupported.length) {
+    throw new Error(`Invalid FX rate table ${ratesFile}` +
+      (unsupported.length ? `: unsupported currencies ${unsupported.join(', ')}` : ''));
+  }
+
+  return { asOf: null, ...table, rates: { ...table.rates, [table.base]: 1 } };
+}
+
+// Converts amounts between currencies using a rate table quoted against a
+// single base currency; cross rates go through the base.
+class FxRates {
+  constructor(table = DEFAULT_FX_RATES) {
+    this.table = table;
+  }
+
+  // Units of `to` per unit of `from`, rounded to 10 significant digits so
+  // that the recorded rate reproduces the settled amount
+  rate(from, to) {
+    if (from === to) {
+      return 1;
+    }
+
+    const { rates } = this.table;
+    if (!rates[from] || !rates[to]) {
+      throw new PaymentError(422, 'fx_rate_unavailable',
+        `No exchange rate available from ${from} to ${to}`,
+        { from, to });
+    }
+
+    return Number((rates[to] / rates[from]).toPrecision(10));
+  }
+
+  // `{ amountMinor, currency, rate, asOf }` for `amountMinor` of `from` in `to`
+  convert(amountMinor, from, to) {
+    const rate = this.rate(from, to);
+
+    return {
+      amountMinor: convertMinorUnits(amountMinor, from, to, rate),
+      currency: to,
+      rate,
+      asOf: this.table.asOf
+    };
+  }
+}
+
+module.exports = { FxRates, DEFAULT_FX_RATES, loadFxRates };
@@ -0,0 +1,57 @@
+const { PaymentError } = require('../utils/errors');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { FxRates } = require('./fxRates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payment limits for customers whose KYC verification is not approved: a cap
+// per payment and on what they pay over a rolling 24 hours. Limits are in
+// `config.currency`; payments in other currencies are converted with `fxRates`.
+class KycLimits {
+  constructor({ customerRepository, fxRates = new FxRates(), config }) {
+    this.customerRepository = customerRepository;
+    this.fxRates = fxRates;
+    this.config = config;
+  }
+
+  // Minor units of the limit currency for `amount` of `currency`
+  toLimitCurrency(amount, currency) {
+    return this.fxRates.convert(toMinorUnits(amount, currency), currency, this.config.currency).amountMinor;
+  }
+
+  // Throws a 403 PaymentError when `request` would take an unverified
+  // customer over a limit
+  async check(request) {
+    const kycStatus = await this.customerRepository.findKycStatus(request.customerId);
+    if (kycStatus === 'approved') {
+      return;
+    }
+
+    const { currency, perTransaction, daily } = this.config;
+    const amountMinor = this.toLimitCurrency(request.amount, request.currency);
+
+    const exceeded = (limit, limitAmount, extra) => new PaymentError(403, 'kyc_limit_exceeded',
+      `Payments above ${limitAmount} ${currency} ${limit === 'daily' ? 'per day ' : ''}require approved KYC verification`,
+      { kycStatus: kycStatus || 'not_started', limit, limitAmount, currency, ...extra });
+
+    if (amountMinor > toMinorUnits(perTransaction, currency)) {
+      throw exceeded('per_transaction', perTransaction, {
+        amount: fromMinorUnits(amountMinor, currency)
+      });
+    }
+
+    const totals = await this.customerRepository.paymentTotalsSince(
+      request.customerId, new Date(Date.now() - DAY_MS));
+    const paidMinor = totals.reduce(
+      (sum, total) => sum + this.toLimitCurrency(total.amount, total.currency), 0);
+
+    if (paidMinor + amountMinor > toMinorUnits(daily, currency)) {
+      throw exceeded('daily', daily, {
+        paidLast24Hours: fromMinorUnits(paidMinor, currency),
+        amount: fromMinorUnits(amountMinor, currency)
+      });
+    }
+  }
+}
+
+module.exports = { KycLimits };
@@ -0,0 +1,186 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+const ENTRY_TYPES = ['capture', 'refund', 'chargeback', 'settlement'];
+const ACCOUNT_TYPES = ['customer', 'merchant', 'fees', 'processor_clearing'];
+
+function customerAccount(customerId) {
+  return `customer:${customerId}`;
+}
+
+// Payments not made through a merchant are owed to the platform itself
+function merchantAccount(merchantId) {
+  return `merchant:${merchantId || 'direct'}`;
+}
+
+// `{ debits, credits }` of a set of lines, in minor units of `currency`
+function totals(lines, currency) {
+  return lines.reduce((sum, line) => {
+    sum[line.direction === 'debit' ? 'debits' : 'credits'] += toMinorUnits(line.amount, currency);
+    return sum;
+  }, { debits: 0, credits: 0 });
+}
+
+// A journal entry of `type` for `transactionId`. Lines are
+// `[account, 'debit' | 'credit', minorUnits]`; zero-amount lines are dropped.
+// An entry whose debits and credits differ is a bug in the caller and is
+// never handed to a repository.
+function journalEntry(type, { transactionId, currency, description }, lines) {
+  const entry = {
+    id: uuidv4(),
+    type,
+    transactionId,
+    currency,
+    description,
+    lines: lines
+      .filter(([, , minorUnits]) => minorUnits > 0)
+      .map(([account, direction, minorUnits]) => ({
+        account,
+        direction,
+        amount: fromMinorUnits(minorUnits, currency)
+      }))
+  };
+
+  const { debits, credits } = totals(entry.lines, currency);
+  if (debits !== credits || entry.lines.length < 2) {
+    throw new Error(`Unbalanced ${type} journal entry for transaction ${transactionId}: ` +
+      `debits ${fromMinorUnits(debits, currency)}, credits ${fromMinorUnits(credits, currency)} ${currency}`);
+  }
+
+  return entry;
+}
+
+// The customer is charged the captured amount, which is owed to the merchant
+function captureEntry(payment, capturedAmount) {
+  const amount = toMinorUnits(capturedAmount, payment.currency);
+
+  return journalEntry('capture', {
+    transactionId: payment.transactionId,
+    currency: payment.currency,
+    description: `Capture of payment ${payment.id}`
+  }, [
+    [customerAccount(payment.customerId), 'debit', amount],
+    [merchantAccount(payment.merchantId), 'credit', amount]
+  ]);
+}
+
+// A refund reverses (part of) the capture
+function refundEntry(payment, refund) {
+  const amount = toMinorUnits(refund.amount, refund.currency);
+
+  return journalEntry('refund', {
+    transactionId: refund.transactionId,
+    currency: refund.currency,
+    description: `Refund ${refund.id} of payment ${payment.id}`
+  }, [
+    [merchantAccount(payment.merchantId), 'debit', amount],
+    [customerAccount(payment.customerId), 'credit', amount]
+  ]);
+}
+
+// A lost dispute takes the disputed amount back from the merchant and returns
+// it to the customer, like a refund. Posted against the payment's transaction,
+// which is disputed at most once.
+function chargebackEntry(payment, dispute) {
+  const amount = toMinorUnits(dispute.amount, dispute.currency);
+
+  return journalEntry('chargeback', {
+    transactionId: payment.transactionId,
+    currency: dispute.currency,
+    description: `Chargeback of dispute ${dispute.id} on payment ${payment.id}`
+  }, [
+    [merchantAccount(payment.merchantId), 'debit', amount],
+    [customerAccount(payment.customerId), 'credit', amount]
+  ]);
+}
+
+// A payment or refund reported by the processor's settlement file. For a
+// payment the processor collected the amount from the customer and holds it,
+// less its fee; for a refund it paid the customer and charged the fee on top.
+function settlementEntry(transaction, { settledAmount, feeAmount }) {
+  const { currency } = transaction;
+  const amount = toMinorUnits(settledAmount, currency);
+  const fee = toMinorUnits(feeAmount, currency);
+  const customer = customerAccount(transaction.userId);
+
+  const lines = transaction.type === 'refund'
+    ? [
+      [customer, 'debit', amount],
+      ['fees', 'debit', fee],
+      ['processor_clearing', 'credit', amount + fee]
+    ]
+    : [
+      ['processor_clearing', 'debit', amount - fee],
+      ['fees', 'debit', fee],
+      [customer, 'credit', amount]
+    ];
+
+  return journalEntry('settlement', {
+    transactionId: transaction.id,
+    currency,
+    description: `Settlement of ${transaction.type} transaction ${transaction.id}`
+  }, lines);
+}
+
+// Double-entry ledger underneath payments, refunds and processor fees.
+//
+// Journal entries are posted by the payment, refund and dispute repositories
+// in the same database transaction as the capture, refund or lost dispute they
+// record, and by the
+// reconciliation repository for settled transactions. Accounts, in the
+// currency of the transaction:
+//   customer:<id>       charged and not yet settled by the processor
+//   merchant:<id>       owed to the merchant (merchant:direct without one)
+//   processor_clearing  settled funds held by the processor, net of fees
+//   fees                processor fees paid
+// The ledger is append-only; every entry must balance, which `verify` checks
+// across the whole ledger.
+class LedgerService {
+  constructor({ ledgerRepository }) {
+    this.ledgerRepository = ledgerRepository;
+  }
+
+  // Balance (debits - credits) of every account matching the filters, per currency
+  async balances(filters) {
+    return this.ledgerRepository.balances(filters);
+  }
+
+  async listEntries(filters, pagination) {
+    return this.ledgerRepository.listEntries(filters, pagination);
+  }
+
+  // Check that every journal entry balances and that total debits equal total
+  // credits in every currency. A failure means the books are wrong and is
+  // logged as an error.
+  async verify() {
+    const { checkedEntries, unbalancedEntries, currencies } = await this.ledgerRepository.checkBalances();
+
+    const result = {
+      valid: unbalancedEntries.length === 0 && currencies.every(total => total.debits === total.credits),
+      checkedEntries,
+      unbalancedEntries,
+      currencies,
+      verifiedAt: new Date().toISOString()
+    };
+
+    if (!result.valid) {
+      logger.error('Ledger invariant violated: debits and credits diverge', {
+        unbalancedEntries: unbalancedEntries.length,
+        currencies: currencies.filter(total => total.debits !== total.credits)
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = {
+  LedgerService,
+  ENTRY_TYPES,
+  ACCOUNT_TYPES,
+  captureEntry,
+  refundEntry,
+  chargebackEntry,
+  settlementEntry
+};
@@ -0,0 +1,102 @@
+const { logger } = require('../utils/logger');
+
+// The envelope an outbox event is published in (see eventBus.js)
+function toEnvelope(event) {
+  return {
+    id: event.id,
+    type: event.eventType,
+    source: 'payment-service',
+    aggregateType: event.aggregateType,
+    aggregateId: event.aggregateId,
+    accountId: event.accountId,
+    occurredAt: event.createdAt,
+    data: event.payload
+  };
+}
+
+// Periodically publishes outbox events, oldest first, to each of
+// `publishers` in turn (the webhook service, then the event bus when one is
+// configured).
+//
+// Events are claimed for `leaseMs` so that several instances can relay side
+// by side. A batch stops at the first event a publisher rejects; that event
+// and the rest of the batch are retried once the lease runs out, so later
+// events about a payment are not published ahead of earlier ones. An event
+// is marked published only after every publisher has accepted it, which
+// means it may be published twice (after a failure or a crash in between);
+// webhooks and event consumers deduplicate on the event `id`.
+class OutboxRelay {
+  constructor({ outboxRepository, publishers, intervalMs, batchSize, leaseMs }) {
+    this.outboxRepository = outboxRepository;
+    this.publishers = publishers;
+    this.intervalMs = intervalMs;
+    this.batchSize = batchSize;
+    this.leaseMs = leaseMs;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // Skip the tick if the previous batch is still being published
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.relayDue();
+    } catch (error) {
+      logger.error('Outbox relay run failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Publish one batch of due events. Resolves to the number published.
+  async relayDue() {
+    const events = await this.outboxRepository.claimDue(this.batchSize, new Date(Date.now() + this.leaseMs));
+    const published = [];
+
+    try {
+      for (const event of events) {
+        try {
+          const envelope = toEnvelope(event);
+          for (const publisher of this.publishers) {
+            await publisher.publish(envelope);
+          }
+        } catch (error) {
+          logger.error('Failed to publish outbox event', {
+            eventId: event.id,
+            eventType: event.eventType,
+            error: error.message
+          });
+          await this.outboxRepository.recordFailure(event.id, error.message);
+          break;
+        }
+        published.push(event.id);
+      }
+    } finally {
+      if (published.length) {
+        await this.outboxRepository.markPublished(published);
+      }
+    }
+
+    return published.length;
+  }
+}
+
+module.exports = { OutboxRelay };
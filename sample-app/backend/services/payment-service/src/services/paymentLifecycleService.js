@@ -0,0 +1,494 @@
+const { v4: uuidv4 } = require('uuid');
+const { PaymentError } = require('../utils/errors');
+const {
+  hasValidPrecision,
+  currencyExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  convertMinorUnits
+} = require('../utils/money');
+const { FxRates } = require('./fxRates');
+const { assertTransition } = require('./paymentStateMachine');
+const { captureEntry } = require('./ledgerService');
+const { complianceRefusal } = require('./amlScreening');
+const { logger } = require('../utils/logger');
+const { systemClock } = require('../utils/clock');
+
+// Payment method types moved over bank rails. They cannot be authorized and
+// captured later: they are pending until the rail settles or returns them.
+const BANK_TRANSFER_TYPES = ['ach', 'wire'];
+
+// How long a capture, void or refund holds its reservation of the payment
+// (see withReservedPayment). Longer than any processor call; a reservation
+// left behind by an instance that died expires after it.
+const RESERVATION_MS = 5 * 60 * 1000;
+
+function requirePayment(payment) {
+  if (!payment) {
+    throw new PaymentError(404, 'payment_not_found', 'Payment not found');
+  }
+  return payment;
+}
+
+// Reject amounts with more decimals than the payment currency allows
+// (e.g. 10.5 JPY), which cannot be represented in minor units
+function assertAmountPrecision(amount, currency) {
+  if (!hasValidPrecision(amount, currency)) {
+    throw new PaymentError(400, 'invalid_amount',
+      `Amount must have at most ${currencyExponent(currency)} decimal places for ${currency}`,
+      { amount, currency });
+  }
+}
+
+// Settled amount (in the settlement currency) of `minorUnits` of the payment
+// currency, at the rate locked in when the payment was created
+function settledAmount(payment, minorUnits) {
+  const { settlement } = payment;
+  if (!settlement) {
+    return undefined;
+  }
+
+  return fromMinorUnits(
+    convertMinorUnits(minorUnits, payment.currency, settlement.currency, settlement.exchangeRate),
+    settlement.currency
+  );
+}
+
+// Capture all or part of an authorized payment. Only a single capture is
+// supported; any uncaptured remainder of the authorization is released.
+// Payments held for risk review cannot be captured until staff release them.
+function planCapture(payment, { amount }) {
+  requirePayment(payment);
+  assertTransition(payment.status, 'captured');
+  if (isHeldForRiskReview(payment)) {
+    throw new PaymentError(409, 'risk_review_pending',
+      'Payment is held for risk review and cannot be captured until it is released',
+      { riskScore: payment.risk.score, reasons: payment.risk.reasons });
+  }
+
+  const captureAmount = amount === undefined ? payment.amount : amount;
+  assertAmountPrecision(captureAmount, payment.currency);
+
+  const captureMinor = toMinorUnits(captureAmount, payment.currency);
+  const capturedAmount = fromMinorUnits(captureMinor, payment.currency);
+
+  if (captureMinor > toMinorUnits(payment.amount, payment.currency)) {
+    throw new PaymentError(422, 'capture_exceeds_authorized_amount',
+      'Capture amount exceeds the authorized amount',
+      {
+        requestedAmount: captureAmount,
+        authorizedAmount: payment.amount,
+        currency: payment.currency
+      });
+  }
+
+  return {
+    status: 'captured',
+    capturedAmount,
+    settlementAmount: settledAmount(payment, captureMinor),
+    journalEntry: captureEntry(payment, capturedAmount)
+  };
+}
+
+function isHeldForRiskReview(payment) {
+  return Boolean(payment.risk && payment.risk.decision === 'review' && !payment.risk.release);
+}
+
+// Release an authorization held for risk review (`releasedBy` staff member),
+// after which it can be captured. Resolves to the payment's new risk record.
+function planRiskRelease(payment, { releasedBy, releasedAt }) {
+  requirePayment(payment);
+  if (payment.status !== 'authorized' || !isHeldForRiskReview(payment)) {
+    throw new PaymentError(409, 'risk_review_not_pending',
+      'Only authorized payments held for risk review can be released',
+      { currentState: payment.status, riskDecision: payment.risk ? payment.risk.decision : null });
+  }
+
+  return { ...payment.risk, release: { releasedBy, releasedAt } };
+}
+
+// Void (cancel) an authorization that has not been captured
+function planVoid(payment) {
+  requirePayment(payment);
+  assertTransition(payment.status, 'voided');
+
+  return { status: 'voided', capturedAmount: 0 };
+}
+
+// Settle a pending bank transfer with the outcome reported by the processor:
+// completed (the funds arrived) or failed (returned, e.g. ACH return code R01)
+function planSettlement(payment, outcome) {
+  requirePayment(payment);
+  assertTransition(payment.status, outcome.status);
+
+  if (outcome.status === 'failed') {
+    return {
+      status: 'failed',
+      failureCode: outcome.failureCode || 'bank_transfer_returned',
+      failureMessage: outcome.failureMessage || 'The bank transfer was returned'
+    };
+  }
+
+  return {
+    status: 'completed',
+    capturedAmount: payment.amount,
+    settlementAmount: settledAmount(payment, toMinorUnits(payment.amount, payment.currency)),
+    journalEntry: captureEntry(payment, payment.amount)
+  };
+}
+
+// Record the screening and processor result of a new payment, recorded as
+// processing before they were asked. One-step sales are captured right away.
+function planProcessed(payment, result) {
+  requirePayment(payment);
+  assertTransition(payment.status, result.status);
+
+  return {
+    status: result.status,
+    capturedAmount: result.status === 'completed' ? payment.amount : 0,
+    providerTransactionId: result.providerTransactionId,
+    paymentMethod: result.paymentMethod,
+    settlesAt: result.settlesAt,
+    processedAt: result.processedAt,
+    failureCode: result.failureCode,
+    failureMessage: result.failureMessage,
+    journalEntry: result.status === 'completed' ? captureEntry(payment, payment.amount) : null
+  };
+}
+
+// Call the processor, turning transport failures into a 502 for the client
+async function callProcessor(processor, operation, call) {
+  try {
+    return await call();
+  } catch (error) {
+    throw new PaymentError(502, 'processor_unavailable',
+      `Payment processor ${processor.name} failed to ${operation} the payment`,
+      { processor: processor.name, reason: error.message });
+  }
+}
+
+// Run `operation(payment)` (call the processor and record the outcome) with
+// the payment reserved, so that the processor is only called with a plan made
+// under the row lock. `plan` validates the locked payment first; concurrent
+// captures, voids and refunds of the payment are refused until `operation`
+// has finished.
+async function withReservedPayment(paymentRepository, paymentId, plan, operation) {
+  const reservationId = uuidv4();
+  const reservedUntil = new Date(Date.now() + RESERVATION_MS).toISOString();
+  const payment = await paymentRepository.reserve(paymentId, reservationId, reservedUntil, (locked, reserved) => {
+    plan(locked);
+    if (reserved) {
+      throw new PaymentError(409, 'payment_operation_in_progress',
+        'Another capture, void or refund of this payment is in progress, retry later');
+    }
+  });
+
+  try {
+    return await operation(payment);
+  } finally {
+    await paymentRepository.release(paymentId, reservationId);
+  }
+}
+
+function declined(operation, result) {
+  return new PaymentError(402, `${operation}_declined`,
+    result.failureMessage || `The processor declined the ${operation}`,
+    { failureCode: result.failureCode });
+}
+
+// Drives payments through their lifecycle: one-step sales, and the two-step
+// authorize/capture flow. The processor adapter is asked first; the local
+// state change is then validated again under a row lock and persisted. All
+// state changes go through the central state machine in paymentStateMachine.js.
+// Every resulting state is written to the outbox by the payment repository,
+// from which it reaches webhooks and the event bus (see OutboxRelay).
+// New payments are screened by `riskEngine` first: `review` payments are only
+// authorized and cannot be captured until staff release them
+// (releaseRiskReview()); `block`ed ones never reach the processor.
+// Payments settled in another currency are converted with `fxRates`; the rate
+// is recorded with the payment and reused for captures.
+// The customer and merchant of a new payment must be known to
+// `customerRepository` before anything is screened or charged.
+// Customers without approved KYC verification are held to `kycLimits`.
+// `amlScreening` (the compliance service) screens every new payment: `block`ed
+// payments fail without reaching the processor, `hold` ones are only
+// authorized and cannot be captured until the compliance case is cleared.
+// Payments may be made with a customer's stored payment method (see
+// `paymentMethodService`), whose details are then recorded with the payment.
+// Bank transfers (ACH, wire) are pending until their settlement date on
+// `clock`; settleBankTransfers() then completes them or fails returned ones.
+class PaymentLifecycleService {
+  constructor({
+    paymentRepository,
+    processor,
+    riskEngine,
+    customerRepository,
+    kycLimits,
+    amlScreening,
+    paymentMethodService,
+    fxRates = new FxRates(),
+    clock = systemClock
+  }) {
+    this.paymentRepository = paymentRepository;
+    this.processor = processor;
+    this.riskEngine = riskEngine;
+    this.customerRepository = customerRepository;
+    this.kycLimits = kycLimits;
+    this.amlScreening = amlScreening;
+    this.paymentMethodService = paymentMethodService;
+    this.fxRates = fxRates;
+    this.clock = clock;
+  }
+
+  // `{ amount, currency, exchangeRate, ratesAsOf }` the merchant is paid out
+  // for a new payment request
+  settle({ amount, currency, settlementCurrency }) {
+    const converted = this.fxRates.convert(
+      toMinorUnits(amount, currency),
+      currency,
+      settlementCurrency || currency
+    );
+
+    return {
+      amount: fromMinorUnits(converted.amountMinor, converted.currency),
+      currency: converted.currency,
+      exchangeRate: converted.rate,
+      ratesAsOf: converted.asOf
+    };
+  }
+
+  // Processor `paymentMethod` of a new payment request and, for stored
+  // payment methods, the `summary` of it recorded with the payment. Stored
+  // methods are looked up for `payerId`, the authenticated customer, and
+  // never for the `customerId` named in the request.
+  async resolvePaymentMethod(request, payerId) {
+    if (request.paymentMethod) {
+      return { paymentMethod: request.paymentMethod, summary: null };
+    }
+    if (!payerId) {
+      throw new PaymentError(401, 'authentication_required',
+        'Stored payment methods can only be charged by an authenticated customer');
+    }
+    if (request.customerId !== payerId) {
+      throw new PaymentError(403, 'forbidden',
+        'Stored payment methods can only be charged for the authenticated customer');
+    }
+    return this.paymentMethodService.resolveForPayment(payerId, request.paymentMethodId);
+  }
+
+  async process(paymentRequest, { idempotencyKey, ipAddress, payerId } = {}) {
+    assertAmountPrecision(paymentRequest.amount, paymentRequest.currency);
+    const { paymentMethod, summary } = await this.resolvePaymentMethod(paymentRequest, payerId);
+    const request = { ...paymentRequest, paymentMethod };
+    const settlement = this.settle(request);
+
+    if (this.customerRepository) {
+      await this.assertKnownParties(request);
+    }
+    if (this.kycLimits) {
+      await this.kycLimits.check(request);
+    }
+
+    const risk = this.riskEngine
+      ? await this.riskEngine.assess(request, { ipAddress })
+      : null;
+
+    // Recorded before compliance screening and the processor are called, so
+    // that AML cases and charges always refer to a stored payment
+    const processing = await this.paymentRepository.create({
+      id: uuidv4(),
+      transactionId: uuidv4(),
+      customerId: request.customerId,
+      merchantId: request.merchantId,
+      status: 'processing',
+      amount: request.amount,
+      currency: request.currency,
+      settlement,
+      paymentMethodId: summary ? summary.id : null,
+      paymentMethod: summary || { type: paymentMethod.type },
+      description: request.description,
+      metadata: request.metadata,
+      risk
+    });
+
+    let result;
+    try {
+      result = await this.screenAndAuthorize(processing, request, risk, idempotencyKey);
+    } catch (error) {
+      await this.failProcessing(processing, error);
+      throw error;
+    }
+
+    return this.paymentRepository.transition(processing.id, locked => planProcessed(locked, {
+      ...result,
+      paymentMethod: summary || result.paymentMethod,
+      processedAt: this.clock.now().toISOString()
+    }));
+  }
+
+  // Throws a 422 PaymentError for a customer or merchant that is not a known
+  // user, which could not be recorded with the payment
+  async assertKnownParties({ customerId, merchantId }) {
+    if (!await this.customerRepository.exists(customerId)) {
+      throw new PaymentError(422, 'customer_not_found', 'Customer not found', { customerId });
+    }
+    if (merchantId && !await this.customerRepository.exists(merchantId)) {
+      throw new PaymentError(422, 'merchant_not_found', 'Merchant not found', { merchantId });
+    }
+  }
+
+  // Processor result (`{ status, providerTransactionId?, paymentMethod?,
+  // settlesAt?, failureCode?, failureMessage? }`) of a new payment after
+  // compliance screening and the risk decision. Blocked payments fail without
+  // reaching the processor.
+  async screenAndAuthorize(payment, request, risk, idempotencyKey) {
+    const { paymentMethod } = request;
+    const screening = this.amlScreening
+      ? await this.amlScreening.screen({
+        paymentId: payment.id,
+        customerId: payment.customerId,
+        amount: payment.amount,
+        currency: payment.currency
+      })
+      : null;
+
+    // Payments held for review are only authorized, for a manual capture
+    const held = (risk && risk.decision === 'review') || (screening && screening.decision === 'hold');
+
+    if (screening && screening.decision === 'block') {
+      return {
+        status: 'failed',
+        failureCode: 'compliance_blocked',
+        failureMessage: 'Payment declined by compliance screening'
+      };
+    }
+    if (risk && risk.decision === 'block') {
+      return {
+        status: 'failed',
+        failureCode: 'risk_blocked',
+        failureMessage: 'Payment declined by risk screening'
+      };
+    }
+    if (held && BANK_TRANSFER_TYPES.includes(paymentMethod.type)) {
+      return {
+        status: 'failed',
+        failureCode: 'bank_transfer_held',
+        failureMessage: 'Bank transfers cannot be held for review, use a card or retry once the review is completed'
+      };
+    }
+
+    return callProcessor(this.processor, 'authorize', () =>
+      this.processor.authorize({
+        amount: request.amount,
+        currency: request.currency,
+        paymentMethod,
+        capture: held ? false : request.capture,
+        description: request.description,
+        metadata: request.metadata,
+        idempotencyKey
+      })
+    );
+  }
+
+  // Fail a new payment whose screening or processor call threw (e.g. the
+  // compliance service or the processor was unavailable). Whether the
+  // processor charged it is then unknown: a retry with the same idempotency
+  // key gets the processor's original answer, and reconciliation reports a
+  // charge the processor did make.
+  async failProcessing(payment, error) {
+    try {
+      await this.paymentRepository.transition(payment.id, locked => planProcessed(locked, {
+        status: 'failed',
+        failureCode: error instanceof PaymentError ? error.code : 'processing_error',
+        failureMessage: error.message
+      }));
+    } catch (failure) {
+      logger.error('Failed to record a payment that could not be processed', {
+        paymentId: payment.id,
+        error: failure.message
+      });
+    }
+  }
+
+  // Complete or fail pending bank transfers whose settlement date has passed,
+  // as reported by the processor. Transfers the processor has not settled yet
+  // are left for the next run. Resolves to the number of payments settled.
+  async settleBankTransfers({ limit = 100 } = {}) {
+    const due = await this.paymentRepository.listDueSettlements(this.clock.now(), limit);
+    let settled = 0;
+
+    for (const payment of due) {
+      try {
+        const outcome = await callProcessor(this.processor, 'settle', () =>
+          this.processor.getStatus(payment.providerTransactionId)
+        );
+        if (outcome.status !== 'completed' && outcome.status !== 'failed') {
+          continue;
+        }
+
+        await this.paymentRepository.transition(payment.id, (locked) => planSettlement(locked, outcome));
+        settled += 1;
+      } catch (error) {
+        logger.error('Bank transfer settlement failed', { paymentId: payment.id, error: error.message });
+      }
+    }
+
+    return settled;
+  }
+
+  async capture(paymentId, request = {}) {
+    const plan = locked => planCapture(locked, request);
+
+    return withReservedPayment(this.paymentRepository, paymentId, plan, async (payment) => {
+      const { capturedAmount } = plan(payment);
+
+      if (this.amlScreening) {
+        const screening = await this.amlScreening.paymentDecision(payment);
+        if (screening.decision !== 'clear') {
+          throw complianceRefusal(screening);
+        }
+      }
+
+      const result = await callProcessor(this.processor, 'capture', () =>
+        this.processor.capture({
+          providerTransactionId: payment.providerTransactionId,
+          amount: capturedAmount,
+          currency: payment.currency
+        })
+      );
+
+      if (result.status === 'failed') {
+        throw declined('capture', result);
+      }
+
+      return this.paymentRepository.transition(paymentId, plan);
+    });
+  }
+
+  // Let staff member `releasedBy` capture a payment held for risk review
+  async releaseRiskReview(paymentId, { releasedBy }) {
+    const releasedAt = this.clock.now().toISOString();
+    return this.paymentRepository.updateRisk(paymentId, locked => planRiskRelease(locked, { releasedBy, releasedAt }));
+  }
+
+  async void(paymentId) {
+    return withReservedPayment(this.paymentRepository, paymentId, planVoid, async (payment) => {
+      await callProcessor(this.processor, 'void', () =>
+        this.processor.void({ providerTransactionId: payment.providerTransactionId })
+      );
+
+      return this.paymentRepository.transition(paymentId, planVoid);
+    });
+  }
+}
+
+module.exports = {
+  PaymentLifecycleService,
+  planCapture,
+  planVoid,
+  planSettlement,
+  assertAmountPrecision,
+  callProcessor,
+  declined,
+  withReservedPayment
+};
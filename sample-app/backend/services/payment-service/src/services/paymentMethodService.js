@@ -0,0 +1,272 @@
+const { PaymentError } = require('../utils/errors');
+const { toMinorUnits } = require('../utils/money');
+const { systemClock } = require('../utils/clock');
+
+// Stored payment method type -> payment method type sent to the processor
+const PAYMENT_TYPE_BY_METHOD_TYPE = {
+  card: 'card',
+  bank_account: 'ach'
+};
+
+const CARD_BRANDS = ['visa', 'mastercard', 'amex', 'discover', 'diners', 'jcb', 'unionpay', 'unknown'];
+const BANK_ACCOUNT_TYPES = ['checking', 'savings'];
+
+// Bank accounts take US routing numbers, so micro-deposits are sent in USD
+const MICRO_DEPOSIT_CURRENCY = 'USD';
+
+// Cards are valid through the last day of their expiry month (UTC)
+function cardExpiresAt({ expMonth, expYear }) {
+  return new Date(Date.UTC(expYear, expMonth, 1)).toISOString();
+}
+
+function isExpired(paymentMethod, now = new Date()) {
+  return Boolean(paymentMethod.expiresAt) && new Date(paymentMethod.expiresAt) <= now;
+}
+
+function expiredError(card) {
+  return new PaymentError(422, 'payment_method_expired', 'The card has expired', {
+    expMonth: card.expMonth,
+    expYear: card.expYear
+  });
+}
+
+function requireFound(paymentMethod) {
+  if (!paymentMethod) {
+    throw new PaymentError(404, 'payment_method_not_found', 'Payment method not found');
+  }
+  return paymentMethod;
+}
+
+// Only unverified bank accounts are verified with micro-deposits
+function assertVerifiable(paymentMethod) {
+  if (paymentMethod.type !== 'bank_account') {
+    throw new PaymentError(422, 'micro_deposits_unsupported',
+      'Only bank accounts are verified with micro-deposits');
+  }
+  if (paymentMethod.isVerified) {
+    throw new PaymentError(409, 'payment_method_already_verified', 'The bank account is already verified');
+  }
+  return paymentMethod;
+}
+
+function sortedAmounts(amounts) {
+  return [...amounts].sort((a, b) => a - b);
+}
+
+// Non-sensitive summary recorded with payments made with a stored method
+function paymentMethodSummary(paymentMethod) {
+  const { card, bankAccount } = paymentMethod;
+  const summary = { id: paymentMethod.id, type: PAYMENT_TYPE_BY_METHOD_TYPE[paymentMethod.type] };
+
+  return card
+    ? { ...summary, brand: card.brand, last4: card.last4, expMonth: card.expMonth, expYear: card.expYear }
+    : { ...summary, bankName: bankAccount.bankName, accountType: bankAccount.accountType, last4: bankAccount.last4 };
+}
+
+// `paymentMethod` of a processor authorization made with a stored method
+function processorPaymentMethod(paymentMethod) {
+  return paymentMethod.type === 'card'
+    ? { type: 'card', card: { token: paymentMethod.providerId } }
+    : { type: 'ach', ach: { accountToken: paymentMethod.providerId } };
+}
+
+// Customers' saved cards and bank accounts. They are tokenized client-side
+// by the processor; the token and the display details returned with it are
+// stored so that later payments can reference the method by ID.
+// Bank accounts can only be paid from once verified: the processor sends two
+// micro-deposits, which the customer confirms once they have arrived (on
+// `clock`), in at most `config.microDepositMaxAttempts` attempts.
+class PaymentMethodService {
+  constructor({ paymentMethodRepository, processor, clock = systemClock, config }) {
+    this.paymentMethodRepository = paymentMethodRepository;
+    this.processor = processor;
+    this.clock = clock;
+    this.config = config;
+  }
+
+  // Stored payment method as returned by the API. The processor token and
+  // the micro-deposit amounts are never exposed.
+  present({ providerId, userId, microDeposits, ...paymentMethod }) {
+    return {
+      ...paymentMethod,
+      microDeposits: microDeposits
+        ? {
+          sentAt: microDeposits.sentAt,
+          arrivesAt: microDeposits.arrivesAt,
+          attemptsRemaining: Math.max(0, this.config.microDepositMaxAttempts - microDeposits.attempts)
+        }
+        : null
+    };
+  }
+
+  async create(userId, { type, card, bankAccount, isDefault }) {
+    if (card && isExpired({ expiresAt: cardExpiresAt(card) }, this.clock.now())) {
+      throw expiredError(card);
+    }
+
+    const created = await this.paymentMethodRepository.create({
+      userId,
+      type,
+      provider: this.processor.name,
+      providerId: card ? card.token : bankAccount.accountToken,
+      isDefault,
+      // Card tokens are checked by the processor when issued; bank accounts
+      // are not verified yet
+      isVerified: type === 'card',
+      card: card && {
+        brand: card.brand,
+        last4: card.last4,
+        expMonth: card.expMonth,
+        expYear: card.expYear
+      },
+      bankAccount: bankAccount && {
+        bankName: bankAccount.bankName,
+        accountType: bankAccount.accountType,
+        routingNumber: bankAccount.routingNumber,
+        last4: bankAccount.last4
+      },
+      expiresAt: card ? cardExpiresAt(card) : null
+    });
+
+    return this.present(created);
+  }
+
+  async list(userId) {
+    const paymentMethods = await this.paymentMethodRepository.listForUser(userId);
+    return paymentMethods.map(paymentMethod => ({
+      ...this.present(paymentMethod),
+      isExpired: isExpired(paymentMethod, this.clock.now())
+    }));
+  }
+
+  async get(userId, paymentMethodId) {
+    return this.present(await this.findOwned(userId, paymentMethodId));
+  }
+
+  async setDefault(userId, paymentMethodId) {
+    return this.present(requireFound(await this.paymentMethodRepository.setDefault(userId, paymentMethodId)));
+  }
+
+  async delete(userId, paymentMethodId) {
+    return this.present(requireFound(await this.paymentMethodRepository.delete(userId, paymentMethodId)));
+  }
+
+  // Ask the processor to send micro-deposits to an unverified bank account.
+  // Sending them again starts over with new attempts.
+  async sendMicroDeposits(userId, paymentMethodId) {
+    const paymentMethod = await this.findOwned(userId, paymentMethodId);
+    assertVerifiable(paymentMethod);
+
+    if (typeof this.processor.sendMicroDeposits !== 'function') {
+      throw new PaymentError(422, 'micro_deposits_unsupported',
+        `Payment processor ${this.processor.name} cannot verify bank accounts with micro-deposits`);
+    }
+
+    const deposits = await this.processor.sendMicroDeposits({
+      accountToken: paymentMethod.providerId,
+      currency: MICRO_DEPOSIT_CURRENCY
+    });
+
+    const updated = await this.paymentMethodRepository.update(userId, paymentMethodId, (locked) => {
+      assertVerifiable(requireFound(locked));
+      return {
+        microDeposits: {
+          amounts: deposits.amounts.map(amount => toMinorUnits(amount, deposits.currency)),
+          currency: deposits.currency,
+          sentAt: this.clock.now().toISOString(),
+          arrivesAt: deposits.arrivesAt,
+          attempts: 0
+        }
+      };
+    });
+
+    return this.present(updated);
+  }
+
+  // Confirm the micro-deposit `amounts` seen on the customer's bank
+  // statement. Wrong amounts use up an attempt.
+  async verifyMicroDeposits(userId, paymentMethodId, { amounts }) {
+    let matched = false;
+
+    const updated = await this.paymentMethodRepository.update(userId, paymentMethodId, (locked) => {
+      const { microDeposits } = assertVerifiable(requireFound(locked));
+
+      if (!microDeposits) {
+        throw new PaymentError(409, 'micro_deposits_not_sent',
+          'Micro-deposits have not been sent to this bank account');
+      }
+      if (this.clock.now() < new Date(microDeposits.arrivesAt)) {
+        throw new PaymentError(409, 'micro_deposits_not_arrived',
+          'The micro-deposits have not arrived in the bank account yet',
+          { arrivesAt: microDeposits.arrivesAt });
+      }
+      if (microDeposits.attempts >= this.config.microDepositMaxAttempts) {
+        throw new PaymentError(409, 'verification_attempts_exceeded',
+          'Too many incorrect attempts, send new micro-deposits to try again');
+      }
+
+      const expected = sortedAmounts(microDeposits.amounts);
+      const received = sortedAmounts(amounts.map(amount => toMinorUnits(amount, microDeposits.currency)));
+      matched = expected.every((amount, index) => amount === received[index]);
+
+      return matched
+        ? { isVerified: true, microDeposits: { ...microDeposits, verifiedAt: this.clock.now().toISOString() } }
+        : { microDeposits: { ...microDeposits, attempts: microDeposits.attempts + 1 } };
+    });
+
+    if (!matched) {
+      const { attemptsRemaining } = this.present(updated).microDeposits;
+      throw new PaymentError(422, 'micro_deposit_mismatch',
+        'The amounts do not match the micro-deposits sent to the bank account',
+        { attemptsRemaining });
+    }
+    return this.present(updated);
+  }
+
+  // Processor `paymentMethod` and the summary recorded with the payment for a
+  // payment made with a stored method, the customer's default one when no
+  // `paymentMethodId` is given. Expired cards and unverified bank accounts
+  // are refused.
+  async resolveForPayment(customerId, paymentMethodId) {
+    const paymentMethod = paymentMethodId
+      ? await this.findOwned(customerId, paymentMethodId)
+      : await this.findDefault(customerId);
+
+    if (isExpired(paymentMethod, this.clock.now())) {
+      throw expiredError(paymentMethod.card);
+    }
+    if (!paymentMethod.isVerified) {
+      throw new PaymentError(422, 'bank_account_unverified',
+        'The bank account must be verified with micro-deposits before it can be charged');
+    }
+
+    return {
+      paymentMethod: processorPaymentMethod(paymentMethod),
+      summary: paymentMethodSummary(paymentMethod)
+    };
+  }
+
+  async findDefault(customerId) {
+    const [paymentMethod] = await this.paymentMethodRepository.listForUser(customerId);
+    if (!paymentMethod || !paymentMethod.isDefault) {
+      throw new PaymentError(422, 'payment_method_required',
+        'A payment method is required: the customer has no default payment method');
+    }
+    return paymentMethod;
+  }
+
+  // Other customers' payment methods are reported as not found
+  async findOwned(userId, paymentMethodId) {
+    const paymentMethod = await this.paymentMethodRepository.findById(paymentMethodId);
+    return requireFound(paymentMethod && paymentMethod.userId === userId ? paymentMethod : null);
+  }
+}
+
+module.exports = {
+  PaymentMethodService,
+  CARD_BRANDS,
+  BANK_ACCOUNT_TYPES,
+  cardExpiresAt,
+  isExpired,
+  paymentMethodSummary
+};
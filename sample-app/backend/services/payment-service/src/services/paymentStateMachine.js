@@ -0,0 +1,74 @@
+const { PaymentError } = require('../utils/errors');
+
+// Every state a payment can be in (payment_status_type)
+const PAYMENT_STATES = [
+  'pending',
+  'processing',
+  'authorized',
+  'captured',
+  'completed',
+  'failed',
+  'voided',
+  'refunded',
+  'disputed'
+];
+
+// Allowed transitions, keyed by current state.
+//   - new payments are `processing` while they are screened and with the
+//     processor, which leaves them `pending` (bank transfers), `authorized`,
+//     `completed` or `failed`
+//   - `completed` is a one-step sale, `authorized` -> `captured` the two-step
+//     flow; a payment is captured once
+//   - partial refunds keep a captured/completed payment in its current state
+//     (no transition)
+//   - failed and voided payments are final
+//   - a resolved dispute may also return the payment to its state before the
+//     dispute; only assertDisputeResolution() allows that move
+const TRANSITIONS = {
+  pending: ['processing', 'authorized', 'completed', 'failed'],
+  processing: ['pending', 'authorized', 'completed', 'failed'],
+  authorized: ['captured', 'voided', 'failed'],
+  captured: ['refunded', 'disputed'],
+  completed: ['refunded', 'disputed'],
+  failed: [],
+  voided: [],
+  refunded: ['disputed'],
+  disputed: ['refunded']
+};
+
+function canTransition(currentState, attemptedState) {
+  return (TRANSITIONS[currentState] || []).includes(attemptedState);
+}
+
+// Throws a 409 PaymentError describing the illegal transition
+function assertTransition(currentState, attemptedState) {
+  if (!canTransition(currentState, attemptedState)) {
+    throw new PaymentError(409, 'invalid_state_transition',
+      `Cannot move payment from '${currentState}' to '${attemptedState}'`,
+      { currentState, attemptedState });
+  }
+}
+
+// Throws a 409 PaymentError unless a resolved dispute may move the payment
+// from `currentState` to `attemptedState`: back to `originalState`, its
+// status before the dispute, or on to `refunded`
+function assertDisputeResolution(currentState, originalState, attemptedState) {
+  if (currentState !== 'disputed' || (attemptedState !== originalState && !canTransition(currentState, attemptedState))) {
+    throw new PaymentError(409, 'invalid_state_transition',
+      `Cannot move payment from '${currentState}' to '${attemptedState}'`,
+      { currentState, attemptedState });
+  }
+}
+
+function isFinalState(state) {
+  return TRANSITIONS[state].length === 0;
+}
+
+module.exports = {
+  PAYMENT_STATES,
+  TRANSITIONS,
+  canTransition,
+  assertTransition,
+  assertDisputeResolution,
+  isFinalState
+};
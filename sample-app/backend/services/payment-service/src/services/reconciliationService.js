@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const { PaymentError } = require('../utils/errors');
+const { parseCsv } = require('../utils/csv');
+const { settlementEntry } = require('./ledgerService');
+const {
+  isSupportedCurrency,
+  hasValidPrecision,
+  toMinorUnits,
+  fromMinorUnits
+} = require('../utils/money');
+
+// Transactions read per query when looking for unsettled transactions
+const BATCH_SIZE = 500;
+
+const ITEM_STATUSES = [
+  'matched',
+  'amount_mismatch',
+  'missing_in_records',
+  'missing_in_settlement',
+  'duplicate',
+  'invalid'
+];
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+
+// A settlement file row as `{ providerTransactionId, currency, amountMinor,
+// feeMinor }`, or `{ error }` when it cannot be reconciled
+function parseSettlementRow(row) {
+  const providerTransactionId = row.provider_transaction_id;
+  const currency = (row.currency || '').toUpperCase();
+  const fee = row.fee || '0';
+
+  if (!providerTransactionId) {
+    return { error: 'provider_transaction_id is missing' };
+  }
+  if (!isSupportedCurrency(currency)) {
+    return { providerTransactionId, error: `Unsupported currency "${row.currency || ''}"` };
+  }
+  if (!DECIMAL_PATTERN.test(row.amount || '') || !hasValidPrecision(row.amount, currency)) {
+    return { providerTransactionId, error: `Invalid amount "${row.amount || ''}" for ${currency}` };
+  }
+  if (!DECIMAL_PATTERN.test(fee) || !hasValidPrecision(fee, currency)) {
+    return { providerTransactionId, error: `Invalid fee "${fee}" for ${currency}` };
+  }
+
+  return {
+    providerTransactionId,
+    currency,
+    amountMinor: toMinorUnits(row.amount, currency),
+    feeMinor: toMinorUnits(fee, currency)
+  };
+}
+
+// Amount the processor is expected to settle for a transaction: the captured
+// amount of a payment, the full amount of a refund
+function expectedMinorUnits(transaction) {
+  const amount = transaction.type === 'payment' ? transaction.capturedAmount : transaction.amount;
+  return toMinorUnits(amount, transaction.currency);
+}
+
+// Counts per item status and, for matched items, settled totals per currency
+function summarize(items) {
+  const counts = Object.fromEntries(ITEM_STATUSES.map(status => [status, 0]));
+  const totals = {};
+
+  items.forEach((item) => {
+    counts[item.status] += 1;
+
+    if (item.status === 'matched') {
+      const total = totals[item.currency] || { settledAmount: 0, feeAmount: 0, netAmount: 0 };
+      total.settledAmount += toMinorUnits(item.settledAmount, item.currency);
+      total.feeAmount += toMinorUnits(item.feeAmount, item.currency);
+      total.netAmount += toMinorUnits(item.netAmount, item.currency);
+      totals[item.currency] = total;
+    }
+  });
+
+  Object.entries(totals).forEach(([currency, total]) => {
+    totals[currency] = Object.fromEntries(Object.entries(total)
+      .map(([key, minorUnits]) => [key, fromMinorUnits(minorUnits, currency)]));
+  });
+
+  return { items: items.length, ...counts, totals };
+}
+
+// Reconciles processor settlement files against the `transactions` table.
+//
+// A settlement file is a CSV with a header row and the columns
+// `provider_transaction_id`, `amount` and `currency`, plus an optional `fee`
+// (all amounts in major units, e.g. 10.50). Each row is matched to the
+// transaction with the same processor reference (a payment's
+// provider_transaction_id, a refund's provider_refund_id) and reported as:
+//   matched                amount and currency agree; the fee and the net
+//                          amount (amount - fee) are recorded on the transaction
+//                          and the settlement is posted to the ledger
+//   amount_mismatch        the settled amount or currency differs
+//   missing_in_records     no transaction has this processor reference
+//   duplicate              reported more than once, or several transactions
+//                          share the reference
+//   invalid                the row cannot be parsed
+//   missing_in_settlement  a completed transaction of the settlement date
+//                          that the file does not report
+class ReconciliationService {
+  constructor({ reconciliationRepository, transactionRepository }) {
+    this.reconciliationRepository = reconciliationRepository;
+    this.transactionRepository = transactionRepository;
+  }
+
+  // Reconcile `content` (the settlement file) for `settlementDate`
+  // (YYYY-MM-DD, UTC). Unless `dryRun` is set the report is stored, matched
+  // fees recorded and settlements posted; a file can only be reconciled once.
+  async reconcile({ content, settlementDate, processor, fileName = null, dryRun = false }) {
+    let rows;
+    try {
+      rows = parseCsv(content);
+    } catch (error) {
+      throw new PaymentError(400, 'invalid_settlement_file', error.message);
+    }
+
+    const missingColumns = ['provider_transaction_id', 'amount', 'currency']
+      .filter(column => rows.length > 0 && !(column in rows[0]));
+    if (rows.length === 0 || missingColumns.length > 0) {
+      throw new PaymentError(400, 'invalid_settlement_file',
+        rows.length === 0
+          ? 'Settlement file has no rows'
+          : `Settlement file is missing columns: ${missingColumns.join(', ')}`);
+    }
+
+    const settlementRows = rows.map(row => ({ line: row.line, ...parseSettlementRow(row) }));
+    const references = [...new Set(settlementRows
+      .filter(row => !row.error)
+      .map(row => row.providerTransactionId))];
+
+    const transactionsByReference = new Map();
+    (await this.transactionRepository.findByProviderTransactionIds(references))
+      .forEach(transaction => transactionsByReference.set(transaction.providerTransactionId, [
+        ...(transactionsByReference.get(transaction.providerTransactionId) || []),
+        transaction
+      ]));
+
+    const items = [];
+    const reported = new Set();
+
+    settlementRows.forEach((row) => {
+      items.push(this.reconcileRow(row, transactionsByReference, reported));
+      if (row.providerTransactionId) {
+        reported.add(row.providerTransactionId);
+      }
+    });
+
+    items.push(...await this.findUnsettled(settlementDate, reported));
+
+    const report = {
+      processor,
+      settlementDate,
+      fileName,
+      fileSha256: crypto.createHash('sha256').update(content).digest('hex'),
+      status: items.every(item => item.status === 'matched') ? 'balanced' : 'discrepancies',
+      summary: summarize(items)
+    };
+
+    if (dryRun) {
+      return { id: null, ...report, dryRun: true, items };
+    }
+
+    const transactionsById = new Map([...transactionsByReference.values()]
+      .flat()
+      .map(transaction => [transaction.id, transaction]));
+    const journalEntries = items
+      .filter(item => item.status === 'matched')
+      .map(item => settlementEntry(transactionsById.get(item.transactionId), item));
+
+    const reconciliation = await this.reconciliationRepository.create(report, items, journalEntries);
+    if (!reconciliation) {
+      throw new PaymentError(409, 'settlement_file_already_reconciled',
+        'This settlement file has already been reconciled',
+        { fileSha256: report.fileSha256 });
+    }
+
+    return reconciliation;
+  }
+
+  reconcileRow(row, transactionsByReference, reported) {
+    const item = {
+      status: null,
+      providerTransactionId: row.providerTransactionId || null,
+      transactionId: null,
+      line: row.line,
+      currency: row.currency || null,
+      expectedAmount: null,
+      settledAmount: row.error ? null : fromMinorUnits(row.amountMinor, row.currency),
+      feeAmount: row.error ? null : fromMinorUnits(row.feeMinor, row.currency),
+      netAmount: null,
+      reason: null
+    };
+
+    if (row.error) {
+      return { ...item, status: 'invalid', reason: row.error };
+    }
+
+    const matches = transactionsByReference.get(row.providerTransactionId) || [];
+    const transaction = matches[0];
+
+    if (reported.has(row.providerTransactionId)) {
+      return {
+        ...item,
+        status: 'duplicate',
+        transactionId: transaction?.id || null,
+        reason: 'Reported more than once in the settlement file'
+      };
+    }
+    if (!transaction) {
+      return {
+        ...item,
+        status: 'missing_in_records',
+        reason: 'No transaction with this processor reference'
+      };
+    }
+    if (matches.length > 1) {
+      return {
+        ...item,
+        status: 'duplicate',
+        reason: `Processor reference shared by transactions ${matches.map(match => match.id).join(', ')}`
+      };
+    }
+
+    const expectedMinor = expectedMinorUnits(transaction);
+    const matched = {
+      ...item,
+      transactionId: transaction.id,
+      expectedAmount: fromMinorUnits(expectedMinor, transaction.currency)
+    };
+
+    if (transaction.currency !== row.currency) {
+      return {
+        ...matched,
+        status: 'amount_mismatch',
+        reason: `Settled in ${row.currency}, recorded in ${transaction.currency}`
+      };
+    }
+    if (expectedMinor !== row.amountMinor) {
+      return {
+        ...matched,
+        status: 'amount_mismatch',
+        reason: `Settled ${fromMinorUnits(row.amountMinor, row.currency)}, expected ${matched.expectedAmount} ${row.currency}`
+      };
+    }
+
+    return {
+      ...matched,
+      status: 'matched',
+      netAmount: fromMinorUnits(row.amountMinor - row.feeMinor, row.currency)
+    };
+  }
+
+  // Completed payment and refund transactions of the settlement date that are
+  // not in the settlement file
+  async findUnsettled(settlementDate, reported) {
+    const from = new Date(`${settlementDate}T00:00:00.000Z`);
+    const to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+    const unsettled = [];
+    let cursor;
+
+    do {
+      const page = await this.transactionRepository.list(
+        { from, to, status: 'completed' },
+        { limit: BATCH_SIZE, cursor }
+      );
+
+      page.data
+        .filter(transaction => ['payment', 'refund'].includes(transaction.type)
+          && !reported.has(transaction.providerTransactionId))
+        .forEach((transaction) => {
+          unsettled.push({
+            status: 'missing_in_settlement',
+            providerTransactionId: transaction.providerTransactionId,
+            transactionId: transaction.id,
+            line: null,
+            currency: transaction.currency,
+            expectedAmount: fromMinorUnits(expectedMinorUnits(transaction), transaction.currency),
+            settledAmount: null,
+            feeAmount: null,
+            netAmount: null,
+            reason: `Completed ${transaction.type} not reported by the processor`
+          });
+        });
+
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return unsettled;
+  }
+
+  async get(reconciliationId) {
+    const reconciliation = await this.reconciliationRepository.findById(reconciliationId);
+    if (!reconciliation) {
+      throw new PaymentError(404, 'reconciliation_not_found', 'Reconciliation not found');
+    }
+    return reconciliation;
+  }
+
+  async list(pagination) {
+    return this.reconciliationRepository.list(pagination);
+  }
+}
+
+module.exports = { ReconciliationService, ITEM_STATUSES };
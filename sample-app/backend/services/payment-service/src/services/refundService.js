@@ -0,0 +1,136 @@
+const { v4: uuidv4 } = require('uuid');
+const { PaymentError } = require('../utils/errors');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { assertTransition } = require('./paymentStateMachine');
+const { refundEntry } = require('./ledgerService');
+const {
+  assertAmountPrecision,
+  callProcessor,
+  declined,
+  withReservedPayment
+} = require('./paymentLifecycleService');
+
+// Validate a refund request against the original payment and work out the
+// resulting payment state. Throws a PaymentError when the refund is not allowed.
+function planRefund(payment, { amount, currency, reason }, processorResult = {}) {
+  if (!payment) {
+    throw new PaymentError(404, 'payment_not_found', 'Payment not found');
+  }
+
+  // The outcome of an open dispute decides what is returned to the customer
+  if (payment.status === 'disputed') {
+    throw new PaymentError(409, 'payment_disputed',
+      'The payment cannot be refunded while it is disputed');
+  }
+
+  // Only payments that could end up fully refunded accept (partial) refunds
+  assertTransition(payment.status, 'refunded');
+
+  if (currency && currency !== payment.currency) {
+    throw new PaymentError(400, 'currency_mismatch',
+      `Refund currency must match the payment currency (${payment.currency})`,
+      { paymentCurrency: payment.currency, requestedCurrency: currency });
+  }
+
+  if (amount !== undefined) {
+    assertAmountPrecision(amount, payment.currency);
+  }
+
+  const toMinor = (value) => toMinorUnits(value, payment.currency);
+  const fromMinor = (minorUnits) => fromMinorUnits(minorUnits, payment.currency);
+  const capturedMinor = toMinor(payment.capturedAmount);
+  const refundedMinor = toMinor(payment.refundedAmount || 0);
+  // Whatever a lost dispute already returned to the customer
+  const disputedMinor = toMinor(payment.disputedAmount || 0);
+  const refundableMinor = Math.max(0, capturedMinor - refundedMinor - disputedMinor);
+  const requestedMinor = amount === undefined ? refundableMinor : toMinor(amount);
+
+  if (requestedMinor > refundableMinor) {
+    throw new PaymentError(422, 'refund_exceeds_refundable_amount',
+      'Refund amount exceeds the remaining refundable balance',
+      {
+        requestedAmount: fromMinor(requestedMinor),
+        capturedAmount: fromMinor(capturedMinor),
+        refundedAmount: fromMinor(refundedMinor),
+        disputedAmount: fromMinor(disputedMinor),
+        refundableAmount: fromMinor(refundableMinor),
+        currency: payment.currency
+      });
+  }
+
+  const newRefundedMinor = refundedMinor + requestedMinor;
+  const refund = {
+    id: uuidv4(),
+    transactionId: uuidv4(),
+    amount: fromMinor(requestedMinor),
+    currency: payment.currency,
+    status: processorResult.status || 'completed',
+    providerRefundId: processorResult.providerRefundId || null,
+    reason
+  };
+
+  return {
+    refund,
+    refundedAmount: fromMinor(newRefundedMinor),
+    paymentStatus: newRefundedMinor + disputedMinor === capturedMinor ? 'refunded' : payment.status,
+    journalEntry: refundEntry(payment, refund)
+  };
+}
+
+// Issues refunds through the processor adapter and records them locally.
+// The refund is validated with the payment reserved (see withReservedPayment)
+// before calling the processor, then validated again under a row lock when it
+// is recorded.
+class RefundService {
+  constructor({ paymentRepository, refundRepository, processor }) {
+    this.paymentRepository = paymentRepository;
+    this.refundRepository = refundRepository;
+    this.processor = processor;
+  }
+
+  async refund(paymentId, request) {
+    const plan = locked => planRefund(locked, request);
+
+    const { refund, payment: updated } = await withReservedPayment(this.paymentRepository, paymentId, plan,
+      async (payment) => {
+        const planned = plan(payment);
+        // Pin the amount so that what gets recorded is what the processor refunded
+        const pinnedRequest = { ...request, amount: planned.refund.amount };
+
+        const result = await callProcessor(this.processor, 'refund', () =>
+          this.processor.refund({
+            providerTransactionId: payment.providerTransactionId,
+            amount: planned.refund.amount,
+            currency: payment.currency,
+            reason: request.reason
+          })
+        );
+
+        if (result.status === 'failed') {
+          throw declined('refund', result);
+        }
+
+        return this.refundRepository.createForPayment(
+          paymentId,
+          (locked) => planRefund(locked, pinnedRequest, result)
+        );
+      });
+
+    return {
+      refund,
+      payment: updated,
+      remainingAmount: fromMinorUnits(
+        toMinorUnits(updated.capturedAmount, updated.currency) -
+          toMinorUnits(updated.refundedAmount, updated.currency) -
+          toMinorUnits(updated.disputedAmount || 0, updated.currency),
+        updated.currency
+      )
+    };
+  }
+
+  async listRefunds(paymentId) {
+    return this.refundRepository.listByPayment(paymentId);
+  }
+}
+
+module.exports = { RefundService, planRefund };
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { FxRates } = require('./fxRates');
+
+// Default screening configuration. Every rule adds its `score` when it fires;
+// the total (capped at 100) is compared against the review/block thresholds.
+// Amount limits are in major units of `currency`; payments in other
+// currencies are converted before they are compared.
+const DEFAULT_RISK_CONFIG = {
+  reviewThreshold: 40,
+  blockThreshold: 80,
+  currency: 'USD',
+  rules: {
+    cardVelocity: { enabled: true, score: 40, windowMs: 10 * 60 * 1000, maxPayments: 3 },
+    ipVelocity: { enabled: true, score: 30, windowMs: 10 * 60 * 1000, maxPayments: 5 },
+    amountThreshold: { enabled: true, score: 30, limit: 5000 },
+    firstTimeHighValue: { enabled: true, score: 35, limit: 1000 },
+    countryMismatch: { enabled: true, score: 25, fields: ['billingCountry', 'shippingCountry', 'ipCountry'] }
+  }
+};
+
+// Load the risk configuration, overriding the defaults rule by rule with the
+// JSON file at `rulesFile` (if any)
+function loadRiskConfig(rulesFile) {
+  if (!rulesFile) {
+    return DEFAULT_RISK_CONFIG;
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  const rules = { ...DEFAULT_RISK_CONFIG.rules };
+
+  Object.entries(overrides.rules || {}).forEach(([name, override]) => {
+    if (override.limits) {
+      throw new Error(`Invalid risk rules ${rulesFile}: ${name} takes a single \`limit\` in the ` +
+        'configured currency instead of per-currency `limits`');
+    }
+    rules[name] = { ...rules[name], ...override };
+  });
+
+  return { ...DEFAULT_RISK_CONFIG, ...overrides, rules };
+}
+
+// Stable, non-reversible identifier for the card or bank account used
+function paymentMethodFingerprint(paymentMethod) {
+  const token = paymentMethod.card?.token || paymentMethod.ach?.accountToken || paymentMethod.wire?.accountToken;
+  return token ? crypto.createHash('sha256').update(token).digest('hex') : null;
+}
+
+// Rule implementations. Each returns a reason message when it fires, or null.
+// `amount` is the payment amount in the configured `currency`.
+const RULES = {
+  async cardVelocity(rule, { signals }, riskRepository) {
+    if (!signals.cardFingerprint) {
+      return null;
+    }
+
+    const count = await riskRepository.countRecentPayments('cardFingerprint',
+      signals.cardFingerprint, new Date(Date.now() - rule.windowMs));
+
+    return count >= rule.maxPayments
+      ? `${count} payments with this payment method in the last ${rule.windowMs / 60000} minutes`
+      : null;
+  },
+
+  async ipVelocity(rule, { signals }, riskRepository) {
+    if (!signals.ipAddress) {
+      return null;
+    }
+
+    const count = await riskRepository.countRecentPayments('ipAddress',
+      signals.ipAddress, new Date(Date.now() - rule.windowMs));
+
+    return count >= rule.maxPayments
+      ? `${count} payments from this IP address in the last ${rule.windowMs / 60000} minutes`
+      : null;
+  },
+
+  async amountThreshold(rule, { amount, currency }) {
+    return amount > rule.limit
+      ? `Amount exceeds the ${currency} ${rule.limit} review threshold`
+      : null;
+  },
+
+  // `request.customerId` is the payer checked by payingCustomerId(), never a
+  // customer the caller merely named
+  async firstTimeHighValue(rule, { request, amount, currency }, riskRepository) {
+    if (amount <= rule.limit) {
+      return null;
+    }
+
+    return await riskRepository.hasSuccessfulPayment(request.customerId)
+      ? null
+      : `First payment from this customer exceeds ${currency} ${rule.limit}`;
+  },
+
+  async countryMismatch(rule, { request }) {
+    const metadata = request.metadata || {};
+    const countries = rule.fields
+      .map(field => metadata[field])
+      .filter(country => typeof country === 'string' && country.trim())
+      .map(country => country.trim().toUpperCase());
+
+    return new Set(countries).size > 1
+      ? `Country mismatch in payment metadata (${rule.fields.filter(field => metadata[field]).join(', ')})`
+      : null;
+  }
+};
+
+// Rule-based fraud screening run before a payment reaches the processor.
+// Produces `{ score, decision, reasons, signals, evaluatedAt }`, where
+// decision is `allow`, `review` (authorize only, hold for manual capture)
+// or `block` (the processor is never called).
+class RiskEngine {
+  constructor({ riskRepository, fxRates = new FxRates(), config = DEFAULT_RISK_CONFIG }) {
+    this.riskRepository = riskRepository;
+    this.fxRates = fxRates;
+    this.config = config;
+  }
+
+  // Major units of the configured currency for the amount of `request`.
+  // Throws a 422 PaymentError when there is no exchange rate for it.
+  toRiskCurrency({ amount, currency }) {
+    const { amountMinor } = this.fxRates.convert(toMinorUnits(amount, currency), currency, this.config.currency);
+    return fromMinorUnits(amountMinor, this.config.currency);
+  }
+
+  async assess(request, { ipAddress } = {}) {
+    const signals = {
+      cardFingerprint: paymentMethodFingerprint(request.paymentMethod),
+      ipAddress: ipAddress || null
+    };
+    const context = {
+      request,
+      signals,
+      amount: this.toRiskCurrency(request),
+      currency: this.config.currency
+    };
+    const reasons = [];
+
+    for (const [name, rule] of Object.entries(this.config.rules)) {
+      if (!rule.enabled || !RULES[name]) {
+        continue;
+      }
+
+      const message = await RULES[name](rule, context, this.riskRepository);
+      if (message) {
+        reasons.push({ rule: name, score: rule.score, message });
+      }
+    }
+
+    const score = Math.min(100, reasons.reduce((total, reason) => total + reason.score, 0));
+
+    return {
+      score,
+      decision: this.decide(score),
+      reasons,
+      signals,
+      evaluatedAt: new Date().toISOString()
+    };
+  }
+
+  decide(score) {
+    if (score >= this.config.blockThreshold) {
+      return 'block';
+    }
+    return score >= this.config.reviewThreshold ? 'review' : 'allow';
+  }
+}
+
+module.exports = {
+  RiskEngine,
+  DEFAULT_RISK_CONFIG,
+  loadRiskConfig,
+  paymentMethodFingerprint
+};
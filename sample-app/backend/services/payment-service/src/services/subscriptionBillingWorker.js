@@ -0,0 +1,47 @@
+const { logger } = require('../utils/logger');
+
+// Periodically renews due subscriptions and retries failed invoices
+class SubscriptionBillingWorker {
+  constructor({ subscriptionService, intervalMs, batchSize }) {
+    this.subscriptionService = subscriptionService;
+    this.intervalMs = intervalMs;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // Skip the tick if the previous run is still billing
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const { renewed, charged } = await this.subscriptionService.runBilling({ limit: this.batchSize });
+      if (renewed || charged) {
+        logger.info('Subscriptions billed', { renewed, charged });
+      }
+    } catch (error) {
+      logger.error('Subscription billing run failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = { SubscriptionBillingWorker };
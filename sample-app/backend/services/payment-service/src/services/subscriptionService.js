@@ -0,0 +1,710 @@
+const { PaymentError } = require('../utils/errors');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { systemClock, addInterval, DAY_MS } = require('../utils/clock');
+const { logger } = require('../utils/logger');
+
+const PLAN_INTERVALS = ['day', 'week', 'month', 'year'];
+const SUBSCRIPTION_STATUSES = ['trialing', 'active', 'past_due', 'paused', 'canceled'];
+
+// Statuses in which a subscription renews at the end of its period
+const BILLABLE_STATUSES = ['trialing', 'active'];
+
+// How long an invoice being charged is hidden from other billing runs. A
+// charge that has not recorded its outcome by then (e.g. the instance died)
+// is attempted again.
+const CHARGE_LEASE_MS = 10 * 60 * 1000;
+
+// How soon an invoice is charged again when the payment could not be
+// attempted (processor or payment pipeline unavailable)
+const UNAVAILABLE_RETRY_MS = 15 * 60 * 1000;
+
+// How often a `processing` invoice checks on a payment that has not settled
+// by its settlement date, or has none
+const SETTLEMENT_CHECK_MS = 60 * 60 * 1000;
+
+function requirePlan(plan) {
+  if (!plan) {
+    throw new PaymentError(404, 'plan_not_found', 'Subscription plan not found');
+  }
+  return plan;
+}
+
+// Subscriptions are visible to their customer and to the plan's merchant;
+// anyone else is told they do not exist
+function requireAccessible(subscription, accountId) {
+  if (!subscription || (subscription.customerId !== accountId && subscription.merchantId !== accountId)) {
+    throw new PaymentError(404, 'subscription_not_found', 'Subscription not found');
+  }
+  return subscription;
+}
+
+function assertNotCanceled(subscription) {
+  if (subscription.status === 'canceled') {
+    throw new PaymentError(409, 'subscription_canceled', 'The subscription has been canceled');
+  }
+}
+
+function assertBillable(subscription, action) {
+  if (!BILLABLE_STATUSES.includes(subscription.status)) {
+    throw new PaymentError(409, 'subscription_not_active',
+      `Only active or trialing subscriptions can be ${action}`,
+      { status: subscription.status });
+  }
+}
+
+// Outcome of a payment accepted by the payment pipeline (see planInvoiceOutcome)
+function paymentOutcome(payment) {
+  if (payment.status === 'failed') {
+    return {
+      result: 'declined',
+      paymentId: payment.id,
+      failureCode: payment.failureCode,
+      failureMessage: payment.failureMessage
+    };
+  }
+  if (payment.status === 'pending') {
+    return { result: 'pending', paymentId: payment.id, settlesAt: payment.settlesAt };
+  }
+  return { result: 'paid', paymentId: payment.id };
+}
+
+function planLine(plan, periodStart, periodEnd) {
+  return {
+    description: `${plan.name} (${new Date(periodStart).toISOString().slice(0, 10)} to ${new Date(periodEnd).toISOString().slice(0, 10)})`,
+    amount: plan.amount
+  };
+}
+
+// Changes resuming a paused subscription at `at`: the time left in the
+// current period (and trial) when it was paused is kept
+function resumeChanges(subscription, at) {
+  const pausedMs = at.getTime() - new Date(subscription.pausedAt).getTime();
+  const shift = date => new Date(new Date(date).getTime() + pausedMs).toISOString();
+
+  const currentPeriodEnd = shift(subscription.currentPeriodEnd);
+  const trialEnd = subscription.trialEnd && new Date(subscription.trialEnd) >= new Date(subscription.pausedAt)
+    ? shift(subscription.trialEnd)
+    : subscription.trialEnd;
+
+  return {
+    status: trialEnd === currentPeriodEnd ? 'trialing' : 'active',
+    currentPeriodEnd,
+    trialEnd,
+    pausedAt: null,
+    resumesAt: null
+  };
+}
+
+// Scheduled work on a subscription that has come due: resume it, cancel it
+// at the end of its period, or start its next period with an invoice for it.
+// The subscription's credit balance is applied to the invoice first; an
+// invoice left with nothing to charge is paid right away.
+function planRenewal(subscription, openInvoice, { plan, now, leaseUntil }) {
+  if (subscription.status === 'paused') {
+    return subscription.resumesAt && new Date(subscription.resumesAt) <= now
+      ? { subscription: resumeChanges(subscription, new Date(subscription.resumesAt)) }
+      : null;
+  }
+  // A plan change still being charged holds the renewal until the next run
+  if (!BILLABLE_STATUSES.includes(subscription.status) || new Date(subscription.currentPeriodEnd) > now || openInvoice) {
+    return null;
+  }
+
+  if (subscription.cancelAtPeriodEnd) {
+    return {
+      subscription: {
+        status: 'canceled',
+        canceledAt: subscription.currentPeriodEnd,
+        cancellationReason: 'requested'
+      }
+    };
+  }
+
+  const { currency } = subscription;
+  const periodStart = subscription.currentPeriodEnd;
+  const periodEnd = addInterval(periodStart, plan.interval, plan.intervalCount).toISOString();
+  const amountMinor = toMinorUnits(plan.amount, currency);
+  const creditMinor = toMinorUnits(subscription.creditBalance, currency);
+  const appliedMinor = Math.min(creditMinor, amountMinor);
+
+  const lines = [planLine(plan, periodStart, periodEnd)];
+  if (appliedMinor) {
+    lines.push({ description: 'Credit applied', amount: -fromMinorUnits(appliedMinor, currency) });
+  }
+  const dueMinor = amountMinor - appliedMinor;
+
+  return {
+    subscription: {
+      status: 'active',
+      currentPeriodStart: periodStart,
+      currentPeriodEnd: periodEnd,
+      creditBalance: fromMinorUnits(creditMinor - appliedMinor, currency)
+    },
+    invoice: {
+      customerId: subscription.customerId,
+      planId: plan.id,
+      amount: fromMinorUnits(dueMinor, currency),
+      currency,
+      status: dueMinor ? 'open' : 'paid',
+      billingReason: 'subscription_cycle',
+      periodStart,
+      periodEnd,
+      lines,
+      nextAttemptAt: dueMinor ? leaseUntil : null,
+      paidAt: dueMinor ? null : now.toISOString()
+    }
+  };
+}
+
+// Switch a subscription to plan `next` (from `current`). Trialing
+// subscriptions, and active ones when not prorating, switch right away.
+// Otherwise the unused time on the current plan is credited against the time
+// left on the new one: a net charge is invoiced (the switch happens once it
+// is paid), a net credit is added to the credit balance.
+function planPlanChange(subscription, openInvoice, { current, next, prorate, now, leaseUntil }) {
+  assertBillable(subscription, 'changed to another plan');
+  if (openInvoice) {
+    throw new PaymentError(409, 'invoice_open', 'The subscription has an invoice being charged, retry later',
+      { invoiceId: openInvoice.id });
+  }
+  if (subscription.planId !== current.id) {
+    throw new PaymentError(409, 'subscription_changed', 'The subscription was changed meanwhile, retry');
+  }
+  if (next.id === current.id) {
+    throw new PaymentError(422, 'plan_unchanged', 'The subscription is already on this plan');
+  }
+  if (!next.isActive) {
+    throw new PaymentError(409, 'plan_archived', 'The plan is no longer offered');
+  }
+  if (next.merchantId !== current.merchantId || next.currency !== current.currency ||
+    next.interval !== current.interval || next.intervalCount !== current.intervalCount) {
+    throw new PaymentError(422, 'plan_change_unsupported',
+      'Subscriptions can only change to a plan of the same merchant, currency and billing interval');
+  }
+
+  if (!prorate || subscription.status === 'trialing') {
+    return { subscription: { planId: next.id } };
+  }
+
+  const { currency } = subscription;
+  const periodMs = new Date(subscription.currentPeriodEnd) - new Date(subscription.currentPeriodStart);
+  const remainingMs = Math.max(0, new Date(subscription.currentPeriodEnd) - now);
+  const unusedMinor = Math.round(toMinorUnits(current.amount, currency) * remainingMs / periodMs);
+  const remainingMinor = Math.round(toMinorUnits(next.amount, currency) * remainingMs / periodMs);
+  const netMinor = remainingMinor - unusedMinor;
+
+  if (netMinor <= 0) {
+    return {
+      subscription: {
+        planId: next.id,
+        creditBalance: fromMinorUnits(toMinorUnits(subscription.creditBalance, currency) - netMinor, currency)
+      }
+    };
+  }
+
+  return {
+    invoice: {
+      customerId: subscription.customerId,
+      planId: next.id,
+      amount: fromMinorUnits(netMinor, currency),
+      currency,
+      status: 'open',
+      billingReason: 'subscription_update',
+      periodStart: now.toISOString(),
+      periodEnd: subscription.currentPeriodEnd,
+      lines: [
+        { description: `Unused time on ${current.name}`, amount: -fromMinorUnits(unusedMinor, currency) },
+        { description: `Remaining time on ${next.name}`, amount: fromMinorUnits(remainingMinor, currency) }
+      ],
+      nextAttemptAt: leaseUntil
+    }
+  };
+}
+
+// Record the outcome of a payment attempt for invoice `invoiceId`:
+// - paid: the subscription is back in good standing (or switched to the new
+//   plan, for a plan change);
+// - pending: the payment was accepted but has not settled yet (bank
+//   transfers). The invoice is `processing` until it settles, then recorded
+//   as paid or declined;
+// - declined: a failed attempt. The invoice is retried after each of
+//   `retryDays` in turn while the subscription is past due, then marked
+//   uncollectible and the subscription canceled. Failed plan changes, and
+//   invoices of subscriptions canceled meanwhile, are voided instead;
+// - unavailable: the payment could not be attempted (e.g. processor outage).
+//   The invoice is charged again shortly without using up an attempt; plan
+//   changes are voided so that they can be requested again.
+// Invoices voided or paid meanwhile are left alone (returns null).
+function planInvoiceOutcome(subscription, openInvoice, { invoiceId, outcome, now, retryDays }) {
+  if (!openInvoice || openInvoice.id !== invoiceId) {
+    return null;
+  }
+
+  const isPlanChange = openInvoice.billingReason === 'subscription_update';
+  const failure = {
+    failureCode: outcome.failureCode || null,
+    failureMessage: outcome.failureMessage || null
+  };
+
+  if (outcome.result === 'unavailable') {
+    return {
+      subscription: {},
+      invoice: isPlanChange
+        ? { ...openInvoice, ...failure, status: 'void', nextAttemptAt: null }
+        : { ...openInvoice, ...failure, nextAttemptAt: new Date(now.getTime() + UNAVAILABLE_RETRY_MS).toISOString() }
+    };
+  }
+
+  if (outcome.result === 'pending') {
+    const checkAt = Math.max(new Date(outcome.settlesAt || 0).getTime(), now.getTime() + SETTLEMENT_CHECK_MS);
+    return {
+      subscription: {},
+      invoice: {
+        ...openInvoice,
+        failureCode: null,
+        failureMessage: null,
+        status: 'processing',
+        paymentId: outcome.paymentId,
+        nextAttemptAt: new Date(checkAt).toISOString()
+      }
+    };
+  }
+
+  const attempt = {
+    ...openInvoice,
+    ...failure,
+    attempts: openInvoice.attempts + 1,
+    paymentId: outcome.paymentId || openInvoice.paymentId
+  };
+
+  if (outcome.result === 'paid') {
+    let changes = {};
+    if (isPlanChange) {
+      changes = { planId: openInvoice.planId };
+    } else if (subscription.status === 'past_due') {
+      changes = { status: 'active' };
+    }
+
+    return {
+      subscription: changes,
+      invoice: { ...attempt, status: 'paid', nextAttemptAt: null, paidAt: now.toISOString() }
+    };
+  }
+
+  if (isPlanChange || subscription.status === 'canceled') {
+    return { subscription: {}, invoice: { ...attempt, status: 'void', nextAttemptAt: null } };
+  }
+
+  if (attempt.attempts <= retryDays.length) {
+    return {
+      subscription: BILLABLE_STATUSES.includes(subscription.status) ? { status: 'past_due' } : {},
+      invoice: {
+        ...attempt,
+        status: 'open',
+        nextAttemptAt: new Date(now.getTime() + retryDays[attempt.attempts - 1] * DAY_MS).toISOString()
+      }
+    };
+  }
+
+  return {
+    subscription: {
+      status: 'canceled',
+      canceledAt: now.toISOString(),
+      cancellationReason: 'payment_failed',
+      cancelAtPeriodEnd: false,
+      pausedAt: null,
+      resumesAt: null
+    },
+    invoice: { ...attempt, status: 'uncollectible', nextAttemptAt: null }
+  };
+}
+
+// Cancel now, voiding any open invoice, or at the end of the paid period. A
+// payment still settling is left to settle (see planInvoiceOutcome).
+function planCancel(subscription, openInvoice, { atPeriodEnd, now }) {
+  assertNotCanceled(subscription);
+
+  if (atPeriodEnd) {
+    assertBillable(subscription, 'canceled at period end');
+    return { subscription: { cancelAtPeriodEnd: true } };
+  }
+
+  return {
+    subscription: {
+      status: 'canceled',
+      canceledAt: now.toISOString(),
+      cancellationReason: 'requested',
+      cancelAtPeriodEnd: false,
+      pausedAt: null,
+      resumesAt: null
+    },
+    invoice: openInvoice && openInvoice.status === 'open'
+      ? { ...openInvoice, status: 'void', nextAttemptAt: null }
+      : null
+  };
+}
+
+// Types of the outbox events of a billing change (see
+// SubscriptionRepository.transition()): the invoice was paid, or its payment
+// was declined (`outcome` of the attempt, see planInvoiceOutcome), and the
+// subscription was canceled
+function billingEvents(outcome = null) {
+  return (previous, { subscription, invoice }) => {
+    const events = [];
+    if (invoice && invoice.status === 'paid') {
+      events.push('invoice.paid');
+    } else if (invoice && outcome && outcome.result === 'declined') {
+      events.push('invoice.payment_failed');
+    }
+    if (subscription.status === 'canceled' && previous.status !== 'canceled') {
+      events.push('subscription.canceled');
+    }
+    return events;
+  };
+}
+
+// Recurring billing. Merchants offer plans (amount, currency, interval and
+// trial period); customers subscribe with a stored payment method (their
+// default one unless given). Invoices are charged through the regular
+// payment pipeline (`paymentLifecycleService.process`), so risk, KYC and AML
+// screening apply to them as to any payment. Only declines count towards
+// dunning; pending bank transfers keep their invoice `processing` until they
+// settle, and payments held for review count as paid.
+// runBilling() is called periodically (see SubscriptionBillingWorker) to
+// renew subscriptions at the end of their period, retry failed invoices on
+// the dunning schedule (`config.dunningRetryDays`) and check on settling
+// payments, all on `clock`.
+class SubscriptionService {
+  constructor({
+    subscriptionRepository,
+    paymentLifecycleService,
+    paymentMethodService,
+    paymentRepository,
+    clock = systemClock,
+    config
+  }) {
+    this.subscriptionRepository = subscriptionRepository;
+    this.paymentLifecycleService = paymentLifecycleService;
+    this.paymentMethodService = paymentMethodService;
+    this.paymentRepository = paymentRepository;
+    this.clock = clock;
+    this.config = config;
+  }
+
+  async createPlan(merchantId, plan) {
+    return this.subscriptionRepository.createPlan({ ...plan, merchantId });
+  }
+
+  async listPlans(merchantId) {
+    return this.subscriptionRepository.listPlans(merchantId);
+  }
+
+  async getPlan(planId) {
+    return requirePlan(await this.subscriptionRepository.findPlan(planId));
+  }
+
+  // Archived plans take no new subscriptions; existing ones keep renewing
+  async archivePlan(merchantId, planId) {
+    return requirePlan(await this.subscriptionRepository.archivePlan(merchantId, planId));
+  }
+
+  // Subscribe a customer to a plan. Without a trial the first period is
+  // invoiced and charged right away; a failed charge starts dunning like any
+  // renewal. Resolves to the subscription with its `latestInvoice`.
+  async subscribe(customerId, { planId, paymentMethodId }) {
+    const plan = await this.getPlan(planId);
+    if (!plan.isActive) {
+      throw new PaymentError(409, 'plan_archived', 'The plan is no longer offered');
+    }
+
+    // Refuses missing, expired or unverified payment methods up front
+    await this.paymentMethodService.resolveForPayment(customerId, paymentMethodId);
+
+    const now = this.clock.now();
+    const trialEnd = plan.trialDays ? new Date(now.getTime() + plan.trialDays * DAY_MS) : null;
+    const periodEnd = (trialEnd || addInterval(now, plan.interval, plan.intervalCount)).toISOString();
+
+    const { subscription, invoice } = await this.subscriptionRepository.create({
+      planId,
+      customerId,
+      merchantId: plan.merchantId,
+      paymentMethodId: paymentMethodId || null,
+      status: trialEnd ? 'trialing' : 'active',
+      currency: plan.currency,
+      currentPeriodStart: now.toISOString(),
+      currentPeriodEnd: periodEnd,
+      trialEnd: trialEnd && trialEnd.toISOString()
+    }, trialEnd ? null : {
+      customerId,
+      planId,
+      amount: plan.amount,
+      currency: plan.currency,
+      status: 'open',
+      billingReason: 'subscription_create',
+      periodStart: now.toISOString(),
+      periodEnd,
+      lines: [planLine(plan, now, periodEnd)],
+      nextAttemptAt: this.leaseExpiry()
+    });
+
+    const collected = invoice ? await this.collect(invoice) : null;
+    return collected
+      ? { ...collected.subscription, latestInvoice: collected.invoice }
+      : { ...subscription, latestInvoice: invoice };
+  }
+
+  async list(accountId) {
+    return this.subscriptionRepository.listForAccount(accountId);
+  }
+
+  async get(accountId, subscriptionId) {
+    return requireAccessible(await this.subscriptionRepository.findById(subscriptionId), accountId);
+  }
+
+  async listInvoices(accountId, subscriptionId) {
+    await this.get(accountId, subscriptionId);
+    return this.subscriptionRepository.listInvoices(subscriptionId);
+  }
+
+  // `atPeriodEnd` keeps the subscription until the end of the paid period.
+  // Time already paid for is not refunded either way.
+  async cancel(accountId, subscriptionId, { atPeriodEnd }) {
+    const { subscription } = await this.transition(accountId, subscriptionId,
+      (locked, openInvoice) => planCancel(locked, openInvoice, { atPeriodEnd, now: this.clock.now() }),
+      billingEvents());
+    return subscription;
+  }
+
+  // Pause billing, until `resumesAt` or until resumed. The time left in the
+  // current period is kept for when the subscription resumes.
+  async pause(accountId, subscriptionId, { resumesAt }) {
+    const now = this.clock.now();
+    if (resumesAt && new Date(resumesAt) <= now) {
+      throw new PaymentError(422, 'invalid_resume_date', 'resumesAt must be in the future');
+    }
+
+    const { subscription } = await this.transition(accountId, subscriptionId, (locked) => {
+      assertBillable(locked, 'paused');
+      return {
+        subscription: {
+          status: 'paused',
+          pausedAt: now.toISOString(),
+          resumesAt: resumesAt ? new Date(resumesAt).toISOString() : null
+        }
+      };
+    });
+    return subscription;
+  }
+
+  async resume(accountId, subscriptionId) {
+    const { subscription } = await this.transition(accountId, subscriptionId, (locked) => {
+      if (locked.status !== 'paused') {
+        throw new PaymentError(409, 'subscription_not_paused', 'The subscription is not paused',
+          { status: locked.status });
+      }
+      return { subscription: resumeChanges(locked, this.clock.now()) };
+    });
+    return subscription;
+  }
+
+  // Switch to another plan (see planPlanChange). A prorated charge is made
+  // right away and the plan is only changed once it is paid: a bank transfer
+  // leaves the invoice `processing` and the plan unchanged until it settles.
+  // Resolves to the subscription with its `latestInvoice` (null when nothing
+  // was charged).
+  async changePlan(accountId, subscriptionId, { planId, prorate }) {
+    const subscription = await this.get(accountId, subscriptionId);
+    const [current, next] = await Promise.all([
+      this.subscriptionRepository.findPlan(subscription.planId),
+      this.getPlan(planId)
+    ]);
+
+    const changed = await this.transition(accountId, subscriptionId, (locked, openInvoice) =>
+      planPlanChange(locked, openInvoice, {
+        current,
+        next,
+        prorate,
+        now: this.clock.now(),
+        leaseUntil: this.leaseExpiry()
+      })
+    );
+    if (!changed.invoice) {
+      return { ...changed.subscription, latestInvoice: null };
+    }
+
+    const collected = await this.collect(changed.invoice);
+    if (!collected || !['paid', 'processing'].includes(collected.invoice.status)) {
+      const unavailable = collected && collected.outcome.result === 'unavailable';
+      throw new PaymentError(unavailable ? 503 : 402,
+        unavailable ? 'proration_payment_unavailable' : 'proration_payment_failed',
+        unavailable
+          ? 'The prorated amount could not be charged right now, the plan was not changed; retry later'
+          : 'The prorated amount could not be charged, the plan was not changed',
+        {
+          invoiceId: changed.invoice.id,
+          failureCode: collected ? collected.invoice.failureCode : undefined,
+          failureMessage: collected ? collected.invoice.failureMessage : undefined
+        });
+    }
+    return { ...collected.subscription, latestInvoice: collected.invoice };
+  }
+
+  // Charge future invoices to another of the customer's payment methods. An
+  // invoice being retried is attempted again on the next billing run.
+  async updatePaymentMethod(customerId, subscriptionId, { paymentMethodId }) {
+    const current = await this.get(customerId, subscriptionId);
+    if (current.customerId !== customerId) {
+      throw new PaymentError(403, 'forbidden', 'Only the customer can change the subscription payment method');
+    }
+    await this.paymentMethodService.resolveForPayment(customerId, paymentMethodId);
+    const now = this.clock.now();
+
+    const { subscription } = await this.transition(customerId, subscriptionId, (locked, openInvoice) => {
+      assertNotCanceled(locked);
+
+      const retry = openInvoice && openInvoice.status === 'open' &&
+        openInvoice.billingReason !== 'subscription_update' && new Date(openInvoice.nextAttemptAt) > now;
+      return {
+        subscription: { paymentMethodId },
+        invoice: retry ? { ...openInvoice, nextAttemptAt: now.toISOString() } : null
+      };
+    });
+    return subscription;
+  }
+
+  // Renew due subscriptions, then retry due invoices and check on settling
+  // ones. Failures are logged and left for the next run. Resolves to the
+  // number of subscriptions renewed (or resumed or canceled) and of invoices
+  // charged or checked.
+  async runBilling({ limit = 100 } = {}) {
+    const now = this.clock.now();
+    let renewed = 0;
+    let charged = 0;
+
+    for (const subscription of await this.subscriptionRepository.listDue(now, limit)) {
+      try {
+        if (await this.renew(subscription, now)) {
+          renewed += 1;
+        }
+      } catch (error) {
+        logger.error('Subscription renewal failed', { subscriptionId: subscription.id, error: error.message });
+      }
+    }
+
+    const due = await this.subscriptionRepository.claimDueInvoices(now, limit, this.leaseExpiry());
+    for (const invoice of due) {
+      try {
+        await this.collect(invoice);
+        charged += 1;
+      } catch (error) {
+        logger.error('Subscription invoice charge failed', { invoiceId: invoice.id, error: error.message });
+      }
+    }
+
+    return { renewed, charged };
+  }
+
+  async renew(subscription, now) {
+    const plan = await this.subscriptionRepository.findPlan(subscription.planId);
+    const renewal = await this.subscriptionRepository.transition(subscription.id,
+      (locked, openInvoice) => planRenewal(locked, openInvoice, { plan, now, leaseUntil: this.leaseExpiry() }),
+      billingEvents());
+    if (!renewal) {
+      return false;
+    }
+
+    if (renewal.invoice && renewal.invoice.status !== 'paid') {
+      await this.collect(renewal.invoice);
+    }
+    return true;
+  }
+
+  // Attempt to charge an open invoice, or check on the payment of a
+  // `processing` one, and record the outcome. Resolves to `{ subscription,
+  // invoice, outcome }`, or null when the invoice was closed meanwhile.
+  async collect(invoice) {
+    const subscription = await this.subscriptionRepository.findById(invoice.subscriptionId);
+    const plan = await this.subscriptionRepository.findPlan(invoice.planId);
+    const outcome = invoice.status === 'processing'
+      ? paymentOutcome(await this.paymentRepository.findById(invoice.paymentId))
+      : await this.charge(subscription, plan, invoice);
+
+    const result = await this.subscriptionRepository.transition(subscription.id,
+      (locked, openInvoice) => planInvoiceOutcome(locked, openInvoice, {
+        invoiceId: invoice.id,
+        outcome,
+        now: this.clock.now(),
+        retryDays: this.config.dunningRetryDays
+      }),
+      billingEvents(outcome));
+    if (!result) {
+      logger.warn('Subscription invoice was closed while being charged', {
+        invoiceId: invoice.id,
+        paymentId: outcome.paymentId
+      });
+      return null;
+    }
+
+    if (outcome.result === 'unavailable') {
+      logger.warn('Subscription invoice could not be charged, retrying later', {
+        invoiceId: invoice.id,
+        failureCode: outcome.failureCode
+      });
+    }
+    return { ...result, outcome };
+  }
+
+  // Outcome of one payment attempt (see planInvoiceOutcome). Payments refused
+  // before reaching the processor (e.g. the payment method has expired) are
+  // declines as well; server-side errors (5xx, e.g. the processor is down)
+  // mean the payment could not be attempted.
+  async charge(subscription, plan, invoice) {
+    try {
+      const payment = await this.paymentLifecycleService.process({
+        customerId: subscription.customerId,
+        merchantId: subscription.merchantId,
+        amount: invoice.amount,
+        currency: invoice.currency,
+        paymentMethodId: subscription.paymentMethodId || undefined,
+        capture: true,
+        description: `${plan.name} subscription`,
+        metadata: { subscriptionId: subscription.id, invoiceId: invoice.id }
+      }, {
+        idempotencyKey: `invoice_${invoice.id}_${invoice.attempts + 1}`,
+        payerId: subscription.customerId
+      });
+
+      return paymentOutcome(payment);
+    } catch (error) {
+      if (!(error instanceof PaymentError)) {
+        throw error;
+      }
+      return {
+        result: error.statusCode >= 500 ? 'unavailable' : 'declined',
+        paymentId: null,
+        failureCode: error.code,
+        failureMessage: error.message
+      };
+    }
+  }
+
+  async transition(accountId, subscriptionId, plan, eventTypes) {
+    return this.subscriptionRepository.transition(subscriptionId,
+      (locked, openInvoice) => plan(requireAccessible(locked, accountId), openInvoice),
+      eventTypes);
+  }
+
+  leaseExpiry() {
+    return new Date(this.clock.now().getTime() + CHARGE_LEASE_MS).toISOString();
+  }
+}
+
+module.exports = {
+  SubscriptionService,
+  PLAN_INTERVALS,
+  SUBSCRIPTION_STATUSES,
+  planRenewal,
+  planPlanChange,
+  planInvoiceOutcome,
+  planCancel
+};
@@ -0,0 +1,43 @@
+const { logger } = require('../utils/logger');
+
+// Periodically retries webhook deliveries whose backoff has elapsed
+class WebhookRetryWorker {
+  constructor({ webhookService, intervalMs }) {
+    this.webhookService = webhookService;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // Skip the tick if the previous batch is still being delivered
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.webhookService.processDueDeliveries();
+    } catch (error) {
+      logger.error('Webhook retry run failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = { WebhookRetryWorker };
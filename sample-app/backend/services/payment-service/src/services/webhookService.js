@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch: undiciFetch } = require('undici');
+const { PaymentError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const WEBHOOK_EVENT_TYPES = [
+  'payment.pending',
+  'payment.authorized',
+  'payment.captured',
+  'payment.completed',
+  'payment.failed',
+  'payment.voided',
+  'payment.refunded',
+  'refund.created',
+  'dispute.created',
+  'dispute.closed',
+  'subscription.created',
+  'subscription.canceled',
+  'invoice.paid',
+  'invoice.payment_failed'
+];
+
+const SIGNATURE_HEADER = 'X-PayFlow-Signature';
+const TIMESTAMP_HEADER = 'X-PayFlow-Timestamp';
+
+// Addresses webhooks are never sent to: loopback, private, link-local
+// (including cloud metadata services), shared, reserved and multicast ranges.
+// BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const NON_PUBLIC_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const nonPublicAddresses = new net.BlockList();
+NON_PUBLIC_RANGES.forEach(([network, prefix, family]) => nonPublicAddresses.addSubnet(network, prefix, family));
+
+function isPublicAddress({ address, family }) {
+  return !nonPublicAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Signature sent with every delivery: hex HMAC-SHA256, keyed with the
+// endpoint secret, over `<timestamp>.<raw body>`. Receivers should recompute
+// it and reject deliveries whose timestamp is too old to prevent replays.
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function withoutSecret({ secret, ...endpoint }) {
+  return endpoint;
+}
+
+function subscribes(endpoint, eventType) {
+  return endpoint.events.includes('*') || endpoint.events.includes(eventType);
+}
+
+// Delivers signed payment lifecycle events to merchant-registered endpoints.
+// Events come from the outbox (see OutboxRelay). Each event is stored as one
+// delivery per subscribed endpoint and attempted straight away; failed
+// attempts are retried with exponential backoff by WebhookRetryWorker until
+// `maxAttempts` is reached.
+// Endpoints must be https URLs whose host resolves to public addresses only.
+// Deliveries connect through `dispatcher`, whose DNS lookup applies the same
+// check: a connection is only made to an address that was checked, so that
+// a DNS change (or a rebinding answer between two lookups) cannot point
+// deliveries at the internal network. Only the response status of an attempt
+// is recorded.
+class WebhookService {
+  constructor({ webhookRepository, config, fetch = undiciFetch, lookup = dns.promises.lookup }) {
+    this.webhookRepository = webhookRepository;
+    this.config = config;
+    this.fetch = fetch;
+    this.lookup = lookup;
+    this.dispatcher = new Agent({
+      connect: { lookup: (host, options, callback) => this.connectLookup(host, options, callback) }
+    });
+  }
+
+  async createEndpoint(merchantId, { url, events, description }) {
+    await this.assertPublicUrl(url);
+
+    const endpoint = await this.webhookRepository.createEndpoint({
+      merchantId,
+      url,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      events,
+      description
+    });
+
+    // The signing secret is only returned when the endpoint is created
+    return endpoint;
+  }
+
+  async listEndpoints(merchantId) {
+    const endpoints = await this.webhookRepository.listEndpoints(merchantId);
+    return endpoints.map(withoutSecret);
+  }
+
+  async disableEndpoint(merchantId, endpointId) {
+    await this.findOwnedEndpoint(merchantId, endpointId);
+    return withoutSecret(await this.webhookRepository.disableEndpoint(endpointId));
+  }
+
+  async listDeliveries(merchantId, endpointId, { limit }) {
+    await this.findOwnedEndpoint(merchantId, endpointId);
+    return this.webhookRepository.listDeliveries(endpointId, { limit });
+  }
+
+  // Attempt a delivery again right away, whatever its current status. A
+  // pending delivery keeps its retry schedule if the attempt fails; a failed
+  // one stays failed.
+  async redeliver(merchantId, deliveryId) {
+    const delivery = await this.webhookRepository.findDelivery(deliveryId);
+    const endpoint = delivery && await this.webhookRepository.findEndpoint(delivery.endpointId);
+
+    if (!endpoint || endpoint.merchantId !== merchantId) {
+      throw new PaymentError(404, 'webhook_delivery_not_found', 'Webhook delivery not found');
+    }
+
+    return this.deliver(delivery, endpoint, { manual: true });
+  }
+
+  // Queue an outbox event (its relay envelope, see OutboxRelay) for every
+  // active endpoint of its account subscribed to it. The event keeps its
+  // outbox `id`: endpoints that already have a delivery of the event, when
+  // the relay publishes it again, are skipped. Throws when the deliveries
+  // cannot be stored, so that the relay retries the event.
+  async publish({ id, type, accountId, occurredAt, data }) {
+    if (!WEBHOOK_EVENT_TYPES.includes(type)) {
+      return;
+    }
+
+    const endpoints = (await this.webhookRepository.listEndpoints(accountId, { activeOnly: true }))
+      .filter(endpoint => subscribes(endpoint, type));
+
+    if (!endpoints.length) {
+      return;
+    }
+
+    const event = { id, type, createdAt: occurredAt, data: { object: data } };
+
+    // Leave time for the immediate attempt before the retry worker may claim it
+    const deliveries = await this.webhookRepository.createDeliveries(endpoints.map(endpoint => ({
+      endpointId: endpoint.id,
+      eventId: id,
+      eventType: type,
+      payload: event,
+      nextAttemptAt: this.leaseExpiry()
+    })));
+
+    deliveries.forEach((delivery) => {
+      const endpoint = endpoints.find(candidate => candidate.id === delivery.endpointId);
+      this.deliver(delivery, endpoint).catch(error => {
+        logger.error('Webhook delivery attempt errored', { deliveryId: delivery.id, error: error.message });
+      });
+    });
+  }
+
+  // Attempt every due delivery once (called periodically by the retry worker)
+  async processDueDeliveries(limit = 20) {
+    const deliveries = await this.webhookRepository.claimDueDeliveries(limit, this.leaseExpiry());
+
+    for (const delivery of deliveries) {
+      const endpoint = await this.webhookRepository.findEndpoint(delivery.endpointId);
+
+      if (!endpoint || !endpoint.isActive) {
+        await this.webhookRepository.recordAttempt(delivery.id, {
+          status: 'failed',
+          nextAttemptAt: null,
+          responseStatus: null,
+          error: 'Webhook endpoint is disabled'
+        });
+        continue;
+      }
+
+      await this.deliver(delivery, endpoint);
+    }
+
+    return deliveries.length;
+  }
+
+  async deliver(delivery, endpoint, { manual = false } = {}) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      await this.assertPublicUrl(endpoint.url);
+
+      const response = await this.fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PayFlow-Webhooks/1.0',
+          'X-PayFlow-Event': delivery.eventType,
+          'X-PayFlow-Delivery': delivery.id,
+          [TIMESTAMP_HEADER]: timestamp,
+          [SIGNATURE_HEADER]: `v1=${signPayload(endpoint.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.config.timeoutMs),
+        dispatcher: this.dispatcher
+      });
+
+      responseStatus = response.status;
+      // The body is not read: release the connection without buffering it
+      await response.body?.cancel();
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `No response within ${this.config.timeoutMs}ms`
+        : requestError.cause?.message || requestError.message;
+    }
+
+    const succeeded = responseStatus >= 200 && responseStatus < 300;
+    const attempts = delivery.attempts + 1;
+    let status = succeeded ? 'succeeded' : 'pending';
+    let nextAttemptAt = null;
+
+    if (!succeeded) {
+      if (manual && delivery.status !== 'pending') {
+        status = delivery.status;
+      } else if (attempts >= this.config.maxAttempts) {
+        status = 'failed';
+      } else {
+        nextAttemptAt = new Date(Date.now() + this.retryDelay(attempts)).toISOString();
+      }
+    }
+
+    const recorded = await this.webhookRepository.recordAttempt(delivery.id, {
+      status,
+      nextAttemptAt,
+      responseStatus,
+      error
+    });
+
+    logger[succeeded ? 'info' : 'warn']('Webhook delivery attempted', {
+      deliveryId: delivery.id,
+      endpointId: endpoint.id,
+      eventType: delivery.eventType,
+      attempt: attempts,
+      responseStatus,
+      error,
+      status
+    });
+
+    return recorded;
+  }
+
+  // Refuse URLs other than https, and hosts that do not resolve or resolve
+  // to any non-public address
+  async assertPublicUrl(url) {
+    const { protocol, hostname } = new URL(url);
+
+    if (protocol !== 'https:') {
+      throw new PaymentError(422, 'webhook_url_not_allowed', 'Webhook URLs must use https', { url });
+    }
+
+    await this.resolvePublic(hostname.replace(/^\[(.*)\]$/, '$1'));
+  }
+
+  // `dns.lookup`-style lookup for delivery connections, answering only with
+  // addresses that passed resolvePublic
+  connectLookup(host, options, callback) {
+    this.resolvePublic(host).then((addresses) => {
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    }, callback);
+  }
+
+  // Addresses of `host`, refused unless every one of them is public
+  async resolvePublic(host) {
+    let addresses;
+    try {
+      addresses = await this.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw new PaymentError(422, 'webhook_url_not_allowed', `Webhook host ${host} could not be resolved`,
+        { host, reason: error.code || error.message });
+    }
+
+    if (!addresses.length || !addresses.every(isPublicAddress)) {
+      throw new PaymentError(422, 'webhook_url_not_allowed',
+        `Webhook host ${host} resolves to a private, loopback or link-local address`, { host });
+    }
+    return addresses;
+  }
+
+  // Exponential backoff: retryBaseMs, 2x, 4x, ... capped at retryMaxMs
+  retryDelay(attempts) {
+    return Math.min(this.config.retryBaseMs * 2 ** (attempts - 1), this.config.retryMaxMs);
+  }
+
+  leaseExpiry() {
+    return new Date(Date.now() + this.config.timeoutMs * 2).toISOString();
+  }
+
+  async findOwnedEndpoint(merchantId, endpointId) {
+    const endpoint = await this.webhookRepository.findEndpoint(endpointId);
+
+    if (!endpoint || endpoint.merchantId !== merchantId) {
+      throw new PaymentError(404, 'webhook_endpoint_not_found', 'Webhook endpoint not found');
+    }
+    return endpoint;
+  }
+}
+
+module.exports = {
+  WebhookService,
+  WEBHOOK_EVENT_TYPES,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload
+};
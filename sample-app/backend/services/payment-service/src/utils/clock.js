@@ -0,0 +1,75 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Source of the current time for anything scheduled ahead (bank transfer
+// settlement, micro-deposit arrival, subscription renewals and retries).
+// Injected so that tests can move time forward with a ManualClock instead of
+// waiting.
+const systemClock = {
+  now: () => new Date()
+};
+
+class ManualClock {
+  constructor(start = new Date()) {
+    this.current = new Date(start);
+  }
+
+  now() {
+    return new Date(this.current);
+  }
+
+  set(date) {
+    this.current = new Date(date);
+  }
+
+  advance(ms) {
+    this.current = new Date(this.current.getTime() + ms);
+  }
+
+  advanceDays(days) {
+    this.advance(days * DAY_MS);
+  }
+}
+
+function isWeekend(date) {
+  const day = date.getUTCDay();
+  return day === 0 || day === 6;
+}
+
+// `days` business days (Monday to Friday, UTC) after `date`. Zero days is
+// `date` itself, or the next business day when it falls on a weekend.
+function addBusinessDays(date, days) {
+  const result = new Date(date);
+
+  while (isWeekend(result)) {
+    result.setTime(result.getTime() + DAY_MS);
+  }
+  for (let added = 0; added < days;) {
+    result.setTime(result.getTime() + DAY_MS);
+    if (!isWeekend(result)) {
+      added += 1;
+    }
+  }
+  return result;
+}
+
+// `count` billing intervals ('day', 'week', 'month' or 'year', UTC) after
+// `date`. Month and year steps are clamped to the end of shorter months
+// (January 31 + 1 month = February 28).
+function addInterval(date, interval, count = 1) {
+  const result = new Date(date);
+
+  if (interval === 'day' || interval === 'week') {
+    result.setTime(result.getTime() + count * (interval === 'week' ? 7 : 1) * DAY_MS);
+    return result;
+  }
+
+  const months = interval === 'year' ? count * 12 : count;
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+module.exports = { systemClock, ManualClock, addBusinessDays, addInterval, DAY_MS };
@@ -0,0 +1,14 @@
+// Error raised for expected payment failures (invalid state, limits, etc.).
+// The global error handler turns it into a JSON response using `statusCode`,
+// and exposes `code` and `details` so that clients can react programmatically.
+class PaymentError extends Error {
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { PaymentError };
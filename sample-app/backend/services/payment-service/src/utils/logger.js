@@ -1,4 +1,7 @@
 const winston = require('winston');
+const { createRedactionFormat } = require('../../../../shared/redaction');
+
+const redactionFormat = createRedactionFormat(winston);
 
 // Create logger instance for payment service
 const logger = winston.createLogger({
@@ -6,6 +9,7 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactionFormat(),
     winston.format.json()
   ),
   defaultMeta: {
@@ -27,6 +31,7 @@ const auditLogger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    redactionFormat(),
     winston.format.json()
   ),
   defaultMeta: {
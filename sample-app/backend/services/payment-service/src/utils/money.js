@@ -0,0 +1,111 @@
+// Money is handled as integer minor units (cents, pence, fils, ...) to avoid
+// floating point drift, e.g. across several partial refunds. The API and the
+// database use decimal major units; convert at the edges with toMinorUnits /
+// fromMinorUnits using the currency's exponent.
+
+// Supported currencies: ISO 4217 exponent and the accepted payment amount
+// range in minor units
+const CURRENCIES = {
+  USD: { exponent: 2, min: 50, max: 99999999 },
+  EUR: { exponent: 2, min: 50, max: 99999999 },
+  GBP: { exponent: 2, min: 30, max: 99999999 },
+  CAD: { exponent: 2, min: 50, max: 99999999 },
+  AUD: { exponent: 2, min: 50, max: 99999999 },
+  NZD: { exponent: 2, min: 50, max: 99999999 },
+  CHF: { exponent: 2, min: 50, max: 99999999 },
+  SEK: { exponent: 2, min: 300, max: 999999999 },
+  NOK: { exponent: 2, min: 300, max: 999999999 },
+  DKK: { exponent: 2, min: 250, max: 999999999 },
+  PLN: { exponent: 2, min: 200, max: 399999999 },
+  SGD: { exponent: 2, min: 50, max: 99999999 },
+  HKD: { exponent: 2, min: 400, max: 799999999 },
+  INR: { exponent: 2, min: 5000, max: 9999999999 },
+  MXN: { exponent: 2, min: 1000, max: 1999999999 },
+  BRL: { exponent: 2, min: 50, max: 499999999 },
+  JPY: { exponent: 0, min: 50, max: 99999999 },
+  KRW: { exponent: 0, min: 500, max: 999999999 },
+  KWD: { exponent: 3, min: 150, max: 299999999 },
+  BHD: { exponent: 3, min: 200, max: 299999999 },
+  OMR: { exponent: 3, min: 200, max: 299999999 },
+  JOD: { exponent: 3, min: 350, max: 699999999 }
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+function currencyInfo(currency) {
+  const info = CURRENCIES[currency];
+  if (!info) {
+    throw new RangeError(`Unsupported currency: ${currency}`);
+  }
+  return info;
+}
+
+function isSupportedCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+}
+
+function currencyExponent(currency) {
+  return currencyInfo(currency).exponent;
+}
+
+// Whether `amount` (major units) has no more decimals than the currency allows
+function hasValidPrecision(amount, currency) {
+  const scaled = Number(amount) * 10 ** currencyExponent(currency);
+  return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+}
+
+function toMinorUnits(amount, currency) {
+  return Math.round(Number(amount) * 10 ** currencyExponent(currency));
+}
+
+function fromMinorUnits(minorUnits, currency) {
+  const exponent = currencyExponent(currency);
+  return Number((minorUnits / 10 ** exponent).toFixed(exponent));
+}
+
+// Whether a payment of `minorUnits` is within the currency's accepted range
+function isWithinLimits(minorUnits, currency) {
+  const { min, max } = currencyInfo(currency);
+  return minorUnits >= min && minorUnits <= max;
+}
+
+// Round an amount in major units (e.g. a stored DECIMAL) to the minor units
+// of its currency; null and undefined are passed through
+function roundAmount(amount, currency) {
+  return amount === null || amount === undefined
+    ? amount
+    : fromMinorUnits(toMinorUnits(amount, currency), currency);
+}
+
+// Fixed-point string of an amount in major units, e.g. "10.50", "1000", "1.250"
+function formatAmount(minorUnits, currency) {
+  return fromMinorUnits(minorUnits, currency).toFixed(currencyExponent(currency));
+}
+
+// Formatted amount limits of a currency, for error messages
+function currencyLimits(currency) {
+  const { min, max } = currencyInfo(currency);
+  return { min: formatAmount(min, currency), max: formatAmount(max, currency) };
+}
+
+// Convert `minorUnits` of `from` into `to` at `rate` (units of `to` per unit
+// of `from`), rounding half up to the nearest minor unit of `to`
+function convertMinorUnits(minorUnits, from, to, rate) {
+  const shift = currencyExponent(to) - currencyExponent(from);
+  return Math.round(minorUnits * Number(rate) * 10 ** shift);
+}
+
+module.exports = {
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  isSupportedCurrency,
+  currencyExponent,
+  hasValidPrecision,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  isWithinLimits,
+  currencyLimits,
+  formatAmount,
+  convertMinorUnits
+};
@@ -0,0 +1,41 @@
+const request = require('supertest');
+const PaymentService = require('../../src/app');
+const { ManualClock } = require('../../src/utils/clock');
+
+// A Monday, so that bank transfers settle on predictable business days
+const START = '2026-03-02T12:00:00Z';
+
+// Payment service on in-memory repositories and the simulator processor,
+// with time controlled by a ManualClock. `options` are passed to
+// PaymentService, e.g. to inject a repository.
+function createTestService(options = {}) {
+  const clock = options.clock || new ManualClock(START);
+  const service = new PaymentService({ clock, ...options });
+
+  return { service, app: service.getApp(), clock };
+}
+
+// supertest request authenticated by the API gateway as `userId`
+function as(app, userId, scopes = []) {
+  const wrap = method => path => request(app)[method](path)
+    .set('X-User-ID', userId)
+    .set('X-User-Scopes', scopes.join(' '));
+
+  return { get: wrap('get'), post: wrap('post'), delete: wrap('delete') };
+}
+
+// Card payment request for `customerId`; every call uses a different card
+// token so that the card velocity risk rule does not hold payments
+let cardCount = 0;
+function cardPayment(customerId, overrides = {}) {
+  cardCount += 1;
+  return {
+    customerId,
+    amount: 25,
+    currency: 'USD',
+    paymentMethod: { type: 'card', card: { token: `tok_visa_${String(cardCount).padStart(4, '0')}` } },
+    ...overrides
+  };
+}
+
+module.exports = { createTestService, as, cardPayment, START };
@@ -0,0 +1,105 @@
+const { createTestService, as, cardPayment } = require('../helpers/testService');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440941';
+const OTHER_CUSTOMER = '650e8400-e29b-41d4-a716-446655440942';
+const MERCHANT = '650e8400-e29b-41d4-a716-446655440943';
+
+describe('idempotent payment requests', () => {
+  let service;
+  let app;
+
+  const pay = (userId, key, body) => as(app, userId).post('/payments/process')
+    .set('Idempotency-Key', key)
+    .send(body);
+  const paymentCount = () => service.paymentRepository.payments.size;
+
+  beforeEach(() => {
+    ({ service, app } = createTestService());
+  });
+
+  it('replays the stored response of a retried request', async () => {
+    const body = cardPayment(CUSTOMER);
+
+    const first = await pay(CUSTOMER, 'order-1', body);
+    const retry = await pay(CUSTOMER, 'order-1', body);
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.id).toBe(first.body.id);
+    expect(paymentCount()).toBe(1);
+  });
+
+  it('rejects the same key with another request', async () => {
+    await pay(CUSTOMER, 'order-1', cardPayment(CUSTOMER));
+
+    const res = await pay(CUSTOMER, 'order-1', cardPayment(CUSTOMER, { amount: 99 }));
+
+    expect(res.status).toBe(422);
+    expect(paymentCount()).toBe(1);
+  });
+
+  it('keeps the keys of different callers apart', async () => {
+    const mine = await pay(CUSTOMER, 'order-1', cardPayment(CUSTOMER));
+    const theirs = await pay(OTHER_CUSTOMER, 'order-1', cardPayment(OTHER_CUSTOMER));
+
+    expect(theirs.status).toBe(201);
+    expect(theirs.headers['idempotent-replayed']).toBeUndefined();
+    expect(theirs.body.id).not.toBe(mine.body.id);
+    expect(paymentCount()).toBe(2);
+  });
+
+  it('qualifies the key passed to the processor with the caller', async () => {
+    const authorize = jest.spyOn(service.processor, 'authorize');
+
+    await pay(CUSTOMER, 'order-1', cardPayment(CUSTOMER));
+    await pay(OTHER_CUSTOMER, 'order-1', cardPayment(OTHER_CUSTOMER));
+
+    const [mine, theirs] = authorize.mock.calls.map(([request]) => request.idempotencyKey);
+    expect(mine).toMatch(/^[0-9a-f]{64}$/);
+    expect(theirs).not.toBe(mine);
+  });
+
+  it('releases the key when the processor call fails, recording the payment as failed', async () => {
+    jest.spyOn(service.processor, 'authorize').mockRejectedValueOnce(new Error('socket hang up'));
+    const body = cardPayment(CUSTOMER);
+
+    const failed = await pay(CUSTOMER, 'order-1', body);
+    expect(failed.status).toBe(502);
+    expect([...service.paymentRepository.payments.values()]).toEqual([
+      expect.objectContaining({ status: 'failed', failureCode: 'processor_unavailable' })
+    ]);
+
+    const retry = await pay(CUSTOMER, 'order-1', body);
+    expect(retry.status).toBe(201);
+    expect(paymentCount()).toBe(2);
+  });
+
+  it('keeps the key once the payment is recorded, even if the request then fails', async () => {
+    jest.spyOn(service.auditTrail, 'record').mockRejectedValueOnce(new Error('audit log unavailable'));
+    const body = cardPayment(CUSTOMER);
+
+    const failed = await pay(CUSTOMER, 'order-1', body);
+    expect(failed.status).toBe(500);
+    expect(paymentCount()).toBe(1);
+
+    const retry = await pay(CUSTOMER, 'order-1', body);
+    expect(retry.status).toBe(500);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(paymentCount()).toBe(1);
+  });
+
+  it('keeps the key of a capture once it is recorded', async () => {
+    const authorized = (await pay(CUSTOMER, 'order-1', cardPayment(CUSTOMER, { capture: false, merchantId: MERCHANT }))).body;
+    jest.spyOn(service.auditTrail, 'record').mockRejectedValueOnce(new Error('audit log unavailable'));
+    const capture = () => as(app, MERCHANT).post(`/payments/${authorized.id}/capture`)
+      .set('Idempotency-Key', 'capture-1')
+      .send({});
+
+    expect((await capture()).status).toBe(500);
+
+    const retry = await capture();
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect((await as(app, CUSTOMER).get(`/payments/${authorized.id}`)).body.status).toBe('captured');
+  });
+});
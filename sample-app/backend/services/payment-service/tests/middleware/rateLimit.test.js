@@ -0,0 +1,143 @@
+const { createTestService, as } = require('../helpers/testService');
+const { FakeRedis } = require('../../../../shared/testing/fakeRedis');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440701';
+const OTHER_CUSTOMER = '650e8400-e29b-41d4-a716-446655440702';
+const PAYMENT_ID = '650e8400-e29b-41d4-a716-446655440799';
+
+// Only Date is faked, so that time can be moved past the rate limit window
+// while requests still run on real timers
+const REAL_TIMERS = [
+  'hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+];
+
+const RATE_LIMIT_ENV = {
+  PAYMENT_RATE_LIMIT_WINDOW_MS: '60000',
+  PAYMENT_RATE_LIMIT_WRITE_MAX: '2',
+  PAYMENT_RATE_LIMIT_READ_MAX: '3'
+};
+
+describe('payment service rate limiting', () => {
+  let redis;
+  let savedEnv;
+
+  // An instance of the service sharing `redis` with every other one
+  const replica = () => createTestService({ redisClient: redis }).app;
+  const write = (app, userId = CUSTOMER) => as(app, userId).post(`/payments/${PAYMENT_ID}/void`);
+  const read = (app, userId = CUSTOMER) => as(app, userId).get(`/payments/${PAYMENT_ID}`);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: REAL_TIMERS, now: new Date('2026-03-02T12:00:00Z') });
+    savedEnv = { ...process.env };
+    Object.assign(process.env, RATE_LIMIT_ENV);
+    redis = new FakeRedis();
+  });
+
+  afterEach(() => {
+    process.env = savedEnv;
+    jest.useRealTimers();
+  });
+
+  it('answers requests over the write quota with 429 and Retry-After', async () => {
+    const app = replica();
+
+    const first = await write(app);
+    expect(first.status).toBe(404);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-reset']).toBe('60');
+
+    await write(app);
+    const limited = await write(app);
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe('rate_limit_exceeded');
+    expect(limited.body.details).toMatchObject({ limit: 2, windowMs: 60000, retryAfterSeconds: 60 });
+    expect(limited.headers['retry-after']).toBe('60');
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('counts reads against a separate quota', async () => {
+    const app = replica();
+
+    await write(app);
+    await write(app);
+    expect((await write(app)).status).toBe(429);
+
+    const reads = [];
+    for (let i = 0; i < 4; i += 1) {
+      reads.push((await read(app)).status);
+    }
+    expect(reads).toEqual([404, 404, 404, 429]);
+  });
+
+  it('gives every caller a quota of their own', async () => {
+    const app = replica();
+
+    await write(app);
+    await write(app);
+
+    expect((await write(app)).status).toBe(429);
+    expect((await write(app, OTHER_CUSTOMER)).status).toBe(404);
+  });
+
+  it('keys API key requests by the key rather than its owner', async () => {
+    const app = replica();
+    const withKey = keyId => write(app).set('X-API-Key-ID', keyId);
+
+    await withKey('key_1');
+    await withKey('key_1');
+
+    expect((await withKey('key_1')).status).toBe(429);
+    expect((await withKey('key_2')).status).toBe(404);
+  });
+
+  it('shares counters between replicas through Redis', async () => {
+    const first = replica();
+    const second = replica();
+
+    await write(first);
+    await write(second);
+
+    expect((await write(first)).status).toBe(429);
+    expect((await write(second)).status).toBe(429);
+  });
+
+  it('starts a new window once the current one has passed', async () => {
+    const app = replica();
+
+    await write(app);
+    await write(app);
+    expect((await write(app)).status).toBe(429);
+
+    jest.setSystemTime(Date.now() + 60 * 1000);
+
+    const res = await write(app);
+    expect(res.status).toBe(404);
+    expect(res.headers['ratelimit-remaining']).toBe('1');
+  });
+
+  it('lets requests through when Redis is unreachable', async () => {
+    const app = replica();
+    redis.failing = true;
+    // express-rate-limit reports the store error on the console
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const statuses = [];
+    for (let i = 0; i < 4; i += 1) {
+      statuses.push((await write(app)).status);
+    }
+    expect(statuses).toEqual([404, 404, 404, 404]);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it('counts in process memory without Redis', async () => {
+    const { app } = createTestService();
+
+    await write(app);
+    await write(app);
+    expect((await write(app)).status).toBe(429);
+  });
+});
@@ -0,0 +1,172 @@
+const { SimulatorProcessor, microDepositAmounts } = require('../../src/processors/simulatorProcessor');
+const { ManualClock } = require('../../src/utils/clock');
+
+const card = token => ({ type: 'card', card: { token } });
+const ach = accountToken => ({ type: 'ach', ach: { accountToken } });
+
+describe('SimulatorProcessor', () => {
+  let clock;
+  let processor;
+
+  beforeEach(() => {
+    // Monday
+    clock = new ManualClock('2026-03-02T12:00:00Z');
+    processor = new SimulatorProcessor({ clock });
+  });
+
+  describe('authorize', () => {
+    it('completes a sale and reports the last four digits of the token', async () => {
+      const result = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: card('tok_visa_1881'), capture: true
+      });
+
+      expect(result.status).toBe('completed');
+      expect(result.providerTransactionId).toMatch(/^sim_[0-9a-f]{32}$/);
+      expect(result.paymentMethod).toEqual({ type: 'card', last4: '1881' });
+    });
+
+    it('only authorizes when capture is false', async () => {
+      const result = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: card('tok_visa'), capture: false
+      });
+
+      expect(result.status).toBe('authorized');
+    });
+
+    it.each([
+      ['tok_decline_insufficient_funds', 'insufficient_funds', 'The card has insufficient funds'],
+      ['tok_decline_card_declined', 'card_declined', 'The card was declined'],
+      ['tok_decline_something_else', 'something_else', 'Payment could not be processed']
+    ])('declines %s with its failure code', async (token, failureCode, failureMessage) => {
+      const result = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: card(token), capture: true
+      });
+
+      expect(result).toMatchObject({ status: 'failed', failureCode, failureMessage });
+    });
+
+    it('leaves tok_pending pending', async () => {
+      const result = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: card('tok_pending'), capture: true
+      });
+
+      expect(result.status).toBe('pending');
+      expect(result.settlesAt).toBeUndefined();
+    });
+
+    it('gives the same outcome every time for the same token', async () => {
+      const outcomes = await Promise.all([1, 2, 3].map(() => processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: card('tok_decline_expired_card'), capture: true
+      })));
+
+      expect(new Set(outcomes.map(outcome => outcome.failureCode))).toEqual(new Set(['expired_card']));
+    });
+  });
+
+  describe('capture, refund and void', () => {
+    it('captures an authorization', async () => {
+      const { providerTransactionId } = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: card('tok_visa'), capture: false
+      });
+
+      await expect(processor.capture({ providerTransactionId, amount: 10, currency: 'USD' }))
+        .resolves.toEqual({ status: 'captured' });
+    });
+
+    it('declines the capture of tok_capture_decline', async () => {
+      const { providerTransactionId, status } = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: card('tok_capture_decline'), capture: false
+      });
+
+      expect(status).toBe('authorized');
+      await expect(processor.capture({ providerTransactionId, amount: 10, currency: 'USD' }))
+        .resolves.toMatchObject({ status: 'failed', failureCode: 'card_declined' });
+    });
+
+    it('refunds a payment with a processor refund ID', async () => {
+      const { providerTransactionId } = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: card('tok_visa'), capture: true
+      });
+
+      const refund = await processor.refund({ providerTransactionId, amount: 4, currency: 'USD' });
+
+      expect(refund.status).toBe('completed');
+      expect(refund.providerRefundId).toMatch(/^sim_re_/);
+    });
+
+    it('declines refunds of tok_refund_decline', async () => {
+      const { providerTransactionId } = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: card('tok_refund_decline'), capture: true
+      });
+
+      await expect(processor.refund({ providerTransactionId, amount: 10, currency: 'USD' }))
+        .resolves.toMatchObject({ status: 'failed', failureCode: 'refund_declined' });
+    });
+
+    it('voids an authorization', async () => {
+      const { providerTransactionId } = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: card('tok_visa'), capture: false
+      });
+
+      await expect(processor.void({ providerTransactionId })).resolves.toEqual({ status: 'voided' });
+      await expect(processor.getStatus(providerTransactionId)).resolves.toEqual({ status: 'voided' });
+    });
+  });
+
+  describe('bank transfers', () => {
+    it('keeps ACH payments pending until the settlement date on the clock', async () => {
+      const { providerTransactionId, status, settlesAt } = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: ach('btok_checking'), capture: true
+      });
+
+      expect(status).toBe('pending');
+      // Two business days after Monday
+      expect(settlesAt).toBe('2026-03-04T12:00:00.000Z');
+
+      clock.advanceDays(1);
+      await expect(processor.getStatus(providerTransactionId)).resolves.toEqual({ status: 'pending' });
+
+      clock.advanceDays(1);
+      await expect(processor.getStatus(providerTransactionId)).resolves.toEqual({ status: 'completed' });
+    });
+
+    it('settles ACH payments made on a Friday after the weekend', async () => {
+      clock.set('2026-03-06T12:00:00Z');
+
+      const { settlesAt } = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: ach('btok_checking'), capture: true
+      });
+
+      expect(settlesAt).toBe('2026-03-10T12:00:00.000Z');
+    });
+
+    it('returns tok_return_<code> transfers at settlement with the return code', async () => {
+      const { providerTransactionId } = await processor.authorize({
+        amount: 10, currency: 'USD', paymentMethod: ach('tok_return_R01'), capture: true
+      });
+
+      clock.advanceDays(2);
+
+      await expect(processor.getStatus(providerTransactionId)).resolves.toEqual({
+        status: 'failed',
+        failureCode: 'R01',
+        failureMessage: 'Insufficient funds'
+      });
+    });
+
+    it('sends predictable micro-deposits that arrive with the next ACH settlement', async () => {
+      const deposits = await processor.sendMicroDeposits({ accountToken: 'btok_checking', currency: 'USD' });
+
+      expect(deposits.amounts).toEqual(microDepositAmounts('btok_checking').map(cents => cents / 100));
+      deposits.amounts.forEach((amount) => {
+        expect(amount).toBeGreaterThanOrEqual(0.01);
+        expect(amount).toBeLessThanOrEqual(0.99);
+      });
+      expect(deposits.arrivesAt).toBe('2026-03-04T12:00:00.000Z');
+    });
+  });
+
+  it('reports unknown transactions', async () => {
+    await expect(processor.getStatus('sim_missing')).resolves.toEqual({ status: 'unknown' });
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { createTestService, as, cardPayment } = require('../helpers/testService');
+const { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../../src/services/webhookService');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440961';
+const SECRET = 'whsec_processor_test';
+
+describe('dispute notifications from the processor', () => {
+  let service;
+  let app;
+  let payment;
+
+  const now = () => Math.floor(Date.now() / 1000);
+  // `signed` is the body the signature is computed over, the event itself by default
+  const send = (event, { secret = SECRET, timestamp = now(), signed = event } = {}) =>
+    request(app).post('/disputes/processor-events')
+      .set('Content-Type', 'application/json')
+      .set(TIMESTAMP_HEADER, String(timestamp))
+      .set(SIGNATURE_HEADER, `v1=${signPayload(secret, timestamp, JSON.stringify(signed))}`)
+      .send(JSON.stringify(event));
+  const created = () => ({
+    type: 'dispute.created',
+    data: {
+      providerDisputeId: 'dp_0001',
+      providerTransactionId: service.paymentRepository.payments.get(payment.id).providerTransactionId,
+      reasonCode: 'fraudulent'
+    }
+  });
+
+  beforeEach(async () => {
+    process.env.DISPUTE_EVENTS_SIGNING_SECRET = SECRET;
+    ({ service, app } = createTestService());
+    payment = (await as(app, CUSTOMER).post('/payments/process').send(cardPayment(CUSTOMER))).body;
+  });
+
+  afterEach(() => {
+    delete process.env.DISPUTE_EVENTS_SIGNING_SECRET;
+  });
+
+  it('opens a dispute for a signed notification', async () => {
+    const res = await send(created());
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ paymentId: payment.id, providerDisputeId: 'dp_0001', status: 'open' });
+  });
+
+  it.each([
+    ['signed with another secret', { secret: 'whsec_other' }],
+    ['signed too long ago', { timestamp: Math.floor(Date.now() / 1000) - 301 }],
+    ['changed after signing', { signed: { type: 'dispute.closed', data: { providerDisputeId: 'dp_0001' } } }]
+  ])('refuses a notification %s', async (description, options) => {
+    const res = await send(created(), options);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('invalid_signature');
+    expect(service.disputeRepository.disputes.size).toBe(0);
+  });
+
+  it('refuses unsigned notifications', async () => {
+    const res = await request(app).post('/disputes/processor-events').send(created());
+
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses every notification while no secret is configured', async () => {
+    delete process.env.DISPUTE_EVENTS_SIGNING_SECRET;
+    ({ app } = createTestService());
+
+    const res = await send(created());
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('processor_events_disabled');
+  });
+});
@@ -0,0 +1,178 @@
+const request = require('supertest');
+const { createTestService, as } = require('../helpers/testService');
+const { microDepositAmounts } = require('../../src/processors/simulatorProcessor');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440911';
+const OTHER_CUSTOMER = '650e8400-e29b-41d4-a716-446655440912';
+
+let accountCount = 0;
+function bankAccount(overrides = {}) {
+  accountCount += 1;
+  return {
+    type: 'bank_account',
+    bankAccount: {
+      accountToken: `btok_verify_${String(accountCount).padStart(4, '0')}`,
+      bankName: 'First Example Bank',
+      accountType: 'checking',
+      routingNumber: '110000000',
+      last4: '6789'
+    },
+    isDefault: true,
+    ...overrides
+  };
+}
+
+// The amounts the simulator deposits into the account, in dollars
+const depositedAmounts = accountToken => microDepositAmounts(accountToken).map(cents => cents / 100);
+
+describe('bank account verification with micro-deposits', () => {
+  let app;
+  let clock;
+  let customer;
+  let account;
+  let accountToken;
+
+  const sendDeposits = () => customer.post(`/payment-methods/${account.id}/micro-deposits`);
+  const verify = amounts => customer.post(`/payment-methods/${account.id}/verify`).send({ amounts });
+  const wrongAmounts = () => depositedAmounts(accountToken)
+    .map(amount => (amount === 0.99 ? 0.98 : Number((amount + 0.01).toFixed(2))));
+
+  beforeEach(async () => {
+    ({ app, clock } = createTestService());
+    customer = as(app, CUSTOMER);
+
+    const details = bankAccount();
+    accountToken = details.bankAccount.accountToken;
+    const res = await customer.post('/payment-methods').send(details);
+    expect(res.status).toBe(201);
+    account = res.body;
+  });
+
+  it('stores bank accounts unverified and never exposes their token', async () => {
+    expect(account).toMatchObject({ type: 'bank_account', isVerified: false, microDeposits: null });
+    expect(JSON.stringify(account)).not.toContain(accountToken);
+  });
+
+  it('does not charge an unverified bank account', async () => {
+    const res = await customer.post('/payments/process').send({
+      customerId: CUSTOMER,
+      amount: 50,
+      currency: 'USD',
+      paymentMethodId: account.id
+    });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('bank_account_unverified');
+  });
+
+  it('verifies the account with the deposited amounts in any order once they have arrived', async () => {
+    const sent = await sendDeposits();
+    expect(sent.status).toBe(200);
+    expect(sent.body.microDeposits).toEqual({
+      sentAt: '2026-03-02T12:00:00.000Z',
+      arrivesAt: '2026-03-04T12:00:00.000Z',
+      attemptsRemaining: 3
+    });
+    expect(JSON.stringify(sent.body)).not.toMatch(/"amounts"/);
+
+    const early = await verify(depositedAmounts(accountToken));
+    expect(early.status).toBe(409);
+    expect(early.body.code).toBe('micro_deposits_not_arrived');
+
+    clock.advanceDays(2);
+    const verified = await verify([...depositedAmounts(accountToken)].reverse());
+
+    expect(verified.status).toBe(200);
+    expect(verified.body.isVerified).toBe(true);
+    expect((await verify(depositedAmounts(accountToken))).body.code).toBe('payment_method_already_verified');
+  });
+
+  it('charges the account once verified, as a pending ACH payment', async () => {
+    await sendDeposits();
+    clock.advanceDays(2);
+    await verify(depositedAmounts(accountToken));
+
+    const res = await customer.post('/payments/process').send({
+      customerId: CUSTOMER,
+      amount: 50,
+      currency: 'USD'
+    });
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({
+      status: 'pending',
+      paymentMethod: { id: account.id, type: 'ach', bankName: 'First Example Bank', last4: '6789' }
+    });
+  });
+
+  it('uses up an attempt for each mismatch, then refuses further attempts', async () => {
+    await sendDeposits();
+    clock.advanceDays(2);
+
+    const remaining = [];
+    for (let i = 0; i < 3; i += 1) {
+      const res = await verify(wrongAmounts());
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe('micro_deposit_mismatch');
+      remaining.push(res.body.details.attemptsRemaining);
+    }
+    expect(remaining).toEqual([2, 1, 0]);
+
+    const locked = await verify(depositedAmounts(accountToken));
+    expect(locked.status).toBe(409);
+    expect(locked.body.code).toBe('verification_attempts_exceeded');
+  });
+
+  it('starts over with new attempts when the deposits are sent again', async () => {
+    await sendDeposits();
+    clock.advanceDays(2);
+    for (let i = 0; i < 3; i += 1) {
+      await verify(wrongAmounts());
+    }
+
+    const resent = await sendDeposits();
+    expect(resent.body.microDeposits.attemptsRemaining).toBe(3);
+
+    clock.advanceDays(2);
+    expect((await verify(depositedAmounts(accountToken))).status).toBe(200);
+  });
+
+  it('refuses to verify before any deposits were sent', async () => {
+    const res = await verify([0.1, 0.2]);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('micro_deposits_not_sent');
+  });
+
+  it('rejects malformed amounts', async () => {
+    await sendDeposits();
+
+    expect((await verify([0.1])).status).toBe(400);
+    expect((await verify([0.1, 1.5])).status).toBe(400);
+    expect((await verify([0.1, 0.123])).status).toBe(400);
+  });
+
+  it('only sends micro-deposits to bank accounts', async () => {
+    const card = await customer.post('/payment-methods').send({
+      type: 'card',
+      card: { token: 'tok_visa_verify', brand: 'visa', last4: '4242', expMonth: 12, expYear: 2030 }
+    });
+
+    const res = await customer.post(`/payment-methods/${card.body.id}/micro-deposits`);
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('micro_deposits_unsupported');
+  });
+
+  it("hides a customer's bank account from other customers", async () => {
+    const other = as(app, OTHER_CUSTOMER);
+
+    expect((await other.post(`/payment-methods/${account.id}/micro-deposits`)).status).toBe(404);
+    expect((await other.post(`/payment-methods/${account.id}/verify`).send({ amounts: [0.1, 0.2] })).status)
+      .toBe(404);
+  });
+
+  it('requires an authenticated customer', async () => {
+    expect((await request(app).get('/payment-methods')).status).toBe(401);
+  });
+});
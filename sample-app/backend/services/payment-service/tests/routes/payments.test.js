@@ -0,0 +1,390 @@
+const request = require('supertest');
+const { createTestService, as, cardPayment, START } = require('../helpers/testService');
+const { PaymentError } = require('../../src/utils/errors');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440501';
+const OTHER_CUSTOMER = '650e8400-e29b-41d4-a716-446655440502';
+const MERCHANT = '650e8400-e29b-41d4-a716-446655440510';
+
+// Stand-in for a processor call that only answers once `answer()` is called
+function heldCall(result) {
+  const call = { started: false };
+  call.implementation = () => new Promise((resolve) => {
+    call.started = true;
+    call.answer = () => resolve(result);
+  });
+  return call;
+}
+
+async function until(condition) {
+  while (!condition()) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+describe('payments API with the simulator processor', () => {
+  let service;
+  let app;
+  let customer;
+  let merchant;
+
+  beforeEach(() => {
+    ({ service, app } = createTestService());
+    customer = as(app, CUSTOMER);
+    merchant = as(app, MERCHANT);
+  });
+
+  it('completes a card sale', async () => {
+    const res = await customer.post('/payments/process').send(cardPayment(CUSTOMER));
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ status: 'completed', amount: 25, capturedAmount: 25, currency: 'USD' });
+  });
+
+  it('answers a declined card with 400 and the decline code', async () => {
+    const res = await customer.post('/payments/process').send(cardPayment(CUSTOMER, {
+      paymentMethod: { type: 'card', card: { token: 'tok_decline_insufficient_funds' } }
+    }));
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ status: 'failed', failureReason: 'insufficient_funds' });
+  });
+
+  it('answers a payment left pending at the processor with 202', async () => {
+    const res = await customer.post('/payments/process').send(cardPayment(CUSTOMER, {
+      paymentMethod: { type: 'card', card: { token: 'tok_pending' } }
+    }));
+
+    expect(res.status).toBe(202);
+    expect(res.body.status).toBe('pending');
+  });
+
+  it('records when the payment was processed on the service clock', async () => {
+    const res = await customer.post('/payments/process').send(cardPayment(CUSTOMER));
+
+    expect(res.body.processedAt).toBe(new Date(START).toISOString());
+  });
+
+  describe('unknown parties', () => {
+    const UNKNOWN = '650e8400-e29b-41d4-a716-446655440599';
+
+    beforeEach(() => {
+      service.customerRepository.unknownUserIds.add(UNKNOWN);
+    });
+
+    it.each([
+      ['customer', UNKNOWN, {}, 'customer_not_found'],
+      ['merchant', CUSTOMER, { merchantId: UNKNOWN }, 'merchant_not_found']
+    ])('refuses an unknown %s before anything is charged or recorded', async (party, customerId, overrides, code) => {
+      const authorize = jest.spyOn(service.processor, 'authorize');
+      const payer = as(app, customerId);
+
+      const res = await payer.post('/payments/process').set('Idempotency-Key', 'order-1')
+        .send(cardPayment(customerId, overrides));
+
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe(code);
+      expect(authorize).not.toHaveBeenCalled();
+      expect(service.paymentRepository.payments.size).toBe(0);
+    });
+  });
+
+  describe('authorize and capture', () => {
+    let authorized;
+
+    beforeEach(async () => {
+      authorized = (await customer.post('/payments/process').send(cardPayment(CUSTOMER, { capture: false, merchantId: MERCHANT }))).body;
+    });
+
+    it('captures part of an authorization once', async () => {
+      expect(authorized).toMatchObject({ status: 'authorized', capturedAmount: 0 });
+
+      let res = await merchant.post(`/payments/${authorized.id}/capture`).send({ amount: 10 });
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'captured', capturedAmount: 10 });
+
+      res = await merchant.post(`/payments/${authorized.id}/capture`).send({ amount: 10 });
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('invalid_state_transition');
+    });
+
+    it('voids an authorization, after which it cannot be captured', async () => {
+      let res = await merchant.post(`/payments/${authorized.id}/void`);
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('voided');
+
+      res = await merchant.post(`/payments/${authorized.id}/capture`).send({});
+      expect(res.status).toBe(409);
+    });
+
+    it('refuses other operations while a capture is with the processor', async () => {
+      const held = heldCall({ status: 'captured' });
+      const capture = jest.spyOn(service.processor, 'capture').mockImplementationOnce(held.implementation);
+      const voidCall = jest.spyOn(service.processor, 'void');
+
+      const capturing = merchant.post(`/payments/${authorized.id}/capture`).send({}).then(res => res);
+      await until(() => held.started);
+
+      const voiding = () => merchant.post(`/payments/${authorized.id}/void`).set('Idempotency-Key', 'void-1');
+      const voided = await voiding();
+      const recaptured = await merchant.post(`/payments/${authorized.id}/capture`).send({});
+      held.answer();
+
+      expect(voided.status).toBe(409);
+      expect(voided.body.code).toBe('payment_operation_in_progress');
+      expect(recaptured.status).toBe(409);
+      expect((await capturing).status).toBe(200);
+      expect(capture).toHaveBeenCalledTimes(1);
+      expect(voidCall).not.toHaveBeenCalled();
+
+      // The refusal is not stored for the idempotency key
+      const retried = await voiding();
+      expect(retried.headers['idempotent-replayed']).toBeUndefined();
+      expect(retried.body.code).toBe('invalid_state_transition');
+    });
+
+    it('releases the payment when the processor call fails', async () => {
+      jest.spyOn(service.processor, 'capture').mockRejectedValueOnce(new Error('socket hang up'));
+
+      expect((await merchant.post(`/payments/${authorized.id}/capture`).send({})).status).toBe(502);
+      expect((await merchant.post(`/payments/${authorized.id}/capture`).send({})).status).toBe(200);
+    });
+
+    it('lets only the merchant or staff capture or void it', async () => {
+      const staff = as(app, OTHER_CUSTOMER, ['payments:write', 'payments:all_accounts']);
+
+      const captured = await customer.post(`/payments/${authorized.id}/capture`).send({});
+      const voided = await customer.post(`/payments/${authorized.id}/void`);
+      [captured, voided].forEach((res) => {
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('payment_operation_not_permitted');
+      });
+      expect((await customer.get(`/payments/${authorized.id}`)).body.status).toBe('authorized');
+
+      expect((await staff.post(`/payments/${authorized.id}/void`)).body.status).toBe('voided');
+    });
+
+    it('lets only staff capture an authorization made without a merchant', async () => {
+      const direct = (await customer.post('/payments/process').send(cardPayment(CUSTOMER, { capture: false }))).body;
+      const staff = as(app, OTHER_CUSTOMER, ['payments:write', 'payments:all_accounts']);
+
+      expect((await customer.post(`/payments/${direct.id}/capture`).send({})).status).toBe(403);
+      expect((await staff.post(`/payments/${direct.id}/capture`).send({})).body.status).toBe('captured');
+    });
+
+    it('hides the payment from other customers', async () => {
+      const other = as(app, OTHER_CUSTOMER);
+
+      expect((await other.get(`/payments/${authorized.id}`)).status).toBe(404);
+      expect((await other.post(`/payments/${authorized.id}/capture`).send({})).status).toBe(404);
+      expect((await other.post(`/payments/${authorized.id}/void`)).status).toBe(404);
+      expect((await customer.get(`/payments/${authorized.id}`)).body.status).toBe('authorized');
+    });
+
+    it('lets staff see every account', async () => {
+      const staff = as(app, OTHER_CUSTOMER, ['payments:read', 'payments:all_accounts']);
+
+      expect((await staff.get(`/payments/${authorized.id}`)).status).toBe(200);
+    });
+  });
+
+  describe('payments held for risk review', () => {
+    // A first payment above the high-value limit, shipped to another country
+    const risky = () => cardPayment(CUSTOMER, {
+      merchantId: MERCHANT,
+      amount: 1500,
+      metadata: { billingCountry: 'US', shippingCountry: 'FR' }
+    });
+    let held;
+    let staff;
+
+    beforeEach(async () => {
+      held = (await customer.post('/payments/process').send(risky())).body;
+      staff = as(app, OTHER_CUSTOMER, ['payments:all_accounts', 'risk:review']);
+    });
+
+    it('only authorizes them, and refuses to capture them until released', async () => {
+      expect(held).toMatchObject({ status: 'authorized', risk: { decision: 'review', release: null } });
+
+      const res = await merchant.post(`/payments/${held.id}/capture`).send({});
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('risk_review_pending');
+      expect((await customer.get(`/payments/${held.id}`)).body.status).toBe('authorized');
+    });
+
+    it('captures them once staff released them', async () => {
+      const released = await staff.post(`/payments/${held.id}/risk-review/release`);
+      expect(released.status).toBe(200);
+      expect(released.body.risk.release).toEqual({
+        releasedBy: OTHER_CUSTOMER,
+        releasedAt: new Date(START).toISOString()
+      });
+
+      const res = await merchant.post(`/payments/${held.id}/capture`).send({});
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('captured');
+    });
+
+    it('lets only risk reviewers release them', async () => {
+      const res = await customer.post(`/payments/${held.id}/risk-review/release`);
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('insufficient_scope');
+    });
+
+    it('refuses to release payments that are not held', async () => {
+      const payment = (await customer.post('/payments/process').send(cardPayment(CUSTOMER, { capture: false, merchantId: MERCHANT }))).body;
+      await staff.post(`/payments/${held.id}/risk-review/release`);
+
+      const notHeld = await staff.post(`/payments/${payment.id}/risk-review/release`);
+      const again = await staff.post(`/payments/${held.id}/risk-review/release`);
+
+      [notHeld, again].forEach((res) => {
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('risk_review_not_pending');
+      });
+    });
+
+    it('assesses a first high-value payment against the authenticated customer\'s own history', async () => {
+      // OTHER_CUSTOMER has paid before; naming them cannot skip the first-payment rule
+      await as(app, OTHER_CUSTOMER).post('/payments/process').send(cardPayment(OTHER_CUSTOMER));
+
+      const res = await customer.post('/payments/process').send(cardPayment(OTHER_CUSTOMER, {
+        amount: 1500,
+        metadata: { billingCountry: 'US', shippingCountry: 'FR' }
+      }));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('customer_not_permitted');
+    });
+  });
+
+  it('sends a single refund to the processor when refunds race', async () => {
+    const payment = (await customer.post('/payments/process').send(cardPayment(CUSTOMER))).body;
+    const held = heldCall({ status: 'completed', providerRefundId: 'sim_re_0001' });
+    const refund = jest.spyOn(service.processor, 'refund').mockImplementationOnce(held.implementation);
+
+    const first = customer.post(`/payments/${payment.id}/refund`).send({}).then(res => res);
+    await until(() => held.started);
+    const second = await customer.post(`/payments/${payment.id}/refund`).send({});
+    held.answer();
+
+    expect(second.status).toBe(409);
+    expect((await first).status).toBe(201);
+    expect(refund).toHaveBeenCalledTimes(1);
+    expect((await customer.get(`/payments/${payment.id}`)).body).toMatchObject({ status: 'refunded', refundedAmount: 25 });
+  });
+
+  describe('paying customer', () => {
+    const VERIFIED = '650e8400-e29b-41d4-a716-446655440503';
+
+    beforeEach(() => {
+      service.customerRepository.kycStatuses.set(VERIFIED, 'approved');
+    });
+
+    it('refuses payments for another customer, so that their KYC status cannot be borrowed', async () => {
+      const authorize = jest.spyOn(service.processor, 'authorize');
+
+      const res = await customer.post('/payments/process').send(cardPayment(VERIFIED, { amount: 3000 }));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('customer_not_permitted');
+      expect(authorize).not.toHaveBeenCalled();
+    });
+
+    it('applies the KYC limits of the authenticated customer', async () => {
+      const res = await customer.post('/payments/process').send(cardPayment(CUSTOMER, { amount: 3000 }));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('kyc_limit_exceeded');
+    });
+
+    it('lets staff pay for any customer, within that customer\'s limits', async () => {
+      const staff = as(app, OTHER_CUSTOMER, ['payments:write', 'payments:all_accounts']);
+
+      const verified = await staff.post('/payments/process').send(cardPayment(VERIFIED, { amount: 3000 }));
+      const unverified = await staff.post('/payments/process').send(cardPayment(CUSTOMER, { amount: 3000 }));
+
+      expect(verified.body.code).not.toBe('kyc_limit_exceeded');
+      expect(verified.status).toBeLessThan(300);
+      expect(unverified.body.code).toBe('kyc_limit_exceeded');
+    });
+  });
+
+  describe('AML screening', () => {
+    let screened;
+
+    beforeEach(() => {
+      screened = [];
+      const amlScreening = {
+        // Records the screened payment as it is stored at the time
+        screen: jest.fn(async (screening) => {
+          screened.push({ ...screening, stored: { ...service.paymentRepository.payments.get(screening.paymentId) } });
+          return { decision: 'clear', cases: [] };
+        }),
+        paymentDecision: async () => ({ decision: 'clear', cases: [] })
+      };
+      ({ service, app } = createTestService({ amlScreening }));
+      customer = as(app, CUSTOMER);
+    });
+
+    it('screens the authenticated customer under the ID of the recorded payment', async () => {
+      const res = await customer.post('/payments/process').send(cardPayment(CUSTOMER));
+
+      expect(screened).toEqual([expect.objectContaining({
+        paymentId: res.body.id,
+        customerId: CUSTOMER,
+        stored: expect.objectContaining({ status: 'processing', customerId: CUSTOMER })
+      })]);
+    });
+
+    it('does not screen payments requested for another customer', async () => {
+      const res = await customer.post('/payments/process').send(cardPayment(OTHER_CUSTOMER));
+
+      expect(res.status).toBe(403);
+      expect(screened).toEqual([]);
+    });
+
+    it('fails the screened payment when the processor call fails', async () => {
+      jest.spyOn(service.processor, 'authorize').mockRejectedValueOnce(new Error('socket hang up'));
+
+      const res = await customer.post('/payments/process').send(cardPayment(CUSTOMER));
+
+      expect(res.status).toBe(502);
+      expect(await service.paymentRepository.findById(screened[0].paymentId)).toMatchObject({
+        status: 'failed',
+        failureCode: 'processor_unavailable'
+      });
+    });
+
+    it('fails the payment when the compliance service is unavailable', async () => {
+      service.amlScreening.screen.mockRejectedValueOnce(
+        new PaymentError(503, 'compliance_unavailable', 'Compliance screening is unavailable'));
+      const authorize = jest.spyOn(service.processor, 'authorize');
+
+      const res = await customer.post('/payments/process').send(cardPayment(CUSTOMER));
+
+      expect(res.status).toBe(503);
+      expect(authorize).not.toHaveBeenCalled();
+      expect([...service.paymentRepository.payments.values()]).toEqual([
+        expect.objectContaining({ status: 'failed', failureCode: 'compliance_unavailable' })
+      ]);
+    });
+  });
+
+  it('rejects unauthenticated requests', async () => {
+    const res = await request(app).get('/payments');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('matches routes case-sensitively, like the gateway scope rules', async () => {
+    const payment = (await customer.post('/payments/process').send(cardPayment(CUSTOMER))).body;
+
+    const res = await customer.post(`/payments/${payment.id}/Refund`).send({ amount: 5 });
+
+    expect(res.status).toBe(404);
+    expect((await customer.get(`/payments/${payment.id}`)).body.refundedAmount).toBe(0);
+  });
+});
@@ -0,0 +1,198 @@
+const { parseCsv } = require('../../src/utils/csv');
+const { createTestService, as, cardPayment, START } = require('../helpers/testService');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440981';
+const OTHER_CUSTOMER = '650e8400-e29b-41d4-a716-446655440982';
+const MERCHANT = '650e8400-e29b-41d4-a716-446655440983';
+const STAFF = '650e8400-e29b-41d4-a716-446655440984';
+const MINUTE_MS = 60 * 1000;
+
+// Only Date is faked, so that every transaction gets its own creation time
+const REAL_TIMERS = [
+  'hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+];
+
+describe('transactions API', () => {
+  let service;
+  let app;
+  // Payments by name, in the order they were made
+  let payments;
+
+  const pay = async (customerId, overrides = {}) => {
+    jest.setSystemTime(Date.now() + MINUTE_MS);
+    return (await as(app, customerId).post('/payments/process').send(cardPayment(customerId, overrides))).body;
+  };
+  const list = (userId, query = {}, scopes = []) => as(app, userId, scopes).get('/transactions').query(query);
+  const ids = res => res.body.data.map(transaction => transaction.paymentId);
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: REAL_TIMERS, now: new Date(START) });
+    ({ service, app } = createTestService());
+
+    payments = {
+      small: await pay(CUSTOMER, { amount: 10.5 }),
+      large: await pay(CUSTOMER, { amount: 40, merchantId: MERCHANT, description: '=HYPERLINK("x"), "quoted"' }),
+      other: await pay(OTHER_CUSTOMER, { amount: 25, currency: 'EUR', merchantId: MERCHANT })
+    };
+    jest.setSystemTime(Date.now() + MINUTE_MS);
+    await service.refundService.refund(payments.large.id, { amount: 15, reason: 'requested_by_customer' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('history', () => {
+    it('lists the caller\'s transactions newest first', async () => {
+      const res = await list(CUSTOMER);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(transaction => `${transaction.type} ${transaction.paymentId} ${transaction.amount}`))
+        .toEqual([
+          `refund ${payments.large.id} 15`,
+          `payment ${payments.large.id} 40`,
+          `payment ${payments.small.id} 10.5`
+        ]);
+      expect(res.body.pagination).toEqual({ limit: 25, nextCursor: null, hasMore: false });
+    });
+
+    it('shows a merchant the payments it received', async () => {
+      const res = await list(MERCHANT);
+
+      expect(ids(res)).toEqual([payments.large.id, payments.other.id, payments.large.id]);
+    });
+
+    it('does not let a customer widen the history to someone else', async () => {
+      const res = await list(OTHER_CUSTOMER, { userId: CUSTOMER });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([]);
+    });
+
+    it('shows staff every account, filtered by customer on request', async () => {
+      const all = await list(STAFF, {}, ['payments:all_accounts']);
+      const customer = await list(STAFF, { userId: OTHER_CUSTOMER }, ['payments:all_accounts']);
+
+      expect(all.body.data).toHaveLength(4);
+      expect(ids(customer)).toEqual([payments.other.id]);
+    });
+
+    it.each([
+      [{ type: 'refund' }, ['large']],
+      [{ type: 'payment', status: 'completed' }, ['small', 'large', 'other']],
+      [{ minAmount: 15, maxAmount: 40 }, ['large', 'other', 'large']],
+      [{ maxAmount: 10.5 }, ['small']],
+      [{ currency: 'eur' }, ['other']],
+      [{ paymentMethod: 'ach' }, []],
+      // `from` is inclusive, `to` exclusive
+      [{ from: new Date(Date.parse(START) + 2 * MINUTE_MS).toISOString() }, ['large', 'other', 'large']],
+      [{ to: new Date(Date.parse(START) + 2 * MINUTE_MS).toISOString() }, ['small']]
+    ])('filters by %j', async (query, expected) => {
+      const res = await list(STAFF, query, ['payments:all_accounts']);
+
+      expect(res.status).toBe(200);
+      expect(ids(res)).toEqual(expected.map(name => payments[name].id).reverse());
+    });
+
+    it.each([
+      [{ maxAmount: 5, minAmount: 10 }, 'maxAmount'],
+      [{ from: START, to: START }, 'to'],
+      [{ status: 'settled' }, 'status'],
+      [{ limit: 101 }, 'limit'],
+      [{ cursor: 'not-a-cursor' }, 'cursor']
+    ])('rejects the query %j', async (query, field) => {
+      const res = await list(CUSTOMER, query);
+
+      expect(res.status).toBe(400);
+      expect(res.body.details.map(detail => detail.field)).toEqual([field]);
+    });
+
+    it('pages through the history by cursor', async () => {
+      const seen = [];
+      let cursor;
+
+      do {
+        const res = await list(STAFF, { limit: 3, ...(cursor && { cursor }) }, ['payments:all_accounts']);
+        expect(res.status).toBe(200);
+        expect(res.body.pagination.hasMore).toBe(res.body.pagination.nextCursor !== null);
+
+        seen.push(...res.body.data.map(transaction => transaction.id));
+        ({ nextCursor: cursor } = res.body.pagination);
+      } while (cursor);
+
+      const everything = await list(STAFF, {}, ['payments:all_accounts']);
+      expect(seen).toEqual(everything.body.data.map(transaction => transaction.id));
+    });
+
+    it('keeps the pages stable when transactions are made meanwhile', async () => {
+      const first = await list(CUSTOMER, { limit: 2 });
+      await pay(CUSTOMER);
+
+      const second = await list(CUSTOMER, { limit: 2, cursor: first.body.pagination.nextCursor });
+
+      expect(ids(second)).toEqual([payments.small.id]);
+      expect(second.body.pagination.hasMore).toBe(false);
+    });
+  });
+
+  describe('export', () => {
+    const exportAs = (userId, query = {}, scopes = []) => as(app, userId, scopes).get('/transactions/export')
+      .query(query)
+      .buffer(true)
+      .parse((res, done) => {
+        let text = '';
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => done(null, text));
+      });
+
+    it('downloads the caller\'s transactions as CSV', async () => {
+      const res = await exportAs(CUSTOMER);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/csv/);
+      expect(res.headers['content-disposition']).toBe('attachment; filename="transactions-2026-03-02.csv"');
+
+      const rows = parseCsv(res.body);
+      expect(rows.map(row => `${row.type} ${row.paymentid} ${row.amount} ${row.currency}`)).toEqual([
+        `refund ${payments.large.id} 15.00 USD`,
+        `payment ${payments.large.id} 40.00 USD`,
+        `payment ${payments.small.id} 10.50 USD`
+      ]);
+    });
+
+    it('quotes fields holding commas or quotes and defuses formulas', async () => {
+      const res = await exportAs(CUSTOMER, { type: 'payment', minAmount: 40 });
+
+      const [, row] = res.body.split('\r\n');
+      expect(row).toMatch(/,"'=HYPERLINK\(""x""\), ""quoted"""$/);
+      expect(parseCsv(res.body)[0].description).toBe('\'=HYPERLINK("x"), "quoted"');
+    });
+
+    it('only exports the transactions of the caller\'s payments', async () => {
+      const res = await exportAs(OTHER_CUSTOMER, { userId: CUSTOMER });
+
+      expect(parseCsv(res.body)).toEqual([]);
+      expect(res.body.split('\r\n')[0]).toMatch(/^id,createdAt,processedAt,type,/);
+    });
+
+    it('downloads JSON on request', async () => {
+      const res = await exportAs(MERCHANT, { format: 'json', currency: 'EUR' });
+
+      expect(res.headers['content-type']).toMatch(/^application\/json/);
+      expect(JSON.parse(res.body)).toEqual([
+        expect.objectContaining({ type: 'payment', paymentId: payments.other.id, amount: 25, currency: 'EUR' })
+      ]);
+    });
+
+    it('records the export in the audit trail', async () => {
+      await exportAs(CUSTOMER, { type: 'refund' });
+
+      const [entry] = service.auditLogRepository.entries.filter(e => e.action === 'transactions.exported');
+      expect(entry).toMatchObject({
+        userId: CUSTOMER,
+        newValues: { format: 'csv', filters: { type: 'refund', accountId: CUSTOMER }, exported: 1 }
+      });
+    });
+  });
+});
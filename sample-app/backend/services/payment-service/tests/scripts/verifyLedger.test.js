@@ -0,0 +1,49 @@
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { verifyLedger } = require('../../scripts/verify-ledger');
+const { InMemoryLedgerRepository } = require('../../src/repositories/ledgerRepository');
+const { captureEntry } = require('../../src/services/ledgerService');
+
+const SCRIPT = path.join(__dirname, '../../scripts/verify-ledger.js');
+
+describe('verify-ledger script', () => {
+  let ledgerRepository;
+  let output;
+
+  const report = () => JSON.parse(output.log.mock.calls[0][0]);
+
+  beforeEach(() => {
+    ledgerRepository = new InMemoryLedgerRepository();
+    ledgerRepository.post(captureEntry({
+      id: 'pay_1',
+      transactionId: 'txn_1',
+      customerId: 'cus_1',
+      merchantId: 'mer_1',
+      currency: 'USD'
+    }, 25));
+    output = { log: jest.fn() };
+  });
+
+  it('prints the report and exits with 0 for balanced books', async () => {
+    await expect(verifyLedger(ledgerRepository, output)).resolves.toBe(0);
+
+    expect(report()).toMatchObject({ valid: true, checkedEntries: 1, unbalancedEntries: [] });
+  });
+
+  it('exits with 1 when an entry does not balance', async () => {
+    ledgerRepository.entries[0].lines[0].amount = 30;
+
+    await expect(verifyLedger(ledgerRepository, output)).resolves.toBe(1);
+
+    expect(report()).toMatchObject({ valid: false, unbalancedEntries: [{ transactionId: 'txn_1' }] });
+  });
+
+  it('exits with 2 without a database to verify', () => {
+    const { DATABASE_URL, ...env } = process.env;
+
+    const run = spawnSync(process.execPath, [SCRIPT], { env, encoding: 'utf8', timeout: 10000 });
+
+    expect(run.status).toBe(2);
+    expect(run.stderr).toContain('DATABASE_URL is required to verify the ledger');
+  });
+});
@@ -0,0 +1,167 @@
+const { AuditTrail, hashAuditEntry, normalizeIp } = require('../../src/services/auditTrail');
+const { InMemoryAuditLogRepository } = require('../../src/repositories/auditLogRepository');
+const { createTestService, as, cardPayment } = require('../helpers/testService');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440961';
+const PAYMENT = '650e8400-e29b-41d4-a716-446655440962';
+
+describe('AuditTrail', () => {
+  let repository;
+  let auditTrail;
+
+  const record = (action, context = {}) => auditTrail.record({
+    action,
+    resourceType: 'payment',
+    resourceId: PAYMENT,
+    newValues: { status: action.split('.')[1] }
+  }, { actorType: 'user', userId: CUSTOMER, ...context });
+
+  beforeEach(() => {
+    repository = new InMemoryAuditLogRepository();
+    auditTrail = new AuditTrail({ auditLogRepository: repository });
+  });
+
+  describe('hash chain', () => {
+    beforeEach(async () => {
+      await record('payment.created');
+      await record('payment.captured');
+      await record('refund.created');
+    });
+
+    it('links every entry to the one before it', async () => {
+      const [first, second, third] = repository.entries;
+
+      expect(repository.entries.map(entry => entry.sequence)).toEqual([1, 2, 3]);
+      expect(first.previousHash).toBeNull();
+      expect(second.previousHash).toBe(first.hash);
+      expect(third.previousHash).toBe(second.hash);
+      repository.entries.forEach(entry => expect(entry.hash).toBe(hashAuditEntry(entry)));
+    });
+
+    it('verifies an intact chain', async () => {
+      await expect(auditTrail.verify()).resolves.toMatchObject({
+        valid: true,
+        checkedEntries: 3,
+        lastSequence: 3,
+        lastHash: repository.entries[2].hash,
+        brokenLinks: []
+      });
+    });
+
+    it('reports an edited entry', async () => {
+      repository.entries[1].newValues = { status: 'voided' };
+
+      const result = await auditTrail.verify();
+
+      expect(result.valid).toBe(false);
+      expect(result.brokenLinks).toEqual([{ id: repository.entries[1].id, sequence: 2, reason: 'hash_mismatch' }]);
+    });
+
+    it('reports an entry edited and hashed again at the next entry', async () => {
+      const edited = repository.entries[1];
+      edited.newValues = { status: 'voided' };
+      edited.hash = hashAuditEntry(edited);
+
+      const result = await auditTrail.verify();
+
+      expect(result.brokenLinks).toEqual([
+        { id: repository.entries[2].id, sequence: 3, reason: 'previous_hash_mismatch' }
+      ]);
+    });
+
+    it('reports deleted entries', async () => {
+      const [, deleted, next] = repository.entries;
+      repository.entries.splice(1, 1);
+
+      const result = await auditTrail.verify();
+
+      expect(result.valid).toBe(false);
+      expect(result.brokenLinks).toEqual([
+        { id: next.id, sequence: 3, reason: 'sequence_gap', expectedSequence: deleted.sequence },
+        { id: next.id, sequence: 3, reason: 'previous_hash_mismatch' }
+      ]);
+    });
+  });
+
+  describe('IP addresses', () => {
+    it.each([
+      ['203.0.113.7', '203.0.113.7'],
+      ['::ffff:203.0.113.7', '203.0.113.7'],
+      ['2001:0DB8:0000::0001', '2001:db8::1'],
+      ['fe80::1%eth0', 'fe80::1'],
+      ['203.0.113.7, 10.0.0.1', null],
+      ['not-an-address', null],
+      [undefined, null]
+    ])('records %s as %s', async (ipAddress, expected) => {
+      expect(normalizeIp(ipAddress)).toBe(expected);
+
+      const entry = await record('payment.created', { ipAddress });
+
+      expect(entry.ipAddress).toBe(expected);
+      expect(entry.hash).toBe(hashAuditEntry({ ...entry, ipAddress: expected }));
+    });
+  });
+
+  describe('failed writes', () => {
+    beforeEach(() => {
+      jest.spyOn(repository, 'append').mockRejectedValue(new Error('invalid input syntax for type inet'));
+    });
+
+    it.each(['payment.created', 'payment.captured', 'payment.voided', 'refund.created'])(
+      'fail the request for %s',
+      async (action) => {
+        await expect(record(action)).rejects.toMatchObject({
+          statusCode: 500,
+          code: 'audit_log_unavailable',
+          details: { action, resourceId: PAYMENT }
+        });
+      }
+    );
+
+    it('are only logged for other actions', async () => {
+      await expect(auditTrail.record({ action: 'payment_method.created', resourceType: 'payment_method' }))
+        .resolves.toBeNull();
+    });
+  });
+});
+
+describe('audited payment requests', () => {
+  it('answers 500 when a new payment cannot be audited', async () => {
+    const { service, app } = createTestService();
+    jest.spyOn(service.auditLogRepository, 'append').mockRejectedValueOnce(new Error('connection lost'));
+
+    const res = await as(app, CUSTOMER).post('/payments/process').send(cardPayment(CUSTOMER));
+
+    expect(res.status).toBe(500);
+    expect(res.body.code).toBe('audit_log_unavailable');
+    expect(service.paymentRepository.payments.size).toBe(1);
+  });
+});
+
+describe('audit log queries', () => {
+  let app;
+
+  beforeEach(async () => {
+    ({ app } = createTestService());
+    await as(app, CUSTOMER).post('/payments/process').send(cardPayment(CUSTOMER));
+  });
+
+  it.each([
+    [{ to: '2099-01-01T00:00:00Z' }],
+    [{ from: '2000-01-01T00:00:00Z' }],
+    [{ from: '2000-01-01T00:00:00Z', to: '2099-01-01T00:00:00Z' }]
+  ])('filter by the date range %j', async (query) => {
+    const res = await as(app, CUSTOMER).get('/audit-logs').query(query);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(entry => entry.action)).toEqual(['payment.created']);
+  });
+
+  it('rejects a range ending before it starts', async () => {
+    const res = await as(app, CUSTOMER).get('/audit-logs')
+      .query({ from: '2026-03-02T12:00:00Z', to: '2026-03-02T12:00:00Z' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.field)).toEqual(['to']);
+  });
+});
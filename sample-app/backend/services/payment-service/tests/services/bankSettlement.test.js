@@ -0,0 +1,113 @@
+const { createTestService, as } = require('../helpers/testService');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440901';
+
+const achPayment = (accountToken, overrides = {}) => ({
+  customerId: CUSTOMER,
+  amount: 120,
+  currency: 'USD',
+  paymentMethod: { type: 'ach', ach: { accountToken } },
+  ...overrides
+});
+
+describe('ACH settlement and returns', () => {
+  let service;
+  let app;
+  let clock;
+  let customer;
+
+  const pay = async (accountToken) => {
+    const res = await customer.post('/payments/process').send(achPayment(accountToken));
+    expect(res.status).toBe(202);
+    return res.body;
+  };
+  const settle = () => service.bankSettlementWorker.tick();
+  const payment = async id => (await customer.get(`/payments/${id}`)).body;
+  const ledgerEntries = (type, transactionId) => service.ledgerRepository.entries
+    .filter(entry => entry.type === type && entry.transactionId === transactionId);
+
+  beforeEach(() => {
+    ({ service, app, clock } = createTestService());
+    customer = as(app, CUSTOMER);
+  });
+
+  it('keeps an ACH payment pending until its settlement date', async () => {
+    const pending = await pay('btok_checking_0001');
+
+    expect(pending).toMatchObject({ status: 'pending', capturedAmount: 0 });
+
+    clock.advanceDays(1);
+    await settle();
+
+    expect((await payment(pending.id)).status).toBe('pending');
+  });
+
+  it('completes the payment and posts it to the ledger once settled', async () => {
+    const pending = await pay('btok_checking_0002');
+
+    clock.advanceDays(2);
+    await settle();
+
+    const settled = await payment(pending.id);
+    expect(settled).toMatchObject({ status: 'completed', capturedAmount: 120 });
+    expect(ledgerEntries('capture', settled.transactionId)).toHaveLength(1);
+  });
+
+  it.each([
+    ['R01', 'Insufficient funds'],
+    ['R03', 'No account or unable to locate account']
+  ])('fails a transfer returned with %s and posts nothing to the ledger', async (code, message) => {
+    const pending = await pay(`tok_return_${code}`);
+
+    clock.advanceDays(2);
+    await settle();
+
+    const returned = await payment(pending.id);
+    expect(returned).toMatchObject({
+      status: 'failed',
+      capturedAmount: 0,
+      failureReason: code,
+      failureMessage: message
+    });
+    expect(ledgerEntries('capture', returned.transactionId)).toHaveLength(0);
+  });
+
+  it('publishes the outcome of the settlement', async () => {
+    const completed = await pay('btok_checking_0003');
+    const returned = await pay('tok_return_R02');
+
+    clock.advanceDays(2);
+    await settle();
+
+    const events = [...service.paymentRepository.outboxRepository.events.values()]
+      .filter(event => [completed.id, returned.id].includes(event.aggregateId))
+      .map(event => `${event.aggregateId} ${event.eventType}`);
+    expect(events).toEqual(expect.arrayContaining([
+      `${completed.id} payment.completed`,
+      `${returned.id} payment.failed`
+    ]));
+  });
+
+  it('settles each transfer once', async () => {
+    const pending = await pay('btok_checking_0004');
+
+    clock.advanceDays(2);
+    await expect(service.paymentLifecycleService.settleBankTransfers()).resolves.toBe(1);
+    await expect(service.paymentLifecycleService.settleBankTransfers()).resolves.toBe(0);
+
+    expect(ledgerEntries('capture', (await payment(pending.id)).transactionId)).toHaveLength(1);
+  });
+
+  it('settles transfers made on a Friday after the weekend', async () => {
+    clock.set('2026-03-06T12:00:00Z');
+    const pending = await pay('btok_checking_0005');
+
+    clock.advanceDays(3);
+    await settle();
+    expect((await payment(pending.id)).status).toBe('pending');
+
+    clock.advanceDays(1);
+    await settle();
+    expect((await payment(pending.id)).status).toBe('completed');
+  });
+});
@@ -0,0 +1,29 @@
+const path = require('path');
+const { FxRates, DEFAULT_FX_RATES, loadFxRates } = require('../../src/services/fxRates');
+
+const RATES_FILE = path.join(__dirname, '../fixtures/fx/rates.json');
+
+describe('FX rate tables', () => {
+  it('loads the configured table, quoting its base at 1', () => {
+    const table = loadFxRates(RATES_FILE, 'production');
+
+    expect(table).toEqual({
+      base: 'EUR',
+      asOf: '2026-03-02T00:00:00Z',
+      rates: { EUR: 1, USD: 1.08, GBP: 0.86 }
+    });
+    expect(new FxRates(table).convert(10000, 'USD', 'GBP')).toMatchObject({
+      currency: 'GBP',
+      asOf: '2026-03-02T00:00:00Z'
+    });
+  });
+
+  it.each(['development', 'test'])('falls back to the indicative rates in %s', (environment) => {
+    expect(loadFxRates(undefined, environment)).toBe(DEFAULT_FX_RATES);
+  });
+
+  it.each(['production', 'staging'])('refuses to start without a table in %s', (environment) => {
+    expect(() => loadFxRates(undefined, environment))
+      .toThrow(`FX_RATES_FILE is required when NODE_ENV=${environment}`);
+  });
+});
@@ -0,0 +1,166 @@
+const {
+  captureEntry,
+  refundEntry,
+  chargebackEntry,
+  settlementEntry
+} = require('../../src/services/ledgerService');
+const { toMinorUnits } = require('../../src/utils/money');
+const { createTestService, cardPayment } = require('../helpers/testService');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440971';
+const MERCHANT = '650e8400-e29b-41d4-a716-446655440972';
+
+// `{ debits, credits }` of an entry, in minor units
+function sums(entry) {
+  return entry.lines.reduce((sum, line) => {
+    sum[line.direction === 'debit' ? 'debits' : 'credits'] += toMinorUnits(line.amount, entry.currency);
+    return sum;
+  }, { debits: 0, credits: 0 });
+}
+
+const lines = entry => entry.lines.map(line => `${line.direction} ${line.account} ${line.amount}`);
+
+describe('ledger journal entries', () => {
+  const payment = (currency = 'USD', overrides = {}) => ({
+    id: 'pay_1',
+    transactionId: 'txn_1',
+    customerId: CUSTOMER,
+    merchantId: MERCHANT,
+    currency,
+    ...overrides
+  });
+
+  it.each([
+    ['USD', 25.5],
+    ['JPY', 1999],
+    ['KWD', 12.345]
+  ])('balance a capture, refund and chargeback in %s', (currency, amount) => {
+    const entries = [
+      captureEntry(payment(currency), amount),
+      refundEntry(payment(currency), { id: 're_1', transactionId: 'txn_2', amount, currency }),
+      chargebackEntry(payment(currency), { id: 'dp_1', amount, currency })
+    ];
+
+    entries.forEach((entry) => {
+      const { debits, credits } = sums(entry);
+      expect(debits).toBe(credits);
+      expect(debits).toBe(toMinorUnits(amount, currency));
+    });
+  });
+
+  it('owes a capture to the merchant, or to the platform without one', () => {
+    expect(lines(captureEntry(payment(), 25))).toEqual([
+      `debit customer:${CUSTOMER} 25`,
+      `credit merchant:${MERCHANT} 25`
+    ]);
+    expect(lines(captureEntry(payment('USD', { merchantId: null }), 25))).toContain('credit merchant:direct 25');
+  });
+
+  it('reverses the capture for refunds and chargebacks', () => {
+    const reversal = [`debit merchant:${MERCHANT} 10`, `credit customer:${CUSTOMER} 10`];
+
+    expect(lines(refundEntry(payment(), { id: 're_1', transactionId: 'txn_2', amount: 10, currency: 'USD' })))
+      .toEqual(reversal);
+    expect(lines(chargebackEntry(payment(), { id: 'dp_1', amount: 10, currency: 'USD' }))).toEqual(reversal);
+  });
+
+  it('balances the settlement of a payment net of the processor fee', () => {
+    const entry = settlementEntry(
+      { id: 'txn_1', type: 'payment', currency: 'USD', userId: CUSTOMER },
+      { settledAmount: 100, feeAmount: 3.2 }
+    );
+
+    expect(lines(entry)).toEqual([
+      'debit processor_clearing 96.8',
+      'debit fees 3.2',
+      `credit customer:${CUSTOMER} 100`
+    ]);
+    expect(sums(entry).debits).toBe(sums(entry).credits);
+  });
+
+  it('balances the settlement of a refund with the fee on top', () => {
+    const entry = settlementEntry(
+      { id: 'txn_2', type: 'refund', currency: 'USD', userId: CUSTOMER },
+      { settledAmount: 40, feeAmount: 0.5 }
+    );
+
+    expect(lines(entry)).toEqual([
+      `debit customer:${CUSTOMER} 40`,
+      'debit fees 0.5',
+      'credit processor_clearing 40.5'
+    ]);
+    expect(sums(entry).debits).toBe(sums(entry).credits);
+  });
+
+  it('leaves out the fee line of a settlement without fee', () => {
+    const entry = settlementEntry(
+      { id: 'txn_1', type: 'payment', currency: 'JPY', userId: CUSTOMER },
+      { settledAmount: 1999, feeAmount: 0 }
+    );
+
+    expect(lines(entry)).toEqual(['debit processor_clearing 1999', `credit customer:${CUSTOMER} 1999`]);
+  });
+
+  it('refuses an entry with a single line', () => {
+    expect(() => captureEntry(payment(), 0)).toThrow('Unbalanced capture journal entry for transaction txn_1');
+  });
+});
+
+describe('LedgerService', () => {
+  let service;
+
+  const pay = (amount, overrides = {}) => service.paymentLifecycleService.process(
+    cardPayment(CUSTOMER, { amount, merchantId: MERCHANT, capture: true, ...overrides })
+  );
+  const balance = async account =>
+    (await service.ledgerService.balances({ account })).map(({ currency, balance: amount }) => `${amount} ${currency}`);
+
+  beforeEach(() => {
+    ({ service } = createTestService());
+  });
+
+  it('keeps the books balanced through captures, refunds and chargebacks', async () => {
+    const refunded = await pay(40);
+    await service.refundService.refund(refunded.id, { amount: 15, reason: 'requested_by_customer' });
+
+    const disputed = await pay(20);
+    const { dispute } = await service.disputeService.open(disputed.id, { reasonCode: 'fraudulent' });
+    await service.disputeService.resolve(dispute.id, 'lost');
+
+    const authorized = await pay(10, { capture: false });
+    await service.paymentLifecycleService.capture(authorized.id, { amount: 6 });
+
+    const entries = service.ledgerRepository.entries;
+    expect(entries.map(entry => entry.type).sort())
+      .toEqual(['capture', 'capture', 'capture', 'chargeback', 'refund']);
+    entries.forEach(entry => expect(sums(entry).debits).toBe(sums(entry).credits));
+
+    // Charged 40 + 20 + 6, less the refund of 15 and the chargeback of 20
+    expect(await balance(`customer:${CUSTOMER}`)).toEqual(['31 USD']);
+    expect(await balance(`merchant:${MERCHANT}`)).toEqual(['-31 USD']);
+
+    await expect(service.ledgerService.verify()).resolves.toMatchObject({
+      valid: true,
+      checkedEntries: 5,
+      unbalancedEntries: [],
+      currencies: [{ currency: 'USD', debits: 66 + 15 + 20, credits: 66 + 15 + 20 }]
+    });
+  });
+
+  it('reports entries that do not balance', async () => {
+    await pay(40);
+    const [entry] = service.ledgerRepository.entries;
+    entry.lines[1].amount = 39;
+
+    const result = await service.ledgerService.verify();
+
+    expect(result.valid).toBe(false);
+    expect(result.unbalancedEntries).toEqual([expect.objectContaining({
+      id: entry.id,
+      type: 'capture',
+      debits: 40,
+      credits: 39
+    })]);
+    expect(result.currencies).toEqual([{ currency: 'USD', debits: 40, credits: 39 }]);
+  });
+});
@@ -0,0 +1,180 @@
+const { OutboxRelay } = require('../../src/services/outboxRelay');
+const { InMemoryOutboxRepository, paymentEvent } = require('../../src/repositories/outboxRepository');
+const { createTestService, as, cardPayment, START } = require('../helpers/testService');
+
+const MERCHANT = '650e8400-e29b-41d4-a716-446655440951';
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440952';
+const LEASE_MS = 30 * 1000;
+
+// Only Date is faked, so that leases can be run out
+const REAL_TIMERS = [
+  'hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+];
+
+// Publisher stand-in recording the events it accepted. It rejects the events
+// of the payments in `failing`.
+function recordingPublisher() {
+  const publisher = {
+    published: [],
+    failing: new Set(),
+    publish: async (envelope) => {
+      if (publisher.failing.has(envelope.aggregateId)) {
+        throw new Error('stream unavailable');
+      }
+      publisher.published.push(envelope);
+    }
+  };
+  return publisher;
+}
+
+const payment = (id, status) => ({
+  id,
+  status,
+  amount: 25,
+  capturedAmount: status === 'completed' ? 25 : 0,
+  refundedAmount: 0,
+  currency: 'USD',
+  customerId: CUSTOMER,
+  merchantId: MERCHANT
+});
+
+describe('OutboxRelay', () => {
+  let outbox;
+  let webhooks;
+  let bus;
+  let relay;
+
+  const types = publisher => publisher.published.map(event => `${event.aggregateId} ${event.type}`);
+  const stored = () => [...outbox.events.values()];
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: REAL_TIMERS, now: new Date(START) });
+    outbox = new InMemoryOutboxRepository();
+    webhooks = recordingPublisher();
+    bus = recordingPublisher();
+    relay = new OutboxRelay({
+      outboxRepository: outbox,
+      publishers: [webhooks, bus],
+      intervalMs: 1000,
+      batchSize: 10,
+      leaseMs: LEASE_MS
+    });
+    outbox.append([
+      paymentEvent(payment('pay_1', 'authorized')),
+      paymentEvent(payment('pay_2', 'completed')),
+      paymentEvent(payment('pay_1', 'captured'))
+    ]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('publishes due events oldest first to every publisher, then marks them published', async () => {
+    await expect(relay.relayDue()).resolves.toBe(3);
+
+    const expected = ['pay_1 payment.authorized', 'pay_2 payment.completed', 'pay_1 payment.captured'];
+    expect(types(webhooks)).toEqual(expected);
+    expect(types(bus)).toEqual(expected);
+    expect(bus.published[0]).toMatchObject({
+      id: stored()[0].id,
+      source: 'payment-service',
+      aggregateType: 'payment',
+      accountId: MERCHANT,
+      occurredAt: stored()[0].createdAt,
+      data: { id: 'pay_1', object: 'payment', status: 'authorized' }
+    });
+    stored().forEach(event => {
+      expect(event).toMatchObject({ attempts: 1, nextAttemptAt: null, lastError: null });
+      expect(event.publishedAt).not.toBeNull();
+    });
+
+    await expect(relay.relayDue()).resolves.toBe(0);
+  });
+
+  it('publishes up to a batch at a time', async () => {
+    relay.batchSize = 2;
+
+    await expect(relay.relayDue()).resolves.toBe(2);
+    await expect(relay.relayDue()).resolves.toBe(1);
+    expect(types(bus)).toEqual(['pay_1 payment.authorized', 'pay_2 payment.completed', 'pay_1 payment.captured']);
+  });
+
+  it('stops at the first event a publisher rejects and keeps the rest for once the lease runs out', async () => {
+    bus.failing.add('pay_2');
+
+    await expect(relay.relayDue()).resolves.toBe(1);
+    expect(types(bus)).toEqual(['pay_1 payment.authorized']);
+
+    const [first, failed, later] = stored();
+    expect(first.publishedAt).not.toBeNull();
+    expect(failed).toMatchObject({ attempts: 1, lastError: 'stream unavailable', publishedAt: null });
+    expect(later).toMatchObject({ attempts: 0, publishedAt: null });
+
+    // Still leased
+    bus.failing.clear();
+    await expect(relay.relayDue()).resolves.toBe(0);
+
+    jest.setSystemTime(Date.now() + LEASE_MS);
+    await expect(relay.relayDue()).resolves.toBe(2);
+    expect(types(bus)).toEqual(['pay_1 payment.authorized', 'pay_2 payment.completed', 'pay_1 payment.captured']);
+    expect(stored().every(event => event.publishedAt)).toBe(true);
+  });
+
+  it('republishes an event to every publisher when one of them rejected it', async () => {
+    bus.failing.add('pay_2');
+    await relay.relayDue();
+
+    bus.failing.clear();
+    jest.setSystemTime(Date.now() + LEASE_MS);
+    await relay.relayDue();
+
+    expect(types(webhooks)).toEqual([
+      'pay_1 payment.authorized',
+      'pay_2 payment.completed',
+      'pay_2 payment.completed',
+      'pay_1 payment.captured'
+    ]);
+  });
+
+  it('skips events claimed by another relay until their lease runs out', async () => {
+    await outbox.claimDue(10, new Date(Date.now() + LEASE_MS));
+
+    await expect(relay.relayDue()).resolves.toBe(0);
+
+    jest.setSystemTime(Date.now() + LEASE_MS);
+    await expect(relay.relayDue()).resolves.toBe(3);
+  });
+});
+
+describe('webhooks sent through the outbox', () => {
+  it('delivers payment events to the merchant once they are relayed', async () => {
+    const requests = [];
+    const { service, app } = createTestService({
+      fetch: async (url, init) => {
+        requests.push(init);
+        return new Response(null, { status: 204 });
+      },
+      dnsLookup: async () => [{ address: '93.184.216.34', family: 4 }]
+    });
+    await as(app, MERCHANT).post('/webhooks/endpoints')
+      .send({ url: 'https://hooks.example.com/payflow', events: ['payment.completed'] });
+
+    const paid = (await as(app, CUSTOMER).post('/payments/process')
+      .send(cardPayment(CUSTOMER, { merchantId: MERCHANT }))).body;
+    expect(requests).toHaveLength(0);
+
+    await service.outboxRelay.relayDue();
+    // The first attempt is made in the background
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(requests).toHaveLength(1);
+    const sent = JSON.parse(requests[0].body);
+    expect(sent).toMatchObject({
+      type: 'payment.completed',
+      data: { object: { id: paid.id, object: 'payment', status: 'completed', merchantId: MERCHANT } }
+    });
+    expect([...service.outboxRepository.events.keys()]).toContain(sent.id);
+  });
+});
@@ -0,0 +1,155 @@
+const {
+  PAYMENT_STATES,
+  TRANSITIONS,
+  canTransition,
+  assertTransition,
+  assertDisputeResolution,
+  isFinalState
+} = require('../../src/services/paymentStateMachine');
+const { planCapture, planVoid, planSettlement } = require('../../src/services/paymentLifecycleService');
+const { PaymentError } = require('../../src/utils/errors');
+
+const payment = (status, overrides = {}) => ({
+  id: 'pay_1',
+  status,
+  amount: 100,
+  currency: 'USD',
+  capturedAmount: status === 'authorized' ? 0 : 100,
+  ...overrides
+});
+
+function errorOf(call) {
+  try {
+    call();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error');
+}
+
+describe('payment state machine', () => {
+  it('defines transitions for every state, to known states only', () => {
+    expect(Object.keys(TRANSITIONS).sort()).toEqual([...PAYMENT_STATES].sort());
+    Object.values(TRANSITIONS).flat().forEach(state => expect(PAYMENT_STATES).toContain(state));
+  });
+
+  it.each([
+    ['pending', 'completed'],
+    ['pending', 'authorized'],
+    ['processing', 'pending'],
+    ['processing', 'failed'],
+    ['authorized', 'captured'],
+    ['authorized', 'voided'],
+    ['captured', 'refunded'],
+    ['completed', 'disputed'],
+    ['refunded', 'disputed'],
+    ['disputed', 'refunded']
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+    expect(() => assertTransition(from, to)).not.toThrow();
+  });
+
+  it.each([
+    ['captured', 'captured'],
+    ['completed', 'completed'],
+    ['completed', 'captured'],
+    ['disputed', 'captured'],
+    ['disputed', 'completed'],
+    ['voided', 'captured'],
+    ['failed', 'completed'],
+    ['refunded', 'completed'],
+    ['captured', 'voided']
+  ])('rejects %s -> %s with a 409', (from, to) => {
+    const error = errorOf(() => assertTransition(from, to));
+
+    expect(error).toBeInstanceOf(PaymentError);
+    expect(error.statusCode).toBe(409);
+    expect(error.code).toBe('invalid_state_transition');
+    expect(error.details).toEqual({ currentState: from, attemptedState: to });
+  });
+
+  it('treats failed and voided payments as final', () => {
+    expect(PAYMENT_STATES.filter(isFinalState).sort()).toEqual(['failed', 'voided']);
+  });
+
+  describe('assertDisputeResolution', () => {
+    it('returns a disputed payment to its status before the dispute', () => {
+      expect(() => assertDisputeResolution('disputed', 'captured', 'captured')).not.toThrow();
+      expect(() => assertDisputeResolution('disputed', 'completed', 'completed')).not.toThrow();
+    });
+
+    it('moves a disputed payment on to refunded', () => {
+      expect(() => assertDisputeResolution('disputed', 'captured', 'refunded')).not.toThrow();
+    });
+
+    it('rejects any other status', () => {
+      expect(errorOf(() => assertDisputeResolution('disputed', 'captured', 'completed')).code)
+        .toBe('invalid_state_transition');
+    });
+
+    it('rejects payments that are not disputed', () => {
+      expect(errorOf(() => assertDisputeResolution('captured', 'captured', 'captured')).code)
+        .toBe('invalid_state_transition');
+    });
+  });
+});
+
+describe('planCapture', () => {
+  it('captures the full authorization by default', () => {
+    expect(planCapture(payment('authorized'), {})).toMatchObject({ status: 'captured', capturedAmount: 100 });
+  });
+
+  it('captures part of the authorization', () => {
+    expect(planCapture(payment('authorized'), { amount: 40 })).toMatchObject({ capturedAmount: 40 });
+  });
+
+  it('rejects capturing more than was authorized', () => {
+    const error = errorOf(() => planCapture(payment('authorized'), { amount: 100.01 }));
+
+    expect(error.statusCode).toBe(422);
+    expect(error.code).toBe('capture_exceeds_authorized_amount');
+  });
+
+  it.each(['captured', 'completed', 'disputed', 'refunded', 'voided', 'pending'])(
+    'rejects capturing a %s payment',
+    (status) => {
+      const error = errorOf(() => planCapture(payment(status), {}));
+
+      expect(error.statusCode).toBe(409);
+      expect(error.code).toBe('invalid_state_transition');
+    }
+  );
+
+  it('reports a missing payment as not found', () => {
+    expect(errorOf(() => planCapture(null, {})).statusCode).toBe(404);
+  });
+});
+
+describe('planVoid', () => {
+  it('voids an authorization', () => {
+    expect(planVoid(payment('authorized'))).toEqual({ status: 'voided', capturedAmount: 0 });
+  });
+
+  it('rejects voiding a captured payment', () => {
+    expect(errorOf(() => planVoid(payment('captured'))).code).toBe('invalid_state_transition');
+  });
+});
+
+describe('planSettlement', () => {
+  const pending = payment('pending', { capturedAmount: 0 });
+
+  it('completes a settled bank transfer', () => {
+    expect(planSettlement(pending, { status: 'completed' }))
+      .toMatchObject({ status: 'completed', capturedAmount: 100 });
+  });
+
+  it('fails a returned bank transfer with its return code', () => {
+    expect(planSettlement(pending, { status: 'failed', failureCode: 'R03', failureMessage: 'No account' }))
+      .toEqual({ status: 'failed', failureCode: 'R03', failureMessage: 'No account' });
+  });
+
+  it('rejects settling a payment twice', () => {
+    expect(errorOf(() => planSettlement(payment('completed'), { status: 'completed' })).code)
+      .toBe('invalid_state_transition');
+  });
+});
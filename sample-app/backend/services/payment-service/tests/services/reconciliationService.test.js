@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestService } = require('../helpers/testService');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440801';
+const SETTLEMENT_DATE = '2026-03-02';
+
+// Only Date is faked, so that transactions are created on the settlement date
+const REAL_TIMERS = [
+  'hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+];
+
+const settlementFile = name =>
+  fs.readFileSync(path.join(__dirname, '../fixtures/settlements', name), 'utf8');
+
+describe('settlement reconciliation', () => {
+  let service;
+  let app;
+  let transactions;
+
+  // Completed payment with a known processor reference, as the settlement
+  // fixtures refer to them
+  async function completedPayment(providerTransactionId, amount, currency) {
+    return service.paymentRepository.create({
+      customerId: CUSTOMER,
+      amount,
+      currency,
+      status: 'completed',
+      paymentMethod: { type: 'card', last4: '4242' },
+      providerTransactionId,
+      processedAt: new Date().toISOString()
+    });
+  }
+
+  async function completedRefund(payment, providerRefundId, amount) {
+    const { refund } = await service.refundRepository.createForPayment(payment.id, () => ({
+      refund: {
+        id: `re_${providerRefundId}`,
+        transactionId: `txn_${providerRefundId}`,
+        amount,
+        currency: payment.currency,
+        status: 'completed',
+        providerRefundId
+      },
+      refundedAmount: amount,
+      paymentStatus: 'refunded'
+    }));
+    return refund;
+  }
+
+  const byLineAndReference = items => Object.fromEntries(items
+    .filter(item => item.line !== null)
+    .map(item => [`${item.line} ${item.providerTransactionId}`, item]));
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: REAL_TIMERS, now: new Date('2026-03-01T15:00:00Z') });
+    ({ service, app } = createTestService());
+    transactions = service.transactionRepository;
+
+    // Settled the day before, so never expected in the 2026-03-02 file
+    await completedPayment('sim_settle_0000', 10, 'USD');
+
+    jest.setSystemTime(new Date(`${SETTLEMENT_DATE}T09:00:00Z`));
+    const first = await completedPayment('sim_settle_0001', 100, 'USD');
+    await completedPayment('sim_settle_0002', 45.5, 'EUR');
+    await completedRefund(first, 'sim_re_settle_0001', 20);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('ReconciliationService', () => {
+    it('balances a file that matches every completed transaction of the day', async () => {
+      const reconciliation = await service.reconciliationService.reconcile({
+        content: settlementFile('balanced.csv'),
+        settlementDate: SETTLEMENT_DATE,
+        processor: 'simulator',
+        fileName: 'balanced.csv'
+      });
+
+      expect(reconciliation).toMatchObject({
+        processor: 'simulator',
+        settlementDate: SETTLEMENT_DATE,
+        fileName: 'balanced.csv',
+        status: 'balanced',
+        summary: {
+          items: 3,
+          matched: 3,
+          totals: {
+            USD: { settledAmount: 120, feeAmount: 3.2, netAmount: 116.8 },
+            EUR: { settledAmount: 45.5, feeAmount: 1.62, netAmount: 43.88 }
+          }
+        }
+      });
+      expect(reconciliation.fileSha256).toMatch(/^[0-9a-f]{64}$/);
+      expect(byLineAndReference(reconciliation.items)['2 sim_settle_0001']).toMatchObject({
+        status: 'matched',
+        expectedAmount: 100,
+        settledAmount: 100,
+        feeAmount: 3.2,
+        netAmount: 96.8
+      });
+    });
+
+    it('records fees on matched transactions and posts their settlement to the ledger', async () => {
+      await service.reconciliationService.reconcile({
+        content: settlementFile('balanced.csv'),
+        settlementDate: SETTLEMENT_DATE,
+        processor: 'simulator'
+      });
+
+      const [payment] = await transactions.findByProviderTransactionIds(['sim_settle_0001']);
+      expect(payment).toMatchObject({ feeAmount: 3.2, netAmount: 96.8 });
+
+      const settlement = service.ledgerRepository.entries
+        .find(entry => entry.type === 'settlement' && entry.transactionId === payment.id);
+      expect(settlement.lines).toEqual(expect.arrayContaining([
+        expect.objectContaining({ account: 'processor_clearing', direction: 'debit', amount: 96.8 }),
+        expect.objectContaining({ account: 'fees', direction: 'debit', amount: 3.2 })
+      ]));
+    });
+
+    it('reports every kind of discrepancy', async () => {
+      const reconciliation = await service.reconciliationService.reconcile({
+        content: settlementFile('discrepancies.csv'),
+        settlementDate: SETTLEMENT_DATE,
+        processor: 'simulator'
+      });
+
+      const items = byLineAndReference(reconciliation.items);
+      expect(reconciliation.status).toBe('discrepancies');
+      expect(items['2 sim_settle_0001'].status).toBe('matched');
+      expect(items['3 sim_settle_0002']).toMatchObject({
+        status: 'amount_mismatch',
+        expectedAmount: 45.5,
+        settledAmount: 45,
+        reason: 'Settled 45, expected 45.5 EUR'
+      });
+      expect(items['4 sim_re_settle_0001']).toMatchObject({
+        status: 'amount_mismatch',
+        reason: 'Settled in GBP, recorded in USD'
+      });
+      expect(items['5 sim_settle_unknown']).toMatchObject({ status: 'missing_in_records', transactionId: null });
+      expect(items['6 sim_settle_0001']).toMatchObject({
+        status: 'duplicate',
+        reason: 'Reported more than once in the settlement file'
+      });
+      expect(items['7 sim_settle_0004']).toMatchObject({
+        status: 'invalid',
+        reason: 'Invalid amount "1O.00" for USD'
+      });
+      expect(reconciliation.summary).toMatchObject({
+        items: 6,
+        matched: 1,
+        amount_mismatch: 2,
+        missing_in_records: 1,
+        duplicate: 1,
+        invalid: 1,
+        missing_in_settlement: 0
+      });
+    });
+
+    it('reports completed transactions of the day that the file leaves out', async () => {
+      const missing = await completedPayment('sim_settle_0003', 30, 'USD');
+      // Pending transactions have not settled yet
+      await service.paymentRepository.create({
+        customerId: CUSTOMER,
+        amount: 15,
+        currency: 'USD',
+        status: 'pending',
+        paymentMethod: { type: 'ach', last4: '6789' },
+        providerTransactionId: 'sim_settle_0005'
+      });
+
+      const reconciliation = await service.reconciliationService.reconcile({
+        content: settlementFile('balanced.csv'),
+        settlementDate: SETTLEMENT_DATE,
+        processor: 'simulator'
+      });
+
+      const unsettled = reconciliation.items.filter(item => item.status === 'missing_in_settlement');
+      expect(unsettled).toEqual([expect.objectContaining({
+        providerTransactionId: 'sim_settle_0003',
+        transactionId: missing.transactionId,
+        expectedAmount: 30,
+        line: null,
+        reason: 'Completed payment not reported by the processor'
+      })]);
+      expect(reconciliation.status).toBe('discrepancies');
+    });
+
+    it('neither stores a dry run nor records its fees', async () => {
+      const report = await service.reconciliationService.reconcile({
+        content: settlementFile('balanced.csv'),
+        settlementDate: SETTLEMENT_DATE,
+        processor: 'simulator',
+        dryRun: true
+      });
+
+      expect(report).toMatchObject({ id: null, dryRun: true, status: 'balanced' });
+      expect(service.reconciliationRepository.reconciliations.size).toBe(0);
+      expect(service.ledgerRepository.entries.some(entry => entry.type === 'settlement')).toBe(false);
+      const [payment] = await transactions.findByProviderTransactionIds(['sim_settle_0001']);
+      expect(payment.feeAmount).toBe(0);
+    });
+
+    it('reconciles a settlement file only once', async () => {
+      const reconcile = () => service.reconciliationService.reconcile({
+        content: settlementFile('balanced.csv'),
+        settlementDate: SETTLEMENT_DATE,
+        processor: 'simulator'
+      });
+
+      await reconcile();
+
+      await expect(reconcile()).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'settlement_file_already_reconciled'
+      });
+      expect(service.ledgerRepository.entries.filter(entry => entry.type === 'settlement')).toHaveLength(3);
+    });
+
+    it.each([
+      ['a file without the required columns', settlementFile('missing-columns.csv'),
+        'Settlement file is missing columns: amount'],
+      ['a file without rows', 'provider_transaction_id,amount,currency\n', 'Settlement file has no rows']
+    ])('rejects %s', async (description, content, message) => {
+      await expect(service.reconciliationService.reconcile({
+        content,
+        settlementDate: SETTLEMENT_DATE,
+        processor: 'simulator'
+      })).rejects.toMatchObject({ statusCode: 400, code: 'invalid_settlement_file', message });
+    });
+  });
+
+  describe('reconciliations API', () => {
+    const upload = (content, query = {}) => request(app)
+      .post('/reconciliations')
+      .query({ settlementDate: SETTLEMENT_DATE, ...query })
+      .set('Content-Type', 'text/csv')
+      .send(content);
+
+    it('stores the report of an uploaded settlement file', async () => {
+      const res = await upload(settlementFile('discrepancies.csv'), { fileName: 'discrepancies.csv' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ status: 'discrepancies', fileName: 'discrepancies.csv' });
+
+      const stored = await request(app).get(`/reconciliations/${res.body.id}`);
+      expect(stored.status).toBe(200);
+      expect(stored.body.items).toHaveLength(6);
+
+      const list = await request(app).get('/reconciliations');
+      expect(list.body.data).toEqual([expect.not.objectContaining({ items: expect.anything() })]);
+      expect(list.body.pagination.total).toBe(1);
+    });
+
+    it('answers a dry run with 200 without storing it', async () => {
+      const res = await upload(settlementFile('balanced.csv'), { dryRun: 'true' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ id: null, dryRun: true, status: 'balanced' });
+      expect((await request(app).get('/reconciliations')).body.data).toEqual([]);
+    });
+
+    it('answers a second upload of the same file with 409', async () => {
+      await upload(settlementFile('balanced.csv'));
+
+      const res = await upload(settlementFile('balanced.csv'));
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('settlement_file_already_reconciled');
+    });
+
+    it('rejects a request without a settlement date or file', async () => {
+      expect((await request(app).post('/reconciliations').set('Content-Type', 'text/csv')
+        .send(settlementFile('balanced.csv'))).status).toBe(400);
+      expect((await upload('')).status).toBe(400);
+    });
+  });
+});
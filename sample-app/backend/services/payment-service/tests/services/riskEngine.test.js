@@ -0,0 +1,55 @@
+const { RiskEngine, DEFAULT_RISK_CONFIG } = require('../../src/services/riskEngine');
+const { FxRates } = require('../../src/services/fxRates');
+
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440951';
+
+const FX = new FxRates({ base: 'USD', asOf: null, rates: { USD: 1, EUR: 0.92, JPY: 150, KWD: 0.3 } });
+
+describe('RiskEngine amount rules', () => {
+  let riskRepository;
+  let engine;
+
+  const assess = (amount, currency) => engine.assess({
+    customerId: CUSTOMER,
+    amount,
+    currency,
+    paymentMethod: { type: 'card', card: { token: 'tok_visa_4242' } }
+  });
+  const firedRules = async (amount, currency) => (await assess(amount, currency)).reasons.map(reason => reason.rule);
+
+  beforeEach(() => {
+    riskRepository = {
+      countRecentPayments: jest.fn().mockResolvedValue(0),
+      hasSuccessfulPayment: jest.fn().mockResolvedValue(true)
+    };
+    engine = new RiskEngine({ riskRepository, fxRates: FX, config: DEFAULT_RISK_CONFIG });
+  });
+
+  it.each([
+    [5000, 'USD', []],
+    [5000.01, 'USD', ['amountThreshold']],
+    [749999, 'JPY', []],
+    [750150, 'JPY', ['amountThreshold']],
+    [1500.3, 'KWD', ['amountThreshold']]
+  ])('compares %d %s with the limit in the configured currency', async (amount, currency, rules) => {
+    expect(await firedRules(amount, currency)).toEqual(rules);
+  });
+
+  it('reports the limit in the configured currency', async () => {
+    expect((await assess(4500, 'EUR')).reasons).toEqual([]);
+    expect((await assess(4700, 'EUR')).reasons).toEqual([
+      expect.objectContaining({ rule: 'amountThreshold', message: 'Amount exceeds the USD 5000 review threshold' })
+    ]);
+  });
+
+  it('flags a first high-value payment in any currency', async () => {
+    riskRepository.hasSuccessfulPayment.mockResolvedValue(false);
+
+    expect(await firedRules(200000, 'JPY')).toEqual(['firstTimeHighValue']);
+    expect(await firedRules(100000, 'JPY')).toEqual([]);
+  });
+
+  it('refuses currencies it has no exchange rate for', async () => {
+    await expect(assess(100, 'CHF')).rejects.toMatchObject({ statusCode: 422, code: 'fx_rate_unavailable' });
+  });
+});
@@ -0,0 +1,471 @@
+const { createTestService, as, START } = require('../helpers/testService');
+const { planPlanChange, planInvoiceOutcome } = require('../../src/services/subscriptionService');
+const { DAY_MS } = require('../../src/utils/clock');
+const { microDepositAmounts } = require('../../src/processors/simulatorProcessor');
+
+const MERCHANT = '650e8400-e29b-41d4-a716-446655440921';
+const CUSTOMER = '650e8400-e29b-41d4-a716-446655440922';
+
+// Only Date is faked, and kept in step with the service clock, so that the
+// risk engine's velocity windows see renewals days apart
+const REAL_TIMERS = [
+  'hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+];
+
+const at = days => new Date(new Date(START).getTime() + days * DAY_MS).toISOString();
+
+describe('subscription proration', () => {
+  const plan = (id, amount) => ({
+    id,
+    name: id,
+    amount,
+    currency: 'USD',
+    interval: 'day',
+    intervalCount: 30,
+    merchantId: MERCHANT,
+    isActive: true
+  });
+  const subscription = (overrides = {}) => ({
+    planId: 'pro',
+    status: 'active',
+    currency: 'USD',
+    customerId: CUSTOMER,
+    currentPeriodStart: at(0),
+    currentPeriodEnd: at(30),
+    creditBalance: 0,
+    ...overrides
+  });
+  const change = (next, overrides = {}) => planPlanChange(subscription(overrides.subscription), null, {
+    current: plan('pro', 30),
+    next,
+    prorate: true,
+    now: new Date(at(10)),
+    leaseUntil: at(10),
+    ...overrides.options
+  });
+
+  it('invoices the difference for the rest of the period on an upgrade', () => {
+    const { subscription: changes, invoice } = change(plan('team', 60));
+
+    expect(changes).toBeUndefined();
+    expect(invoice).toMatchObject({
+      planId: 'team',
+      amount: 20,
+      status: 'open',
+      billingReason: 'subscription_update',
+      periodStart: at(10),
+      periodEnd: at(30),
+      lines: [
+        { description: 'Unused time on pro', amount: -20 },
+        { description: 'Remaining time on team', amount: 40 }
+      ]
+    });
+  });
+
+  it('credits the difference on a downgrade and switches right away', () => {
+    expect(change(plan('basic', 15), { subscription: { creditBalance: 2.5 } })).toEqual({
+      subscription: { planId: 'basic', creditBalance: 12.5 }
+    });
+  });
+
+  it('switches without charging when not prorating or still trialing', () => {
+    expect(change(plan('team', 60), { options: { prorate: false } })).toEqual({ subscription: { planId: 'team' } });
+    expect(change(plan('team', 60), { subscription: { status: 'trialing' } }))
+      .toEqual({ subscription: { planId: 'team' } });
+  });
+
+  it('rejects plans of another billing interval or currency', () => {
+    expect(() => change({ ...plan('yearly', 300), interval: 'year', intervalCount: 1 }))
+      .toThrow(expect.objectContaining({ code: 'plan_change_unsupported' }));
+    expect(() => change({ ...plan('euro', 30), currency: 'EUR' }))
+      .toThrow(expect.objectContaining({ code: 'plan_change_unsupported' }));
+  });
+
+  it('waits for an invoice being charged', () => {
+    expect(() => planPlanChange(subscription(), { id: 'inv_1' }, {
+      current: plan('pro', 30), next: plan('team', 60), prorate: true, now: new Date(at(10))
+    })).toThrow(expect.objectContaining({ statusCode: 409, code: 'invoice_open' }));
+  });
+});
+
+describe('subscription dunning schedule', () => {
+  const invoice = (overrides = {}) => ({
+    id: 'inv_1',
+    attempts: 0,
+    billingReason: 'subscription_cycle',
+    status: 'open',
+    ...overrides
+  });
+  const declined = {
+    result: 'declined',
+    paymentId: 'pay_1',
+    failureCode: 'card_declined',
+    failureMessage: 'The card was declined'
+  };
+  const unavailable = {
+    result: 'unavailable',
+    paymentId: null,
+    failureCode: 'processor_unavailable',
+    failureMessage: 'The payment processor is unavailable'
+  };
+  const outcome = (status, openInvoice, result) => planInvoiceOutcome({ status }, openInvoice, {
+    invoiceId: 'inv_1',
+    outcome: result,
+    now: new Date(at(0)),
+    retryDays: [1, 3, 5]
+  });
+
+  it.each([[0, 1], [1, 3], [2, 5]])('retries after attempt %i failed in %i day(s)', (attempts, days) => {
+    const { subscription, invoice: retried } = outcome('active', invoice({ attempts }), declined);
+
+    expect(subscription).toEqual({ status: 'past_due' });
+    expect(retried).toMatchObject({ attempts: attempts + 1, status: 'open', nextAttemptAt: at(days) });
+  });
+
+  it('gives up and cancels once every retry has failed', () => {
+    const { subscription, invoice: last } = outcome('past_due', invoice({ attempts: 3 }), declined);
+
+    expect(subscription).toMatchObject({ status: 'canceled', cancellationReason: 'payment_failed' });
+    expect(last).toMatchObject({ status: 'uncollectible', attempts: 4, nextAttemptAt: null });
+  });
+
+  it('brings a past due subscription back in good standing once paid', () => {
+    const { subscription, invoice: paid } = outcome('past_due', invoice({ attempts: 2 }),
+      { result: 'paid', paymentId: 'pay_2' });
+
+    expect(subscription).toEqual({ status: 'active' });
+    expect(paid).toMatchObject({ status: 'paid', paymentId: 'pay_2', paidAt: at(0) });
+  });
+
+  it('voids a failed plan change instead of retrying it', () => {
+    const { subscription, invoice: voided } = outcome('active',
+      invoice({ billingReason: 'subscription_update' }), declined);
+
+    expect(subscription).toEqual({});
+    expect(voided.status).toBe('void');
+  });
+
+  it('retries shortly without using up an attempt when the payment could not be made', () => {
+    const { subscription, invoice: retried } = outcome('active', invoice({ attempts: 1 }), unavailable);
+
+    expect(subscription).toEqual({});
+    expect(retried).toMatchObject({
+      status: 'open',
+      attempts: 1,
+      failureCode: 'processor_unavailable',
+      nextAttemptAt: new Date(new Date(at(0)).getTime() + 15 * 60 * 1000).toISOString()
+    });
+  });
+
+  it('waits for a pending payment to settle without marking the invoice paid', () => {
+    const { subscription, invoice: processing } = outcome('active', invoice(),
+      { result: 'pending', paymentId: 'pay_3', settlesAt: at(2) });
+
+    expect(subscription).toEqual({});
+    expect(processing).toMatchObject({ status: 'processing', attempts: 0, paymentId: 'pay_3', nextAttemptAt: at(2) });
+  });
+
+  it('reopens a processing invoice for dunning when its payment is returned', () => {
+    const { subscription, invoice: reopened } = outcome('active',
+      invoice({ status: 'processing', paymentId: 'pay_3' }), { ...declined, paymentId: 'pay_3', failureCode: 'R01' });
+
+    expect(subscription).toEqual({ status: 'past_due' });
+    expect(reopened).toMatchObject({ status: 'open', attempts: 1, failureCode: 'R01', nextAttemptAt: at(1) });
+  });
+
+  it('voids the invoice of a subscription canceled while its payment settled', () => {
+    const { subscription, invoice: voided } = outcome('canceled', invoice({ status: 'processing' }), declined);
+
+    expect(subscription).toEqual({});
+    expect(voided.status).toBe('void');
+  });
+
+  it('ignores invoices closed meanwhile', () => {
+    expect(outcome('active', null, declined)).toBeNull();
+    expect(outcome('active', invoice({ id: 'inv_2' }), declined)).toBeNull();
+  });
+});
+
+describe('subscriptions API with renewals and dunning', () => {
+  let service;
+  let app;
+  let clock;
+  let merchant;
+  let customer;
+  let cardCount = 0;
+
+  const advanceDays = (days) => {
+    clock.advanceDays(days);
+    jest.setSystemTime(clock.now());
+  };
+  const runBilling = () => service.subscriptionService.runBilling();
+
+  async function createPlan(name, amount, overrides = {}) {
+    const res = await merchant.post('/subscription-plans').send({
+      name, amount, currency: 'USD', interval: 'day', intervalCount: 30, ...overrides
+    });
+    expect(res.status).toBe(201);
+    return res.body;
+  }
+
+  async function storeCard(token) {
+    cardCount += 1;
+    const res = await customer.post('/payment-methods').send({
+      type: 'card',
+      card: { token: token || `tok_visa_sub_${cardCount}`, brand: 'visa', last4: '4242', expMonth: 12, expYear: 2030 },
+      isDefault: true
+    });
+    expect(res.status).toBe(201);
+    return res.body;
+  }
+
+  async function subscribe(plan) {
+    const res = await customer.post('/subscriptions').send({ planId: plan.id });
+    expect(res.status).toBe(201);
+    return res.body;
+  }
+
+  // A bank account verified with micro-deposits, as the default payment method
+  async function storeBankAccount(accountToken) {
+    const res = await customer.post('/payment-methods').send({
+      type: 'bank_account',
+      bankAccount: { accountToken, bankName: 'First Example Bank', accountType: 'checking', routingNumber: '110000000', last4: '6789' },
+      isDefault: true
+    });
+    expect(res.status).toBe(201);
+
+    await customer.post(`/payment-methods/${res.body.id}/micro-deposits`);
+    advanceDays(2);
+    const amounts = microDepositAmounts(accountToken).map(cents => cents / 100);
+    expect((await customer.post(`/payment-methods/${res.body.id}/verify`).send({ amounts })).status).toBe(200);
+    return res.body;
+  }
+
+  const get = async subscription => (await customer.get(`/subscriptions/${subscription.id}`)).body;
+  const invoices = async subscription =>
+    (await customer.get(`/subscriptions/${subscription.id}/invoices`)).body.data;
+  // Types of the outbox events about the subscription and its invoices
+  const events = subscription => [...service.outboxRepository.events.values()]
+    .filter(event => [event.aggregateId, event.payload.subscriptionId].includes(subscription.id))
+    .map(event => event.eventType);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: REAL_TIMERS, now: new Date(START) });
+    ({ service, app, clock } = createTestService());
+    merchant = as(app, MERCHANT);
+    customer = as(app, CUSTOMER);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('charges the first period on subscribing and renews at the end of it', async () => {
+    await storeCard();
+    const plan = await createPlan('Pro', 30);
+
+    const subscription = await subscribe(plan);
+    expect(subscription).toMatchObject({
+      status: 'active',
+      currentPeriodEnd: at(30),
+      latestInvoice: { status: 'paid', amount: 30, billingReason: 'subscription_create' }
+    });
+
+    advanceDays(30);
+    await expect(runBilling()).resolves.toEqual({ renewed: 1, charged: 0 });
+
+    expect(await get(subscription)).toMatchObject({ status: 'active', currentPeriodStart: at(30), currentPeriodEnd: at(60) });
+    expect((await invoices(subscription)).map(invoice => `${invoice.billingReason} ${invoice.status}`))
+      .toEqual(expect.arrayContaining(['subscription_create paid', 'subscription_cycle paid']));
+    expect(events(subscription)).toEqual(['subscription.created', 'invoice.paid', 'invoice.paid']);
+  });
+
+  it('charges nothing during the trial', async () => {
+    await storeCard();
+    const plan = await createPlan('Trial', 30, { trialDays: 14 });
+
+    const subscription = await subscribe(plan);
+    expect(subscription).toMatchObject({ status: 'trialing', trialEnd: at(14), latestInvoice: null });
+
+    advanceDays(14);
+    await runBilling();
+
+    expect(await get(subscription)).toMatchObject({ status: 'active', currentPeriodEnd: at(44) });
+    expect(await invoices(subscription)).toEqual([expect.objectContaining({ status: 'paid', amount: 30 })]);
+  });
+
+  it('retries a declined invoice on the dunning schedule, then cancels', async () => {
+    await storeCard('tok_decline_insufficient_funds');
+    const subscription = await subscribe(await createPlan('Pro', 30));
+
+    expect(subscription).toMatchObject({
+      status: 'past_due',
+      latestInvoice: { status: 'open', attempts: 1, nextAttemptAt: at(1), failureCode: 'insufficient_funds' }
+    });
+
+    const attempts = [];
+    for (const days of [1, 3, 5]) {
+      advanceDays(days);
+      await runBilling();
+      const [invoice] = await invoices(subscription);
+      attempts.push(`${invoice.attempts} ${invoice.status}`);
+    }
+
+    expect(attempts).toEqual(['2 open', '3 open', '4 uncollectible']);
+    expect(await get(subscription)).toMatchObject({ status: 'canceled', cancellationReason: 'payment_failed' });
+    expect(events(subscription)).toEqual([
+      'subscription.created',
+      ...Array(4).fill('invoice.payment_failed'),
+      'subscription.canceled'
+    ]);
+  });
+
+  it('does not charge an invoice before its retry is due', async () => {
+    await storeCard('tok_decline_card_declined');
+    const subscription = await subscribe(await createPlan('Pro', 30));
+
+    advanceDays(0.5);
+    await expect(runBilling()).resolves.toEqual({ renewed: 0, charged: 0 });
+
+    expect((await invoices(subscription))[0].attempts).toBe(1);
+  });
+
+  it('retries right away with a new payment method and recovers', async () => {
+    await storeCard('tok_decline_insufficient_funds');
+    const subscription = await subscribe(await createPlan('Pro', 30));
+    const card = await storeCard();
+
+    const updated = await customer.post(`/subscriptions/${subscription.id}/payment-method`)
+      .send({ paymentMethodId: card.id });
+    expect(updated.status).toBe(200);
+
+    await runBilling();
+
+    expect((await get(subscription)).status).toBe('active');
+    expect((await invoices(subscription))[0]).toMatchObject({ status: 'paid', attempts: 2 });
+  });
+
+  it('retries an invoice the processor could not charge without using up an attempt', async () => {
+    await storeCard();
+    jest.spyOn(service.processor, 'authorize').mockRejectedValueOnce(new Error('socket hang up'));
+
+    const subscription = await subscribe(await createPlan('Pro', 30));
+    expect(subscription).toMatchObject({
+      status: 'active',
+      latestInvoice: { status: 'open', attempts: 0, failureCode: 'processor_unavailable' }
+    });
+
+    advanceDays(1 / 24);
+    await expect(runBilling()).resolves.toEqual({ renewed: 0, charged: 1 });
+
+    expect((await invoices(subscription))[0]).toMatchObject({ status: 'paid', attempts: 1, failureCode: null });
+  });
+
+  describe('paid by bank transfer', () => {
+    const settle = () => service.bankSettlementWorker.tick();
+
+    it('marks the invoice paid only once the transfer has settled', async () => {
+      await storeBankAccount('btok_subscription_0001');
+      const subscription = await subscribe(await createPlan('Pro', 30));
+      expect(subscription).toMatchObject({
+        status: 'active',
+        latestInvoice: { status: 'processing', attempts: 0, nextAttemptAt: at(4) }
+      });
+
+      advanceDays(1);
+      await settle();
+      await expect(runBilling()).resolves.toEqual({ renewed: 0, charged: 0 });
+      expect((await invoices(subscription))[0].status).toBe('processing');
+
+      advanceDays(1);
+      await settle();
+      await runBilling();
+      expect((await invoices(subscription))[0]).toMatchObject({ status: 'paid', attempts: 1, paidAt: at(4) });
+    });
+
+    it('reopens the invoice for dunning when the transfer is returned', async () => {
+      await storeBankAccount('tok_return_R01');
+      const subscription = await subscribe(await createPlan('Pro', 30));
+
+      advanceDays(2);
+      await settle();
+      await runBilling();
+
+      expect(await get(subscription)).toMatchObject({ status: 'past_due' });
+      expect((await invoices(subscription))[0]).toMatchObject({
+        status: 'open',
+        attempts: 1,
+        failureCode: 'R01',
+        nextAttemptAt: at(5)
+      });
+    });
+  });
+
+  it('keeps the time left in the period across a pause', async () => {
+    await storeCard();
+    const subscription = await subscribe(await createPlan('Pro', 30));
+
+    advanceDays(10);
+    expect((await customer.post(`/subscriptions/${subscription.id}/pause`).send({})).body.status).toBe('paused');
+
+    advanceDays(25);
+    await expect(runBilling()).resolves.toEqual({ renewed: 0, charged: 0 });
+
+    const resumed = await customer.post(`/subscriptions/${subscription.id}/resume`);
+    expect(resumed.body).toMatchObject({ status: 'active', currentPeriodEnd: at(55) });
+  });
+
+  describe('plan changes', () => {
+    let subscription;
+    let team;
+    let basic;
+
+    beforeEach(async () => {
+      await storeCard();
+      const pro = await createPlan('Pro', 30);
+      team = await createPlan('Team', 60);
+      basic = await createPlan('Basic', 15);
+      subscription = await subscribe(pro);
+      advanceDays(10);
+    });
+
+    it('charges the prorated difference of an upgrade before switching', async () => {
+      const res = await customer.post(`/subscriptions/${subscription.id}/plan`).send({ planId: team.id });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        planId: team.id,
+        currentPeriodEnd: at(30),
+        latestInvoice: { status: 'paid', amount: 20, billingReason: 'subscription_update' }
+      });
+    });
+
+    it('credits a downgrade against the next renewal', async () => {
+      const res = await customer.post(`/subscriptions/${subscription.id}/plan`).send({ planId: basic.id });
+      expect(res.body).toMatchObject({ planId: basic.id, creditBalance: 10, latestInvoice: null });
+
+      advanceDays(20);
+      await runBilling();
+
+      const renewal = (await invoices(subscription)).find(invoice => invoice.billingReason === 'subscription_cycle');
+      expect(renewal).toMatchObject({
+        status: 'paid',
+        amount: 5,
+        lines: [expect.objectContaining({ amount: 15 }), { description: 'Credit applied', amount: -10 }]
+      });
+      expect((await get(subscription)).creditBalance).toBe(0);
+    });
+
+    it('keeps the current plan when the prorated charge is declined', async () => {
+      const declining = await storeCard('tok_decline_card_declined');
+      await customer.post(`/subscriptions/${subscription.id}/payment-method`).send({ paymentMethodId: declining.id });
+
+      const res = await customer.post(`/subscriptions/${subscription.id}/plan`).send({ planId: team.id });
+
+      expect(res.status).toBe(402);
+      expect(res.body.code).toBe('proration_payment_failed');
+      expect((await get(subscription)).planId).toBe(subscription.planId);
+    });
+  });
+});
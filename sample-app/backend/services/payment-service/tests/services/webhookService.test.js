@@ -0,0 +1,219 @@
+const { WebhookService, signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../../src/services/webhookService');
+const { InMemoryWebhookRepository } = require('../../src/repositories/webhookRepository');
+const { createTestService, as } = require('../helpers/testService');
+
+const MERCHANT = '650e8400-e29b-41d4-a716-446655440931';
+const EVENT = {
+  id: '650e8400-e29b-41d4-a716-446655440932',
+  type: 'payment.completed',
+  accountId: MERCHANT,
+  occurredAt: '2026-03-02T12:00:00.000Z',
+  data: { id: 'pay_1', object: 'payment' }
+};
+
+const CONFIG = { timeoutMs: 1000, maxAttempts: 3, retryBaseMs: 1000, retryMaxMs: 60000 };
+
+// dns.promises.lookup stand-in answering from `records` (host -> addresses)
+function fakeLookup(records) {
+  return async (host) => {
+    if (!records[host]) {
+      throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+    }
+    return records[host].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+  };
+}
+
+// fetch stand-in recording requests and answering `status` with a body
+function fakeFetch(status = 200) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, ...init });
+    return new Response('{"echo":"whsec_secret tok_visa_4242"}', { status });
+  };
+  return { fetch, requests };
+}
+
+describe('WebhookService', () => {
+  let records;
+  let service;
+  let transport;
+
+  beforeEach(() => {
+    records = {
+      'hooks.example.com': ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'],
+      'internal.example.com': ['10.0.0.12'],
+      'mixed.example.com': ['93.184.216.34', '192.168.1.10'],
+      'metadata.example.com': ['169.254.169.254']
+    };
+    transport = fakeFetch();
+    service = new WebhookService({
+      webhookRepository: new InMemoryWebhookRepository(),
+      config: CONFIG,
+      fetch: transport.fetch,
+      lookup: fakeLookup(records)
+    });
+  });
+
+  const register = url => service.createEndpoint(MERCHANT, { url, events: ['*'] });
+
+  describe('endpoint registration', () => {
+    it('accepts https URLs of hosts with public addresses only', async () => {
+      const endpoint = await register('https://hooks.example.com/payflow');
+
+      expect(endpoint.url).toBe('https://hooks.example.com/payflow');
+      expect(endpoint.secret).toMatch(/^whsec_/);
+    });
+
+    it.each([
+      ['http://hooks.example.com/payflow', 'Webhook URLs must use https'],
+      ['https://internal.example.com/', 'resolves to a private, loopback or link-local address'],
+      ['https://mixed.example.com/', 'resolves to a private, loopback or link-local address'],
+      ['https://metadata.example.com/latest', 'resolves to a private, loopback or link-local address'],
+      ['https://unknown.example.com/', 'could not be resolved']
+    ])('refuses %s', async (url, message) => {
+      const error = await register(url).catch(rejected => rejected);
+
+      expect(error).toMatchObject({ statusCode: 422, code: 'webhook_url_not_allowed' });
+      expect(error.message).toContain(message);
+    });
+
+    it.each([
+      '127.0.0.1', '0.0.0.0', '10.1.2.3', '100.64.0.1', '172.16.5.4', '192.168.0.1', '169.254.169.254',
+      '224.0.0.1', '255.255.255.255', '::1', '::', '::ffff:127.0.0.1', 'fd00::1', 'fe80::1', 'ff02::1'
+    ])('refuses the address %s', async (address) => {
+      records['target.example.com'] = [address];
+
+      await expect(register('https://target.example.com/')).rejects.toMatchObject({ code: 'webhook_url_not_allowed' });
+    });
+
+    it('resolves IP literals like any host', async () => {
+      records['127.0.0.1'] = ['127.0.0.1'];
+      records['::1'] = ['::1'];
+
+      await expect(register('https://127.0.0.1/')).rejects.toMatchObject({ code: 'webhook_url_not_allowed' });
+      await expect(register('https://[::1]/')).rejects.toMatchObject({ code: 'webhook_url_not_allowed' });
+    });
+  });
+
+  describe('delivery', () => {
+    let endpoint;
+
+    const publishAndDeliver = async () => {
+      await service.publish(EVENT);
+      // The first attempt is made in the background
+      await new Promise(resolve => setImmediate(resolve));
+      const [delivery] = await service.listDeliveries(MERCHANT, endpoint.id, { limit: 1 });
+      return delivery;
+    };
+
+    beforeEach(async () => {
+      endpoint = await register('https://hooks.example.com/payflow');
+    });
+
+    it('signs the body and records only the response status', async () => {
+      const delivery = await publishAndDeliver();
+
+      expect(delivery).toMatchObject({ status: 'succeeded', attempts: 1, responseStatus: 200, error: null });
+      expect(delivery).not.toHaveProperty('responseBody');
+      expect(JSON.stringify(delivery)).not.toContain('whsec_secret');
+
+      const [sent] = transport.requests;
+      const timestamp = sent.headers[TIMESTAMP_HEADER];
+      expect(sent.redirect).toBe('manual');
+      expect(sent.headers[SIGNATURE_HEADER]).toBe(`v1=${signPayload(endpoint.secret, timestamp, sent.body)}`);
+    });
+
+    it('does not send anything once the host resolves to a private address', async () => {
+      records['hooks.example.com'] = ['10.0.0.12'];
+
+      const delivery = await publishAndDeliver();
+
+      expect(transport.requests).toHaveLength(0);
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: null });
+      expect(delivery.error).toContain('resolves to a private, loopback or link-local address');
+      expect(delivery.nextAttemptAt).not.toBeNull();
+    });
+
+    it('connects through the addresses it checked', async () => {
+      await publishAndDeliver();
+
+      const [sent] = transport.requests;
+      const lookup = options => new Promise((resolve, reject) => {
+        service.connectLookup('hooks.example.com', options, (error, ...answer) => (error ? reject(error) : resolve(answer)));
+      });
+
+      expect(sent.dispatcher).toBe(service.dispatcher);
+      await expect(lookup({ all: true })).resolves.toEqual([[
+        { address: '93.184.216.34', family: 4 },
+        { address: '2606:2800:220:1:248:1893:25c8:1946', family: 6 }
+      ]]);
+      await expect(lookup({})).resolves.toEqual(['93.184.216.34', 4]);
+
+      records['hooks.example.com'] = ['127.0.0.1'];
+      await expect(lookup({ all: true })).rejects.toMatchObject({ code: 'webhook_url_not_allowed' });
+    });
+
+    it('does not connect to an address the host is rebound to after the check', async () => {
+      // Real fetch: the lookup checking the host before the attempt answers
+      // a public address, the one made to connect a loopback address
+      const lookup = jest.fn(fakeLookup(records));
+      service = new WebhookService({ webhookRepository: new InMemoryWebhookRepository(), config: CONFIG, lookup });
+      endpoint = await register('https://hooks.example.com/payflow');
+      lookup.mockImplementationOnce(fakeLookup(records))
+        .mockImplementationOnce(fakeLookup({ 'hooks.example.com': ['127.0.0.1'] }));
+
+      await service.publish(EVENT);
+      let delivery;
+      while (!delivery?.attempts) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        [delivery] = await service.listDeliveries(MERCHANT, endpoint.id, { limit: 1 });
+      }
+
+      expect(lookup).toHaveBeenCalledTimes(3);
+      expect(delivery.responseStatus).toBeNull();
+      expect(delivery.error).toBe('Webhook host hooks.example.com resolves to a private, loopback or link-local address');
+    });
+
+    it('sends the outbox event under its own id, once per endpoint', async () => {
+      await publishAndDeliver();
+      await service.publish(EVENT);
+
+      const deliveries = await service.listDeliveries(MERCHANT, endpoint.id, { limit: 10 });
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0]).toMatchObject({ eventId: EVENT.id, eventType: 'payment.completed' });
+      expect(transport.requests).toHaveLength(1);
+      expect(JSON.parse(transport.requests[0].body)).toEqual({
+        id: EVENT.id,
+        type: 'payment.completed',
+        createdAt: EVENT.occurredAt,
+        data: { object: EVENT.data }
+      });
+    });
+
+    it('fails when the deliveries cannot be stored, for the outbox relay to retry', async () => {
+      jest.spyOn(service.webhookRepository, 'createDeliveries').mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(service.publish(EVENT)).rejects.toThrow('connection lost');
+    });
+  });
+});
+
+describe('webhook endpoints API', () => {
+  it('rejects http URLs and private hosts', async () => {
+    const { app } = createTestService({
+      fetch: fakeFetch().fetch,
+      dnsLookup: fakeLookup({ 'localhost': ['127.0.0.1'], 'hooks.example.com': ['93.184.216.34'] })
+    });
+    const merchant = as(app, MERCHANT);
+
+    const plain = await merchant.post('/webhooks/endpoints').send({ url: 'http://hooks.example.com/' });
+    expect(plain.status).toBe(400);
+
+    const local = await merchant.post('/webhooks/endpoints').send({ url: 'https://localhost/' });
+    expect(local.status).toBe(422);
+    expect(local.body.code).toBe('webhook_url_not_allowed');
+
+    const created = await merchant.post('/webhooks/endpoints').send({ url: 'https://hooks.example.com/' });
+    expect(created.status).toBe(201);
+  });
+});
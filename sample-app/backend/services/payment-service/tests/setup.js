@@ -0,0 +1,6 @@
+// Service logs are noise in test output; tests asserting on log output
+// build their own logger
+const { logger, auditLogger } = require('../src/utils/logger');
+
+logger.silent = true;
+auditLogger.silent = true;
@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Uploaded file types: the leading bytes that identify the file format, and
+// the extension stored files get. Services choose which of them they accept.
+const FILE_FORMATS = {
+  'image/jpeg': { extension: 'jpg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+  'image/png': { extension: 'png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  'application/pdf': { extension: 'pdf', signature: Buffer.from('%PDF-') }
+};
+
+// Whether `content` is really a file of `mimeType`, judged by its contents
+// rather than the Content-Type the client sent
+function matchesFormat(content, mimeType) {
+  const format = FILE_FORMATS[mimeType];
+  return Boolean(format) && content.subarray(0, format.signature.length).equals(format.signature);
+}
+
+// Files on the local filesystem under `directory`, one directory per owner
+// (e.g. a dispute or a user). Stored paths are relative to `directory` and
+// never leave it. `label` names the files in errors.
+class LocalFileStorage {
+  constructor({ directory, label = 'File' }) {
+    this.directory = path.resolve(directory);
+    this.label = label;
+  }
+
+  // Write `content` and return its stored path
+  async save(ownerId, fileId, mimeType, content) {
+    const filePath = path.join(ownerId, `${fileId}.${FILE_FORMATS[mimeType].extension}`);
+    const absolutePath = this.resolve(filePath);
+
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true, mode: 0o700 });
+    // `wx` refuses to overwrite an existing file
+    await fs.writeFile(absolutePath, content, { flag: 'wx', mode: 0o600 });
+
+    return filePath;
+  }
+
+  async read(filePath) {
+    return fs.readFile(this.resolve(filePath));
+  }
+
+  async remove(filePath) {
+    await fs.rm(this.resolve(filePath), { force: true });
+  }
+
+  resolve(filePath) {
+    const absolutePath = path.resolve(this.directory, filePath);
+    if (!absolutePath.startsWith(`${this.directory}${path.sep}`)) {
+      throw new Error(`${this.label} path ${filePath} is outside the storage directory`);
+    }
+    return absolutePath;
+  }
+}
+
+module.exports = { LocalFileStorage, FILE_FORMATS, matchesFormat };
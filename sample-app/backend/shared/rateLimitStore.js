@@ -0,0 +1,47 @@
+// express-rate-limit store backed by Redis, so that limits hold across
+// restarts and replicas. Used by the API gateway and the payment service.
+
+// Fixed window counter: the first hit creates the key with the window as TTL.
+// Runs as a script so the counter can never be left without an expiry.
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+class RedisRateLimitStore {
+  constructor({ client, prefix }) {
+    this.client = client;
+    this.prefix = prefix;
+    // Counters are shared between replicas, not owned by this process
+    this.localKeys = false;
+  }
+
+  // Called by express-rate-limit with the limiter options
+  init({ windowMs }) {
+    this.windowMs = windowMs;
+  }
+
+  async increment(key) {
+    const [totalHits, ttl] = await this.client.eval(INCREMENT_SCRIPT, {
+      keys: [this.prefix + key],
+      arguments: [String(this.windowMs)]
+    });
+
+    return { totalHits, resetTime: new Date(Date.now() + ttl) };
+  }
+
+  async decrement(key) {
+    await this.client.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+module.exports = { RedisRateLimitStore };
@@ -0,0 +1,149 @@
+// Log redaction for the API gateway and the payment, notification and
+// compliance services. This file has no dependencies of its own, so it loads
+// from any service's source tree; services pass in their own winston to get
+// the log format (createRedactionFormat).
+//
+// Values are masked in a fixed format so redacted logs stay greppable:
+//   sensitive keys        [REDACTED]
+//   card numbers (PAN)    ****4242
+//   IBANs                 ****1234
+//   account numbers       account number ****6789
+//   tokens and secrets    tok_[REDACTED], pf_live_[REDACTED], Bearer [REDACTED], [REDACTED_JWT]
+//   emails                j***@example.com
+//   SSNs                  ***-**-****
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are always dropped, compared case-insensitively and
+// ignoring separators (`api_key`, `apiKey` and `X-API-Key` all match).
+// LOG_REDACT_KEYS adds comma-separated keys, e.g. free-form metadata fields.
+const DEFAULT_REDACTED_KEYS = [
+  'password',
+  'passwordHash',
+  'secret',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'apiKey',
+  'xApiKey',
+  'authorization',
+  'cookie',
+  'cardNumber',
+  'pan',
+  'cvc',
+  'cvv',
+  'ssn',
+  'taxId',
+  'accountNumber',
+  'routingNumber',
+  'accountToken',
+  'iban',
+  'dateOfBirth'
+];
+
+// Applied in order; earlier patterns must not produce text a later one matches
+const VALUE_PATTERNS = [
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[REDACTED_JWT]'],
+  [/\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, `$1 ${REDACTED}`],
+  [/\b(pf_test|pf_live|sk_test|sk_live|rk_test|rk_live|whsec|tok|pm)_[A-Za-z0-9_-]{4,}/g, `$1_${REDACTED}`],
+  [/\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g, '$1***@$2'],
+  [/\b\d{3}-\d{2}-\d{4}\b/g, '***-**-****'],
+  [/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g, (iban) => `****${iban.replace(/ /g, '').slice(-4)}`],
+  // 13-19 digits, optionally grouped with spaces or dashes; not part of a
+  // longer identifier such as a UUID
+  [/(?<![\w-])\d(?:[ -]?\d){12,18}(?![\w-])/g, (pan) => `****${pan.replace(/\D/g, '').slice(-4)}`],
+  [/\b(account|acct|routing)(\s*(?:number|no\.?|#)?\s*[:=]?\s*)(\d{4,17})\b/gi,
+    (match, label, separator, digits) => `${label}${separator}****${digits.slice(-4)}`]
+];
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function redactedKeySet(extraKeys = []) {
+  return new Set([...DEFAULT_REDACTED_KEYS, ...extraKeys].map(normalizeKey));
+}
+
+function configuredKeys() {
+  return (process.env.LOG_REDACT_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+}
+
+function redactString(value) {
+  return VALUE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+// Redacted copy of `value`. Plain objects, arrays and errors are walked
+// recursively; the input itself is never modified. `ancestors` guards
+// against circular references.
+function redactValue(value, keys = redactedKeySet(configuredKeys()), ancestors = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!(value instanceof Error || Array.isArray(value) || isPlainObject(value))) {
+    return value;
+  }
+  if (ancestors.has(value)) {
+    return '[Circular]';
+  }
+
+  ancestors.add(value);
+  let redacted;
+
+  if (value instanceof Error) {
+    redacted = {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.stack && { stack: redactString(value.stack) }),
+      ...(value.code && { code: value.code })
+    };
+  } else if (Array.isArray(value)) {
+    redacted = value.map(item => redactValue(item, keys, ancestors));
+  } else {
+    redacted = Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      keys.has(normalizeKey(key)) ? REDACTED : redactValue(item, keys, ancestors)
+    ]));
+  }
+
+  ancestors.delete(value);
+  return redacted;
+}
+
+// Redacts every field of a log entry except `level`, in place. `keys` are
+// sensitive keys on top of the defaults (LOG_REDACT_KEYS unless given). Has
+// the signature of a winston format transform.
+function redactLogEntry(info, { keys = configuredKeys() } = {}) {
+  const keySet = redactedKeySet(keys);
+
+  Object.keys(info).forEach((key) => {
+    if (key === 'level') {
+      return;
+    }
+    info[key] = keySet.has(normalizeKey(key)) ? REDACTED : redactValue(info[key], keySet);
+  });
+
+  return info;
+}
+
+// Winston format redacting every log entry before it reaches a transport,
+// built with the calling service's `winston`. Use it on the logger (not per
+// transport) so that all transports see the redacted entry.
+function createRedactionFormat(winston) {
+  return winston.format(redactLogEntry);
+}
+
+module.exports = {
+  createRedactionFormat,
+  redactLogEntry,
+  redactValue,
+  redactString,
+  DEFAULT_REDACTED_KEYS,
+  REDACTED
+};
@@ -0,0 +1,53 @@
+// In-memory stand-in for the node-redis client, covering the commands the
+// rate limit store (../rateLimitStore.js) uses. `eval` runs the store's fixed
+// window increment script (INCR, then PEXPIRE on a key without expiry).
+// Expiry follows Date.now(), so jest fake timers move it. `failing = true`
+// makes every command reject, as when Redis is unreachable.
+class FakeRedis {
+  constructor() {
+    this.values = new Map();
+    this.expiresAt = new Map();
+    this.failing = false;
+  }
+
+  check() {
+    if (this.failing) {
+      throw new Error('connect ECONNREFUSED 127.0.0.1:6379');
+    }
+  }
+
+  expire(key) {
+    if (this.expiresAt.has(key) && this.expiresAt.get(key) <= Date.now()) {
+      this.values.delete(key);
+      this.expiresAt.delete(key);
+    }
+  }
+
+  async eval(script, { keys: [key], arguments: [windowMs] }) {
+    this.check();
+    this.expire(key);
+
+    const hits = (this.values.get(key) || 0) + 1;
+    this.values.set(key, hits);
+    if (!this.expiresAt.has(key)) {
+      this.expiresAt.set(key, Date.now() + Number(windowMs));
+    }
+    return [hits, this.expiresAt.get(key) - Date.now()];
+  }
+
+  async decr(key) {
+    this.check();
+    this.expire(key);
+    this.values.set(key, (this.values.get(key) || 0) - 1);
+    return this.values.get(key);
+  }
+
+  async del(key) {
+    this.check();
+    const existed = this.values.delete(key);
+    this.expiresAt.delete(key);
+    return existed ? 1 : 0;
+  }
+}
+
+module.exports = { FakeRedis };
@@ -0,0 +1,39 @@
+const { Writable } = require('stream');
+
+// Log capture for the tests of the API gateway and the services. Like
+// redaction.js, it takes the calling service's `winston` rather than
+// requiring its own.
+function createLogCapture(winston) {
+  // Record what `logger` hands its transports, one JSON string per entry,
+  // with the logger's own transports muted meanwhile. Call `restore()` when
+  // done.
+  return function captureLogs(logger) {
+    const entries = [];
+    const transport = new winston.transports.Stream({
+      stream: new Writable({
+        write(chunk, encoding, callback) {
+          entries.push(chunk.toString().trim());
+          callback();
+        }
+      })
+    });
+    const ownTransports = logger.transports.map(own => [own, own.silent]);
+    const wasSilent = logger.silent;
+
+    ownTransports.forEach(([own]) => { own.silent = true; });
+    logger.silent = false;
+    logger.add(transport);
+
+    return {
+      entries,
+      text: () => entries.join('\n'),
+      restore() {
+        logger.remove(transport);
+        ownTransports.forEach(([own, silent]) => { own.silent = silent; });
+        logger.silent = wasSilent;
+      }
+    };
+  };
+}
+
+module.exports = { createLogCapture };
@@ -9,7 +9,7 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 CREATE TYPE user_status_type AS ENUM ('pending', 'active', 'suspended', 'closed');
 CREATE TYPE kyc_status_type AS ENUM ('not_started', 'pending', 'under_review', 'approved', 'rejected');
 CREATE TYPE transaction_status_type AS ENUM ('pending', 'processing', 'completed', 'failed', 'cancelled');
-CREATE TYPE payment_status_type AS ENUM ('pending', 'processing', 'completed', 'failed', 'refunded', 'disputed');
+CREATE TYPE payment_status_type AS ENUM ('pending', 'processing', 'authorized', 'captured', 'completed', 'failed', 'voided', 'refunded', 'disputed');
 CREATE TYPE notification_type AS ENUM ('email', 'sms', 'push', 'in_app');
 CREATE TYPE notification_status AS ENUM ('pending', 'sent', 'delivered', 'failed');
 
@@ -87,6 +87,7 @@ CREATE TABLE payment_methods (
     bank_account_type VARCHAR(20),
     bank_routing_number VARCHAR(9),
     bank_account_last_four VARCHAR(4),
+    micro_deposits JSONB, -- Bank account verification: amounts (minor units), currency, sentAt, arrivesAt, attempts
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     expires_at TIMESTAMP WITH TIME ZONE
@@ -96,22 +97,22 @@ CREATE TABLE payment_methods (
 CREATE TABLE transactions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id),
-    payment_method_id UUID REFERENCES payment_methods(id),
+    payment_method_id UUID REFERENCES payment_methods(id) ON DELETE SET NULL, -- payments keep their payment_method_details summary
     type VARCHAR(20) NOT NULL, -- 'payment', 'refund', 'transfer', 'fee'
-    amount DECIMAL(15,2) NOT NULL,
+    amount DECIMAL(19,4) NOT NULL,
     currency VARCHAR(3) NOT NULL DEFAULT 'USD',
     status transaction_status_type DEFAULT 'pending',
     description TEXT,
     reference_id VARCHAR(100), -- External reference
     provider_transaction_id VARCHAR(255),
-    fee_amount DECIMAL(15,2) DEFAULT 0,
-    net_amount DECIMAL(15,2),
+    fee_amount DECIMAL(19,4) DEFAULT 0, -- processor fee, 0 until settlement reconciliation records it
+    net_amount DECIMAL(19,4), -- amount captured (or refunded) less fee_amount
     processed_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     metadata JSONB DEFAULT '{}'::jsonb,
     risk_score INTEGER DEFAULT 0,
-    fraud_check_result JSONB
+    fraud_check_result JSONB -- risk engine decision, reasons and signals (card fingerprint, IP)
 );
 
 -- Payments table (specific payment records)
@@ -120,24 +121,255 @@ CREATE TABLE payments (
     transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
     merchant_id UUID REFERENCES users(id),
     customer_id UUID NOT NULL REFERENCES users(id),
-    amount DECIMAL(15,2) NOT NULL,
+    amount DECIMAL(19,4) NOT NULL, -- Charged amount, in `currency`
     currency VARCHAR(3) NOT NULL DEFAULT 'USD',
     status payment_status_type DEFAULT 'pending',
     payment_intent_id VARCHAR(255), -- Stripe payment intent ID
     client_secret VARCHAR(255),
+    payment_method_details JSONB DEFAULT '{}'::jsonb, -- Non-sensitive summary (type, last4, bank name)
     confirmation_method VARCHAR(50) DEFAULT 'automatic',
     receipt_email VARCHAR(255),
     receipt_url TEXT,
-    refunded_amount DECIMAL(15,2) DEFAULT 0,
-    dispute_amount DECIMAL(15,2) DEFAULT 0,
+    captured_amount DECIMAL(19,4) DEFAULT 0,
+    refunded_amount DECIMAL(19,4) DEFAULT 0,
+    dispute_amount DECIMAL(19,4) DEFAULT 0,
+    settlement_amount DECIMAL(19,4), -- Captured (or authorized) amount paid out, in settlement_currency
+    settlement_currency VARCHAR(3),
+    exchange_rate DECIMAL(24,12), -- Units of settlement_currency per unit of currency
+    fx_rates_as_of TIMESTAMP WITH TIME ZONE,
+    settles_at TIMESTAMP WITH TIME ZONE, -- Bank transfers (ACH, wire): pending until the rail settles them
+    operation_reservation_id UUID, -- Capture, void or refund being sent to the processor
+    operation_reserved_until TIMESTAMP WITH TIME ZONE, -- Abandoned reservations expire
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    confirmed_at TIMESTAMP WITH TIME ZONE,
+    authorized_at TIMESTAMP WITH TIME ZONE,
+    confirmed_at TIMESTAMP WITH TIME ZONE, -- Captured (or completed in one step)
+    voided_at TIMESTAMP WITH TIME ZONE,
     failed_at TIMESTAMP WITH TIME ZONE,
     failure_code VARCHAR(50),
     failure_message TEXT
 );
 
+-- Recurring billing plans offered by a merchant (see the payment service's
+-- subscriptionService.js)
+CREATE TABLE subscription_plans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    merchant_id UUID NOT NULL REFERENCES users(id),
+    name VARCHAR(255) NOT NULL,
+    amount DECIMAL(19,4) NOT NULL CHECK (amount > 0), -- charged every billing period, in `currency`
+    currency VARCHAR(3) NOT NULL,
+    billing_interval VARCHAR(10) NOT NULL CHECK (billing_interval IN ('day', 'week', 'month', 'year')),
+    interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+    trial_days INTEGER NOT NULL DEFAULT 0 CHECK (trial_days >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE, -- archived plans keep billing existing subscriptions
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A customer's subscription to a plan, billed at the end of every period
+CREATE TABLE subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id),
+    customer_id UUID NOT NULL REFERENCES users(id),
+    merchant_id UUID NOT NULL REFERENCES users(id),
+    payment_method_id UUID REFERENCES payment_methods(id) ON DELETE SET NULL, -- NULL: the customer's default
+    status VARCHAR(20) NOT NULL CHECK (status IN ('trialing', 'active', 'past_due', 'paused', 'canceled')),
+    currency VARCHAR(3) NOT NULL,
+    current_period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    current_period_end TIMESTAMP WITH TIME ZONE NOT NULL, -- next renewal
+    trial_end TIMESTAMP WITH TIME ZONE,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+    canceled_at TIMESTAMP WITH TIME ZONE,
+    cancellation_reason VARCHAR(30), -- 'requested' or 'payment_failed'
+    paused_at TIMESTAMP WITH TIME ZONE,
+    resumes_at TIMESTAMP WITH TIME ZONE, -- NULL: paused until resumed
+    credit_balance DECIMAL(19,4) NOT NULL DEFAULT 0, -- proration credit applied to the next renewals
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invoices of a subscription, each charged as a payment and retried on the
+-- dunning schedule while `open`
+CREATE TABLE subscription_invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES users(id),
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id), -- plan billed (the new plan for a plan change)
+    amount DECIMAL(19,4) NOT NULL CHECK (amount >= 0),
+    currency VARCHAR(3) NOT NULL,
+    -- processing: the latest payment was accepted but has not settled yet (e.g. ACH)
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'processing', 'paid', 'uncollectible', 'void')),
+    billing_reason VARCHAR(30) NOT NULL CHECK (billing_reason IN (
+        'subscription_create', 'subscription_cycle', 'subscription_update'
+    )),
+    period_start TIMESTAMP WITH TIME ZONE,
+    period_end TIMESTAMP WITH TIME ZONE,
+    lines JSONB NOT NULL DEFAULT '[]'::jsonb, -- plan charge, proration and credit applied
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE, -- next charge, or settlement check while processing; NULL once closed
+    payment_id UUID REFERENCES payments(id), -- latest payment attempt
+    failure_code VARCHAR(50),
+    failure_message TEXT,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refunds table (full and partial refunds against a payment)
+CREATE TABLE refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    amount DECIMAL(19,4) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'completed',
+    reason VARCHAR(50), -- 'requested_by_customer', 'duplicate', 'fraudulent'
+    provider_refund_id VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Disputes (chargebacks) of a payment, opened through the API or reported by
+-- the processor (see the payment service's disputeService.js). A payment is
+-- disputed at most once.
+CREATE TABLE disputes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID NOT NULL UNIQUE REFERENCES payments(id) ON DELETE CASCADE,
+    amount DECIMAL(19,4) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL,
+    reason_code VARCHAR(50) NOT NULL, -- 'fraudulent', 'product_not_received', ...
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'under_review', 'won', 'lost')),
+    evidence_due_by TIMESTAMP WITH TIME ZONE NOT NULL,
+    original_payment_status payment_status_type NOT NULL, -- before the dispute, restored unless it is lost in full
+    provider_dispute_id VARCHAR(255) UNIQUE,
+    evidence_submitted_at TIMESTAMP WITH TIME ZONE,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Evidence files attached to a dispute, stored outside the database
+CREATE TABLE dispute_evidence (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    dispute_id UUID NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+    description TEXT,
+    file_path TEXT NOT NULL, -- relative to the evidence storage directory
+    file_size INTEGER NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Settlement reconciliations: a processor settlement file matched against
+-- `transactions` (see the payment service's reconciliationService.js)
+CREATE TABLE settlement_reconciliations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    processor VARCHAR(50) NOT NULL,
+    settlement_date DATE NOT NULL, -- day whose completed transactions are expected in the file
+    file_name VARCHAR(255),
+    file_sha256 CHAR(64) NOT NULL UNIQUE, -- a settlement file is reconciled only once
+    status VARCHAR(20) NOT NULL CHECK (status IN ('balanced', 'discrepancies')),
+    summary JSONB NOT NULL, -- item counts per status and settled totals per currency
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One item per settlement file row, plus one per unsettled transaction
+CREATE TABLE settlement_reconciliation_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    reconciliation_id UUID NOT NULL REFERENCES settlement_reconciliations(id) ON DELETE CASCADE,
+    status VARCHAR(30) NOT NULL CHECK (status IN (
+        'matched', 'amount_mismatch', 'missing_in_records', 'missing_in_settlement', 'duplicate', 'invalid'
+    )),
+    provider_transaction_id VARCHAR(255),
+    transaction_id UUID REFERENCES transactions(id),
+    line_number INTEGER, -- line in the settlement file, NULL for missing_in_settlement
+    currency VARCHAR(3),
+    expected_amount DECIMAL(19,4), -- per our records
+    settled_amount DECIMAL(19,4), -- per the processor
+    fee_amount DECIMAL(19,4),
+    net_amount DECIMAL(19,4),
+    reason TEXT
+);
+
+-- Double-entry ledger (see the payment service's ledgerService.js). Entries
+-- are append-only and the lines of every entry must balance; corrections are
+-- posted as new entries.
+CREATE TABLE journal_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('capture', 'refund', 'chargeback', 'settlement')),
+    transaction_id UUID NOT NULL REFERENCES transactions(id),
+    currency VARCHAR(3) NOT NULL, -- of every line of the entry
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (transaction_id, entry_type) -- an entry is posted once per transaction
+);
+
+CREATE TABLE journal_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    journal_entry_id UUID NOT NULL REFERENCES journal_entries(id),
+    account VARCHAR(100) NOT NULL, -- 'customer:<id>', 'merchant:<id>', 'fees' or 'processor_clearing'
+    direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+    amount DECIMAL(19,4) NOT NULL CHECK (amount > 0)
+);
+
+-- Webhook endpoints registered by merchants for payment lifecycle events
+CREATE TABLE webhook_endpoints (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    merchant_id UUID NOT NULL REFERENCES users(id),
+    url VARCHAR(2048) NOT NULL,
+    secret VARCHAR(255) NOT NULL, -- HMAC-SHA256 signing secret shared with the merchant
+    events JSONB NOT NULL DEFAULT '["*"]'::jsonb, -- subscribed event types, '*' for all
+    description VARCHAR(255),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhook deliveries (one per event and endpoint) and their retry state
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL, -- exact event body, so redeliveries are byte-identical
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE, -- NULL once the delivery has succeeded or failed
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    response_status INTEGER, -- response bodies are not kept, they may echo back anything
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Transactional outbox of the payment service: events about payments,
+-- refunds, disputes and subscriptions, written in the same database
+-- transaction as the change they describe and published to webhooks and the
+-- event bus by its outbox relay (see outboxRelay.js). `sequence` is the
+-- publishing order.
+CREATE TABLE outbox_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(), -- event id consumers deduplicate on
+    sequence BIGSERIAL NOT NULL UNIQUE,
+    event_type VARCHAR(50) NOT NULL,
+    aggregate_type VARCHAR(30) NOT NULL,
+    aggregate_id UUID NOT NULL,
+    account_id UUID,
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP, -- NULL once published
+    last_error TEXT,
+    published_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Event bus events already handled by a consumer group, so that redelivered
+-- events are skipped (see the notification service's eventConsumer.js)
+CREATE TABLE processed_events (
+    consumer_group VARCHAR(100) NOT NULL,
+    event_id UUID NOT NULL,
+    processed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (consumer_group, event_id)
+);
+
 -- Notifications table
 CREATE TABLE notifications (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -161,10 +393,32 @@ CREATE TABLE notifications (
     metadata JSONB DEFAULT '{}'::jsonb
 );
 
+-- AML cases opened by the compliance service's payment screening (see its
+-- amlService.js). While open, a case blocks or holds the customer's payments
+-- until an analyst clears or confirms it.
+CREATE TABLE compliance_cases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    case_type VARCHAR(30) NOT NULL CHECK (case_type IN ('sanctions_match', 'structuring')),
+    action VARCHAR(10) NOT NULL CHECK (action IN ('block', 'hold')),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'cleared', 'confirmed')),
+    payment_id UUID, -- payment being screened when the case was opened (it may never have been created)
+    amount DECIMAL(19,4),
+    currency VARCHAR(3),
+    details JSONB NOT NULL, -- matched sanctions entry and score, or the payments forming the pattern
+    resolution_notes TEXT,
+    resolved_by UUID REFERENCES users(id),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Audit logs table
 CREATE TABLE audit_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sequence BIGINT NOT NULL UNIQUE, -- Position in the hash chain, starting at 1
     user_id UUID REFERENCES users(id),
+    actor_type VARCHAR(20) NOT NULL DEFAULT 'system', -- 'user', 'api_key' or 'system'
     action VARCHAR(100) NOT NULL,
     resource_type VARCHAR(50) NOT NULL,
     resource_id UUID,
@@ -174,7 +428,9 @@ CREATE TABLE audit_logs (
     user_agent TEXT,
     session_id VARCHAR(255),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    metadata JSONB DEFAULT '{}'::jsonb
+    metadata JSONB DEFAULT '{}'::jsonb,
+    previous_hash CHAR(64), -- hash of the entry at sequence - 1 (NULL for the first entry)
+    hash CHAR(64) NOT NULL -- SHA-256 over this entry's content and previous_hash
 );
 
 -- API keys table (for third-party integrations)
@@ -182,8 +438,10 @@ CREATE TABLE api_keys (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id),
     name VARCHAR(100) NOT NULL,
-    key_hash VARCHAR(255) NOT NULL UNIQUE,
-    permissions JSONB DEFAULT '[]'::jsonb,
+    key_hash VARCHAR(255) NOT NULL UNIQUE, -- SHA-256 of the key; the plaintext is never stored
+    key_prefix VARCHAR(32) NOT NULL, -- leading characters of the key, for display
+    mode VARCHAR(10) NOT NULL DEFAULT 'test' CHECK (mode IN ('test', 'live')),
+    permissions JSONB DEFAULT '[]'::jsonb, -- scopes granted to the key
     is_active BOOLEAN DEFAULT TRUE,
     last_used_at TIMESTAMP WITH TIME ZONE,
     expires_at TIMESTAMP WITH TIME ZONE,
@@ -191,6 +449,20 @@ CREATE TABLE api_keys (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Idempotency keys table (safe retries of payment and refund requests)
+CREATE TABLE idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    caller_id VARCHAR(255) NOT NULL, -- keys are scoped to the authenticated caller
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_fingerprint VARCHAR(64) NOT NULL, -- SHA-256 of method, path and body
+    response_status INTEGER, -- NULL while the request is in flight
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE (caller_id, idempotency_key)
+);
+
 -- Sessions table
 CREATE TABLE user_sessions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -212,6 +484,9 @@ CREATE INDEX idx_users_status ON users(status);
 CREATE INDEX idx_users_kyc_status ON users(kyc_status);
 CREATE INDEX idx_users_created_at ON users(created_at);
 
+CREATE INDEX idx_payment_methods_user_id ON payment_methods(user_id);
+CREATE UNIQUE INDEX idx_payment_methods_default ON payment_methods(user_id) WHERE is_default;
+
 CREATE INDEX idx_transactions_user_id ON transactions(user_id);
 CREATE INDEX idx_transactions_status ON transactions(status);
 CREATE INDEX idx_transactions_created_at ON transactions(created_at);
@@ -222,20 +497,56 @@ CREATE INDEX idx_payments_customer_id ON payments(customer_id);
 CREATE INDEX idx_payments_merchant_id ON payments(merchant_id);
 CREATE INDEX idx_payments_status ON payments(status);
 CREATE INDEX idx_payments_created_at ON payments(created_at);
+CREATE INDEX idx_payments_settles_at ON payments(settles_at) WHERE status = 'pending';
+
+CREATE INDEX idx_subscription_plans_merchant_id ON subscription_plans(merchant_id);
+CREATE INDEX idx_subscriptions_customer_id ON subscriptions(customer_id);
+CREATE INDEX idx_subscriptions_merchant_id ON subscriptions(merchant_id);
+CREATE INDEX idx_subscriptions_due ON subscriptions(status, current_period_end);
+CREATE INDEX idx_subscription_invoices_subscription_id ON subscription_invoices(subscription_id);
+CREATE INDEX idx_subscription_invoices_due ON subscription_invoices(status, next_attempt_at);
+CREATE UNIQUE INDEX idx_subscription_invoices_open ON subscription_invoices(subscription_id) WHERE status IN ('open', 'processing');
+
+CREATE INDEX idx_refunds_payment_id ON refunds(payment_id);
+CREATE INDEX idx_refunds_provider_refund_id ON refunds(provider_refund_id);
+CREATE INDEX idx_disputes_due ON disputes(status, evidence_due_by);
+CREATE INDEX idx_dispute_evidence_dispute_id ON dispute_evidence(dispute_id);
+CREATE INDEX idx_transactions_provider_transaction_id ON transactions(provider_transaction_id);
+CREATE INDEX idx_settlement_reconciliations_date ON settlement_reconciliations(settlement_date);
+CREATE INDEX idx_settlement_reconciliation_items_reconciliation_id ON settlement_reconciliation_items(reconciliation_id);
+CREATE INDEX idx_journal_entries_created_at ON journal_entries(created_at);
+CREATE INDEX idx_journal_lines_journal_entry_id ON journal_lines(journal_entry_id);
+CREATE INDEX idx_journal_lines_account ON journal_lines(account);
+CREATE INDEX idx_transactions_card_fingerprint ON transactions ((fraud_check_result->'signals'->>'cardFingerprint'));
+CREATE INDEX idx_transactions_client_ip ON transactions ((fraud_check_result->'signals'->>'ipAddress'));
+CREATE INDEX idx_webhook_endpoints_merchant_id ON webhook_endpoints(merchant_id);
+CREATE UNIQUE INDEX idx_webhook_deliveries_event ON webhook_deliveries(endpoint_id, event_id);
+CREATE INDEX idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX idx_outbox_events_due ON outbox_events(next_attempt_at);
 
 CREATE INDEX idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX idx_notifications_type ON notifications(type);
 CREATE INDEX idx_notifications_status ON notifications(status);
 CREATE INDEX idx_notifications_scheduled_for ON notifications(scheduled_for);
+CREATE INDEX idx_notifications_due ON notifications(status, scheduled_for);
+
+CREATE INDEX idx_compliance_cases_user_id ON compliance_cases(user_id, status);
+CREATE INDEX idx_compliance_cases_payment_id ON compliance_cases(payment_id);
+CREATE INDEX idx_compliance_cases_status ON compliance_cases(status, created_at);
 
 CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
 CREATE INDEX idx_audit_logs_action ON audit_logs(action);
 CREATE INDEX idx_audit_logs_resource_type ON audit_logs(resource_type);
 CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
+CREATE INDEX idx_audit_logs_resource ON audit_logs(resource_type, resource_id);
+
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
 
 CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
 CREATE INDEX idx_user_sessions_session_token ON user_sessions(session_token);
 CREATE INDEX idx_user_sessions_expires_at ON user_sessions(expires_at);
+CREATE INDEX idx_api_keys_user_id ON api_keys(user_id);
 
 -- Create triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION trigger_set_timestamp()
@@ -251,14 +562,57 @@ CREATE TRIGGER set_timestamp_user_profiles BEFORE UPDATE ON user_profiles FOR EA
 CREATE TRIGGER set_timestamp_payment_methods BEFORE UPDATE ON payment_methods FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
 CREATE TRIGGER set_timestamp_transactions BEFORE UPDATE ON transactions FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
 CREATE TRIGGER set_timestamp_payments BEFORE UPDATE ON payments FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
+CREATE TRIGGER set_timestamp_subscription_plans BEFORE UPDATE ON subscription_plans FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
+CREATE TRIGGER set_timestamp_subscriptions BEFORE UPDATE ON subscriptions FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
+CREATE TRIGGER set_timestamp_subscription_invoices BEFORE UPDATE ON subscription_invoices FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
+CREATE TRIGGER set_timestamp_disputes BEFORE UPDATE ON disputes FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
 CREATE TRIGGER set_timestamp_notifications BEFORE UPDATE ON notifications FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
+CREATE TRIGGER set_timestamp_compliance_cases BEFORE UPDATE ON compliance_cases FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
 CREATE TRIGGER set_timestamp_api_keys BEFORE UPDATE ON api_keys FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
+CREATE TRIGGER set_timestamp_webhook_endpoints BEFORE UPDATE ON webhook_endpoints FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
+CREATE TRIGGER set_timestamp_webhook_deliveries BEFORE UPDATE ON webhook_deliveries FOR EACH ROW EXECUTE PROCEDURE trigger_set_timestamp();
+
+-- Audit logs are append-only; changes would also break the hash chain
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_logs_append_only BEFORE UPDATE OR DELETE ON audit_logs FOR EACH ROW EXECUTE PROCEDURE prevent_audit_log_changes();
+
+-- The ledger is append-only as well
+CREATE OR REPLACE FUNCTION prevent_ledger_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER journal_entries_append_only BEFORE UPDATE OR DELETE ON journal_entries FOR EACH ROW EXECUTE PROCEDURE prevent_ledger_changes();
+CREATE TRIGGER journal_lines_append_only BEFORE UPDATE OR DELETE ON journal_lines FOR EACH ROW EXECUTE PROCEDURE prevent_ledger_changes();
+
+-- Reject a transaction that leaves a journal entry unbalanced. Checked at
+-- commit, once all lines of the entry have been inserted.
+CREATE OR REPLACE FUNCTION check_journal_entry_balanced()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (SELECT SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END)
+      FROM journal_lines WHERE journal_entry_id = NEW.journal_entry_id) <> 0 THEN
+    RAISE EXCEPTION 'journal entry % does not balance', NEW.journal_entry_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER journal_lines_balanced AFTER INSERT ON journal_lines DEFERRABLE INITIALLY DEFERRED FOR EACH ROW EXECUTE PROCEDURE check_journal_entry_balanced();
 
 -- Insert sample data for development
-INSERT INTO users (id, email, password_hash, first_name, last_name, status, kyc_status, email_verified) VALUES
-('550e8400-e29b-41d4-a716-446655440000', 'admin@payflow.example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeVTqgqXLEo1B.3.C', 'System', 'Administrator', 'active', 'approved', true),
-('550e8400-e29b-41d4-a716-446655440001', 'john.doe@example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeVTqgqXLEo1B.3.C', 'John', 'Doe', 'active', 'approved', true),
-('550e8400-e29b-41d4-a716-446655440002', 'jane.smith@example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeVTqgqXLEo1B.3.C', 'Jane', 'Smith', 'active', 'pending', true);
+INSERT INTO users (id, email, password_hash, first_name, last_name, status, kyc_status, email_verified, metadata) VALUES
+('550e8400-e29b-41d4-a716-446655440000', 'admin@payflow.example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeVTqgqXLEo1B.3.C', 'System', 'Administrator', 'active', 'approved', true, '{"role": "admin"}'),
+('550e8400-e29b-41d4-a716-446655440001', 'john.doe@example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeVTqgqXLEo1B.3.C', 'John', 'Doe', 'active', 'approved', true, '{}'),
+('550e8400-e29b-41d4-a716-446655440002', 'jane.smith@example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeVTqgqXLEo1B.3.C', 'Jane', 'Smith', 'active', 'pending', true, '{}');
 
 -- Insert sample user profiles
 INSERT INTO user_profiles (user_id, address_line1, city, state, postal_code, country, occupation) VALUES